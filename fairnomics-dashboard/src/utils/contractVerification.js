@@ -1,5 +1,4 @@
-import { ethers } from 'ethers'
-import { FAIR_VAULT_ABI } from '../services/contracts.js'
+import { FairVaultClient } from '../../../scripts/shared/fair-vault-client.js'
 
 /**
  * Verify that a contract address is a valid FAIRVault
@@ -24,19 +23,15 @@ export async function verifyVaultContract(vaultAddress, provider) {
       }
     }
     
-    // Try to call a simple view function to verify it's a FAIRVault
-    const vaultAbi = [
-      'function TOTAL_MILESTONES() external view returns (uint256)',
-      'function initialized() external view returns (bool)',
-      'function fairToken() external view returns (address)',
-    ]
-    
-    const vault = new ethers.Contract(vaultAddress, vaultAbi, provider)
+    // Try to call FAIRVault-only view functions (the client's ABI covers them)
+    const { contract: vault } = new FairVaultClient(vaultAddress, provider, { type: 'vault' })
     
     try {
-      await vault.TOTAL_MILESTONES()
-      await vault.initialized()
-      await vault.fairToken()
+      await Promise.all([
+        vault.TOTAL_MILESTONES(),
+        vault.initialized(),
+        vault.fairToken(),
+      ])
       
       return {
         valid: true,
@@ -4,4 +4,14 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // scripts/shared/fair-vault-client.js imports ethers; resolve it from the dashboard's node_modules
+    dedupe: ['ethers'],
+  },
+  server: {
+    fs: {
+      // Allow the dev server to serve scripts/shared from the repo root
+      allow: ['..'],
+    },
+  },
 })
@@ -0,0 +1,229 @@
+// scripts/cli/commands.js
+// Subcommands of the fair CLI
+//
+// Every command runs one of the existing scripts unchanged: it maps the CLI flags onto that
+// script's own arguments and env vars, so each script still works on its own.
+//
+//   words     Command path, e.g. ["diag", "oracle"]
+//   script    Script path relative to scripts/, or (flags) => path
+//   vault     Resolve the vault before running (--vault > VAULT_ADDRESS > deployment registry)
+//             and hand it to the script as `flags.vault`
+//   networks  Networks the script supports (default: all)
+//   json      The script supports --json
+//   options   Command flags, util.parseArgs format plus `description` and `value` (placeholder)
+//   run       (flags) => { args, env } for the script
+
+/**
+ * Flags every command accepts
+ */
+export const GLOBAL_OPTIONS = {
+  network: { type: "string", short: "n", value: "name", description: "local | testnet | mainnet (default: NETWORK, then mainnet)" },
+  vault: { type: "string", value: "address", description: "Vault address (default: VAULT_ADDRESS, then deployments/<network>.json)" },
+  deployment: { type: "string", value: "name", description: "Registry deployment (default: DEPLOYMENT_NAME, then the network default)" },
+  json: { type: "boolean", description: "Machine-readable output (commands marked *)" },
+  help: { type: "boolean", short: "h", description: "Show help" },
+};
+
+const POOL_OPTION = {
+  pool: { type: "string", value: "address", description: "Aerodrome pool (default: AERODROME_POOL_MAINNET)" },
+};
+
+// Pool scripts read the pool from env before their argument
+function poolEnv(flags) {
+  return flags.pool ? { AERODROME_POOL_MAINNET: flags.pool } : {};
+}
+
+// Diagnostics print only their report with --json (see shared/diagnostics.js)
+function jsonArg(flags) {
+  return flags.json ? ["--json"] : [];
+}
+
+export const COMMANDS = [
+  {
+    words: ["deploy"],
+    summary: "Deploy FAIRVault + TWAP oracle (FAIRTestnet + MockOracle on local/testnet)",
+    script: ({ network }) => (network === "mainnet" ? "mainnet/deployment/deploy-vault.js" : `${network}/deploy.js`),
+    run: () => ({ args: [] }),
+  },
+  {
+    words: ["deploy", "preflight"],
+    summary: "Pre-flight checks for the steps a mainnet deployment has left",
+    script: "mainnet/deployment/preflight.js",
+    networks: ["mainnet"],
+    json: true,
+    options: {
+      manifest: { type: "string", value: "file", description: "Deployment manifest (default: production, test in test mode)" },
+    },
+    run: (flags) => ({ args: [...(flags.manifest ? [flags.manifest] : []), ...jsonArg(flags)] }),
+  },
+  {
+    words: ["deploy", "verify"],
+    summary: "Verify a recorded deployment on-chain and write a report to publish",
+    script: "mainnet/deployment/verify-deployment.js",
+    networks: ["mainnet"],
+    json: true,
+    options: {
+      manifest: { type: "string", value: "file", description: "Check against a manifest (default: the values the registry recorded)" },
+      sign: { type: "boolean", description: "Sign the report digest with the .env signer" },
+    },
+    run: (flags) => ({
+      args: [...(flags.manifest ? [flags.manifest] : []), ...(flags.sign ? ["--sign"] : []), ...jsonArg(flags)],
+    }),
+  },
+  {
+    words: ["keeper"],
+    summary: "Run the keeper bot",
+    script: "keeper/keeper.js",
+    json: true,
+    options: {
+      once: { type: "boolean", description: "Run one cycle and exit" },
+      events: { type: "boolean", description: "Event-driven scheduling" },
+      "dry-run": { type: "boolean", description: "Decide and log, send nothing" },
+      test: { type: "boolean", description: "Test-mode intervals" },
+      config: { type: "string", value: "file", description: "Watch every vault in a keeper config file" },
+      "http-port": { type: "string", value: "port", description: "Health and metrics server port" },
+    },
+    // The keeper resolves its own vaults (--config or the single-vault lookup)
+    run: (flags) => ({
+      args: [
+        flags.network,
+        ...["once", "events", "dry-run", "test"].filter((name) => flags[name]).map((name) => `--${name}`),
+        ...(flags.config ? ["--config", flags.config] : []),
+        ...(flags["http-port"] ? ["--http-port", flags["http-port"]] : []),
+      ],
+      env: {
+        ...(flags.vault ? { VAULT_ADDRESS: flags.vault } : {}),
+        ...(flags.json ? { LOG_FORMAT: "json" } : {}),
+      },
+    }),
+  },
+  {
+    words: ["diag", "oracle"],
+    summary: "Oracle and pool diagnostics for a vault",
+    script: "mainnet/diagnostics/check-oracle.js",
+    vault: true,
+    networks: ["mainnet"],
+    json: true,
+    run: (flags) => ({ args: [flags.vault, ...jsonArg(flags)] }),
+  },
+  {
+    words: ["diag", "pool"],
+    summary: "Pool observation history and TWAP readiness",
+    script: "mainnet/diagnostics/check-pool-observations.js",
+    options: POOL_OPTION,
+    json: true,
+    run: (flags) => ({ args: jsonArg(flags), env: poolEnv(flags) }),
+  },
+  {
+    words: ["diag", "ready"],
+    summary: "Complete vault, oracle and keeper check",
+    script: "mainnet/diagnostics/verify-keeper-ready.js",
+    vault: true,
+    json: true,
+    run: (flags) => ({ args: [flags.vault, ...jsonArg(flags)] }),
+  },
+  {
+    words: ["pool", "cardinality"],
+    summary: "Increase pool observation cardinality",
+    script: "mainnet/pool-management/increase-pool-cardinality.js",
+    options: {
+      ...POOL_OPTION,
+      cardinality: { type: "string", value: "n", description: "Target cardinality (default: POOL_CARDINALITY, then 100)" },
+    },
+    run: (flags) => ({
+      args: [],
+      env: { ...poolEnv(flags), ...(flags.cardinality ? { POOL_CARDINALITY: flags.cardinality } : {}) },
+    }),
+  },
+  {
+    words: ["pool", "history"],
+    summary: "Small swaps to build pool observation history",
+    script: "mainnet/pool-management/build-pool-history.js",
+    options: {
+      ...POOL_OPTION,
+      swaps: { type: "string", value: "n", description: "Number of swaps (default: NUM_SWAPS, then 50)" },
+    },
+    run: (flags) => ({
+      args: [],
+      env: { ...poolEnv(flags), ...(flags.swaps ? { NUM_SWAPS: flags.swaps } : {}) },
+    }),
+  },
+  {
+    words: ["pool", "price"],
+    summary: "Swap the pool towards a target price (dry run unless --execute)",
+    script: "mainnet/pool-management/adjust-price-to-target.js",
+    vault: true,
+    options: {
+      target: { type: "string", value: "price", description: "Target price in oracle units (default: 10)" },
+      amount: { type: "string", value: "usdc", description: "Swap this much USDC instead of the computed amount" },
+      execute: { type: "boolean", description: "Send the swap" },
+      iterative: { type: "boolean", description: "Keep swapping until the target is reached" },
+    },
+    run: (flags) => ({
+      args: [
+        flags.vault,
+        ...(flags.target ? [flags.target] : []),
+        ...(flags.amount ? ["--amount", flags.amount] : []),
+        ...["execute", "iterative"].filter((name) => flags[name]).map((name) => `--${name}`),
+      ],
+    }),
+  },
+  {
+    words: ["vault", "deposit"],
+    summary: "Deposit FAIR into the vault",
+    script: "mainnet/deployment/deposit-tokens.js",
+    vault: true,
+    networks: ["mainnet"],
+    options: {
+      amount: { type: "string", value: "tokens", description: "Amount (default: VAULT_DEPOSIT_AMOUNT, then the full balance)" },
+      force: { type: "boolean", description: "Deposit even if the vault is not initialized yet" },
+    },
+    run: (flags) => ({
+      args: [flags.vault, ...(flags.amount ? [flags.amount] : []), ...(flags.force ? ["--force"] : [])],
+    }),
+  },
+  {
+    words: ["safe-batch"],
+    summary: "Export owner-only actions as a Safe Transaction Builder batch (nothing sent)",
+    script: "mainnet/deployment/export-safe-batch.js",
+    networks: ["mainnet"],
+    options: {
+      actions: { type: "string", value: "list", description: "Comma-separated actions, e.g. setOracleAndFreeze:0x...,initialize:9000000000" },
+      safe: { type: "string", value: "address", description: "Executing Safe (default: SAFE_ADDRESS, then the contract owner)" },
+      out: { type: "string", value: "file", description: "Batch file (default: deployments/<network>.owner-actions.safe-batch.json)" },
+    },
+    run: (flags) => ({
+      args: (flags.actions || "").split(",").map((a) => a.trim()).filter(Boolean),
+      env: {
+        ...(flags.vault ? { VAULT_ADDRESS: flags.vault } : {}),
+        ...(flags.safe ? { SAFE_ADDRESS: flags.safe } : {}),
+        ...(flags.out ? { SAFE_BATCH_FILE: flags.out } : {}),
+      },
+    }),
+  },
+  {
+    words: ["vault", "balance"],
+    summary: "Vault token balance and withdrawal options",
+    script: "mainnet/diagnostics/check-vault-balance.js",
+    vault: true,
+    networks: ["mainnet"],
+    json: true,
+    run: (flags) => ({ args: [flags.vault, ...jsonArg(flags)] }),
+  },
+  {
+    words: ["milestones"],
+    summary: "Milestone price targets",
+    script: "mainnet/utils/calculate-milestone-prices.js",
+    json: true,
+    options: {
+      profile: { type: "string", value: "name", description: "Config profile: local | testnet | mainnet | test-mode (default: CONFIG_PROFILE, then --network)" },
+    },
+    run: (flags) => ({ args: [...(flags.profile ? ["--profile", flags.profile] : []), ...jsonArg(flags)] }),
+  },
+  {
+    words: ["deployments"],
+    summary: "Deployments recorded in deployments/<network>.json",
+    script: "shared/deployments.js",
+    run: (flags) => ({ args: ["list", flags.network] }),
+  },
+];
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// scripts/cli/fair.js
+// fair: one entry point for the deploy, keeper, diagnostic and pool scripts
+//
+// Usage:
+//   node scripts/cli/fair.js <command> [options]
+//   npm run fair -- diag oracle --vault 0x...
+//   node scripts/cli/fair.js --help
+//
+// Each command runs its script (see commands.js) in a child process and exits with the script's
+// exit code: 1 for CLI errors, 128 + signal number when the script is killed.
+//
+// ENV:
+//   NETWORK=mainnet         Default for --network
+//   VAULT_ADDRESS=          Default for --vault
+//   DEPLOYMENT_NAME=        Default for --deployment
+
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { NETWORKS } from "../shared/config.js";
+import { resolveVault } from "../shared/deployments.js";
+import { COMMANDS, GLOBAL_OPTIONS } from "./commands.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const SCRIPTS_DIR = path.join(path.dirname(__filename), "..");
+
+class UsageError extends Error {}
+
+function commandName(command) {
+  return command.words.join(" ");
+}
+
+/**
+ * Command matching the leading words of argv (longest match), or null
+ * @param {string[]} argv
+ */
+export function findCommand(argv) {
+  const words = [];
+  for (const token of argv) {
+    if (token.startsWith("-")) break;
+    words.push(token);
+  }
+  const matches = COMMANDS.filter((command) => command.words.every((word, i) => words[i] === word));
+  matches.sort((a, b) => b.words.length - a.words.length);
+  return { command: matches[0] ?? null, words };
+}
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, option]) => [
+    `${option.short ? `-${option.short}, ` : "    "}--${name}${option.value ? ` <${option.value}>` : ""}`,
+    option.description ?? "",
+  ]);
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`).join("\n");
+}
+
+function formatCommands(commands) {
+  const width = Math.max(...commands.map((command) => commandName(command).length + (command.json ? 2 : 0))) + 2;
+  return commands
+    .map((command) => `  ${`${commandName(command)}${command.json ? " *" : ""}`.padEnd(width)}${command.summary}`)
+    .join("\n");
+}
+
+/**
+ * Help text for the CLI, a command group ("diag") or a command
+ * @param {object} [options]
+ * @param {object} [options.command]
+ * @param {string} [options.group]
+ */
+export function getHelp({ command, group } = {}) {
+  if (command) {
+    const lines = [`Usage: fair ${commandName(command)} [options]`, "", command.summary];
+    if (command.networks) lines.push(`Networks: ${command.networks.join(", ")}`);
+    if (command.options) lines.push("", "Options:", formatOptions(command.options));
+    lines.push("", "Global options:", formatOptions(GLOBAL_OPTIONS));
+    return lines.join("\n");
+  }
+  const commands = group ? COMMANDS.filter((c) => c.words[0] === group) : COMMANDS;
+  return [
+    `Usage: fair ${group ?? "<command>"}${group ? " <subcommand>" : ""} [options]`,
+    "",
+    "Commands:",
+    formatCommands(commands),
+    "",
+    "Global options:",
+    formatOptions(GLOBAL_OPTIONS),
+    "",
+    `Run "fair ${group ?? "<command>"}${group ? " <subcommand>" : ""} --help" for command options. * supports --json`,
+  ].join("\n");
+}
+
+// util.parseArgs only accepts its own keys
+function toParseArgsOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])
+  );
+}
+
+/**
+ * Parse the flags of a command and work out the script to run
+ * @param {object} command - From COMMANDS
+ * @param {string[]} args - argv after the command words
+ * @returns {{ help: true } | { script: string, args: string[], env: object }}
+ */
+export function planCommand(command, args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: toParseArgsOptions({ ...GLOBAL_OPTIONS, ...command.options }),
+      allowPositionals: false,
+      strict: true,
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const flags = { ...parsed.values };
+  if (flags.help) return { help: true };
+
+  flags.network = flags.network || process.env.NETWORK || "mainnet";
+  if (!NETWORKS[flags.network]) {
+    throw new UsageError(`Unknown network: ${flags.network}. Use: ${Object.keys(NETWORKS).join(", ")}`);
+  }
+  if (command.networks && !command.networks.includes(flags.network)) {
+    throw new UsageError(`"fair ${commandName(command)}" only supports ${command.networks.join(", ")}`);
+  }
+  if (flags.json && !command.json) {
+    throw new UsageError(`"fair ${commandName(command)}" does not support --json`);
+  }
+  if (flags.deployment) {
+    // Read by resolveVault() below and, inherited, by every script through getDeploymentName()
+    process.env.DEPLOYMENT_NAME = flags.deployment;
+  }
+  if (command.vault) {
+    try {
+      flags.vault = resolveVault(flags.network, { address: flags.vault, types: ["vault"] }).address;
+    } catch (e) {
+      throw new UsageError(e.message);
+    }
+  }
+
+  const script = typeof command.script === "function" ? command.script(flags) : command.script;
+  const { args: scriptArgs = [], env = {} } = command.run(flags);
+  return {
+    script: path.join(SCRIPTS_DIR, script),
+    args: scriptArgs,
+    env: { NETWORK: flags.network, ...env },
+  };
+}
+
+/**
+ * Run a script and resolve with its exit code
+ * @param {{ script: string, args: string[], env: object }} plan
+ * @returns {Promise<number>}
+ */
+export function runScript({ script, args, env }) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [script, ...args], {
+      stdio: "inherit",
+      env: { ...process.env, ...env },
+    });
+
+    // Ctrl-C already reaches the child (same process group); forwarding it too would be a second
+    // SIGINT, which the keeper treats as "stop now". Signals sent to this process only are forwarded.
+    const ignore = () => {};
+    const forward = (signal) => child.kill(signal);
+    process.on("SIGINT", ignore);
+    process.on("SIGTERM", forward);
+    process.on("SIGHUP", forward);
+
+    const done = (code) => {
+      process.off("SIGINT", ignore);
+      process.off("SIGTERM", forward);
+      process.off("SIGHUP", forward);
+      resolve(code);
+    };
+    child.on("error", (e) => {
+      console.error(`❌ Could not start ${path.relative(SCRIPTS_DIR, script)}: ${e.message}`);
+      done(1);
+    });
+    child.on("exit", (code, signal) => done(code ?? 128 + (os.constants.signals[signal] ?? 0)));
+  });
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const { command, words } = findCommand(argv);
+
+  if (!command) {
+    const group = COMMANDS.some((c) => c.words.length > 1 && c.words[0] === words[0]) ? words[0] : undefined;
+    if (words.length > (group ? 1 : 0)) {
+      console.error(`❌ Unknown command: ${words.join(" ")}\n`);
+      console.error(getHelp({ group }));
+      return 1;
+    }
+    console.log(getHelp({ group }));
+    // "fair" or "fair diag" without --help is a usage error
+    return argv.includes("--help") || argv.includes("-h") ? 0 : 1;
+  }
+
+  let plan;
+  try {
+    plan = planCommand(command, argv.slice(command.words.length));
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`❌ ${e.message}`);
+    console.error(`   Run "fair ${commandName(command)} --help" for usage`);
+    return 1;
+  }
+  if (plan.help) {
+    console.log(getHelp({ command }));
+    return 0;
+  }
+  return runScript(plan);
+}
+
+// Also true when run through the npm bin symlink
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main()
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,215 @@
+// scripts/keeper/alerts.js
+// Keeper alerting: webhook, Slack/Discord-style chat hooks, and email via SMTP
+//
+// Each sink is enabled by its env vars and receives only the severities routed to it.
+// Repeated alerts with the same key are de-duplicated for ALERT_DEDUP_MINUTES
+// (a higher severity for the same key always goes through).
+//
+// ENV:
+//   ALERT_WEBHOOK_URL=https://...            Generic JSON POST
+//   ALERT_WEBHOOK_SEVERITIES=info,warning,critical
+//   ALERT_SLACK_WEBHOOK_URL=https://hooks.slack.com/...   ({ text } payload)
+//   ALERT_DISCORD_WEBHOOK_URL=https://discord.com/api/webhooks/...   ({ content } payload)
+//   ALERT_CHAT_SEVERITIES=warning,critical
+//   ALERT_SMTP_HOST=smtp.example.com
+//   ALERT_SMTP_PORT=587
+//   ALERT_SMTP_USER=...
+//   ALERT_SMTP_PASS=...
+//   ALERT_EMAIL_FROM=keeper@example.com
+//   ALERT_EMAIL_TO=ops@example.com,founder@example.com
+//   ALERT_EMAIL_SEVERITIES=critical
+//   ALERT_DEDUP_MINUTES=360
+
+import "dotenv/config";
+
+export const SEVERITY = {
+  INFO: "info",
+  WARNING: "warning",
+  CRITICAL: "critical",
+};
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const SEVERITY_ICON = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+
+function parseSeverities(value, fallback) {
+  const list = (value || fallback)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => s.length > 0);
+  for (const s of list) {
+    if (SEVERITY_RANK[s] === undefined) {
+      throw new Error(`Unknown alert severity: ${s}. Use: info, warning, or critical`);
+    }
+  }
+  return list;
+}
+
+function formatText(alert) {
+  const lines = [`${SEVERITY_ICON[alert.severity]} [${alert.severity.toUpperCase()}] ${alert.title}`];
+  for (const [key, value] of Object.entries(alert.details)) {
+    lines.push(`• ${key}: ${value}`);
+  }
+  return lines.join("\n");
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status} ${res.statusText}`);
+  }
+}
+
+function webhookSink(url, severities) {
+  return {
+    name: "webhook",
+    severities,
+    send: (alert) => postJson(url, alert),
+  };
+}
+
+function slackSink(url, severities) {
+  return {
+    name: "slack",
+    severities,
+    send: (alert) => postJson(url, { text: formatText(alert) }),
+  };
+}
+
+function discordSink(url, severities) {
+  return {
+    name: "discord",
+    severities,
+    // Discord caps message content at 2000 chars
+    send: (alert) => postJson(url, { content: formatText(alert).slice(0, 2000) }),
+  };
+}
+
+function smtpSink(options, severities) {
+  let transport;
+  return {
+    name: "email",
+    severities,
+    async send(alert) {
+      if (!transport) {
+        // Loaded lazily so the keeper runs without nodemailer when email is not configured
+        const nodemailer = await import("nodemailer");
+        transport = nodemailer.default.createTransport({
+          host: options.host,
+          port: options.port,
+          secure: options.port === 465,
+          auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+        });
+      }
+      await transport.sendMail({
+        from: options.from,
+        to: options.to,
+        subject: `[FAIR Keeper] [${alert.severity.toUpperCase()}] ${alert.title}`,
+        text: formatText(alert),
+      });
+    },
+  };
+}
+
+/**
+ * Build sinks from environment variables
+ */
+export function getAlertSinks(env = process.env) {
+  const sinks = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    sinks.push(webhookSink(env.ALERT_WEBHOOK_URL, parseSeverities(env.ALERT_WEBHOOK_SEVERITIES, "info,warning,critical")));
+  }
+
+  const chatSeverities = parseSeverities(env.ALERT_CHAT_SEVERITIES, "warning,critical");
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    sinks.push(slackSink(env.ALERT_SLACK_WEBHOOK_URL, chatSeverities));
+  }
+  if (env.ALERT_DISCORD_WEBHOOK_URL) {
+    sinks.push(discordSink(env.ALERT_DISCORD_WEBHOOK_URL, chatSeverities));
+  }
+
+  if (env.ALERT_SMTP_HOST) {
+    if (!env.ALERT_EMAIL_TO) {
+      throw new Error("ALERT_SMTP_HOST is set but ALERT_EMAIL_TO is missing");
+    }
+    sinks.push(smtpSink({
+      host: env.ALERT_SMTP_HOST,
+      port: parseInt(env.ALERT_SMTP_PORT || "587", 10),
+      user: env.ALERT_SMTP_USER,
+      pass: env.ALERT_SMTP_PASS,
+      from: env.ALERT_EMAIL_FROM || env.ALERT_SMTP_USER,
+      to: env.ALERT_EMAIL_TO,
+    }, parseSeverities(env.ALERT_EMAIL_SEVERITIES, "critical")));
+  }
+
+  return sinks;
+}
+
+/**
+ * Create an alerter
+ * @param {object} options
+ * @param {Array} [options.sinks] - Defaults to sinks configured via env
+ * @param {number} [options.dedupMs] - Suppression window for repeated keys
+ * @param {(message: string) => void} [options.log]
+ * @param {object} [options.context] - Fields attached to every alert (network, vault, ...)
+ */
+export function createAlerter({ sinks = getAlertSinks(), dedupMs, log = console.log, context = {} } = {}) {
+  const dedupWindow = dedupMs ?? parseInt(process.env.ALERT_DEDUP_MINUTES || "360", 10) * 60 * 1000;
+  const lastSent = new Map(); // key -> { at, severity }
+
+  /**
+   * Send an alert to every sink routed for its severity
+   * @param {string} severity - 'info', 'warning', or 'critical'
+   * @param {string} key - De-duplication key (e.g. 'low-balance', 'milestone-pending-3')
+   * @param {string} title
+   * @param {object} [details]
+   */
+  async function alert(severity, key, title, details = {}) {
+    if (sinks.length === 0) return;
+
+    const previous = lastSent.get(key);
+    const now = Date.now();
+    if (previous && now - previous.at < dedupWindow && SEVERITY_RANK[severity] <= SEVERITY_RANK[previous.severity]) {
+      return;
+    }
+    lastSent.set(key, { at: now, severity });
+
+    const payload = {
+      severity,
+      key,
+      title,
+      details: { ...context, ...details },
+      timestamp: new Date(now).toISOString(),
+    };
+
+    await Promise.all(sinks
+      .filter((sink) => sink.severities.includes(severity))
+      .map(async (sink) => {
+        try {
+          await sink.send(payload);
+        } catch (e) {
+          // Alerting must never take the keeper down
+          log(`  ⚠️  Alert via ${sink.name} failed: ${e.message}`);
+        }
+      }));
+  }
+
+  /**
+   * Mark a condition as cleared so the next occurrence alerts immediately
+   * @param {string} key
+   */
+  function resolve(key) {
+    lastSent.delete(key);
+  }
+
+  return {
+    alert,
+    resolve,
+    sinkNames: sinks.map((s) => s.name),
+  };
+}
@@ -0,0 +1,134 @@
+// scripts/keeper/decision.js
+// Keeper decision engine
+//
+// Pure function of an on-chain snapshot: no RPC calls, no clock reads, no logging.
+// Mirrors the checks in FAIRVault.tryUnlock()/releasePending() so the keeper only sends
+// transactions that change state, instead of pattern-matching canUnlockMilestone() reason strings.
+
+export const ACTION = {
+  SKIP_NOT_INITIALIZED: "SKIP_NOT_INITIALIZED",
+  SKIP_ORACLE_NOT_SET: "SKIP_ORACLE_NOT_SET",
+  SKIP_ALL_UNLOCKED: "SKIP_ALL_UNLOCKED",
+  SKIP_STATUS_UNAVAILABLE: "SKIP_STATUS_UNAVAILABLE",
+  SKIP_PERIOD_UNAVAILABLE: "SKIP_PERIOD_UNAVAILABLE",
+  SKIP_COOLDOWN_UNAVAILABLE: "SKIP_COOLDOWN_UNAVAILABLE",
+  SKIP_ORACLE_FAILING: "SKIP_ORACLE_FAILING",
+  SKIP_PRICE_BELOW_TARGET: "SKIP_PRICE_BELOW_TARGET",
+  SKIP_PERIOD_NOT_ELAPSED: "SKIP_PERIOD_NOT_ELAPSED",
+  RECORD_PERIOD: "RECORD_PERIOD",
+  FINALIZE: "FINALIZE",
+  RELEASE_PENDING: "RELEASE_PENDING",
+};
+
+export const REASON = {
+  VAULT_NOT_INITIALIZED: "VAULT_NOT_INITIALIZED",
+  ORACLE_NOT_SET: "ORACLE_NOT_SET",
+  ALL_MILESTONES_UNLOCKED: "ALL_MILESTONES_UNLOCKED",
+  STATUS_UNAVAILABLE: "STATUS_UNAVAILABLE",
+  LAST_GOOD_PERIOD_UNAVAILABLE: "LAST_GOOD_PERIOD_UNAVAILABLE",
+  COOLDOWN_UNAVAILABLE: "COOLDOWN_UNAVAILABLE",
+  ORACLE_PRICE_ZERO: "ORACLE_PRICE_ZERO",
+  PRICE_BELOW_TARGET: "PRICE_BELOW_TARGET",
+  PERIOD_NOT_ELAPSED: "PERIOD_NOT_ELAPSED",
+  COOLDOWN_ACTIVE: "COOLDOWN_ACTIVE",
+  GOOD_PERIODS_NOT_REACHED: "GOOD_PERIODS_NOT_REACHED",
+  READY_TO_UNLOCK: "READY_TO_UNLOCK",
+  VAULT_REFILLED: "VAULT_REFILLED",
+};
+
+/**
+ * @typedef {object} Snapshot
+ * @property {number} now - Latest block timestamp (seconds)
+ * @property {boolean} initialized
+ * @property {boolean} oracleSet
+ * @property {number} milestone - First milestone not yet unlocked (0 = all unlocked)
+ * @property {{ goodPeriods: bigint, priceTarget: bigint, currentPrice: bigint } | null} status
+ *   getMilestoneStatus() result, null if the call failed
+ * @property {number | null} cooldownEnd - lastUnlockTime + WAIT_RULE, 0 when no cooldown applies, null if unknown
+ * @property {number | null} lastGoodPeriod - milestoneLastGoodPeriodTimestamp, null if unknown
+ * @property {number} periodInterval - PERIOD_INTERVAL (seconds)
+ * @property {number} requiredGoodPeriods - REQUIRED_GOOD_PERIODS
+ * @property {number[]} [releasable] - Pending milestones the vault now holds enough FAIR to pay
+ */
+
+/**
+ * @typedef {object} Decision
+ * @property {string} action - One of ACTION
+ * @property {string} reason - One of REASON
+ * @property {number} milestone
+ * @property {number} [waitUntil] - Earliest timestamp (seconds) a skipped action could succeed
+ */
+
+/**
+ * Decide what the keeper should do next
+ * @param {Snapshot} s
+ * @returns {Decision}
+ */
+export function decide(s) {
+  if (!s.initialized) {
+    return { action: ACTION.SKIP_NOT_INITIALIZED, reason: REASON.VAULT_NOT_INITIALIZED, milestone: s.milestone };
+  }
+
+  // Paying out an already-earned milestone comes before working on the next one
+  if (s.releasable?.length > 0) {
+    return { action: ACTION.RELEASE_PENDING, reason: REASON.VAULT_REFILLED, milestone: s.releasable[0] };
+  }
+
+  if (s.milestone === 0) {
+    return { action: ACTION.SKIP_ALL_UNLOCKED, reason: REASON.ALL_MILESTONES_UNLOCKED, milestone: 0 };
+  }
+  if (!s.oracleSet) {
+    return { action: ACTION.SKIP_ORACLE_NOT_SET, reason: REASON.ORACLE_NOT_SET, milestone: s.milestone };
+  }
+  if (!s.status) {
+    return { action: ACTION.SKIP_STATUS_UNAVAILABLE, reason: REASON.STATUS_UNAVAILABLE, milestone: s.milestone };
+  }
+
+  const { goodPeriods, priceTarget, currentPrice } = s.status;
+
+  // getMilestoneStatus() reports 0 when the oracle reverts; tryUnlock() would return without effect
+  if (currentPrice === 0n) {
+    return { action: ACTION.SKIP_ORACLE_FAILING, reason: REASON.ORACLE_PRICE_ZERO, milestone: s.milestone };
+  }
+  if (currentPrice < priceTarget) {
+    return { action: ACTION.SKIP_PRICE_BELOW_TARGET, reason: REASON.PRICE_BELOW_TARGET, milestone: s.milestone };
+  }
+
+  // A read that failed is not a read that allows the tx: it could revert or do nothing
+  if (s.lastGoodPeriod === null) {
+    return { action: ACTION.SKIP_PERIOD_UNAVAILABLE, reason: REASON.LAST_GOOD_PERIOD_UNAVAILABLE, milestone: s.milestone };
+  }
+  if (s.cooldownEnd === null) {
+    return { action: ACTION.SKIP_COOLDOWN_UNAVAILABLE, reason: REASON.COOLDOWN_UNAVAILABLE, milestone: s.milestone };
+  }
+
+  const nextPeriodAt = s.lastGoodPeriod + s.periodInterval;
+  const canRecord = s.now >= nextPeriodAt;
+  const periodsAfter = Number(goodPeriods) + (canRecord ? 1 : 0);
+  const cooldownOver = s.now >= s.cooldownEnd;
+
+  if (cooldownOver && periodsAfter >= s.requiredGoodPeriods) {
+    return { action: ACTION.FINALIZE, reason: REASON.READY_TO_UNLOCK, milestone: s.milestone };
+  }
+  if (canRecord) {
+    return {
+      action: ACTION.RECORD_PERIOD,
+      reason: cooldownOver ? REASON.GOOD_PERIODS_NOT_REACHED : REASON.COOLDOWN_ACTIVE,
+      milestone: s.milestone,
+    };
+  }
+  return {
+    action: ACTION.SKIP_PERIOD_NOT_ELAPSED,
+    reason: REASON.PERIOD_NOT_ELAPSED,
+    milestone: s.milestone,
+    waitUntil: nextPeriodAt,
+  };
+}
+
+/**
+ * True for actions that send a transaction
+ * @param {string} action
+ */
+export function isTransaction(action) {
+  return action === ACTION.RECORD_PERIOD || action === ACTION.FINALIZE || action === ACTION.RELEASE_PENDING;
+}
@@ -0,0 +1,155 @@
+// scripts/keeper/decision.test.js
+// Tests for the keeper decision engine
+//
+// Usage:
+//   npm test
+//   node --test scripts/keeper/decision.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decide, isTransaction, ACTION, REASON } from "./decision.js";
+
+const NOW = 1_750_000_000;
+const INTERVAL = 3600;
+
+// Milestone 3, price above target, one period recordable, cooldown over, 10 of 360 periods
+function snapshot(overrides = {}) {
+  return {
+    now: NOW,
+    initialized: true,
+    oracleSet: true,
+    milestone: 3,
+    status: { goodPeriods: 10n, priceTarget: 450n, currentPrice: 500n },
+    cooldownEnd: NOW - 1,
+    lastGoodPeriod: NOW - INTERVAL,
+    periodInterval: INTERVAL,
+    requiredGoodPeriods: 360,
+    releasable: [],
+    ...overrides,
+  };
+}
+
+const CASES = [
+  {
+    name: "vault not initialized",
+    snapshot: { initialized: false, releasable: [2] },
+    expected: { action: ACTION.SKIP_NOT_INITIALIZED, reason: REASON.VAULT_NOT_INITIALIZED, milestone: 3 },
+  },
+  {
+    name: "refilled vault releases a pending milestone first",
+    snapshot: { releasable: [2, 4], status: null },
+    expected: { action: ACTION.RELEASE_PENDING, reason: REASON.VAULT_REFILLED, milestone: 2 },
+  },
+  {
+    name: "pending release even when every milestone is unlocked",
+    snapshot: { milestone: 0, releasable: [18] },
+    expected: { action: ACTION.RELEASE_PENDING, reason: REASON.VAULT_REFILLED, milestone: 18 },
+  },
+  {
+    name: "all milestones unlocked",
+    snapshot: { milestone: 0 },
+    expected: { action: ACTION.SKIP_ALL_UNLOCKED, reason: REASON.ALL_MILESTONES_UNLOCKED, milestone: 0 },
+  },
+  {
+    name: "no releasable list counts as none",
+    snapshot: { milestone: 0, releasable: undefined },
+    expected: { action: ACTION.SKIP_ALL_UNLOCKED, reason: REASON.ALL_MILESTONES_UNLOCKED, milestone: 0 },
+  },
+  {
+    name: "oracle not set",
+    snapshot: { oracleSet: false },
+    expected: { action: ACTION.SKIP_ORACLE_NOT_SET, reason: REASON.ORACLE_NOT_SET, milestone: 3 },
+  },
+  {
+    name: "milestone status read failed",
+    snapshot: { status: null },
+    expected: { action: ACTION.SKIP_STATUS_UNAVAILABLE, reason: REASON.STATUS_UNAVAILABLE, milestone: 3 },
+  },
+  {
+    name: "oracle price zero",
+    snapshot: { status: { goodPeriods: 10n, priceTarget: 450n, currentPrice: 0n } },
+    expected: { action: ACTION.SKIP_ORACLE_FAILING, reason: REASON.ORACLE_PRICE_ZERO, milestone: 3 },
+  },
+  {
+    name: "price below target",
+    snapshot: { status: { goodPeriods: 10n, priceTarget: 450n, currentPrice: 449n } },
+    expected: { action: ACTION.SKIP_PRICE_BELOW_TARGET, reason: REASON.PRICE_BELOW_TARGET, milestone: 3 },
+  },
+  {
+    name: "last good period read failed",
+    snapshot: { lastGoodPeriod: null },
+    expected: { action: ACTION.SKIP_PERIOD_UNAVAILABLE, reason: REASON.LAST_GOOD_PERIOD_UNAVAILABLE, milestone: 3 },
+  },
+  {
+    name: "last good period read failed with enough periods and no cooldown",
+    snapshot: { lastGoodPeriod: null, cooldownEnd: 0, status: { goodPeriods: 360n, priceTarget: 450n, currentPrice: 500n } },
+    expected: { action: ACTION.SKIP_PERIOD_UNAVAILABLE, reason: REASON.LAST_GOOD_PERIOD_UNAVAILABLE, milestone: 3 },
+  },
+  {
+    name: "cooldown read failed",
+    snapshot: { cooldownEnd: null },
+    expected: { action: ACTION.SKIP_COOLDOWN_UNAVAILABLE, reason: REASON.COOLDOWN_UNAVAILABLE, milestone: 3 },
+  },
+  {
+    name: "cooldown read failed on the period that reaches the requirement",
+    snapshot: { cooldownEnd: null, status: { goodPeriods: 359n, priceTarget: 450n, currentPrice: 500n } },
+    expected: { action: ACTION.SKIP_COOLDOWN_UNAVAILABLE, reason: REASON.COOLDOWN_UNAVAILABLE, milestone: 3 },
+  },
+  {
+    name: "this period reaches the requirement after the cooldown",
+    snapshot: { status: { goodPeriods: 359n, priceTarget: 450n, currentPrice: 500n } },
+    expected: { action: ACTION.FINALIZE, reason: REASON.READY_TO_UNLOCK, milestone: 3 },
+  },
+  {
+    name: "requirement already reached, period not elapsed",
+    snapshot: { lastGoodPeriod: NOW - 60, status: { goodPeriods: 360n, priceTarget: 450n, currentPrice: 500n } },
+    expected: { action: ACTION.FINALIZE, reason: REASON.READY_TO_UNLOCK, milestone: 3 },
+  },
+  {
+    name: "no cooldown applies (milestone 1)",
+    snapshot: { milestone: 1, cooldownEnd: 0, status: { goodPeriods: 359n, priceTarget: 200n, currentPrice: 200n } },
+    expected: { action: ACTION.FINALIZE, reason: REASON.READY_TO_UNLOCK, milestone: 1 },
+  },
+  {
+    name: "enough periods but cooldown active",
+    snapshot: { cooldownEnd: NOW + 1, status: { goodPeriods: 359n, priceTarget: 450n, currentPrice: 500n } },
+    expected: { action: ACTION.RECORD_PERIOD, reason: REASON.COOLDOWN_ACTIVE, milestone: 3 },
+  },
+  {
+    name: "good periods not reached",
+    snapshot: {},
+    expected: { action: ACTION.RECORD_PERIOD, reason: REASON.GOOD_PERIODS_NOT_REACHED, milestone: 3 },
+  },
+  {
+    name: "first good period of a milestone",
+    snapshot: { lastGoodPeriod: 0, status: { goodPeriods: 0n, priceTarget: 450n, currentPrice: 450n } },
+    expected: { action: ACTION.RECORD_PERIOD, reason: REASON.GOOD_PERIODS_NOT_REACHED, milestone: 3 },
+  },
+  {
+    name: "period not elapsed",
+    snapshot: { lastGoodPeriod: NOW - INTERVAL + 1 },
+    expected: { action: ACTION.SKIP_PERIOD_NOT_ELAPSED, reason: REASON.PERIOD_NOT_ELAPSED, milestone: 3, waitUntil: NOW + 1 },
+  },
+  {
+    name: "period not elapsed during the cooldown",
+    snapshot: { lastGoodPeriod: NOW - 60, cooldownEnd: NOW + 3600, status: { goodPeriods: 360n, priceTarget: 450n, currentPrice: 500n } },
+    expected: { action: ACTION.SKIP_PERIOD_NOT_ELAPSED, reason: REASON.PERIOD_NOT_ELAPSED, milestone: 3, waitUntil: NOW - 60 + INTERVAL },
+  },
+];
+
+for (const { name, snapshot: overrides, expected } of CASES) {
+  test(`decide: ${name}`, () => {
+    assert.deepEqual(decide(snapshot(overrides)), expected);
+  });
+}
+
+test("decide: every ACTION and REASON is covered", () => {
+  const decisions = CASES.map((c) => c.expected);
+  assert.deepEqual(new Set(decisions.map((d) => d.action)), new Set(Object.values(ACTION)));
+  assert.deepEqual(new Set(decisions.map((d) => d.reason)), new Set(Object.values(REASON)));
+});
+
+test("isTransaction: only record, finalize and release send a transaction", () => {
+  const sending = Object.values(ACTION).filter(isTransaction);
+  assert.deepEqual(sending.sort(), [ACTION.FINALIZE, ACTION.RECORD_PERIOD, ACTION.RELEASE_PENDING].sort());
+});
@@ -0,0 +1,162 @@
+// scripts/keeper/events.js
+// Event-driven keeper mode
+//
+// Instead of a fixed setInterval, watch the vault's own events and schedule the next
+// tryUnlock() exactly when the contract will accept a new good period:
+//   milestoneLastGoodPeriodTimestamp[milestone] + PERIOD_INTERVAL
+//
+// Events are read with eth_getLogs on a short poll (works with any RPC, no websocket needed).
+// If log polling keeps failing the keeper falls back to plain interval polling until it recovers.
+// Wake-ups are aligned to the boundary with the margin and jitter from schedule.js.
+
+import "dotenv/config";
+import { planNextCycle, alignToBoundary } from "./schedule.js";
+import { SEVERITY } from "./alerts.js";
+
+export const VAULT_EVENTS = ["GoodPeriodRecorded", "MilestoneUnlocked", "MilestonePending"];
+
+const EVENT_POLL_MS = parseInt(process.env.KEEPER_EVENT_POLL_MS || "15000", 10);
+const MAX_POLL_FAILURES = 3;
+const MAX_BLOCK_RANGE = 2000;
+
+/**
+ * Run the keeper driven by vault events
+ * @param {object} options
+ * @param {ethers.Contract} options.fair - FAIRVault contract
+ * @param {FairVaultClient} options.client - Reads, from shared/fair-vault-client.js
+ * @param {ethers.Provider} options.provider
+ * @param {number} options.periodInterval - PERIOD_INTERVAL in seconds
+ * @param {number} options.fallbackIntervalMs - Polling interval used while events are unavailable
+ * @param {object} options.schedule - Margin / jitter / re-check settings from getSchedule()
+ * @param {() => Promise<void>} options.runCycle - One keeper cycle
+ * @param {object} [options.alerts] - Alerter from alerts.js
+ * @param {(message: string) => void} options.log
+ * @returns {Promise<{ stop: () => void }>}
+ */
+export async function startEventDriven({ fair, client, provider, periodInterval, fallbackIntervalMs, schedule: settings, runCycle, alerts, log }) {
+  const vaultAddress = await fair.getAddress();
+  const topics = VAULT_EVENTS.map((name) => fair.interface.getEvent(name).topicHash);
+
+  let nextTimer = null;
+  let fallbackTimer = null;
+  let pollTimer = null;
+  let stopped = false;
+  let running = false;
+  let failures = 0;
+  let lastBlock = await provider.getBlockNumber();
+
+  function schedule(atMs, reason) {
+    if (stopped) return;
+    clearTimeout(nextTimer);
+    const delay = Math.max(0, atMs - Date.now());
+    log(`Next cycle ${delay === 0 ? "now" : `at ${new Date(atMs).toISOString()}`} (${reason})`);
+    nextTimer = setTimeout(trigger, delay);
+  }
+
+  async function scheduleFromChain(justRan) {
+    try {
+      const next = await planNextCycle({ client, periodInterval, schedule: settings, justRan });
+      if (!next) {
+        log("🎉 All milestones unlocked! Nothing left to schedule.");
+        return;
+      }
+      schedule(next.at, next.reason);
+    } catch (e) {
+      log(`⚠️  Could not read schedule from chain: ${e.message}`);
+      schedule(Date.now() + Math.min(settings.recheckMs, periodInterval * 1000), "retry after read failure");
+    }
+  }
+
+  async function trigger() {
+    if (running) return;
+    running = true;
+    try {
+      await runCycle();
+    } catch (error) {
+      log(`❌ Keeper error: ${error.message}`);
+    } finally {
+      running = false;
+    }
+    // While in fallback mode the interval drives cycles
+    if (!fallbackTimer) {
+      await scheduleFromChain(true);
+    }
+  }
+
+  function handleEvent(parsed) {
+    const { name, args } = parsed;
+    if (name === "GoodPeriodRecorded") {
+      log(`📈 GoodPeriodRecorded: milestone ${args.milestoneId}, ${args.goodPeriods} period(s), price ${args.price}`);
+      schedule(alignToBoundary((Number(args.timestamp) + periodInterval) * 1000, settings), "GoodPeriodRecorded");
+    } else if (name === "MilestoneUnlocked") {
+      log(`🎉 MilestoneUnlocked: milestone ${args.milestoneId} (TWAP ${args.twapPrice})`);
+      scheduleFromChain(false);
+    } else if (name === "MilestonePending") {
+      log(`⏳ MilestonePending: milestone ${args.milestoneId} owes ${args.amountOwed}, vault holds ${args.vaultBalance}`);
+      alerts?.alert(SEVERITY.WARNING, `milestone-pending-${args.milestoneId}`, `Milestone ${args.milestoneId} is pending — vault underfunded`, {
+        owed: args.amountOwed.toString(),
+        vaultBalance: args.vaultBalance.toString(),
+      });
+    }
+  }
+
+  function enterFallback() {
+    if (fallbackTimer || stopped) return;
+    log(`⚠️  Event polling failed ${failures} time(s) — falling back to polling every ${fallbackIntervalMs / 1000}s`);
+    alerts?.alert(SEVERITY.WARNING, "event-subscription", "Keeper event subscription dropped, polling instead", { failures });
+    clearTimeout(nextTimer);
+    fallbackTimer = setInterval(trigger, fallbackIntervalMs);
+  }
+
+  function leaveFallback() {
+    if (!fallbackTimer) return;
+    log("✅ Event polling recovered — back to event-driven scheduling");
+    alerts?.resolve("event-subscription");
+    clearInterval(fallbackTimer);
+    fallbackTimer = null;
+    scheduleFromChain(false);
+  }
+
+  async function pollEvents() {
+    try {
+      const head = await provider.getBlockNumber();
+      while (lastBlock < head) {
+        const toBlock = Math.min(head, lastBlock + MAX_BLOCK_RANGE);
+        const logs = await provider.getLogs({
+          address: vaultAddress,
+          topics: [topics],
+          fromBlock: lastBlock + 1,
+          toBlock,
+        });
+        for (const entry of logs) {
+          const parsed = fair.interface.parseLog(entry);
+          if (parsed) handleEvent(parsed);
+        }
+        lastBlock = toBlock;
+      }
+      failures = 0;
+      leaveFallback();
+    } catch (error) {
+      failures++;
+      log(`⚠️  Event poll failed (${failures}/${MAX_POLL_FAILURES}): ${error.message}`);
+      if (failures >= MAX_POLL_FAILURES) {
+        enterFallback();
+      }
+    } finally {
+      if (!stopped) pollTimer = setTimeout(pollEvents, EVENT_POLL_MS);
+    }
+  }
+
+  log(`Watching ${VAULT_EVENTS.join(", ")} from block ${lastBlock} (poll every ${EVENT_POLL_MS / 1000}s)`);
+  await scheduleFromChain(false);
+  pollTimer = setTimeout(pollEvents, EVENT_POLL_MS);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(nextTimer);
+      clearTimeout(pollTimer);
+      clearInterval(fallbackTimer);
+    },
+  };
+}
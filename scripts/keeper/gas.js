@@ -0,0 +1,243 @@
+// scripts/keeper/gas.js
+// EIP-1559 fee policy, receipt timeout and stuck-transaction replacement
+//
+// Fee policies (KEEPER_FEE_POLICY):
+//   provider    - eth_maxPriorityFeePerGas / latest base fee via getFeeData() (default)
+//   percentile  - priority fee = median of the Nth percentile reward over recent blocks (eth_feeHistory)
+//   fixed       - KEEPER_PRIORITY_FEE_GWEI and KEEPER_MAX_FEE_GWEI as given
+//
+// A transaction with no receipt after KEEPER_RECEIPT_TIMEOUT_MS is re-sent with the same nonce
+// and fees bumped by KEEPER_FEE_BUMP_PERCENT, up to KEEPER_MAX_REPLACEMENTS times.
+//
+// ENV:
+//   KEEPER_FEE_POLICY=provider
+//   KEEPER_MAX_FEE_GWEI=0.5             Hard cap on maxFeePerGas (all policies)
+//   KEEPER_PRIORITY_FEE_GWEI=0.001      Priority fee (fixed policy, overrides provider policy)
+//   KEEPER_FEE_PERCENTILE=50            Reward percentile (percentile policy)
+//   KEEPER_FEE_HISTORY_BLOCKS=20        Blocks sampled (percentile policy)
+//   KEEPER_GAS_LIMIT_MULTIPLIER=2       gasLimit = estimate × multiplier
+//   KEEPER_RECEIPT_TIMEOUT_MS=180000
+//   KEEPER_FEE_BUMP_PERCENT=25          Replacements need ≥ 10% more on both fees to be accepted
+//   KEEPER_MAX_REPLACEMENTS=3
+
+import { ethers } from "ethers";
+import "dotenv/config";
+
+const RECEIPT_POLL_MS = 2000;
+const MIN_BUMP_PERCENT = 10;
+
+function gwei(value) {
+  return value ? ethers.parseUnits(value, "gwei") : null;
+}
+
+/**
+ * Read the gas policy from environment variables
+ */
+export function getGasPolicy(env = process.env) {
+  const policy = {
+    type: (env.KEEPER_FEE_POLICY || "provider").toLowerCase(),
+    maxFeeCap: gwei(env.KEEPER_MAX_FEE_GWEI),
+    priorityFee: gwei(env.KEEPER_PRIORITY_FEE_GWEI),
+    percentile: parseInt(env.KEEPER_FEE_PERCENTILE || "50", 10),
+    historyBlocks: parseInt(env.KEEPER_FEE_HISTORY_BLOCKS || "20", 10),
+    gasLimitMultiplier: parseFloat(env.KEEPER_GAS_LIMIT_MULTIPLIER || "2"),
+    receiptTimeoutMs: parseInt(env.KEEPER_RECEIPT_TIMEOUT_MS || "180000", 10),
+    bumpPercent: parseInt(env.KEEPER_FEE_BUMP_PERCENT || "25", 10),
+    maxReplacements: parseInt(env.KEEPER_MAX_REPLACEMENTS || "3", 10),
+  };
+
+  if (!["provider", "percentile", "fixed"].includes(policy.type)) {
+    throw new Error(`Unknown KEEPER_FEE_POLICY: ${policy.type}. Use: provider, percentile, or fixed`);
+  }
+  if (policy.type === "fixed" && (!policy.maxFeeCap || !policy.priorityFee)) {
+    throw new Error("KEEPER_FEE_POLICY=fixed requires KEEPER_MAX_FEE_GWEI and KEEPER_PRIORITY_FEE_GWEI");
+  }
+  if (policy.percentile < 0 || policy.percentile > 100) {
+    throw new Error(`KEEPER_FEE_PERCENTILE must be 0-100, got ${policy.percentile}`);
+  }
+  if (policy.bumpPercent < MIN_BUMP_PERCENT) {
+    throw new Error(`KEEPER_FEE_BUMP_PERCENT must be at least ${MIN_BUMP_PERCENT} (nodes reject smaller replacements)`);
+  }
+
+  return policy;
+}
+
+/**
+ * Apply the gas limit multiplier to an estimate
+ * @param {bigint} estimate
+ * @param {object} policy
+ */
+export function applyGasLimit(estimate, policy) {
+  return (estimate * BigInt(Math.round(policy.gasLimitMultiplier * 100))) / 100n;
+}
+
+function applyCap(fees, policy) {
+  let { maxFeePerGas, maxPriorityFeePerGas } = fees;
+  let capped = false;
+  if (policy.maxFeeCap && maxFeePerGas > policy.maxFeeCap) {
+    maxFeePerGas = policy.maxFeeCap;
+    capped = true;
+  }
+  if (maxPriorityFeePerGas > maxFeePerGas) {
+    maxPriorityFeePerGas = maxFeePerGas;
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas, capped };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * EIP-1559 fees for the next transaction under a policy
+ * @param {ethers.Provider} provider
+ * @param {object} policy - From getGasPolicy()
+ * @returns {Promise<{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, capped: boolean }>}
+ */
+export async function getFees(provider, policy) {
+  if (policy.type === "fixed") {
+    return applyCap({ maxFeePerGas: policy.maxFeeCap, maxPriorityFeePerGas: policy.priorityFee }, policy);
+  }
+
+  if (policy.type === "percentile") {
+    const history = await provider.send("eth_feeHistory", [
+      ethers.toQuantity(policy.historyBlocks),
+      "latest",
+      [policy.percentile],
+    ]);
+    // Last entry is the base fee of the next block
+    const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = (history.reward || []).map((r) => BigInt(r[0]));
+    const priority = rewards.length > 0 ? median(rewards) : 0n;
+    return applyCap({ maxFeePerGas: nextBaseFee * 2n + priority, maxPriorityFeePerGas: priority }, policy);
+  }
+
+  const feeData = await provider.getFeeData();
+  const priority = policy.priorityFee ?? feeData.maxPriorityFeePerGas ?? 0n;
+  const block = await provider.getBlock("latest");
+  const maxFee = block?.baseFeePerGas != null
+    ? block.baseFeePerGas * 2n + priority
+    : feeData.maxFeePerGas ?? feeData.gasPrice;
+  return applyCap({ maxFeePerGas: maxFee, maxPriorityFeePerGas: priority }, policy);
+}
+
+/**
+ * Fees for a same-nonce replacement: previous fees bumped, but never below current market fees
+ * @returns {object|null} null when the cap leaves no room for a valid replacement
+ */
+export function bumpFees(previous, current, policy) {
+  const bump = (v) => (v * BigInt(100 + policy.bumpPercent)) / 100n;
+  const max = (a, b) => (a > b ? a : b);
+  const next = applyCap({
+    maxFeePerGas: max(bump(previous.maxFeePerGas), current.maxFeePerGas),
+    maxPriorityFeePerGas: max(bump(previous.maxPriorityFeePerGas), current.maxPriorityFeePerGas),
+  }, policy);
+
+  // Nodes only accept a replacement that raises both fees by at least MIN_BUMP_PERCENT
+  const minimum = (v) => (v * BigInt(100 + MIN_BUMP_PERCENT)) / 100n;
+  if (next.maxFeePerGas < minimum(previous.maxFeePerGas) || next.maxPriorityFeePerGas < minimum(previous.maxPriorityFeePerGas)) {
+    return null;
+  }
+  return next;
+}
+
+/**
+ * Receipt of whichever of several same-nonce broadcasts gets mined, or null after timeoutMs
+ * @param {ethers.Provider} provider
+ * @param {string[]} hashes
+ * @param {number} timeoutMs
+ */
+export async function waitForAnyReceipt(provider, hashes, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    if (Date.now() >= deadline) return null;
+    await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_MS));
+  }
+}
+
+/**
+ * Send a contract call and wait for it to be mined, replacing it with higher fees while it is stuck
+ * @param {object} options
+ * @param {ethers.Contract} [options.contract] - Connected to the signer
+ * @param {string} [options.method]
+ * @param {Array} [options.args]
+ * @param {(overrides: object) => Promise<ethers.TransactionResponse>} [options.send] - Instead of contract/method/args,
+ *   e.g. a contract deployment; needs `provider`
+ * @param {ethers.Provider} [options.provider] - Default: the contract's
+ * @param {bigint} options.gasLimit
+ * @param {object} options.policy - From getGasPolicy()
+ * @param {number} [options.nonce] - Nonce of the first broadcast, e.g. to replace a tx left stuck by an earlier run
+ * @param {object} [options.fees] - Fees of the first broadcast (default: getFees())
+ * @param {(tx: ethers.TransactionResponse, attempt: number) => void} [options.onSent] - Called for every broadcast
+ * @param {(message: string) => void} options.log
+ * @returns {Promise<{ tx: ethers.TransactionResponse, receipt: ethers.TransactionReceipt }>}
+ *   `tx` is the broadcast that was mined; a reverted receipt is returned, not thrown
+ */
+export async function sendWithReplacement({ contract, method, args, send, provider: providerOption, gasLimit, policy, nonce, fees: initialFees, onSent, log }) {
+  const provider = providerOption ?? contract.runner.provider;
+  const broadcast = send ?? ((overrides) => contract[method](...args, overrides));
+  let fees = initialFees ?? await getFees(provider, policy);
+  if (fees.capped) {
+    log(`  ⚠️  Fees capped at KEEPER_MAX_FEE_GWEI (${ethers.formatUnits(policy.maxFeeCap, "gwei")} gwei) — tx may be slow`);
+  }
+  log(`  Fees: max ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei, priority ${ethers.formatUnits(fees.maxPriorityFeePerGas, "gwei")} gwei`);
+
+  const sent = [];
+  let tx = await broadcast({
+    ...(nonce !== undefined ? { nonce } : {}),
+    gasLimit,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+  });
+  sent.push(tx);
+  onSent?.(tx, 0);
+
+  for (let attempt = 1; ; attempt++) {
+    const receipt = await waitForAnyReceipt(provider, sent.map((t) => t.hash), policy.receiptTimeoutMs);
+    if (receipt) {
+      return { tx: sent.find((t) => t.hash === receipt.hash) ?? tx, receipt };
+    }
+
+    if (attempt > policy.maxReplacements) {
+      const error = new Error(
+        `Transaction ${tx.hash} still pending after ${policy.maxReplacements} replacement(s) — nonce ${tx.nonce} left in flight`
+      );
+      error.code = "TX_STUCK";
+      throw error;
+    }
+
+    const next = bumpFees(fees, await getFees(provider, policy), policy);
+    if (!next) {
+      const error = new Error(`Transaction ${tx.hash} is stuck and KEEPER_MAX_FEE_GWEI leaves no room to bump fees`);
+      error.code = "TX_STUCK";
+      throw error;
+    }
+
+    log(`  ⏳ No receipt after ${policy.receiptTimeoutMs / 1000}s — replacing nonce ${tx.nonce} (attempt ${attempt}/${policy.maxReplacements}, max fee ${ethers.formatUnits(next.maxFeePerGas, "gwei")} gwei)`);
+    try {
+      const replacement = await broadcast({
+        nonce: tx.nonce,
+        gasLimit,
+        maxFeePerGas: next.maxFeePerGas,
+        maxPriorityFeePerGas: next.maxPriorityFeePerGas,
+      });
+      tx = replacement;
+      fees = next;
+      sent.push(tx);
+      onSent?.(tx, attempt);
+      log(`  Replacement TX: ${tx.hash}`);
+    } catch (e) {
+      // The original got mined between our check and the replacement: pick up its receipt next round
+      if (e.code === "NONCE_EXPIRED" || /nonce too low|already known/i.test(e.message)) {
+        log(`  Replacement not needed: ${e.shortMessage || e.message}`);
+        continue;
+      }
+      throw e;
+    }
+  }
+}
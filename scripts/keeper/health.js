@@ -0,0 +1,174 @@
+// scripts/keeper/health.js
+// Optional embedded HTTP server for probes and Prometheus scraping
+//
+//   GET /healthz  - process is alive (always 200 while the event loop runs)
+//   GET /readyz   - 200 once every vault is initialized and has its oracle set, else 503
+//   GET /metrics  - Prometheus text exposition format
+//
+// Enable with KEEPER_HTTP_PORT=9464 (or --http-port 9464)
+
+import http from "http";
+
+const METRIC_PREFIX = "fair_keeper_";
+
+/**
+ * In-memory metric registry
+ * Each metric: { type: 'gauge' | 'counter', help, values: Map<labelKey, { labels, value }> }
+ */
+export function createMetrics() {
+  const metrics = new Map();
+  const startedAt = Date.now();
+
+  function define(name, type, help) {
+    if (!metrics.has(name)) {
+      metrics.set(name, { type, help, values: new Map() });
+    }
+    return metrics.get(name);
+  }
+
+  function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Set a gauge value
+   * @param {string} name - Metric name without prefix
+   * @param {number|bigint} value
+   * @param {object} [labels]
+   */
+  function set(name, value, labels = {}) {
+    const metric = metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric: ${name}`);
+    metric.values.set(labelKey(labels), { labels, value: Number(value) });
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} name - Metric name without prefix
+   * @param {object} [labels]
+   * @param {number} [by]
+   */
+  function inc(name, labels = {}, by = 1) {
+    const metric = metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric: ${name}`);
+    const key = labelKey(labels);
+    const current = metric.values.get(key)?.value ?? 0;
+    metric.values.set(key, { labels, value: current + by });
+  }
+
+  function get(name, labels = {}) {
+    return metrics.get(name)?.values.get(labelKey(labels))?.value;
+  }
+
+  /**
+   * Every labelled value of a metric
+   * @returns {Array<{ labels: object, value: number }>}
+   */
+  function entries(name) {
+    return [...(metrics.get(name)?.values.values() ?? [])];
+  }
+
+  function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+    const body = entries
+      .map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`)
+      .join(",");
+    return `{${body}}`;
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   */
+  function render() {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+      lines.push(`# HELP ${METRIC_PREFIX}${name} ${metric.help}`);
+      lines.push(`# TYPE ${METRIC_PREFIX}${name} ${metric.type}`);
+      for (const { labels, value } of metric.values.values()) {
+        lines.push(`${METRIC_PREFIX}${name}${formatLabels(labels)} ${value}`);
+      }
+    }
+    lines.push(`# HELP ${METRIC_PREFIX}uptime_seconds Seconds since the keeper process started`);
+    lines.push(`# TYPE ${METRIC_PREFIX}uptime_seconds gauge`);
+    lines.push(`${METRIC_PREFIX}uptime_seconds ${Math.floor((Date.now() - startedAt) / 1000)}`);
+    return lines.join("\n") + "\n";
+  }
+
+  define("current_milestone", "gauge", "Milestone currently being worked towards (0 = all unlocked)");
+  define("good_periods", "gauge", "Good periods recorded for the current milestone");
+  define("required_good_periods", "gauge", "REQUIRED_GOOD_PERIODS from the vault");
+  define("oracle_price", "gauge", "Last oracle price seen (1e9 units)");
+  define("target_price", "gauge", "Price target of the current milestone (1e9 units)");
+  define("wallet_balance_eth", "gauge", "Keeper wallet ETH balance");
+  define("ready", "gauge", "1 when the vault is initialized and the oracle is set");
+  define("pending_milestones", "gauge", "Milestones earned but not yet paid (vault underfunded)");
+  define("refill_needed_fair", "gauge", "FAIR the Safe must send to release every pending milestone");
+  define("cycles_total", "counter", "Keeper cycles run");
+  define("tx_failures_total", "counter", "Keeper transactions that failed or reverted");
+  define("last_success_timestamp_seconds", "gauge", "Unix time of the last successful cycle");
+  define("seconds_since_last_success", "gauge", "Seconds since the last successful cycle (-1 = never)");
+
+  return { define, set, inc, get, entries, render };
+}
+
+/**
+ * Start the health/metrics server
+ * @param {object} options
+ * @param {number} options.port
+ * @param {ReturnType<typeof createMetrics>} options.metrics
+ * @param {(message: string) => void} options.log
+ * @returns {http.Server}
+ */
+export function startHealthServer({ port, metrics, log }) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      res.writeHead(405).end();
+      return;
+    }
+
+    if (url.pathname === "/healthz") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ok" }));
+      return;
+    }
+
+    if (url.pathname === "/readyz") {
+      const vaults = metrics.entries("ready");
+      const ready = vaults.length > 0 && vaults.every((v) => v.value === 1);
+      res.writeHead(ready ? 200 : 503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        status: ready ? "ready" : "not ready",
+        vaults: Object.fromEntries(vaults.map((v) => [v.labels.vault ?? "default", v.value === 1])),
+      }));
+      return;
+    }
+
+    if (url.pathname === "/metrics") {
+      for (const { labels } of metrics.entries("ready")) {
+        const lastSuccess = metrics.get("last_success_timestamp_seconds", labels);
+        metrics.set(
+          "seconds_since_last_success",
+          lastSuccess ? Math.floor(Date.now() / 1000) - lastSuccess : -1,
+          labels
+        );
+      }
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(metrics.render());
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+
+  server.listen(port, () => {
+    log(`Health server listening on :${port} (/healthz, /readyz, /metrics)`);
+  });
+  server.on("error", (e) => {
+    log(`⚠️  Health server error: ${e.message}`);
+  });
+
+  return server;
+}
@@ -1,7 +1,29 @@
 import { ethers } from "ethers";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
-import fs from "fs";
+import { getNetworkConfig, getProfile, getProfileName, assertContractConstants } from "../shared/config.js";
+import { getProvider, getSigner, getSignerAddress } from "../shared/provider.js";
+import { FairVaultClient } from "../shared/fair-vault-client.js";
+import {
+  getStatePath,
+  openStateStore,
+  recordCycle,
+  markInFlight,
+  clearInFlight,
+  reconcileInFlight,
+} from "./state.js";
+import { startEventDriven } from "./events.js";
+import { getSchedule, planNextCycle, waitForBlockTime } from "./schedule.js";
+import { decide, isTransaction, ACTION } from "./decision.js";
+import { getGasPolicy, applyGasLimit, getFees, sendWithReplacement } from "./gas.js";
+import { simulateTransaction } from "./simulate.js";
+import { getRefillReport, startPendingWatcher } from "./pending.js";
+import { buildSlaReport, writeSlaReport, msUntilNextReport, CAUSE } from "./sla.js";
+import { acquireLock } from "./lock.js";
+import { createAlerter, SEVERITY } from "./alerts.js";
+import { createMetrics, startHealthServer } from "./health.js";
+import { loadVaults, getVaultSignerConfig } from "./vaults.js";
+import { createLogger } from "../shared/logger.js";
+import { randomUUID } from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
 import "dotenv/config";
@@ -9,10 +31,21 @@ import "dotenv/config";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
 // Configuration
-const NETWORK = process.argv[2] || "mainnet";
+const NETWORK = process.argv[2] && !process.argv[2].startsWith("--") ? process.argv[2] : "mainnet";
+const CONFIG_PATH = getArg("--config") || process.env.KEEPER_CONFIG;
 const RUN_ONCE = process.argv.includes("--once");
 const TEST_MODE = process.argv.includes("--test");
+const EVENT_MODE = process.argv.includes("--events");
+const DRY_RUN = process.argv.includes("--dry-run");
+const HTTP_PORT = parseInt(getArg("--http-port") || process.env.KEEPER_HTTP_PORT || "0", 10);
+// Heroku/Railway send SIGKILL 30s after SIGTERM
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.KEEPER_SHUTDOWN_TIMEOUT_MS || "25000", 10);
 
 // Network-specific intervals (fallback if contract doesn't have PERIOD_INTERVAL)
 const INTERVALS = {
@@ -21,484 +54,997 @@ const INTERVALS = {
   test: 60 * 1000,           // 1 minute for test mode
 };
 
-// Use env var if set, otherwise use test mode or network default
-// This can be updated by reading from contract
-let INTERVAL_MS = process.env.TEST_INTERVAL_MS 
-  ? parseInt(process.env.TEST_INTERVAL_MS) 
-  : (TEST_MODE ? INTERVALS.test : (INTERVALS[NETWORK] || INTERVALS.mainnet));
+const logger = createLogger({
+  name: CONFIG_PATH ? "keeper" : `keeper-${NETWORK}`,
+  dir: path.join(__dirname, "logs"),
+});
+const log = (message, fields) => logger.info(message, fields);
 
-function log(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
-  
-  // Also write to log file
-  const logDir = path.join(__dirname, "logs");
-  if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir);
-  }
-  const logFile = path.join(logDir, `keeper-${new Date().toISOString().split("T")[0]}.log`);
-  fs.appendFileSync(logFile, `[${timestamp}] ${message}\n`);
-}
+// Process-wide alerts (crashes); each vault also gets its own alerter labelled with its name.
+// A dry run only logs what it would alert on.
+const alerts = createAlerter({
+  sinks: DRY_RUN ? [] : undefined,
+  log: (message) => logger.warn(message),
+  context: CONFIG_PATH ? {} : { network: NETWORK },
+});
+const metrics = createMetrics();
+const gasPolicy = getGasPolicy();
+const SCHEDULE = getSchedule();
 
-async function getWallet() {
-  const config = getNetworkConfig(NETWORK);
-  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
-  
-  const key = process.env.KEEPER_PRIVATE_KEY || process.env.PRIVATE_KEY;
-  if (!key) {
-    throw new Error("KEEPER_PRIVATE_KEY or PRIVATE_KEY not set in .env");
+// Cycle outcomes that mean the keeper did its job (even if there was nothing to do)
+const SUCCESS_OUTCOMES = [
+  "complete",
+  "skipped",
+  "skipped-in-flight",
+  "skipped-not-initialized",
+  "skipped-oracle-not-set",
+  "unlocked",
+  "good-period",
+  "no-change",
+  "confirmed",
+];
+const TX_FAILURE_OUTCOMES = ["reverted", "failed"];
+
+// Chain time lags the wall clock by up to a block (or a slow RPC)
+const BOUNDARY_WAIT_SLACK_MS = 60 * 1000;
+
+// One provider per network and one wallet per signer for the whole process, so the failover
+// provider keeps its endpoint health between cycles and vaults sharing a signer share a wallet
+const providers = new Map();
+const wallets = new Map();
+
+// A dry run never unlocks a signer: it simulates from the keeper's address (or KEEPER_ADDRESS)
+async function getDryRunAddress(signer) {
+  try {
+    return await getSignerAddress(getVaultSignerConfig(signer));
+  } catch {
+    return process.env.KEEPER_ADDRESS || ethers.ZeroAddress;
   }
-  
-  const pk = key.startsWith("0x") ? key : `0x${key}`;
-  return new ethers.Wallet(pk, provider);
 }
 
-function getContractAddress() {
-  // Check environment variables first (highest priority)
-  const vaultAddress = process.env.VAULT_ADDRESS;
-  const fairAddress = process.env.FAIR_ADDRESS;
-  
-  if (vaultAddress) {
-    return { address: vaultAddress, type: "vault" };
-  }
-  if (fairAddress) {
-    return { address: fairAddress, type: "fair" };
-  }
-  
-  // Check deployment files
-  let envFile;
-  if (NETWORK === "mainnet") {
-    // Check both .env.mainnet and .env.test (test mode deployments)
-    const mainnetPath = path.join(__dirname, "..", "mainnet", ".env.mainnet");
-    const testPath = path.join(__dirname, "..", "mainnet", ".env.test");
-    
-    if (fs.existsSync(testPath)) {
-      envFile = testPath;
-    } else if (fs.existsSync(mainnetPath)) {
-      envFile = mainnetPath;
-    } else {
-      throw new Error(`Deployment file not found: ${mainnetPath} or ${testPath}`);
-    }
-  } else {
-    envFile = path.join(__dirname, "..", NETWORK, ".env.testnet");
-    if (!fs.existsSync(envFile)) {
-      throw new Error(`Deployment file not found: ${envFile}`);
+async function getKeeperWallet(network, signer) {
+  const signerConfig = DRY_RUN ? null : getVaultSignerConfig(signer);
+  const address = signerConfig ? await getSignerAddress(signerConfig) : await getDryRunAddress(signer);
+  const id = `${network}:${address}`;
+  if (!wallets.has(id)) {
+    if (!providers.has(network)) {
+      providers.set(network, getProvider(network, { log: (message) => logger.warn(message, { network }) }));
     }
+    const provider = providers.get(network);
+    wallets.set(id, signerConfig ? await getSigner(network, signerConfig, provider) : new ethers.VoidSigner(address, provider));
   }
-  
-  const env = fs.readFileSync(envFile, "utf8");
-  
-  // Check for vault first (preferred)
-  const vaultMatch = env.match(/VAULT_ADDRESS=(.+)/);
-  if (vaultMatch) {
-    return { address: vaultMatch[1].trim(), type: "vault" };
-  }
-  
-  // Fall back to FAIR token contract
-  const fairMatch = env.match(/FAIR_ADDRESS=(.+)/);
-  if (fairMatch) {
-    return { address: fairMatch[1].trim(), type: "fair" };
-  }
-  
-  throw new Error("No contract address found (VAULT_ADDRESS or FAIR_ADDRESS)");
+  return { wallet: wallets.get(id), signerId: id };
 }
 
-// Get contract and update interval if needed
-async function getContractAndInterval() {
-  const wallet = await getWallet();
-  const { address: contractAddress, type: contractType } = getContractAddress();
-  
+// Cycles of vaults that share a signer run one at a time so their nonces never collide
+const signerQueues = new Map();
+
+// Set on SIGTERM/SIGINT: no new cycles start, running ones get SHUTDOWN_TIMEOUT_MS to finish
+let shuttingDown = false;
+const activeCycles = new Map(); // cycle id -> { vault, cycle, promise }
+
+function runExclusive(id, fn) {
+  const previous = signerQueues.get(id) ?? Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  signerQueues.set(id, next);
+  return next;
+}
+
+/**
+ * Connect to one vault definition from vaults.js
+ */
+async function openVault(def) {
+  const config = getNetworkConfig(def.network);
+  const { wallet, signerId } = await getKeeperWallet(def.network, def.signer);
+  const vaultLog = logger.child({ vault: def.name, network: def.network });
+
   // Connect to contract (FAIR token or FAIRVault)
   let contractName;
-  if (contractType === "vault") {
+  if (def.type === "vault") {
     contractName = CONTRACTS.FAIR_VAULT;
-  } else if (NETWORK === "mainnet") {
+  } else if (def.network === "mainnet") {
     contractName = CONTRACTS.FAIR;
   } else {
     contractName = CONTRACTS.FAIR_TESTNET;
   }
-  
-  const fairArtifact = loadArtifact(contractName);
-  const fair = new ethers.Contract(contractAddress, fairArtifact.abi, wallet);
-  
-  // Try to read PERIOD_INTERVAL from contract (if it's a vault with configurable timing)
-  let actualInterval = INTERVAL_MS;
-  if (contractType === "vault" && !process.env.TEST_INTERVAL_MS) {
+  const fair = new ethers.Contract(def.address, loadArtifact(contractName).abi, wallet);
+
+  // Interval: config override, then TEST_INTERVAL_MS, then the contract's PERIOD_INTERVAL
+  let intervalMs = process.env.TEST_INTERVAL_MS
+    ? parseInt(process.env.TEST_INTERVAL_MS)
+    : (TEST_MODE ? INTERVALS.test : (INTERVALS[def.network] || INTERVALS.mainnet));
+  if (def.intervalMs) {
+    intervalMs = def.intervalMs;
+  } else if (def.type === "vault" && !process.env.TEST_INTERVAL_MS) {
     try {
       const periodInterval = await fair.PERIOD_INTERVAL();
       if (periodInterval) {
         // Convert seconds to milliseconds
-        actualInterval = Number(periodInterval) * 1000;
-        log(`Using contract's PERIOD_INTERVAL: ${periodInterval} seconds`);
+        intervalMs = Number(periodInterval) * 1000;
+        vaultLog.info(`Using contract's PERIOD_INTERVAL: ${periodInterval} seconds`);
       }
     } catch (e) {
       // Contract might not have PERIOD_INTERVAL (old version), use default
-      log("Contract doesn't expose PERIOD_INTERVAL, using default interval");
+      vaultLog.info("Contract doesn't expose PERIOD_INTERVAL, using default interval");
     }
   }
-  
-  return { wallet, fair, contractAddress, contractType, actualInterval };
+
+  // Fail fast when the contract was not deployed with the constants of its profile
+  // (config-file vaults always carry one; the single env-resolved vault follows CONFIG_PROFILE / VAULT_*)
+  const client = new FairVaultClient(def.address, wallet, { type: def.type === "vault" ? "vault" : "fair" });
+  const profile = getProfile(def.profile || getProfileName(def.network));
+  if (profile.contract === def.type) {
+    assertContractConstants(profile, await client.getConstants(), def.address);
+    vaultLog.info(`Contract constants match profile "${profile.name}"`);
+  }
+
+  const store = openStateStore(getStatePath(def.name, def.stateFile));
+
+  return {
+    ...def,
+    config,
+    wallet,
+    signerId,
+    fair,
+    client,
+    intervalMs,
+    store,
+    // Only one instance per vault may send; a dry run sends nothing and needs no lease
+    lock: DRY_RUN ? null : acquireLock(`${store.file}.lock`, { log: (message) => vaultLog.warn(message) }),
+    stoppers: [],
+    labels: { vault: def.name },
+    log: vaultLog,
+    alerts: createAlerter({
+      sinks: DRY_RUN ? [] : undefined,
+      log: (message) => vaultLog.warn(message),
+      context: { network: def.network, vault: def.name },
+    }),
+  };
 }
 
-async function runKeeper() {
-  log(`Starting keeper for ${NETWORK}...`);
+async function runKeeper(vault) {
+  if (shuttingDown) return;
+
+  const cycle = {
+    id: randomUUID().slice(0, 8),
+    startedAt: new Date().toISOString(),
+    milestone: null,
+    action: null,
+    reason: null,
+    goodPeriodsBefore: null,
+    goodPeriodsAfter: null,
+    price: null,
+    target: null,
+    txHash: null,
+    nonce: null,
+    outcome: "error",
+  };
+
+  // Fields filled in as the cycle learns them, attached to every entry it logs
+  const logContext = { cycleId: cycle.id };
+  const clog = vault.log.child(logContext);
+
+  const promise = runExclusive(vault.signerId, () => runCycle(vault, cycle, clog, logContext));
+  activeCycles.set(cycle.id, { vault, cycle, promise });
+  try {
+    await promise;
+  } finally {
+    activeCycles.delete(cycle.id);
+    if (!DRY_RUN) {
+      recordCycle(vault.store, cycle);
+    }
+    clog.debug("Cycle finished", { outcome: cycle.outcome, goodPeriodsAfter: cycle.goodPeriodsAfter });
+    metrics.inc("cycles_total", vault.labels);
+    if (TX_FAILURE_OUTCOMES.includes(cycle.outcome)) {
+      metrics.inc("tx_failures_total", vault.labels);
+    }
+    if (SUCCESS_OUTCOMES.includes(cycle.outcome)) {
+      metrics.set("last_success_timestamp_seconds", Math.floor(Date.now() / 1000), vault.labels);
+    }
+  }
+}
 
-  const config = getNetworkConfig(NETWORK);
-  const { wallet, fair, contractAddress, contractType } = await getContractAndInterval();
+async function runCycle(vault, cycle, clog, logContext) {
+  const { wallet, store, alerts } = vault;
+  clog.info(`Starting keeper for ${vault.name} (${vault.network})...`);
   
-  log(`Wallet: ${wallet.address}`);
-  log(`Contract: ${contractAddress} (${contractType})`);
+  clog.info(`Wallet: ${wallet.address}`);
+  clog.info(`Contract: ${vault.address} (${vault.type})`);
   
   const balance = await wallet.provider.getBalance(wallet.address);
-  log(`Balance: ${ethers.formatEther(balance)} ETH`);
+  clog.info(`Balance: ${ethers.formatEther(balance)} ETH`);
+  metrics.set("wallet_balance_eth", ethers.formatEther(balance), vault.labels);
   
   if (balance < ethers.parseEther("0.001")) {
-    log("⚠️ WARNING: Low balance! May fail to send transactions.");
+    clog.warn("⚠️ WARNING: Low balance! May fail to send transactions.");
+    alerts.alert(SEVERITY.WARNING, "low-balance", "Keeper wallet balance is low", {
+      wallet: wallet.address,
+      balance: `${ethers.formatEther(balance)} ETH`,
+    });
+  } else {
+    alerts.resolve("low-balance");
   }
   
-  if (contractType === "vault") {
-    log("Using FAIRVault");
-  } else if (NETWORK === "mainnet") {
-    log("Using FAIR token contract");
+  // Never send on top of a tx a previous run left unresolved
+  const inFlightOutcome = DRY_RUN ? "none" : await reconcileInFlight(store, wallet.provider, clog.info);
+  if (DRY_RUN && store.data.inFlight) {
+    const { action, milestone, hash } = store.data.inFlight;
+    clog.warn(`  ⚠️  State has ${action}(${milestone}) tx ${hash} in flight — a real run reconciles it first`);
+  }
+  if (inFlightOutcome === "pending") {
+    clog.info("  ⏳ Previous transaction still pending — skipping this cycle.\n");
+    cycle.outcome = "skipped-in-flight";
+    return;
+  }
+
+  if (vault.type === "vault") {
+    clog.info("Using FAIRVault");
+  } else if (vault.network === "mainnet") {
+    clog.info("Using FAIR token contract");
   } else {
-    log("Using FAIRTestnet");
+    clog.info("Using FAIRTestnet");
   }
   
-  // Check for any pending milestones and attempt releasePending() if vault is now funded
-  if (contractType === "vault") {
-    try {
-      const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
-      const tokenAddr = await fair.fairToken();
-      const token = new ethers.Contract(tokenAddr, erc20Abi, wallet.provider);
-      const vaultBalance = await token.balanceOf(contractAddress);
-      const perMilestone = await fair.milestoneUnlockAmount();
-
-      for (let i = 1; i <= 18; i++) {
-        const unlocked = await fair.milestoneUnlocked(i);
-        const pending = await fair.milestonePending(i);
-        if (unlocked && pending) {
-          log(`  ⏳ Milestone ${i} is PENDING (earned but not yet paid)`);
-          if (vaultBalance >= perMilestone) {
-            log(`  Vault has sufficient balance — calling releasePending(${i})...`);
-            try {
-              const gas = await fair.releasePending.estimateGas(i);
-              const tx = await fair.releasePending(i, { gasLimit: gas * 2n });
-              log(`  TX: ${tx.hash}`);
-              await tx.wait();
-              log(`  ✅ Milestone ${i} pending distribution released!`);
-            } catch (e) {
-              log(`  ❌ releasePending(${i}) failed: ${e.message}`);
-            }
-          } else {
-            log(`  Vault balance (${ethers.formatUnits(vaultBalance, 18)}) insufficient for release — Safe must send more FAIR`);
-          }
-        }
+  let snapshot;
+  try {
+    snapshot = await readSnapshot({ vault, clog });
+  } catch (error) {
+    clog.warn(`  ⚠️  Error checking vault status: ${error.message}`);
+    clog.info("Keeper cycle complete.\n");
+    cycle.outcome = "error";
+    return;
+  }
+
+  metrics.set("ready", snapshot.initialized && snapshot.oracleSet ? 1 : 0, vault.labels);
+  metrics.set("current_milestone", snapshot.milestone, vault.labels);
+  cycle.milestone = snapshot.milestone || null;
+  logContext.milestone = snapshot.milestone;
+  if (snapshot.status) {
+    cycle.goodPeriodsBefore = Number(snapshot.status.goodPeriods);
+    cycle.price = snapshot.status.currentPrice.toString();
+    cycle.target = snapshot.status.priceTarget.toString();
+    logContext.price = snapshot.status.currentPrice.toString();
+    logContext.target = snapshot.status.priceTarget.toString();
+    metrics.set("good_periods", snapshot.status.goodPeriods, vault.labels);
+    metrics.set("target_price", snapshot.status.priceTarget, vault.labels);
+    metrics.set("oracle_price", snapshot.status.currentPrice, vault.labels);
+  }
+
+  let decision = decide(snapshot);
+
+  // Woken ahead of the period boundary: hold until the chain reaches it rather than skip the period
+  const aheadMs = -SCHEDULE.marginMs;
+  if (
+    aheadMs > 0 && !RUN_ONCE && !DRY_RUN &&
+    decision.action === ACTION.SKIP_PERIOD_NOT_ELAPSED &&
+    (decision.waitUntil - snapshot.now) * 1000 <= aheadMs + BOUNDARY_WAIT_SLACK_MS
+  ) {
+    clog.info(`  ⏱️  ${decision.waitUntil - snapshot.now}s ahead of the period boundary — waiting for a block at ${new Date(decision.waitUntil * 1000).toISOString()}`);
+    const block = await waitForBlockTime(wallet.provider, decision.waitUntil, {
+      timeoutMs: aheadMs + 2 * BOUNDARY_WAIT_SLACK_MS,
+      cancelled: () => shuttingDown,
+    }).catch((e) => {
+      clog.warn(`  ⚠️  Could not follow blocks to the boundary: ${e.message}`);
+      return null;
+    });
+    if (block) {
+      // Re-read: someone else may have recorded the period in the meantime
+      try {
+        snapshot = await readSnapshot({ vault, clog });
+      } catch (error) {
+        clog.warn(`  ⚠️  Error checking vault status: ${error.message}`);
+        cycle.outcome = "error";
+        return;
       }
-    } catch (e) {
-      log(`  ⚠️  Could not check pending milestones: ${e.message}`);
+      decision = decide(snapshot);
     }
   }
 
-  // Find current milestone
-  let currentMilestone = 0;
-  for (let i = 1; i <= 18; i++) {
-    const unlocked = await fair.milestoneUnlocked(i);
-    if (!unlocked) {
-      currentMilestone = i;
-      break;
+  while (decision.action === ACTION.RELEASE_PENDING) {
+    if (DRY_RUN) {
+      await simulateKeeperTx({ vault, method: "releasePending", milestone: decision.milestone, clog });
+    } else {
+      await releasePending({ vault, milestone: decision.milestone, clog });
     }
+    snapshot.releasable = snapshot.releasable.filter((id) => id !== decision.milestone);
+    decision = decide(snapshot);
   }
-  
-  if (currentMilestone === 0) {
-    log("🎉 All milestones unlocked! Keeper complete.");
+
+  cycle.action = decision.action;
+  cycle.reason = decision.reason;
+  clog.info(`  Decision: ${decision.action} (${decision.reason})`, { action: decision.action, reason: decision.reason });
+
+  if (!isTransaction(decision.action)) {
+    logSkip(decision, snapshot, clog);
+    cycle.outcome = SKIP_OUTCOMES[decision.action] ?? "skipped";
+    cycle.goodPeriodsAfter = cycle.goodPeriodsBefore;
+    if (decision.action !== ACTION.SKIP_ALL_UNLOCKED) {
+      clog.info("Keeper cycle complete.\n");
+    }
     return;
   }
-  
-  log(`Current milestone: ${currentMilestone}`);
-  
-  // Check vault initialization first (for vault contracts)
-  let isInitialized = true;
-  let oracleSet = true;
-  if (contractType === "vault") {
-    try {
-      isInitialized = await fair.initialized();
-      const oracleAddr = await fair.priceOracle();
-      oracleSet = oracleAddr !== ethers.ZeroAddress;
-      
-      if (!isInitialized) {
-        log(`  ⚠️  Vault not initialized yet. Waiting for deposit...`);
-        log("Keeper cycle complete.\n");
-        return;
-      }
-      
-      if (!oracleSet) {
-        log(`  ⚠️  Oracle not set yet. Waiting for deployment...`);
-        log("Keeper cycle complete.\n");
-        return;
-      }
-      
-      // Try to call oracle directly to diagnose issues
-      try {
-        const oracleAddr = await fair.priceOracle();
-        const oracleAbi = ["function getPrice() external view returns (uint256)"];
-        const oracle = new ethers.Contract(oracleAddr, oracleAbi, wallet.provider);
-        const testPrice = await oracle.getPrice();
-        log(`  Oracle accessible, test price: ${testPrice}`);
-      } catch (oracleError) {
-        log(`  ⚠️  Oracle getPrice() is failing: ${oracleError.message}`);
-        log(`     This may be due to insufficient pool history or pool configuration.`);
-        log(`     The keeper will still attempt tryUnlock() which may handle this gracefully.`);
-      }
-    } catch (error) {
-      log(`  ⚠️  Error checking vault status: ${error.message}`);
-      log("Keeper cycle complete.\n");
-      return;
+
+  if (DRY_RUN) {
+    const result = await simulateKeeperTx({ vault, method: "tryUnlock", milestone: decision.milestone, clog });
+    cycle.outcome = result.success ? `dry-run-${result.predicted}` : "dry-run-reverted";
+    clog.info("Keeper cycle complete (dry run, nothing sent).\n");
+    return;
+  }
+
+  await sendTryUnlock({ vault, cycle, decision, snapshot, clog, logContext });
+}
+
+const SKIP_OUTCOMES = {
+  [ACTION.SKIP_ALL_UNLOCKED]: "complete",
+  [ACTION.SKIP_NOT_INITIALIZED]: "skipped-not-initialized",
+  [ACTION.SKIP_ORACLE_NOT_SET]: "skipped-oracle-not-set",
+};
+
+/**
+ * Read everything the decision engine needs, logging and alerting along the way
+ */
+async function readSnapshot({ vault, clog }) {
+  const { client, alerts } = vault;
+  // Awaited together so the reads share one Multicall3 batch
+  const checkPending = vault.type === "vault" && !vault.pendingWatcher;
+  const [snapshot, pendingState, oraclePrice] = await Promise.all([
+    client.getSnapshot(),
+    Promise.allSettled([checkPending ? client.getPendingMilestones() : null]),
+    Promise.allSettled([client.getPrice()]),
+  ]);
+
+  // Pending milestones: earned but not paid because the vault was underfunded.
+  // While the pending watcher runs it releases them the moment the vault is refilled.
+  if (checkPending) {
+    const [{ status, value: state, reason }] = pendingState;
+    if (status === "fulfilled") {
+      const refill = getRefillReport(state);
+      snapshot.releasable = refill.releasable;
+      reportRefill(vault, { pending: state.pending, balance: state.balance, ...refill }, clog);
+    } else {
+      clog.warn(`  ⚠️  Could not check pending milestones: ${reason.message}`);
     }
   }
-  
-  // Get milestone status (with error handling)
-  let status;
-  let statusAvailable = false;
-  try {
-    status = await fair.getMilestoneStatus(currentMilestone);
-    statusAvailable = true;
-    
-    log(`  Unlocked: ${status.unlocked}`);
-    // FAIRVault/Testnet uses 'goodPeriods', old FAIR.sol uses 'goodHours'
-    const goodCount = status.goodPeriods ?? status.goodHours ?? status[1];
-    log(`  Good periods: ${goodCount}`);
-    log(`  Price target: ${status.priceTarget} (1e9 units)`);
-    log(`  Current price: ${status.currentPrice} (1e9 units)`);
-  } catch (error) {
-    log(`  ⚠️  Warning: Could not get milestone status: ${error.message}`);
-    log(`     This is likely due to insufficient pool history for TWAP.`);
-    log(`     The keeper will still attempt tryUnlock() which may work.`);
-    log(`     Run: node scripts/mainnet/check-oracle.js to diagnose.\n`);
-    // Continue anyway - tryUnlock might still work
+
+  if (snapshot.milestone === 0 || !snapshot.initialized || !snapshot.oracleSet) {
+    return snapshot;
   }
-  
-  // Check if can unlock (with error handling) - only if status was available
-  let canUnlock;
-  if (statusAvailable) {
-    try {
-      canUnlock = await fair.canUnlockMilestone(currentMilestone);
-      log(`  Can unlock: ${canUnlock.canUnlock}`);
-      log(`  Reason: ${canUnlock.reason}`);
-    } catch (error) {
-      log(`  ⚠️  Error checking unlock status: ${error.message}`);
-      canUnlock = { canUnlock: false, reason: error.message };
-    }
+
+  clog.info(`Current milestone: ${snapshot.milestone}`);
+
+  // Call the oracle directly to diagnose issues
+  const [{ status: priceStatus, value: testPrice, reason: oracleError }] = oraclePrice;
+  if (priceStatus === "fulfilled") {
+    clog.info(`  Oracle accessible, test price: ${testPrice}`);
+    alerts.resolve("oracle-failing");
   } else {
-    log(`  Skipping canUnlock check (status unavailable)`);
-    canUnlock = { canUnlock: false, reason: "Status check failed" };
+    clog.warn(`  ⚠️  Oracle getPrice() is failing: ${oracleError.message}`);
+    alerts.alert(SEVERITY.CRITICAL, "oracle-failing", "Oracle getPrice() is failing", {
+      oracle: snapshot.oracle,
+      error: oracleError.message,
+    });
+    clog.info(`     This may be due to insufficient pool history or pool configuration.`);
   }
-  
-  // Try to process and unlock
-  try {
-    // IMPORTANT: tryUnlock() can record good periods even if it can't unlock yet!
-    // We should call it if:
-    // 1. Price is above target (to record good period)
-    // 2. OR all conditions are met (to unlock)
-    
-    // Check if we should skip based on the reason
-    let shouldSkip = false;
-    if (canUnlock && !canUnlock.canUnlock) {
-      const reason = canUnlock.reason.toLowerCase();
-      
-      // These reasons mean tryUnlock() will revert - skip it
-      if (reason.includes("oracle") || 
-          reason.includes("not initialized") || 
-          reason.includes("not set") ||
-          reason.includes("invalid milestone") ||
-          reason.includes("previous milestone not unlocked")) {
-        log(`  ⚠️  Cannot proceed: ${canUnlock.reason}`);
-        log(`  Skipping tryUnlock() - it would revert.\n`);
-        shouldSkip = true;
-      } 
-      // These reasons mean we can't unlock YET, but tryUnlock() can still record good periods
-      else if (reason.includes("good periods not reached") || 
-               reason.includes("cooldown not elapsed") ||
-               reason.includes("price below target")) {
-        // Check if price is above target - if so, tryUnlock() can record a good period
-        if (statusAvailable && status.currentPrice > 0n && status.currentPrice >= status.priceTarget) {
-          log(`  ℹ️  Cannot unlock yet: ${canUnlock.reason}`);
-          log(`  But price is above target - calling tryUnlock() to record good period...\n`);
-          shouldSkip = false;
-        } else {
-          log(`  ℹ️  Cannot unlock yet: ${canUnlock.reason}`);
-          log(`  Price may be below target - skipping tryUnlock() for now.\n`);
-          shouldSkip = true;
-        }
-      } else {
-        // Unknown reason - be cautious but try anyway if price looks good
-        if (statusAvailable && status.currentPrice > 0n && status.currentPrice >= status.priceTarget) {
-          log(`  ⚠️  Unknown reason: ${canUnlock.reason}`);
-          log(`  But price is above target - attempting tryUnlock()...\n`);
-          shouldSkip = false;
-        } else {
-          log(`  ⚠️  Unknown reason: ${canUnlock.reason}`);
-          log(`  Skipping tryUnlock() to be safe.\n`);
-          shouldSkip = true;
-        }
-      }
+
+  const { status, errors } = snapshot;
+  if (status) {
+    clog.info(`  Good periods: ${status.goodPeriods} / ${snapshot.requiredGoodPeriods}`);
+    clog.info(`  Price target: ${status.priceTarget} (1e9 units)`);
+    clog.info(`  Current price: ${status.currentPrice} (1e9 units)`);
+  } else {
+    clog.warn(`  ⚠️  Warning: Could not get milestone status: ${errors.status}`);
+    clog.info(`     This is likely due to insufficient pool history for TWAP.`);
+    clog.info(`     Run: node scripts/mainnet/check-oracle.js to diagnose.\n`);
+  }
+  if (errors.cooldown) {
+    clog.warn(`  ⚠️  Could not read cooldown: ${errors.cooldown}`);
+  }
+  if (errors.lastGoodPeriod) {
+    clog.warn(`  ⚠️  Could not read last good period: ${errors.lastGoodPeriod}`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Log, alert and export what the Safe owes for pending milestones
+ * @param {object} vault
+ * @param {{ pending: number[], balance: bigint, owed: bigint, shortfall: bigint }} report
+ * @param {object} clog
+ */
+function reportRefill(vault, { pending, balance, owed, shortfall }, clog) {
+  metrics.set("pending_milestones", pending.length, vault.labels);
+  metrics.set("refill_needed_fair", ethers.formatUnits(shortfall, 18), vault.labels);
+  if (pending.length === 0) {
+    vault.alerts.resolve("refill-needed");
+    return;
+  }
+
+  clog.info(`  ⏳ Pending milestone(s): ${pending.join(", ")} (owed ${ethers.formatUnits(owed, 18)} FAIR, vault holds ${ethers.formatUnits(balance, 18)})`);
+  if (shortfall > 0n) {
+    clog.warn(`  ⚠️  Safe must send ${ethers.formatUnits(shortfall, 18)} FAIR to the vault to release every pending milestone`);
+    vault.alerts.alert(SEVERITY.WARNING, "refill-needed", "Vault underfunded for pending milestones", {
+      vault: vault.address,
+      pending: pending.join(", "),
+      safeMustSend: `${ethers.formatUnits(shortfall, 18)} FAIR`,
+      vaultBalance: `${ethers.formatUnits(balance, 18)} FAIR`,
+    });
+  } else {
+    vault.alerts.resolve("refill-needed");
+  }
+}
+
+function logSkip(decision, snapshot, clog) {
+  switch (decision.action) {
+    case ACTION.SKIP_ALL_UNLOCKED:
+      clog.info("🎉 All milestones unlocked! Keeper complete.");
+      break;
+    case ACTION.SKIP_NOT_INITIALIZED:
+      clog.warn(`  ⚠️  Vault not initialized yet. Waiting for deposit...`);
+      break;
+    case ACTION.SKIP_ORACLE_NOT_SET:
+      clog.warn(`  ⚠️  Oracle not set yet. Waiting for deployment...`);
+      break;
+    case ACTION.SKIP_STATUS_UNAVAILABLE:
+    case ACTION.SKIP_ORACLE_FAILING:
+      clog.warn(`  ⚠️  Cannot verify unlock conditions (oracle may be failing)`);
+      clog.info(`  Skipping tryUnlock() - it would not record anything.`);
+      clog.info(`  Run: node scripts/mainnet/check-oracle.js to diagnose.\n`);
+      break;
+    case ACTION.SKIP_PERIOD_UNAVAILABLE:
+    case ACTION.SKIP_COOLDOWN_UNAVAILABLE:
+      clog.warn(`  ⚠️  Cannot read the ${decision.action === ACTION.SKIP_PERIOD_UNAVAILABLE ? "last good period" : "cooldown"} - skipping tryUnlock() rather than guess.\n`);
+      break;
+    case ACTION.SKIP_PRICE_BELOW_TARGET:
+      clog.info(`  ℹ️  Price below target - skipping tryUnlock() for now.\n`);
+      break;
+    case ACTION.SKIP_PERIOD_NOT_ELAPSED:
+      clog.info(`  ℹ️  Next good period can be recorded at ${new Date(decision.waitUntil * 1000).toISOString()} - skipping tryUnlock().\n`);
+      break;
+  }
+}
+
+// Outcome a successful simulation predicts, from the events it emitted
+function predictOutcome(events) {
+  const names = events.map((e) => e.name);
+  if (names.includes("MilestonePending")) return "unlocked-pending";
+  if (names.includes("MilestoneUnlocked")) return "unlocked";
+  if (names.includes("PendingMilestoneReleased")) return "released";
+  if (names.includes("GoodPeriodRecorded")) return "good-period";
+  return "no-change";
+}
+
+function formatEvent({ name, args }) {
+  return `${name}(${Object.entries(args).map(([k, v]) => `${k}=${v}`).join(", ")})`;
+}
+
+/**
+ * Dry run: simulate a keeper transaction and report outcome, events and gas without signing
+ */
+async function simulateKeeperTx({ vault, method, milestone, clog }) {
+  const { fair, wallet } = vault;
+  clog.info(`  🧪 Dry run: simulating ${method}(${milestone}) from ${wallet.address}...`);
+  const result = await simulateTransaction({ contract: fair, method, args: [milestone], from: wallet.address, log: clog.info });
+
+  if (!result.success) {
+    clog.warn(`  ❌ Would revert: ${result.revertReason}`, { simulation: result.source, method });
+    return result;
+  }
+
+  if (result.events === null) {
+    result.predicted = "success";
+    clog.info(`  ✅ Would succeed (${result.source}; this node returns no simulated logs, so events are unknown)`);
+  } else {
+    result.predicted = predictOutcome(result.events);
+    clog.info(`  ✅ Would succeed: ${result.predicted} (${result.source})`, { simulation: result.source, method, predicted: result.predicted });
+    for (const event of result.events) {
+      clog.info(`     ${formatEvent(event)}`);
     }
-    
-    // If canUnlock check itself failed (oracle error), don't call tryUnlock
-    if (!canUnlock || canUnlock.reason === "Status check failed") {
-      log(`  ⚠️  Cannot verify unlock conditions (oracle may be failing)`);
-      log(`  Skipping tryUnlock() to avoid revert.`);
-      log(`  Run: node scripts/mainnet/check-oracle.js to diagnose.\n`);
-      shouldSkip = true;
+    if (result.events.length === 0) {
+      clog.info(`     No events — the call would not change any state`);
     }
-    
-    if (shouldSkip) {
-      return;
+  }
+
+  if (result.gasUsed !== null) {
+    const gasLimit = applyGasLimit(result.gasUsed, gasPolicy);
+    const fees = await getFees(wallet.provider, gasPolicy);
+    clog.info(`  Gas: ${result.gasUsed} used, limit ${gasLimit}, max fee ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei`);
+    clog.info(`  Cost: at most ${ethers.formatEther(result.gasUsed * fees.maxFeePerGas)} ETH`);
+  }
+  return result;
+}
+
+/**
+ * Last checks before broadcasting: this instance still holds the vault's lease, and nothing this
+ * keeper is not tracking is pending on its address (another instance, or a manual send)
+ * @returns {Promise<string|null>} Skip outcome, or null when it is safe to send
+ */
+async function checkCanSend(vault, clog) {
+  const { wallet, store, alerts } = vault;
+  if (vault.lock && !vault.lock.isHeld()) {
+    clog.error(`❌ Keeper lock ${vault.lock.file} is held by another instance — not sending`);
+    alerts.alert(SEVERITY.CRITICAL, "lock-lost", "Another keeper instance took over this vault", { lock: vault.lock.file });
+    return "skipped-lock-lost";
+  }
+
+  const [latest, pending] = await Promise.all([
+    wallet.provider.getTransactionCount(wallet.address, "latest"),
+    wallet.provider.getTransactionCount(wallet.address, "pending"),
+  ]);
+  if (pending > latest && !store.data.inFlight) {
+    clog.warn(`  ⚠️  ${pending - latest} transaction(s) pending from ${wallet.address} that this keeper did not send — another instance may be running. Not sending.`);
+    alerts.alert(SEVERITY.WARNING, "nonce-busy", "Unknown pending transaction on the keeper address", {
+      wallet: wallet.address,
+      latestNonce: latest,
+      pendingNonce: pending,
+    });
+    return "skipped-nonce-busy";
+  }
+  alerts.resolve("nonce-busy");
+  return null;
+}
+
+async function releasePending({ vault, milestone, clog }) {
+  const { fair, wallet, store, alerts, config } = vault;
+  if (await checkCanSend(vault, clog)) {
+    return false;
+  }
+  clog.info(`  Calling releasePending(${milestone})...`);
+  try {
+    const gas = await fair.releasePending.estimateGas(milestone);
+    const { tx, receipt } = await sendWithReplacement({
+      contract: fair,
+      method: "releasePending",
+      args: [milestone],
+      gasLimit: applyGasLimit(gas, gasPolicy),
+      policy: gasPolicy,
+      onSent: (sent) => {
+        clog.info(`  TX: ${sent.hash}`, { txHash: sent.hash, milestone });
+        markInFlight(store, { hash: sent.hash, nonce: sent.nonce, from: wallet.address, action: "releasePending", milestone });
+      },
+      log: clog.info,
+    });
+    clearInFlight(store, receipt.status === 1 ? "confirmed" : "reverted", {
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    });
+    if (receipt.status !== 1) {
+      throw new Error(`transaction ${tx.hash} reverted`);
     }
-    
-    // If status was unavailable but we got here, it means canUnlock worked
-    // This is fine - we can still try tryUnlock() which might work
-    if (!statusAvailable) {
-      log(`  ⚠️  Status unavailable, but canUnlock() succeeded`);
-      log(`  Attempting tryUnlock() - it may work even if getMilestoneStatus() failed\n`);
+    clog.info(`  ✅ Milestone ${milestone} pending distribution released!`);
+    alerts.resolve(`milestone-pending-${milestone}`);
+    alerts.alert(SEVERITY.INFO, `milestone-released-${milestone}`, `Milestone ${milestone} pending distribution released`, {
+      tx: `${config.explorer}/tx/${tx.hash}`,
+    });
+    return true;
+  } catch (e) {
+    clog.error(`  ❌ releasePending(${milestone}) failed: ${e.message}`);
+    metrics.inc("tx_failures_total", vault.labels);
+    alerts.alert(SEVERITY.WARNING, `release-pending-failed-${milestone}`, `releasePending(${milestone}) failed`, { error: e.message });
+    return false;
+  }
+}
+
+async function sendTryUnlock({ vault, cycle, decision, snapshot, clog, logContext }) {
+  const { fair, wallet, store, alerts, config } = vault;
+  const currentMilestone = decision.milestone;
+
+  const skip = await checkCanSend(vault, clog);
+  if (skip) {
+    cycle.outcome = skip;
+    return;
+  }
+
+  try {
+    if (decision.action === ACTION.FINALIZE) {
+      clog.info(`Calling tryUnlock(${currentMilestone}) to unlock...`);
+    } else {
+      clog.info(`Calling tryUnlock(${currentMilestone}) to record a good period...`);
     }
     
-    log(`Calling tryUnlock(${currentMilestone})...`);
-    
     // Try to estimate gas first to catch revert reasons
     let estimatedGas;
     try {
       estimatedGas = await fair.tryUnlock.estimateGas(currentMilestone);
-      log(`  Estimated gas: ${estimatedGas.toString()}`);
+      clog.info(`  Estimated gas: ${estimatedGas.toString()}`);
     } catch (estimateError) {
-      log(`  ❌ Gas estimation failed: ${estimateError.message}`);
+      clog.error(`  ❌ Gas estimation failed: ${estimateError.message}`);
       if (estimateError.data) {
-        log(`  Revert data: ${estimateError.data}`);
+        clog.info(`  Revert data: ${estimateError.data}`);
       }
-      log(`  This means tryUnlock() would revert. Check conditions above.\n`);
+      clog.info(`  This means tryUnlock() would revert. Check conditions above.\n`);
+      cycle.outcome = "estimate-failed";
+      alerts.alert(SEVERITY.WARNING, "tx-failed", `tryUnlock(${currentMilestone}) gas estimation failed`, {
+        error: estimateError.message,
+      });
       return;
     }
     
-    const tx = await fair.tryUnlock(currentMilestone, {
-      gasLimit: estimatedGas * 2n, // Use 2x estimated gas for safety
+    const { tx, receipt } = await sendWithReplacement({
+      contract: fair,
+      method: "tryUnlock",
+      args: [currentMilestone],
+      gasLimit: applyGasLimit(estimatedGas, gasPolicy),
+      policy: gasPolicy,
+      onSent: (sent) => {
+        clog.info(`  TX: ${sent.hash}`);
+        clog.info(`  Explorer: ${config.explorer}/tx/${sent.hash}`);
+        cycle.txHash = sent.hash;
+        cycle.nonce = sent.nonce;
+        logContext.txHash = sent.hash;
+        markInFlight(store, { hash: sent.hash, nonce: sent.nonce, from: wallet.address, action: "tryUnlock", milestone: currentMilestone });
+      },
+      log: clog.info,
     });
-    log(`  TX: ${tx.hash}`);
-    log(`  Explorer: ${config.explorer}/tx/${tx.hash}`);
+    cycle.txHash = tx.hash;
+    logContext.txHash = tx.hash;
     
-    const receipt = await tx.wait();
+    clearInFlight(store, receipt.status === 1 ? "confirmed" : "reverted", {
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    });
     
     if (receipt.status === 0) {
-      log(`  ❌ Transaction reverted!`);
-      log(`  Gas used: ${receipt.gasUsed.toString()}`);
-      log(`  This means tryUnlock() conditions were not met.`);
-      log(`  Check: cooldown, good periods, and price target.\n`);
+      cycle.outcome = "reverted";
+      alerts.alert(SEVERITY.WARNING, "tx-failed", `tryUnlock(${currentMilestone}) reverted`, {
+        tx: `${config.explorer}/tx/${tx.hash}`,
+      });
+      clog.error(`  ❌ Transaction reverted!`);
+      clog.info(`  Gas used: ${receipt.gasUsed.toString()}`);
+      clog.info(`  This means tryUnlock() conditions were not met.`);
+      clog.info(`  Check: cooldown, good periods, and price target.\n`);
       return;
     }
     
-    log(`  ✅ Transaction confirmed`);
-    log(`  Gas used: ${receipt.gasUsed.toString()}`);
+    clog.info(`  ✅ Transaction confirmed`);
+    clog.info(`  Gas used: ${receipt.gasUsed.toString()}`);
     
-      // Check if milestone was unlocked (with error handling)
-      try {
-        const newStatus = await fair.getMilestoneStatus(currentMilestone);
-        if (newStatus.unlocked) {
-          log(`✅ MILESTONE ${currentMilestone} UNLOCKED!`);
-        } else {
-          if (statusAvailable) {
-            const oldCount = status.goodPeriods ?? status.goodHours ?? status[1];
-            const newCount = newStatus.goodPeriods ?? newStatus.goodHours ?? newStatus[1];
-            if (newCount > oldCount) {
-              log(`  ✅ Good period recorded: ${oldCount} → ${newCount}`);
-            } else {
-              log(`  Good periods unchanged: ${oldCount}`);
-            }
-          } else {
-            // Status wasn't available before, just show current
-            const newCount = newStatus.goodPeriods ?? newStatus.goodHours ?? newStatus[1];
-            log(`  Current good periods: ${newCount}`);
-          }
-        }
-      } catch (error) {
-        log(`  ⚠️  Could not verify status after unlock: ${error.message}`);
-        log(`  ✅ Transaction succeeded (check on explorer: ${config.explorer}/tx/${tx.hash})`);
-        log(`     This is normal if pool history is insufficient.`);
+    // Check if milestone was unlocked (with error handling)
+    try {
+      const newStatus = await vault.client.getMilestoneStatus(currentMilestone);
+      const oldCount = snapshot.status.goodPeriods;
+      const newCount = newStatus.goodPeriods;
+      cycle.goodPeriodsAfter = Number(newCount);
+      metrics.set("good_periods", newCount, vault.labels);
+      if (newStatus.unlocked) {
+        cycle.outcome = "unlocked";
+        clog.info(`✅ MILESTONE ${currentMilestone} UNLOCKED!`);
+        alerts.alert(SEVERITY.INFO, `milestone-unlocked-${currentMilestone}`, `Milestone ${currentMilestone} unlocked`, {
+          vault: vault.address,
+          tx: `${config.explorer}/tx/${tx.hash}`,
+        });
+      } else if (newCount > oldCount) {
+        cycle.outcome = "good-period";
+        clog.info(`  ✅ Good period recorded: ${oldCount} → ${newCount}`);
+      } else {
+        cycle.outcome = "no-change";
+        clog.info(`  Good periods unchanged: ${oldCount}`);
       }
+    } catch (error) {
+      cycle.outcome = "confirmed";
+      clog.warn(`  ⚠️  Could not verify status after unlock: ${error.message}`);
+      clog.info(`  ✅ Transaction succeeded (check on explorer: ${config.explorer}/tx/${tx.hash})`);
+      clog.info(`     This is normal if pool history is insufficient.`);
+    }
   } catch (error) {
     // More detailed error handling
+    cycle.outcome = "failed";
+    alerts.alert(SEVERITY.WARNING, "tx-failed", `Keeper transaction for milestone ${currentMilestone} failed`, {
+      error: error.reason || error.message,
+    });
     
     if (error.reason) {
-      log(`❌ Error: ${error.reason}`);
+      clog.error(`❌ Error: ${error.reason}`);
     } else if (error.message) {
-      log(`❌ Error: ${error.message}`);
+      clog.error(`❌ Error: ${error.message}`);
     } else {
-      log(`❌ Error: ${JSON.stringify(error)}`);
+      clog.error(`❌ Error: ${JSON.stringify(error)}`);
+    }
+    
+    if (error.code === "TX_STUCK") {
+      clog.warn(`  ⚠️  Left in flight — the next cycle reconciles it before sending anything new`);
+      return;
     }
     
     // Check if transaction was sent but reverted
     if (error.receipt && error.receipt.status === 0) {
-      log(`  Transaction reverted (status: 0)`);
-      log(`  Gas used: ${error.receipt.gasUsed.toString()}`);
-      log(`  TX: ${config.explorer}/tx/${error.receipt.hash}`);
-      log(`\n  Possible reasons:`);
-      log(`    1. Vault not initialized`);
-      log(`    2. Invalid milestone ID`);
-      log(`    3. Milestone already unlocked`);
-      log(`    4. Oracle not set`);
-      log(`    5. Oracle.getPrice() failed (insufficient pool history)`);
-      log(`\n  Check conditions above or run: node scripts/mainnet/check-oracle.js\n`);
+      cycle.outcome = "reverted";
+      clearInFlight(store, "reverted", {
+        blockNumber: error.receipt.blockNumber,
+        gasUsed: error.receipt.gasUsed.toString(),
+      });
+      clog.info(`  Transaction reverted (status: 0)`);
+      clog.info(`  Gas used: ${error.receipt.gasUsed.toString()}`);
+      clog.info(`  TX: ${config.explorer}/tx/${error.receipt.hash}`);
+      clog.info(`\n  Possible reasons:`);
+      clog.info(`    1. Vault not initialized`);
+      clog.info(`    2. Invalid milestone ID`);
+      clog.info(`    3. Milestone already unlocked`);
+      clog.info(`    4. Oracle not set`);
+      clog.info(`    5. Oracle.getPrice() failed (insufficient pool history)`);
+      clog.info(`\n  Check conditions above or run: node scripts/mainnet/check-oracle.js\n`);
       return;
     }
     
     // Check if it's a revert with data
     if (error.data) {
-      log(`  Error data: ${error.data}`);
+      clog.info(`  Error data: ${error.data}`);
     }
   }
   
-  log("Keeper cycle complete.\n");
+  clog.info("Keeper cycle complete.\n");
+}
+
+function formatInterval(ms) {
+  const intervalSeconds = ms / 1000;
+  if (intervalSeconds < 60) {
+    return `${intervalSeconds} second(s)`;
+  } else if (intervalSeconds < 3600) {
+    return `${intervalSeconds / 60} minute(s)`;
+  }
+  return `${intervalSeconds / 3600} hour(s)`;
+}
+
+/**
+ * Write yesterday's SLA report shortly after every UTC midnight
+ */
+function scheduleSlaReport(vault) {
+  vault.slaTimer = setTimeout(async () => {
+    try {
+      const report = await buildSlaReport({
+        fair: vault.fair,
+        store: vault.store,
+        labels: { vault: vault.name, network: vault.network },
+      });
+      const files = writeSlaReport(report);
+      const lost = report.hoursLost[CAUSE.KEEPER_DOWN];
+      vault.log.info(`📊 SLA ${report.window.from.slice(0, 10)}: ${report.slaPercent}% — ${report.goodPeriodsRecorded} good period(s), ${report.missedPeriods[CAUSE.KEEPER_DOWN]} missed while down (${lost.toFixed(2)}h) → ${files.markdown}`);
+      if (lost > 0) {
+        vault.alerts.alert(SEVERITY.WARNING, `sla-${report.window.from.slice(0, 10)}`, "Keeper missed good periods while price was above target", {
+          day: report.window.from.slice(0, 10),
+          hoursLost: lost.toFixed(2),
+          sla: `${report.slaPercent}%`,
+        });
+      }
+    } catch (e) {
+      vault.log.warn(`⚠️  Could not build SLA report: ${e.message}`);
+    }
+    if (!shuttingDown) {
+      scheduleSlaReport(vault);
+    }
+  }, msUntilNextReport());
+}
+
+/**
+ * Schedule one vault: event-driven or on its own interval
+ */
+async function startVault(vault) {
+  if (vault.type === "vault") {
+    // Not ready until the first cycle has seen the vault initialized with an oracle
+    metrics.set("ready", 0, vault.labels);
+    try {
+      metrics.set("required_good_periods", (await vault.client.getConstants()).requiredGoodPeriods, vault.labels);
+    } catch (e) {
+      vault.log.warn(`Could not read REQUIRED_GOOD_PERIODS: ${e.message}`);
+    }
+  } else {
+    // FAIR.sol / FAIRTestnet have no initialize() or oracle setter
+    metrics.set("ready", 1, vault.labels);
+  }
+
+  if (vault.type === "vault") {
+    try {
+      vault.pendingWatcher = await startPendingWatcher({
+        fair: vault.fair,
+        client: vault.client,
+        // Queued behind any running cycle of the same signer
+        release: (milestone) => runExclusive(vault.signerId, () => releasePending({ vault, milestone, clog: vault.log })),
+        onReport: (report) => reportRefill(vault, report, vault.log),
+        alerts: vault.alerts,
+        log: vault.log.info,
+      });
+    } catch (e) {
+      vault.log.warn(`⚠️  Pending-milestone watcher not started, checking every cycle instead: ${e.message}`);
+    }
+    if (vault.pendingWatcher) {
+      vault.stoppers.push(() => vault.pendingWatcher.stop());
+    }
+
+    scheduleSlaReport(vault);
+    vault.stoppers.push(() => clearTimeout(vault.slaTimer));
+  }
+
+  if (vault.events ?? EVENT_MODE) {
+    if (vault.type !== "vault") {
+      throw new Error(`${vault.name}: event-driven mode requires a FAIRVault contract`);
+    }
+    vault.log.info("Running in event-driven mode (GoodPeriodRecorded / MilestoneUnlocked / MilestonePending)");
+    const events = await startEventDriven({
+      fair: vault.fair,
+      client: vault.client,
+      provider: vault.wallet.provider,
+      periodInterval: (await vault.client.getConstants()).periodInterval,
+      fallbackIntervalMs: vault.intervalMs,
+      schedule: SCHEDULE,
+      runCycle: () => runKeeper(vault),
+      alerts: vault.alerts,
+      log: vault.log.info,
+    });
+    vault.stoppers.push(() => events.stop());
+    return;
+  }
+
+  if (SCHEDULE.mode === "aligned") {
+    await startAligned(vault);
+    return;
+  }
+
+  // Run immediately
+  await runKeeperSafely(vault);
+
+  // Then run on interval using the actual interval from contract
+  vault.log.info(`Running every ${formatInterval(vault.intervalMs)}...`);
+  const timer = setInterval(() => runKeeperSafely(vault), vault.intervalMs);
+  vault.stoppers.push(() => clearInterval(timer));
+}
+
+async function runKeeperSafely(vault) {
+  try {
+    await runKeeper(vault);
+  } catch (error) {
+    vault.log.error(`❌ Keeper error: ${error.message}`);
+    vault.alerts.alert(SEVERITY.CRITICAL, "keeper-error", "Keeper cycle crashed", { error: error.message });
+  }
+}
+
+/**
+ * Run each cycle at the vault's next period boundary (plus margin and jitter) instead of on a
+ * fixed interval; falls back to the interval while the boundary cannot be read
+ */
+async function startAligned(vault) {
+  let periodInterval = vault.intervalMs / 1000;
+  try {
+    periodInterval = (await vault.client.getConstants()).periodInterval;
+  } catch (e) {
+    vault.log.warn(`Could not read PERIOD_INTERVAL, aligning to ${formatInterval(vault.intervalMs)}: ${e.message}`);
+  }
+  const margin = SCHEDULE.marginMs < 0 ? `${-SCHEDULE.marginMs / 1000}s ahead of` : `${SCHEDULE.marginMs / 1000}s after`;
+  vault.log.info(`Running at each period boundary (${margin} it, up to ${SCHEDULE.jitterMs / 1000}s jitter)...`);
+
+  let timer = null;
+  vault.stoppers.push(() => clearTimeout(timer));
+
+  async function next(justRan) {
+    if (shuttingDown) return;
+    let plan;
+    try {
+      plan = await planNextCycle({ client: vault.client, periodInterval, schedule: SCHEDULE, justRan });
+    } catch (e) {
+      vault.log.warn(`⚠️  Could not read the period boundary: ${e.message}`);
+      plan = { at: Date.now() + vault.intervalMs, reason: "fixed interval until the boundary can be read" };
+    }
+    if (!plan) {
+      vault.log.info("🎉 All milestones unlocked! Nothing left to schedule.");
+      return;
+    }
+    const delay = Math.max(0, plan.at - Date.now());
+    vault.log.info(`Next cycle ${delay === 0 ? "now" : `at ${new Date(plan.at).toISOString()}`} (${plan.reason})`);
+    timer = setTimeout(async () => {
+      await runKeeperSafely(vault);
+      next(true);
+    }, delay);
+  }
+
+  await next(false);
+}
+
+/**
+ * SIGTERM/SIGINT: stop scheduling, let running cycles finish (bounded), record any that could not,
+ * release the locks and exit
+ */
+async function shutdown(signal, vaults, server) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log(`🛑 ${signal} received — stopping (waiting up to ${SHUTDOWN_TIMEOUT_MS / 1000}s for ${activeCycles.size} running cycle(s))`);
+
+  for (const vault of vaults) {
+    vault.stoppers.forEach((stop) => stop());
+  }
+
+  if (activeCycles.size > 0) {
+    const finished = Promise.allSettled([...activeCycles.values()].map(({ promise }) => promise)).then(() => true);
+    const timeout = new Promise((resolve) => setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS).unref());
+    if (!(await Promise.race([finished, timeout]))) {
+      for (const { vault, cycle } of activeCycles.values()) {
+        cycle.outcome = "interrupted";
+        recordCycle(vault.store, cycle);
+        const inFlight = vault.store.data.inFlight;
+        vault.log.warn(`⚠️  Cycle ${cycle.id} interrupted${inFlight ? ` — tx ${inFlight.hash} stays in flight and is reconciled on the next start` : ""}`);
+      }
+    }
+  }
+
+  server?.close();
+  for (const vault of vaults) {
+    vault.lock?.release();
+  }
+  log("Keeper stopped.");
+  logger.close();
+  process.exit(0);
 }
 
 async function main() {
   log("=".repeat(50));
-  log(`FAIR Keeper Bot - ${NETWORK.toUpperCase()}${TEST_MODE ? " (TEST MODE)" : ""}`);
+  log(`FAIR Keeper Bot - ${CONFIG_PATH ? `config ${CONFIG_PATH}` : NETWORK.toUpperCase()}${TEST_MODE ? " (TEST MODE)" : ""}${DRY_RUN ? " (DRY RUN)" : ""}`);
   if (TEST_MODE) {
     log("⚠️  TEST MODE: Running every 1 minute");
   }
+  if (DRY_RUN) {
+    log("🧪 DRY RUN: simulating one cycle per vault — nothing is signed or sent, state and alerts untouched");
+  }
   log("=".repeat(50));
-  
-  // Get contract and determine actual interval
-  const { actualInterval } = await getContractAndInterval();
-  
-  if (RUN_ONCE) {
-    await runKeeper();
-    return;
+
+  // One vault that cannot be opened (RPC, signer, constants, held lock) does not stop the others
+  const defs = loadVaults({ configPath: CONFIG_PATH, network: NETWORK });
+  const vaults = [];
+  for (const def of defs) {
+    let vault = null;
+    try {
+      vault = await openVault(def);
+
+      // Load persisted state and resolve anything a previous run left in flight
+      vault.log.info(`${vault.name}: ${vault.address} (${vault.type}), state file ${vault.store.file}`);
+      if (vault.store.data.lastGoodPeriod) {
+        const last = vault.store.data.lastGoodPeriod;
+        vault.log.info(`Last good period seen: milestone ${last.milestone}, ${last.goodPeriods} period(s) at ${last.observedAt}`);
+      }
+      if (!DRY_RUN) {
+        await reconcileInFlight(vault.store, vault.wallet.provider, vault.log.info);
+      }
+      vaults.push(vault);
+    } catch (err) {
+      vault?.lock?.release();
+      logger.error(`❌ Could not open ${def.name}: ${err.message}`, { vault: def.name, network: def.network });
+      await alerts.alert(SEVERITY.CRITICAL, `keeper-error-${def.name}`, "Keeper could not open this vault", { vault: def.name, network: def.network, error: err.message });
+    }
   }
-  
-  // Run immediately
-  await runKeeper();
-  
-  // Then run on interval using the actual interval from contract
-  const intervalSeconds = actualInterval / 1000;
-  let intervalDisplay;
-  if (intervalSeconds < 60) {
-    intervalDisplay = `${intervalSeconds} second(s)`;
-  } else if (intervalSeconds < 3600) {
-    intervalDisplay = `${intervalSeconds / 60} minute(s)`;
-  } else {
-    intervalDisplay = `${intervalSeconds / 3600} hour(s)`;
+  if (vaults.length === 0) {
+    throw new Error(defs.length === 1 ? `Could not open ${defs[0].name}` : "No vault could be opened");
   }
-  log(`Running every ${intervalDisplay}...`);
-  
-  setInterval(async () => {
-    try {
-      await runKeeper();
-    } catch (error) {
-      log(`❌ Keeper error: ${error.message}`);
+  if (vaults.length < defs.length) {
+    log(`⚠️  Watching ${vaults.length} of ${defs.length} vault(s)`);
+  }
+
+  const server = !RUN_ONCE && !DRY_RUN && HTTP_PORT ? startHealthServer({ port: HTTP_PORT, metrics, log }) : null;
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => shutdown(signal, vaults, server));
+  }
+
+  if (RUN_ONCE || DRY_RUN) {
+    for (const vault of vaults) {
+      await runKeeper(vault);
+    }
+    vaults.forEach((vault) => vault.lock?.release());
+    return;
+  }
+
+  // Each vault keeps its own schedule; one failing to start does not stop the others
+  const results = await Promise.allSettled(vaults.map((vault) => startVault(vault)));
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      vaults[i].log.error(`❌ Could not start ${vaults[i].name}: ${result.reason.message}`);
+      vaults[i].alerts.alert(SEVERITY.CRITICAL, "keeper-error", "Keeper could not start this vault", { error: result.reason.message });
     }
-  }, actualInterval);
+  });
+  if (results.every((result) => result.status === "rejected")) {
+    throw new Error("No vault could be started");
+  }
 }
 
-main().catch((err) => {
-  log(`❌ Fatal error: ${err.message}`);
-  process.exitCode = 1;
+main().catch(async (err) => {
+  logger.error(`❌ Fatal error: ${err.message}`);
+  await alerts.alert(SEVERITY.CRITICAL, "keeper-fatal", "Keeper stopped with a fatal error", { error: err.message });
+  // Providers of vaults that failed to open keep retrying their network and would keep the process alive
+  logger.close();
+  process.exit(1);
 });
-
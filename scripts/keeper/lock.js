@@ -0,0 +1,110 @@
+// scripts/keeper/lock.js
+// Single-instance lease per vault
+//
+// A lease file next to the vault's state file names the keeper process allowed to send
+// transactions. The owner renews it every KEEPER_LOCK_TTL_MS / 3; another instance may take it
+// over only once it has expired or its process is gone (same host). Instances on other machines
+// without a shared volume are caught by the pending-nonce check in keeper.js instead.
+//
+// ENV:
+//   KEEPER_LOCK_TTL_MS=120000
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import "dotenv/config";
+
+const LOCK_TTL_MS = parseInt(process.env.KEEPER_LOCK_TTL_MS || "120000", 10);
+
+function readLease(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+/**
+ * Why an existing lease is no longer valid, or null while it is
+ */
+function staleReason(lease, ttlMs) {
+  if (!lease) return "unreadable";
+  if (Date.now() - Date.parse(lease.renewedAt) > ttlMs) return `expired at ${new Date(Date.parse(lease.renewedAt) + ttlMs).toISOString()}`;
+  if (lease.host === os.hostname() && !processAlive(lease.pid)) return `pid ${lease.pid} is gone`;
+  return null;
+}
+
+/**
+ * Take the lease or throw if another live keeper holds it
+ * @param {string} file - Lease file (e.g. keeper-mainnet.json.lock)
+ * @param {object} [options]
+ * @param {number} [options.ttlMs]
+ * @param {(message: string) => void} [options.log]
+ * @returns {{ file: string, isHeld: () => boolean, release: () => void }}
+ */
+export function acquireLock(file, { ttlMs = LOCK_TTL_MS, log = console.log } = {}) {
+  const id = randomUUID();
+  const lease = () => JSON.stringify({
+    id,
+    pid: process.pid,
+    host: os.hostname(),
+    renewedAt: new Date().toISOString(),
+  });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  try {
+    fs.writeFileSync(file, lease(), { flag: "wx" });
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+    const existing = readLease(file);
+    const reason = staleReason(existing, ttlMs);
+    if (!reason) {
+      throw new Error(`Another keeper holds ${file} (pid ${existing.pid} on ${existing.host}, renewed ${existing.renewedAt})`);
+    }
+    log(`Taking over stale keeper lock ${file} (${reason})`);
+    const tmpPath = `${file}.${id}.tmp`;
+    fs.writeFileSync(tmpPath, lease());
+    fs.renameSync(tmpPath, file);
+  }
+
+  const isHeld = () => readLease(file)?.id === id;
+  // Two instances taking over the same stale lease: only the last rename wins
+  if (!isHeld()) {
+    throw new Error(`Lost the race for ${file} to another keeper`);
+  }
+
+  const timer = setInterval(() => {
+    if (!isHeld()) {
+      log(`⚠️  Keeper lock ${file} was taken by another instance — this instance will not send transactions`);
+      clearInterval(timer);
+      return;
+    }
+    try {
+      fs.writeFileSync(file, lease());
+    } catch (e) {
+      log(`⚠️  Could not renew keeper lock ${file}: ${e.message}`);
+    }
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  timer.unref();
+
+  return {
+    file,
+    isHeld,
+    release() {
+      clearInterval(timer);
+      if (isHeld()) {
+        fs.rmSync(file, { force: true });
+      }
+    },
+  };
+}
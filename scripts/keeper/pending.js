@@ -0,0 +1,166 @@
+// scripts/keeper/pending.js
+// Pending milestones: earned while the vault was underfunded, paid out by releasePending()
+//
+// The watcher reads the pending set once, then follows it through MilestonePending /
+// PendingMilestoneReleased events and watches FAIR Transfer events into the vault. As soon as the
+// vault balance covers milestoneUnlockAmount it releases the oldest pending milestone, and while it
+// cannot it reports how much FAIR the Safe must send to clear every pending milestone.
+//
+// ENV:
+//   KEEPER_EVENT_POLL_MS=15000    Shared with event-driven mode
+
+import { ethers } from "ethers";
+import { SEVERITY } from "./alerts.js";
+import "dotenv/config";
+
+const EVENT_POLL_MS = parseInt(process.env.KEEPER_EVENT_POLL_MS || "15000", 10);
+const MAX_POLL_FAILURES = 3;
+const MAX_BLOCK_RANGE = 2000;
+
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+/**
+ * Which pending milestones the balance pays for, and what the Safe still owes
+ * @param {{ pending: number[], perMilestone: bigint, balance: bigint }} state
+ * @returns {{ releasable: number[], owed: bigint, shortfall: bigint }}
+ *   `owed` covers every pending milestone; `shortfall` is owed minus the current balance
+ */
+export function getRefillReport({ pending, perMilestone, balance }) {
+  const sorted = [...pending].sort((a, b) => a - b);
+  const affordable = perMilestone > 0n ? Number(balance / perMilestone) : 0;
+  const owed = perMilestone * BigInt(sorted.length);
+  return {
+    releasable: sorted.slice(0, affordable),
+    owed,
+    shortfall: owed > balance ? owed - balance : 0n,
+  };
+}
+
+/**
+ * Watch pending milestones and vault refills; release as soon as the vault can pay
+ * @param {object} options
+ * @param {ethers.Contract} options.fair - FAIRVault contract (events)
+ * @param {FairVaultClient} options.client - Reads, from shared/fair-vault-client.js
+ * @param {(milestoneId: number) => Promise<boolean>} options.release - Sends releasePending(); true once confirmed
+ * @param {(report: object) => void} [options.onReport] - Called with { pending, balance, owed, shortfall } after every check
+ * @param {object} [options.alerts] - Alerter from alerts.js (watcher failures)
+ * @param {(message: string) => void} options.log
+ * @returns {Promise<{ stop: () => void, check: () => Promise<void> }>}
+ */
+export async function startPendingWatcher({ fair, client, release, onReport, alerts, log }) {
+  const provider = fair.runner.provider;
+  const vaultAddr = await fair.getAddress();
+  const state = await client.getPendingMilestones();
+  const token = new ethers.Contract(state.token, ERC20_ABI, provider);
+  let perMilestone = state.perMilestone;
+  const pending = new Set(state.pending);
+  let balance = state.balance;
+
+  const vaultTopics = ["MilestonePending", "PendingMilestoneReleased"].map((name) => fair.interface.getEvent(name).topicHash);
+  const refillTopics = [token.interface.getEvent("Transfer").topicHash, null, ethers.zeroPadValue(vaultAddr, 32)];
+
+  let lastBlock = await provider.getBlockNumber();
+  let failures = 0;
+  let checking = false;
+  let stopped = false;
+  let timer = null;
+
+  function report() {
+    const { owed, shortfall } = getRefillReport({ pending: [...pending], perMilestone, balance });
+    const ids = [...pending].sort((a, b) => a - b);
+    if (onReport) {
+      onReport({ pending: ids, balance, owed, shortfall });
+    } else if (shortfall > 0n) {
+      log(`⏳ Pending milestone(s) ${ids.join(", ")}: Safe must send ${ethers.formatUnits(shortfall, 18)} FAIR`);
+    }
+  }
+
+  // Release everything the balance covers, oldest first
+  async function check() {
+    if (checking) return;
+    checking = true;
+    try {
+      // milestoneUnlockAmount is only set by initialize()
+      if (perMilestone === 0n) {
+        perMilestone = (await client.getVaultInfo()).perMilestone;
+      }
+      balance = await token.balanceOf(vaultAddr);
+      for (const id of getRefillReport({ pending: [...pending], perMilestone, balance }).releasable) {
+        log(`💸 Vault covers pending milestone ${id} — releasing`);
+        if (await release(id)) {
+          pending.delete(id);
+        }
+        balance = await token.balanceOf(vaultAddr);
+      }
+      report();
+    } finally {
+      checking = false;
+    }
+  }
+
+  async function poll() {
+    try {
+      const head = await provider.getBlockNumber();
+      let changed = false;
+      while (lastBlock < head) {
+        const range = { fromBlock: lastBlock + 1, toBlock: Math.min(head, lastBlock + MAX_BLOCK_RANGE) };
+        const [vaultLogs, transferLogs] = await Promise.all([
+          provider.getLogs({ address: vaultAddr, topics: [vaultTopics], ...range }),
+          provider.getLogs({ address: token.target, topics: refillTopics, ...range }),
+        ]);
+        for (const entry of vaultLogs) {
+          const { name, args } = fair.interface.parseLog(entry);
+          const id = Number(args.milestoneId);
+          if (name === "MilestonePending") {
+            log(`⏳ MilestonePending: milestone ${id} owes ${ethers.formatUnits(args.amountOwed, 18)} FAIR`);
+            pending.add(id);
+          } else {
+            log(`✅ PendingMilestoneReleased: milestone ${id}`);
+            pending.delete(id);
+          }
+        }
+        for (const entry of transferLogs) {
+          const { args } = token.interface.parseLog(entry);
+          log(`📥 Vault received ${ethers.formatUnits(args.value, 18)} FAIR from ${args.from}`);
+          changed = true;
+        }
+        lastBlock = range.toBlock;
+        if (vaultLogs.length > 0) changed = true;
+      }
+      if (failures >= MAX_POLL_FAILURES) {
+        log("✅ Pending-milestone watcher recovered");
+        alerts?.resolve("pending-watcher");
+      }
+      failures = 0;
+      if (changed && pending.size > 0) {
+        await check();
+      } else if (changed) {
+        balance = await token.balanceOf(vaultAddr);
+        report();
+      }
+    } catch (error) {
+      failures++;
+      log(`⚠️  Pending-milestone poll failed (${failures}): ${error.message}`);
+      if (failures === MAX_POLL_FAILURES) {
+        alerts?.alert(SEVERITY.WARNING, "pending-watcher", "Pending-milestone watcher cannot read events", { error: error.message });
+      }
+    } finally {
+      if (!stopped) timer = setTimeout(poll, EVENT_POLL_MS);
+    }
+  }
+
+  log(`Watching pending milestones and FAIR transfers into the vault from block ${lastBlock} (${pending.size} pending)`);
+  await check();
+  timer = setTimeout(poll, EVENT_POLL_MS);
+
+  return {
+    check,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
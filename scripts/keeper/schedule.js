@@ -0,0 +1,104 @@
+// scripts/keeper/schedule.js
+// Boundary-aligned scheduling
+//
+// tryUnlock() records at most one good period per PERIOD_INTERVAL, counted from the milestone's
+// milestoneLastGoodPeriodTimestamp. A fixed interval from process start wastes every cycle that
+// lands before that boundary, so each cycle is scheduled at
+//   milestoneLastGoodPeriodTimestamp + PERIOD_INTERVAL + margin + random(0, jitter)
+// A negative margin wakes the keeper ahead of the boundary: the cycle reads the vault early and
+// waits for the first block at or past the boundary before deciding, so nothing is sent early.
+//
+// ENV:
+//   KEEPER_SCHEDULE=aligned            aligned | interval (fixed interval from process start)
+//   KEEPER_SCHEDULE_MARGIN_MS=5000     Offset from the boundary; negative fires ahead of it
+//   KEEPER_SCHEDULE_JITTER_MS=10000    Random extra delay so keepers sharing an RPC do not fire together
+//   KEEPER_RECHECK_MS=300000           Re-check period once the boundary has passed (price below target)
+
+import "dotenv/config";
+
+export const SCHEDULE_MODES = ["aligned", "interval"];
+
+const BLOCK_POLL_MS = 2000;
+
+/**
+ * Scheduling settings from the environment
+ * @returns {{ mode: string, marginMs: number, jitterMs: number, recheckMs: number }}
+ */
+export function getSchedule() {
+  const schedule = {
+    mode: process.env.KEEPER_SCHEDULE || "aligned",
+    marginMs: parseInt(process.env.KEEPER_SCHEDULE_MARGIN_MS || "5000", 10),
+    jitterMs: parseInt(process.env.KEEPER_SCHEDULE_JITTER_MS || "10000", 10),
+    recheckMs: parseInt(process.env.KEEPER_RECHECK_MS || "300000", 10),
+  };
+  if (!SCHEDULE_MODES.includes(schedule.mode)) {
+    throw new Error(`KEEPER_SCHEDULE must be one of ${SCHEDULE_MODES.join(", ")} (got "${schedule.mode}")`);
+  }
+  for (const key of ["marginMs", "jitterMs", "recheckMs"]) {
+    if (Number.isNaN(schedule[key])) {
+      throw new Error(`Invalid schedule setting ${key}`);
+    }
+  }
+  if (schedule.jitterMs < 0 || schedule.recheckMs <= 0) {
+    throw new Error("KEEPER_SCHEDULE_JITTER_MS must be >= 0 and KEEPER_RECHECK_MS > 0");
+  }
+  return schedule;
+}
+
+/**
+ * Wake-up time (ms) for a period boundary: boundary + margin + jitter
+ * @param {number} boundaryMs
+ * @param {{ marginMs: number, jitterMs: number }} schedule
+ */
+export function alignToBoundary(boundaryMs, { marginMs, jitterMs }) {
+  return boundaryMs + marginMs + Math.floor(Math.random() * jitterMs);
+}
+
+/**
+ * When the next cycle should run
+ * @param {object} options
+ * @param {FairVaultClient} options.client - From shared/fair-vault-client.js
+ * @param {number} options.periodInterval - PERIOD_INTERVAL in seconds
+ * @param {object} options.schedule - From getSchedule()
+ * @param {boolean} options.justRan - A cycle just ran at a passed boundary (re-check later instead of now)
+ * @returns {Promise<{ at: number, reason: string } | null>} null once every milestone is unlocked
+ */
+export async function planNextCycle({ client, periodInterval, schedule, justRan }) {
+  const now = Date.now();
+  // Never re-check less often than once per period
+  const recheckMs = Math.min(schedule.recheckMs, periodInterval * 1000);
+
+  const milestone = await client.findCurrentMilestone();
+  if (milestone === 0) return null;
+
+  const boundary = ((await client.getLastGoodPeriod(milestone)) + periodInterval) * 1000;
+  if (boundary + schedule.marginMs > now) {
+    return { at: alignToBoundary(boundary, schedule), reason: `period boundary for milestone ${milestone}` };
+  }
+  if (justRan) {
+    return {
+      at: now + recheckMs + Math.floor(Math.random() * schedule.jitterMs),
+      reason: `milestone ${milestone} boundary passed, re-checking`,
+    };
+  }
+  return { at: now, reason: `milestone ${milestone} boundary already passed` };
+}
+
+/**
+ * Wait for the first block with timestamp >= `timestamp`
+ * @param {ethers.Provider} provider
+ * @param {number} timestamp - Seconds
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {() => boolean} [options.cancelled] - Stop waiting early (shutdown)
+ * @returns {Promise<ethers.Block | null>} null on timeout or cancellation
+ */
+export async function waitForBlockTime(provider, timestamp, { timeoutMs = 120000, cancelled = () => false } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline && !cancelled()) {
+    const block = await provider.getBlock("latest");
+    if (block.timestamp >= timestamp) return block;
+    await new Promise((resolve) => setTimeout(resolve, BLOCK_POLL_MS));
+  }
+  return null;
+}
@@ -0,0 +1,129 @@
+// scripts/keeper/simulate.js
+// Simulate a keeper transaction against the latest block without signing or broadcasting
+//
+// Tries, in order:
+//   eth_simulateV1   - status, gas used and emitted logs (geth ≥ 1.14.9, Base/OP nodes, most providers)
+//   debug_traceCall  - callTracer with logs (archive/debug-enabled nodes)
+//   eth_call         - success/revert and estimateGas only; events unavailable
+//
+// The sender gets a large ETH balance through a state override, so an unfunded (or
+// placeholder) keeper address still simulates.
+
+import { ethers } from "ethers";
+
+const OVERRIDE_BALANCE = ethers.toQuantity(ethers.parseEther("1000"));
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+function decodeRevert(data, iface) {
+  if (!data || data === "0x") return null;
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+    } catch {
+      return data;
+    }
+  }
+  const parsed = iface.parseError(data);
+  return parsed ? `${parsed.name}(${parsed.args.join(", ")})` : data;
+}
+
+function decodeLogs(logs, contract) {
+  const target = contract.target.toLowerCase();
+  return logs
+    .filter((entry) => entry.address.toLowerCase() === target)
+    .map((entry) => contract.interface.parseLog({ topics: entry.topics, data: entry.data }))
+    .filter(Boolean)
+    .map((parsed) => ({
+      name: parsed.name,
+      args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]])),
+    }));
+}
+
+// callTracer nests logs under the call frame that emitted them
+function collectTraceLogs(frame, out = []) {
+  for (const entry of frame.logs || []) out.push(entry);
+  for (const child of frame.calls || []) collectTraceLogs(child, out);
+  return out;
+}
+
+async function viaSimulateV1(provider, tx, contract) {
+  const [block] = await provider.send("eth_simulateV1", [{
+    blockStateCalls: [{
+      stateOverrides: { [tx.from]: { balance: OVERRIDE_BALANCE } },
+      calls: [tx],
+    }],
+    validation: false,
+  }, "latest"]);
+  const call = block.calls[0];
+  const success = call.status === "0x1";
+  return {
+    source: "eth_simulateV1",
+    success,
+    gasUsed: BigInt(call.gasUsed),
+    revertReason: success ? null : decodeRevert(call.error?.data ?? call.returnData, contract.interface) ?? call.error?.message ?? "reverted",
+    events: success ? decodeLogs(call.logs || [], contract) : [],
+  };
+}
+
+async function viaTraceCall(provider, tx, contract) {
+  const trace = await provider.send("debug_traceCall", [tx, "latest", {
+    tracer: "callTracer",
+    tracerConfig: { withLog: true },
+    stateOverrides: { [tx.from]: { balance: OVERRIDE_BALANCE } },
+  }]);
+  const success = !trace.error;
+  return {
+    source: "debug_traceCall",
+    success,
+    gasUsed: BigInt(trace.gasUsed),
+    revertReason: success ? null : trace.revertReason ?? decodeRevert(trace.output, contract.interface) ?? trace.error,
+    events: success ? decodeLogs(collectTraceLogs(trace), contract) : [],
+  };
+}
+
+async function viaCall(provider, tx, contract) {
+  try {
+    await provider.call(tx);
+    const gasUsed = await provider.estimateGas(tx);
+    return { source: "eth_call", success: true, gasUsed, revertReason: null, events: null };
+  } catch (e) {
+    if (e.code !== "CALL_EXCEPTION") throw e;
+    return {
+      source: "eth_call",
+      success: false,
+      gasUsed: null,
+      revertReason: e.reason ?? decodeRevert(e.data, contract.interface) ?? e.shortMessage,
+      events: null,
+    };
+  }
+}
+
+/**
+ * Simulate contract[method](...args) sent from `from` at the latest block
+ * @param {object} options
+ * @param {ethers.Contract} options.contract
+ * @param {string} options.method
+ * @param {Array} options.args
+ * @param {string} options.from - Keeper address
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{ source: string, success: boolean, gasUsed: bigint|null, revertReason: string|null,
+ *   events: Array<{ name: string, args: object }>|null }>} `events` is null when the node cannot return logs
+ */
+export async function simulateTransaction({ contract, method, args, from, log = () => {} }) {
+  const provider = contract.runner.provider;
+  const tx = {
+    from,
+    to: contract.target,
+    data: contract.interface.encodeFunctionData(method, args),
+  };
+
+  for (const [name, simulate] of [["eth_simulateV1", viaSimulateV1], ["debug_traceCall", viaTraceCall]]) {
+    try {
+      return await simulate(provider, tx, contract);
+    } catch (e) {
+      // Method not supported or disabled on this node: try the next one
+      log(`  ${name} unavailable (${e.shortMessage || e.message})`);
+    }
+  }
+  return viaCall(provider, tx, contract);
+}
@@ -0,0 +1,70 @@
+// scripts/keeper/sla-report.js
+// Build the keeper SLA report on demand (the running keeper writes one every UTC midnight)
+//
+// Usage:
+//   node scripts/keeper/sla-report.js [network] [--date YYYY-MM-DD] [--days N]
+//   node scripts/keeper/sla-report.js --config scripts/keeper/vaults.json [--vault name]
+//
+// Writes sla-<vault>-<day>.json / .md to KEEPER_REPORT_DIR (default scripts/keeper/reports)
+// and prints the Markdown. --date defaults to yesterday (UTC); --days reports N days ending there.
+
+import { ethers } from "ethers";
+import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
+import { getProvider } from "../shared/provider.js";
+import { loadVaults } from "./vaults.js";
+import { getStatePath, openStateStore } from "./state.js";
+import { buildSlaReport, writeSlaReport, renderMarkdown } from "./sla.js";
+import "dotenv/config";
+
+const DAY = 24 * 60 * 60;
+
+function getArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const network = process.argv[2] && !process.argv[2].startsWith("--") ? process.argv[2] : "mainnet";
+  const configPath = getArg("--config") || process.env.KEEPER_CONFIG;
+  const only = getArg("--vault");
+  const days = parseInt(getArg("--days") || "1", 10);
+
+  const date = getArg("--date");
+  const lastDay = date
+    ? Date.parse(`${date}T00:00:00Z`) / 1000
+    : Math.floor(Date.now() / 1000 / DAY) * DAY - DAY;
+  if (Number.isNaN(lastDay)) {
+    throw new Error(`Invalid --date: ${date} (use YYYY-MM-DD)`);
+  }
+
+  const vaults = loadVaults({ configPath, network }).filter((v) => v.type === "vault" && (!only || v.name === only));
+  if (vaults.length === 0) {
+    throw new Error(only ? `No FAIRVault named "${only}" in the config` : "No FAIRVault to report on");
+  }
+
+  const abi = loadArtifact(CONTRACTS.FAIR_VAULT).abi;
+  for (const def of vaults) {
+    const provider = getProvider(def.network);
+    const fair = new ethers.Contract(def.address, abi, provider);
+    const store = openStateStore(getStatePath(def.name, def.stateFile));
+
+    for (let day = lastDay - (days - 1) * DAY; day <= lastDay; day += DAY) {
+      const report = await buildSlaReport({
+        fair,
+        store,
+        from: day,
+        to: day + DAY,
+        labels: { vault: def.name, network: def.network },
+      });
+      const files = writeSlaReport(report);
+      console.log(renderMarkdown(report));
+      console.log(`Saved: ${files.json}\n       ${files.markdown}\n`);
+    }
+    provider.destroy();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
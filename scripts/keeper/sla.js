@@ -0,0 +1,267 @@
+// scripts/keeper/sla.js
+// Missed-period detection and daily SLA report
+//
+// Every PERIOD_INTERVAL the price spends above target without a GoodPeriodRecorded delays the
+// unlock. For each gap between consecutive GoodPeriodRecorded timestamps, each missed period slot
+// is classified as:
+//   price-below-target  - nothing to record (not the keeper's fault)
+//   oracle-failed       - getPrice() reverted: tryUnlock() soft-stops without recording
+//   keeper-down         - price was above target but no good period was recorded
+//   unknown             - no keeper cycle in the slot and the node cannot serve historical calls
+//
+// Evidence comes from the keeper's own cycle history (state file) first, then from calling the
+// oracle at a block inside the slot (needs an archive-capable RPC).
+//
+// ENV:
+//   KEEPER_REPORT_DIR=scripts/keeper/reports
+
+import { ethers } from "ethers";
+import { REASON } from "./decision.js";
+import { FairVaultClient, ORACLE_READ_ABI } from "../shared/fair-vault-client.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import "dotenv/config";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPORT_DIR = process.env.KEEPER_REPORT_DIR || path.join(__dirname, "reports");
+
+export const CAUSE = {
+  PRICE_BELOW_TARGET: "price-below-target",
+  ORACLE_FAILED: "oracle-failed",
+  KEEPER_DOWN: "keeper-down",
+  UNKNOWN: "unknown",
+};
+
+const DAY = 24 * 60 * 60;
+const MAX_BLOCK_RANGE = 2000;
+/**
+ * Latest block at or before a timestamp (binary search)
+ * @param {ethers.Provider} provider
+ * @param {number} timestamp - Seconds
+ */
+export async function findBlockByTime(provider, timestamp) {
+  let high = await provider.getBlockNumber();
+  const head = await provider.getBlock(high);
+  if (head.timestamp <= timestamp) return high;
+  let low = 0;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Missed period slots between consecutive good periods
+ * @param {number[]} recorded - GoodPeriodRecorded timestamps, ascending
+ * @param {number} from - Window start (seconds)
+ * @param {number} to - Window end (seconds)
+ * @param {number} interval - PERIOD_INTERVAL (seconds)
+ * @param {number|null} anchor - Last good period before the window, if known
+ * @returns {Array<{ from: number, to: number }>} Slots [from, to) that passed without a good period.
+ *   A slot belongs to the window it ends in, so consecutive daily reports never count it twice.
+ */
+export function findMissedSlots(recorded, from, to, interval, anchor) {
+  const slots = [];
+  let previous = anchor ?? from - interval;
+  for (const next of [...recorded, to]) {
+    // An ideal keeper records at previous + interval, previous + 2×interval, ... until `next`
+    for (let at = previous + interval; at + interval <= next; at += interval) {
+      if (at + interval > from) slots.push({ from: at, to: at + interval });
+    }
+    previous = next;
+  }
+  return slots;
+}
+
+function causeFromCycles(cycles) {
+  if (cycles.length === 0) return null;
+  const reasons = cycles.map((c) => c.reason);
+  if (reasons.includes(REASON.PRICE_BELOW_TARGET)) return CAUSE.PRICE_BELOW_TARGET;
+  if (reasons.includes(REASON.ORACLE_PRICE_ZERO) || reasons.includes(REASON.STATUS_UNAVAILABLE)) return CAUSE.ORACLE_FAILED;
+  // The keeper ran but did not record: it errored or its tx failed
+  return CAUSE.KEEPER_DOWN;
+}
+
+async function causeFromOracle(oracle, blockTag, target) {
+  let price;
+  try {
+    price = await oracle.getPrice({ blockTag });
+  } catch (e) {
+    if (e.code === "CALL_EXCEPTION") return CAUSE.ORACLE_FAILED;
+    // Pruned node: historical state unavailable
+    return CAUSE.UNKNOWN;
+  }
+  return price < target ? CAUSE.PRICE_BELOW_TARGET : CAUSE.KEEPER_DOWN;
+}
+
+/**
+ * Build the SLA report for one vault over a window (default: the previous UTC day)
+ * @param {object} options
+ * @param {ethers.Contract} options.fair - FAIRVault contract
+ * @param {object} [options.store] - Keeper state store (cycle history)
+ * @param {number} [options.from] - Window start (seconds)
+ * @param {number} [options.to] - Window end (seconds)
+ * @param {object} [options.labels] - Extra fields for the report (vault name, network)
+ */
+export async function buildSlaReport({ fair, store, from, to, labels = {} }) {
+  const provider = fair.runner.provider;
+  if (from === undefined) {
+    const today = Math.floor(Date.now() / 1000 / DAY) * DAY;
+    from = today - DAY;
+    to = today;
+  }
+  to = Math.min(to, (await provider.getBlock("latest")).timestamp);
+
+  const client = FairVaultClient.from(fair, { type: "vault" });
+  const { periodInterval: interval } = await client.getConstants();
+  const vaultAddr = await fair.getAddress();
+  const oracle = new ethers.Contract((await client.getOracle()).address, ORACLE_READ_ABI, provider);
+
+  // Lookback finds the good period the window starts from
+  const fromBlock = await findBlockByTime(provider, from - Math.max(interval, DAY));
+  const toBlock = await findBlockByTime(provider, to);
+  const topic = fair.interface.getEvent("GoodPeriodRecorded").topicHash;
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+    const logs = await provider.getLogs({ address: vaultAddr, topics: [topic], fromBlock: start, toBlock: Math.min(toBlock, start + MAX_BLOCK_RANGE - 1) });
+    for (const entry of logs) {
+      const { args } = fair.interface.parseLog(entry);
+      events.push({ milestone: Number(args.milestoneId), timestamp: Number(args.timestamp), price: args.price });
+    }
+  }
+
+  const before = events.filter((e) => e.timestamp < from);
+  const inWindow = events.filter((e) => e.timestamp >= from && e.timestamp < to);
+  const anchor = before.length > 0 ? before[before.length - 1].timestamp : null;
+  const slots = findMissedSlots(inWindow.map((e) => e.timestamp), from, to, interval, anchor);
+
+  // Mid-slot blocks are interpolated (Base produces blocks at a fixed 2s cadence), not searched
+  const [first, last] = await Promise.all([provider.getBlock(fromBlock), provider.getBlock(toBlock)]);
+  const blockAt = (timestamp) => fromBlock + Math.round(
+    ((timestamp - first.timestamp) * (toBlock - fromBlock)) / Math.max(1, last.timestamp - first.timestamp)
+  );
+
+  const cycles = store?.data.cycles ?? [];
+  const targets = new Map();
+  let currentMilestone = null;
+
+  const missed = [];
+  for (const slot of slots) {
+    // The milestone being worked on is the one of the next good period after the slot
+    const next = events.find((e) => e.timestamp >= slot.to);
+    let milestone = next?.milestone;
+    if (milestone === undefined) {
+      currentMilestone ??= await client.findCurrentMilestone();
+      milestone = currentMilestone;
+    }
+    if (!milestone) continue;
+    if (!targets.has(milestone)) {
+      targets.set(milestone, (await client.getMilestoneStatus(milestone)).priceTarget);
+    }
+
+    const slotCycles = cycles.filter((c) => {
+      const at = Date.parse(c.startedAt) / 1000;
+      return at >= slot.from && at < slot.to;
+    });
+    let cause = causeFromCycles(slotCycles);
+    if (!cause) {
+      cause = await causeFromOracle(oracle, blockAt((slot.from + slot.to) / 2), targets.get(milestone));
+    }
+    missed.push({ ...slot, milestone, cause, keeperCycles: slotCycles.length });
+  }
+
+  const seconds = (cause) => missed.filter((m) => m.cause === cause).reduce((sum, m) => sum + (m.to - m.from), 0);
+  const count = (cause) => missed.filter((m) => m.cause === cause).length;
+  const keeperDown = count(CAUSE.KEEPER_DOWN);
+  const recordable = inWindow.length + keeperDown;
+
+  return {
+    ...labels,
+    vaultAddress: vaultAddr,
+    window: { from: new Date(from * 1000).toISOString(), to: new Date(to * 1000).toISOString() },
+    periodInterval: interval,
+    goodPeriodsRecorded: inWindow.length,
+    missedPeriods: {
+      [CAUSE.PRICE_BELOW_TARGET]: count(CAUSE.PRICE_BELOW_TARGET),
+      [CAUSE.ORACLE_FAILED]: count(CAUSE.ORACLE_FAILED),
+      [CAUSE.KEEPER_DOWN]: keeperDown,
+      [CAUSE.UNKNOWN]: count(CAUSE.UNKNOWN),
+    },
+    hoursLost: {
+      [CAUSE.KEEPER_DOWN]: seconds(CAUSE.KEEPER_DOWN) / 3600,
+      [CAUSE.ORACLE_FAILED]: seconds(CAUSE.ORACLE_FAILED) / 3600,
+      [CAUSE.UNKNOWN]: seconds(CAUSE.UNKNOWN) / 3600,
+    },
+    // Share of periods the keeper could have recorded that it did record
+    slaPercent: recordable === 0 ? 100 : Math.round((inWindow.length / recordable) * 10000) / 100,
+    missed: missed.map((m) => ({
+      from: new Date(m.from * 1000).toISOString(),
+      to: new Date(m.to * 1000).toISOString(),
+      milestone: m.milestone,
+      cause: m.cause,
+      keeperCycles: m.keeperCycles,
+    })),
+  };
+}
+
+/**
+ * Markdown rendering of a report from buildSlaReport()
+ */
+export function renderMarkdown(report) {
+  const day = report.window.from.slice(0, 10);
+  const lines = [
+    `# Keeper SLA — ${report.vault ?? report.vaultAddress} — ${day}`,
+    "",
+    `Window: ${report.window.from} → ${report.window.to}  `,
+    `Vault: \`${report.vaultAddress}\`${report.network ? ` (${report.network})` : ""}  `,
+    `PERIOD_INTERVAL: ${report.periodInterval}s`,
+    "",
+    "| | Periods | Hours |",
+    "|---|---:|---:|",
+    `| Good periods recorded | ${report.goodPeriodsRecorded} | |`,
+    `| Missed — keeper down | ${report.missedPeriods[CAUSE.KEEPER_DOWN]} | ${report.hoursLost[CAUSE.KEEPER_DOWN].toFixed(2)} |`,
+    `| Missed — oracle failed | ${report.missedPeriods[CAUSE.ORACLE_FAILED]} | ${report.hoursLost[CAUSE.ORACLE_FAILED].toFixed(2)} |`,
+    `| Missed — unknown (no archive data) | ${report.missedPeriods[CAUSE.UNKNOWN]} | ${report.hoursLost[CAUSE.UNKNOWN].toFixed(2)} |`,
+    `| Price below target | ${report.missedPeriods[CAUSE.PRICE_BELOW_TARGET]} | |`,
+    "",
+    `**Keeper SLA: ${report.slaPercent}%** — ${report.hoursLost[CAUSE.KEEPER_DOWN].toFixed(2)} hour(s) lost to keeper downtime`,
+  ];
+
+  const incidents = report.missed.filter((m) => m.cause !== CAUSE.PRICE_BELOW_TARGET);
+  if (incidents.length > 0) {
+    lines.push("", "## Missed periods", "", "| From | To | Milestone | Cause | Keeper cycles |", "|---|---|---:|---|---:|");
+    for (const m of incidents) {
+      lines.push(`| ${m.from} | ${m.to} | ${m.milestone} | ${m.cause} | ${m.keeperCycles} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write <dir>/sla-<vault>-<day>.json and .md
+ * @returns {{ json: string, markdown: string }} File paths
+ */
+export function writeSlaReport(report, dir = REPORT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `sla-${report.vault ?? report.vaultAddress}-${report.window.from.slice(0, 10)}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.md`, renderMarkdown(report));
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+/**
+ * Milliseconds until the next UTC midnight (plus a small delay so the day's last block exists)
+ */
+export function msUntilNextReport(now = Date.now(), delayMs = 5 * 60 * 1000) {
+  const next = (Math.floor(now / 1000 / DAY) + 1) * DAY * 1000 + delayMs;
+  return next - now;
+}
@@ -0,0 +1,181 @@
+// scripts/keeper/state.js
+// Persistent keeper state (survives restarts)
+//
+// Stored as a small JSON file so a restarted keeper knows:
+//   - the last transaction it sent and whether it is still in flight
+//   - the last good period it observed on-chain
+//   - a bounded history of per-cycle results
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const STATE_DIR = path.join(__dirname, "state");
+
+const STATE_VERSION = 1;
+const MAX_CYCLES = 500;
+
+// How long startup reconciliation waits for a still-pending tx before giving up for this cycle
+const RECONCILE_WAIT_MS = 2 * 60 * 1000;
+
+function emptyState() {
+  return {
+    version: STATE_VERSION,
+    inFlight: null,
+    lastGoodPeriod: null,
+    lastTx: null,
+    cycles: [],
+  };
+}
+
+/**
+ * State file for a vault
+ * @param {string} name - Vault name (the network name when watching a single vault)
+ * @param {string} [file] - Explicit path (KEEPER_STATE_FILE or the vault's stateFile)
+ */
+export function getStatePath(name, file) {
+  if (file) {
+    return path.resolve(file);
+  }
+  return path.join(process.env.KEEPER_STATE_DIR || STATE_DIR, `keeper-${name}.json`);
+}
+
+/**
+ * Open (or create) the state store at the given path
+ * @param {string} file - Path to the JSON state file
+ */
+export function openStateStore(file) {
+  let data = emptyState();
+
+  if (fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      data = { ...emptyState(), ...parsed };
+    } catch (e) {
+      // Keep the unreadable file for inspection and start fresh
+      const corruptPath = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, corruptPath);
+      console.warn(`Keeper state unreadable (${e.message}), moved to ${corruptPath}`);
+    }
+  }
+
+  return { file, data };
+}
+
+/**
+ * Write state atomically (temp file + rename) so a crash never leaves a half-written file
+ * @param {{file: string, data: object}} store
+ */
+export function saveState(store) {
+  fs.mkdirSync(path.dirname(store.file), { recursive: true });
+  const tmpPath = `${store.file}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(store.data, null, 2));
+  fs.renameSync(tmpPath, store.file);
+}
+
+/**
+ * Append a cycle result and persist
+ * @param {object} store
+ * @param {object} cycle - { milestone, goodPeriodsBefore, goodPeriodsAfter, txHash, nonce, outcome, ... }
+ */
+export function recordCycle(store, cycle) {
+  store.data.cycles.push({ ...cycle, finishedAt: new Date().toISOString() });
+  if (store.data.cycles.length > MAX_CYCLES) {
+    store.data.cycles = store.data.cycles.slice(-MAX_CYCLES);
+  }
+
+  if (cycle.goodPeriodsAfter !== undefined && cycle.goodPeriodsAfter !== null) {
+    const previous = store.data.lastGoodPeriod;
+    if (!previous || previous.milestone !== cycle.milestone || previous.goodPeriods !== cycle.goodPeriodsAfter) {
+      store.data.lastGoodPeriod = {
+        milestone: cycle.milestone,
+        goodPeriods: cycle.goodPeriodsAfter,
+        observedAt: new Date().toISOString(),
+      };
+    }
+  }
+
+  saveState(store);
+}
+
+/**
+ * Record a broadcast transaction before waiting on it
+ * @param {object} store
+ * @param {{hash: string, nonce: number, from: string, action: string, milestone: number}} tx
+ */
+export function markInFlight(store, tx) {
+  store.data.inFlight = { ...tx, sentAt: new Date().toISOString() };
+  saveState(store);
+}
+
+/**
+ * Clear the in-flight transaction once its outcome is known
+ * @param {object} store
+ * @param {string} outcome - 'confirmed', 'reverted', 'replaced', or 'dropped'
+ * @param {object} [extra] - Additional fields (blockNumber, gasUsed, ...)
+ */
+export function clearInFlight(store, outcome, extra = {}) {
+  if (!store.data.inFlight) return;
+  store.data.lastTx = {
+    ...store.data.inFlight,
+    ...extra,
+    outcome,
+    resolvedAt: new Date().toISOString(),
+  };
+  store.data.inFlight = null;
+  saveState(store);
+}
+
+/**
+ * Reconcile a transaction left in flight by a previous run against the chain.
+ * Must be called before sending anything new so we never double-send on the same nonce.
+ *
+ * @param {object} store
+ * @param {ethers.Provider} provider
+ * @param {(message: string) => void} log
+ * @returns {Promise<string>} 'none', 'confirmed', 'reverted', 'replaced', 'dropped', or 'pending'
+ */
+export async function reconcileInFlight(store, provider, log, waitMs = RECONCILE_WAIT_MS) {
+  const inFlight = store.data.inFlight;
+  if (!inFlight) return "none";
+
+  log(`Reconciling in-flight ${inFlight.action}(${inFlight.milestone}) tx ${inFlight.hash} (nonce ${inFlight.nonce})...`);
+
+  let receipt = await provider.getTransactionReceipt(inFlight.hash);
+
+  if (!receipt) {
+    const latestNonce = await provider.getTransactionCount(inFlight.from, "latest");
+    if (latestNonce > inFlight.nonce) {
+      // Nonce was consumed by a different tx (replacement or manual send)
+      log(`  Nonce ${inFlight.nonce} already used by another transaction — marking as replaced`);
+      clearInFlight(store, "replaced");
+      return "replaced";
+    }
+
+    const pendingTx = await provider.getTransaction(inFlight.hash);
+    if (!pendingTx) {
+      log(`  Transaction no longer known to the node and nonce unused — marking as dropped`);
+      clearInFlight(store, "dropped");
+      return "dropped";
+    }
+
+    log(`  Still pending, waiting up to ${waitMs / 1000}s for confirmation...`);
+    try {
+      receipt = await provider.waitForTransaction(inFlight.hash, 1, waitMs);
+    } catch (e) {
+      log(`  Still unconfirmed: ${e.message}`);
+      return "pending";
+    }
+    if (!receipt) return "pending";
+  }
+
+  const outcome = receipt.status === 1 ? "confirmed" : "reverted";
+  log(`  ${outcome === "confirmed" ? "✅" : "❌"} ${outcome} in block ${receipt.blockNumber}`);
+  clearInFlight(store, outcome, {
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+  });
+  return outcome;
+}
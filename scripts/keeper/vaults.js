@@ -0,0 +1,181 @@
+// scripts/keeper/vaults.js
+// Which vaults the keeper watches
+//
+// Without a config file the keeper watches one vault, resolved from VAULT_ADDRESS / FAIR_ADDRESS
+// or the deployment registry (shared/deployments.js). With --config <file> (or KEEPER_CONFIG) it watches every
+// vault listed there, each with its own schedule, state file, log and metric labels:
+//
+// {
+//   "vaults": [
+//     { "name": "mainnet", "network": "mainnet", "address": "0x...", "type": "vault", "signer": "KEEPER_PRIVATE_KEY" },
+//     { "name": "test-mode", "network": "mainnet", "address": "0x...", "type": "vault", "profile": "test-mode", "signer": "TEST_KEEPER_PRIVATE_KEY", "events": true }
+//   ]
+// }
+//
+// Fields:
+//   name        Label for logs, metrics, alerts and the state file (unique)
+//   network     'local', 'testnet', or 'mainnet'
+//   address     Contract address
+//   type        'vault' (FAIRVault, default) or 'fair' (FAIR / FAIRTestnet token contract)
+//   signer      Env var holding the private key, or a signer backend (default: KEEPER_SIGNER_BACKEND etc.):
+//                 { "backend": "key", "keyEnv": "TEST_KEEPER_PRIVATE_KEY" }
+//                 { "backend": "keystore", "keystore": "./keeper.json", "passwordEnv": "KEEPER_KEYSTORE_PASSWORD" }
+//                 { "backend": "remote", "url": "http://127.0.0.1:8550", "address": "0x..." }
+//   events      Event-driven scheduling for this vault (default: the --events flag)
+//   intervalMs  Polling interval override (default: contract PERIOD_INTERVAL)
+//   profile     Config profile the contract constants are checked against at startup
+//               (default: the network; 'test-mode' for a test-mode FAIRVault). CONFIG_PROFILE and
+//               VAULT_* only choose the profile of the single vault watched without a config file.
+//   stateFile   State file override
+
+import { ethers } from "ethers";
+import { NETWORKS, PROFILES } from "../shared/config.js";
+import { getSignerConfig } from "../shared/provider.js";
+import { resolveVault } from "../shared/deployments.js";
+import fs from "fs";
+import path from "path";
+import "dotenv/config";
+
+const CONTRACT_TYPES = ["vault", "fair"];
+const SIGNER_BACKENDS = ["key", "keystore", "remote"];
+
+/**
+ * Resolve the single vault for a network from VAULT_ADDRESS / FAIR_ADDRESS or the deployment registry
+ * @param {string} network - 'local', 'testnet', or 'mainnet'
+ */
+export function getContractAddress(network) {
+  const { address, type } = resolveVault(network);
+  return { address, type };
+}
+
+function readEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`${name} not set in .env`);
+  }
+  return process.env[name];
+}
+
+/**
+ * Signer config (for getSigner() in shared/provider.js) for a vault's `signer` field
+ * @param {string|object} [signer] - Env var holding a private key, or a backend object
+ */
+export function getVaultSignerConfig(signer) {
+  if (!signer) {
+    const config = getSignerConfig("KEEPER_");
+    if (config.backend === "key" && !config.privateKey) {
+      throw new Error("KEEPER_PRIVATE_KEY or PRIVATE_KEY not set in .env (or set KEEPER_SIGNER_BACKEND)");
+    }
+    return config;
+  }
+  if (typeof signer === "string") {
+    return { backend: "key", privateKey: readEnv(signer) };
+  }
+  return {
+    backend: signer.backend,
+    privateKey: signer.keyEnv ? readEnv(signer.keyEnv) : undefined,
+    keystore: signer.keystore,
+    password: signer.passwordEnv ? readEnv(signer.passwordEnv) : undefined,
+    url: signer.url,
+    address: signer.address,
+  };
+}
+
+function validateSigner(signer, where) {
+  if (signer === undefined || typeof signer === "string") return;
+  if (typeof signer !== "object" || !SIGNER_BACKENDS.includes(signer.backend)) {
+    throw new Error(`${where}: "signer" must be an env var name or { "backend": ${SIGNER_BACKENDS.map((b) => `"${b}"`).join(" | ")}, ... }`);
+  }
+  const required = { key: "keyEnv", keystore: "keystore", remote: "url" }[signer.backend];
+  if (!signer[required]) {
+    throw new Error(`${where}: "${signer.backend}" signer needs "${required}"`);
+  }
+  if (signer.address && !ethers.isAddress(signer.address)) {
+    throw new Error(`${where}: invalid signer address "${signer.address}"`);
+  }
+}
+
+function validateVault(vault, index) {
+  const where = `vaults[${index}]${vault.name ? ` (${vault.name})` : ""}`;
+  if (!vault.name || typeof vault.name !== "string") {
+    throw new Error(`${where}: "name" is required`);
+  }
+  if (!/^[A-Za-z0-9_.-]+$/.test(vault.name)) {
+    throw new Error(`${where}: "name" may only contain letters, digits, '.', '_' and '-'`);
+  }
+  if (!NETWORKS[vault.network]) {
+    throw new Error(`${where}: unknown network "${vault.network}". Use: local, testnet, or mainnet`);
+  }
+  if (!ethers.isAddress(vault.address)) {
+    throw new Error(`${where}: invalid address "${vault.address}"`);
+  }
+  if (!CONTRACT_TYPES.includes(vault.type)) {
+    throw new Error(`${where}: unknown type "${vault.type}". Use: ${CONTRACT_TYPES.join(" or ")}`);
+  }
+  if (vault.profile !== undefined) {
+    if (!PROFILES[vault.profile]) {
+      throw new Error(`${where}: unknown profile "${vault.profile}". Use: ${Object.keys(PROFILES).join(", ")}`);
+    }
+    if (PROFILES[vault.profile].contract !== vault.type) {
+      throw new Error(`${where}: profile "${vault.profile}" describes a "${PROFILES[vault.profile].contract}" contract, not "${vault.type}"`);
+    }
+  }
+  validateSigner(vault.signer, where);
+  if (vault.intervalMs !== undefined && !(Number.isInteger(vault.intervalMs) && vault.intervalMs > 0)) {
+    throw new Error(`${where}: "intervalMs" must be a positive integer`);
+  }
+}
+
+/**
+ * Vault definitions to watch
+ * @param {object} options
+ * @param {string} [options.configPath] - Multi-vault config file
+ * @param {string} options.network - Network for the single-vault default
+ * @returns {Array<{ name, network, address, type, profile, signer, events, intervalMs, stateFile }>}
+ */
+export function loadVaults({ configPath, network }) {
+  if (!configPath) {
+    const { address, type } = getContractAddress(network);
+    return [{
+      name: network,
+      network,
+      address,
+      type,
+      profile: undefined,
+      signer: undefined,
+      events: undefined,
+      intervalMs: undefined,
+      stateFile: process.env.KEEPER_STATE_FILE,
+    }];
+  }
+
+  const file = path.resolve(configPath);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Keeper config not found: ${file}`);
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Keeper config ${file} is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(parsed.vaults) || parsed.vaults.length === 0) {
+    throw new Error(`Keeper config ${file} must contain a non-empty "vaults" array`);
+  }
+
+  const vaults = parsed.vaults.map((entry, index) => {
+    const vault = { type: "vault", ...entry };
+    validateVault(vault, index);
+    // Process-wide env describes one deployment, not every vault of the file
+    return { ...vault, profile: vault.profile ?? vault.network };
+  });
+
+  const names = new Set();
+  for (const vault of vaults) {
+    if (names.has(vault.name)) {
+      throw new Error(`Keeper config ${file}: duplicate vault name "${vault.name}"`);
+    }
+    names.add(vault.name);
+  }
+
+  return vaults;
+}
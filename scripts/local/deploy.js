@@ -1,16 +1,13 @@
 // scripts/local/deploy.js
 // Deploy FAIR 10B to local Hardhat fork (FREE testing)
-// Usage: node scripts/local/deploy.js
+// Usage: node scripts/local/deploy.js [--deployment <name>]
+//
+// Addresses are recorded in deployments/local.json (default deployment "local")
 
 import { ethers } from "ethers";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getWalletAddresses, TOKENOMICS } from "../shared/config.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getWalletAddresses, PROFILES } from "../shared/config.js";
+import { saveDeployment, describeContract, getDeploymentName } from "../shared/deployments.js";
 
 // Helper to get fresh wallet with correct nonce
 function getLocalWallet() {
@@ -49,14 +46,15 @@ async function main() {
   const fairArtifact = loadArtifact(CONTRACTS.FAIR_TESTNET);
   const fairFactory = new ethers.ContractFactory(fairArtifact.abi, fairArtifact.bytecode, wallet);
 
-  const fairDeployTx = await fairFactory.deploy(
+  const fairArgs = [
     wallet.address,
     wallets.treasury,
     wallets.liquidity,
     wallets.growth,
     wallets.team,
-    Math.floor(Date.now() / 1000)
-  );
+    Math.floor(Date.now() / 1000),
+  ];
+  const fairDeployTx = await fairFactory.deploy(...fairArgs);
   
   const fairReceipt = await fairDeployTx.deploymentTransaction().wait();
   deployments.fair = await fairDeployTx.getAddress();
@@ -91,7 +89,7 @@ async function main() {
   // 4. Set initial price
   console.log("Step 4: Setting initial price...");
   const oracle = new ethers.Contract(deployments.oracle, oracleArtifact.abi, wallet);
-  const priceTx = await oracle.setPrice(TOKENOMICS.START_PRICE);
+  const priceTx = await oracle.setPrice(PROFILES.local.constants.startPrice);
   await priceTx.wait();
   
   // Get fresh wallet for read
@@ -109,13 +107,14 @@ async function main() {
   console.log(`  Contract Balance (locked): ${ethers.formatEther(contractBalance)} FAIR\n`);
 
   // Save deployment info
-  const envPath = path.join(__dirname, ".env.local");
-  const envContent = `# Local Deployment - ${new Date().toISOString()}
-FAIR_ADDRESS=${deployments.fair}
-ORACLE_ADDRESS=${deployments.oracle}
-`;
-  fs.writeFileSync(envPath, envContent);
-  console.log(`✅ Saved to scripts/local/.env.local\n`);
+  const deploymentName = getDeploymentName() || "local";
+  const registryPath = saveDeployment("local", deploymentName, {
+    contracts: {
+      fair: await describeContract(fairDeployTx, { name: CONTRACTS.FAIR_TESTNET, args: fairArgs, artifact: fairArtifact }),
+      oracle: await describeContract(oracleDeployTx, { name: CONTRACTS.MOCK_ORACLE, args: [], artifact: oracleArtifact }),
+    },
+  }, { makeDefault: true });
+  console.log(`✅ Saved as "${deploymentName}" in ${registryPath}\n`);
 
   // Summary
   console.log("=".repeat(70));
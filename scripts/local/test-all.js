@@ -5,12 +5,8 @@
 
 import { ethers } from "ethers";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { FairVaultClient } from "../shared/fair-vault-client.js";
+import { findDeployment } from "../shared/deployments.js";
 
 const RPC_URL = "http://localhost:8545";
 const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
@@ -28,18 +24,11 @@ async function getFreshWallet() {
 }
 
 function loadAddresses() {
-  const envPath = path.join(__dirname, ".env.local");
-  const addresses = {};
-  if (fs.existsSync(envPath)) {
-    const env = fs.readFileSync(envPath, "utf8");
-    env.split("\n").forEach(line => {
-      const [key, value] = line.split("=");
-      if (key && value && !key.startsWith("#")) {
-        addresses[key.trim()] = value.trim();
-      }
-    });
-  }
-  return addresses;
+  const deployment = findDeployment("local");
+  return {
+    FAIR_ADDRESS: deployment?.contracts.fair?.address,
+    ORACLE_ADDRESS: deployment?.contracts.oracle?.address,
+  };
 }
 
 // Send transaction with explicit nonce handling
@@ -81,12 +70,15 @@ async function unlockMilestone(milestoneId, addresses, fairArtifact, oracleArtif
   
   const fair = new ethers.Contract(addresses.FAIR_ADDRESS, fairArtifact.abi, wallet);
   const oracle = new ethers.Contract(addresses.ORACLE_ADDRESS, oracleArtifact.abi, wallet);
+  const client = FairVaultClient.from(fair, { type: "fair" });
 
   // Get milestone info
-  const status = await fair.getMilestoneStatus(milestoneId);
-  const WAIT_RULE = await fair.WAIT_RULE();
-  const REQUIRED_GOOD_PERIODS = await fair.REQUIRED_GOOD_PERIODS();
-  const PERIOD_INTERVAL = await fair.PERIOD_INTERVAL();
+  const status = await client.getMilestoneStatus(milestoneId);
+  const {
+    waitRule: WAIT_RULE,
+    requiredGoodPeriods: REQUIRED_GOOD_PERIODS,
+    periodInterval: PERIOD_INTERVAL,
+  } = await client.getConstants();
 
   const priceTarget = Number(status.priceTarget);
   console.log(`  Price Target: ${priceTarget} ($${(priceTarget / 1e9).toFixed(6)})`);
@@ -101,12 +93,12 @@ async function unlockMilestone(milestoneId, addresses, fairArtifact, oracleArtif
   }
 
   // Step 2: Fast forward past cooldown
-  const lastUnlockTime = Number(await fair.lastUnlockTime());
+  const { lastUnlockTime } = await client.getCooldown(milestoneId);
   const currentBlock = await provider.getBlock("latest");
   const timeSinceUnlock = currentBlock.timestamp - lastUnlockTime;
   
-  if (timeSinceUnlock < Number(WAIT_RULE)) {
-    const needed = Number(WAIT_RULE) - timeSinceUnlock + 60; // Extra buffer
+  if (timeSinceUnlock < WAIT_RULE) {
+    const needed = WAIT_RULE - timeSinceUnlock + 60; // Extra buffer
     await provider.send("evm_increaseTime", [needed]);
     await provider.send("evm_mine", []);
     console.log(`  Fast-forwarded ${needed}s for cooldown`);
@@ -114,12 +106,12 @@ async function unlockMilestone(milestoneId, addresses, fairArtifact, oracleArtif
   }
 
   // Step 3: Accumulate good periods
-  const requiredPeriods = Number(REQUIRED_GOOD_PERIODS);
+  const requiredPeriods = REQUIRED_GOOD_PERIODS;
   console.log(`  Accumulating ${requiredPeriods} good periods...`);
   
   for (let i = 0; i < requiredPeriods; i++) {
     // Advance time for this period
-    await provider.send("evm_increaseTime", [Number(PERIOD_INTERVAL) + 1]);
+    await provider.send("evm_increaseTime", [PERIOD_INTERVAL + 1]);
     await provider.send("evm_mine", []);
     await sleep(150); // Critical: let node settle
     
@@ -135,15 +127,16 @@ async function unlockMilestone(milestoneId, addresses, fairArtifact, oracleArtif
   console.log(""); // Newline after dots
 
   // Step 4: One more time advance + final unlock
-  await provider.send("evm_increaseTime", [Number(PERIOD_INTERVAL) + 1]);
+  await provider.send("evm_increaseTime", [PERIOD_INTERVAL + 1]);
   await provider.send("evm_mine", []);
   await sleep(200);
 
   // Verify status before final attempt
   const { wallet: finalWallet } = await getFreshWallet();
   const finalFair = new ethers.Contract(addresses.FAIR_ADDRESS, fairArtifact.abi, finalWallet);
+  const finalClient = FairVaultClient.from(finalFair, { type: "fair" });
   
-  const finalStatus = await finalFair.getMilestoneStatus(milestoneId);
+  const finalStatus = await finalClient.getMilestoneStatus(milestoneId);
   console.log(`  Good periods: ${finalStatus.goodPeriods}/${requiredPeriods}`);
   
   // Check if already unlocked from the loop
@@ -156,7 +149,7 @@ async function unlockMilestone(milestoneId, addresses, fairArtifact, oracleArtif
   try {
     await sendTx(finalFair, "tryUnlock", [milestoneId], 500000);
     
-    const checkStatus = await finalFair.getMilestoneStatus(milestoneId);
+    const checkStatus = await finalClient.getMilestoneStatus(milestoneId);
     if (checkStatus.unlocked) {
       console.log(`  ✅ Milestone ${milestoneId} UNLOCKED!`);
       return true;
@@ -198,14 +191,7 @@ async function main() {
     const fair = new ethers.Contract(addresses.FAIR_ADDRESS, fairArtifact.abi, wallet);
     
     // Find next milestone to unlock
-    let nextMilestone = 0;
-    for (let m = 1; m <= 18; m++) {
-      const isUnlocked = await fair.milestoneUnlocked(m);
-      if (!isUnlocked) {
-        nextMilestone = m;
-        break;
-      }
-    }
+    const nextMilestone = await FairVaultClient.from(fair, { type: "fair" }).findCurrentMilestone();
     
     if (nextMilestone === 0) {
       console.log("\n🎉 All 18 milestones unlocked!");
@@ -7,6 +7,7 @@
 
 import { ethers } from "ethers";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
+import { FairVaultClient } from "../shared/fair-vault-client.js";
 
 const RPC_URL = "http://localhost:8545";
 // Hardhat default accounts
@@ -100,9 +101,12 @@ async function main() {
   console.log("Oracle set on FAIR contract");
 
   // Get constants
-  const WAIT_RULE = Number(await fair.WAIT_RULE());
-  const PERIOD_INTERVAL = Number(await fair.PERIOD_INTERVAL());
-  const REQUIRED_GOOD_PERIODS = Number(await fair.REQUIRED_GOOD_PERIODS());
+  const client = FairVaultClient.from(fair, { type: "fair" });
+  const {
+    waitRule: WAIT_RULE,
+    periodInterval: PERIOD_INTERVAL,
+    requiredGoodPeriods: REQUIRED_GOOD_PERIODS,
+  } = await client.getConstants();
   
   console.log(`\nContract Parameters:`);
   console.log(`  Wait Rule: ${WAIT_RULE} seconds`);
@@ -117,7 +121,7 @@ async function main() {
     console.log(`📍 Unlocking Milestone ${m}`);
     console.log(`${"─".repeat(50)}`);
     
-    const status = await fair.getMilestoneStatus(m);
+    const status = await client.getMilestoneStatus(m);
     const priceTarget = Number(status.priceTarget);
     console.log(`  Price Target: ${priceTarget} ($${(priceTarget / 1e9).toFixed(6)})`);
     
@@ -138,7 +142,7 @@ async function main() {
     console.log(`  Accumulating ${REQUIRED_GOOD_PERIODS} good periods...`);
     for (let i = 0; i < REQUIRED_GOOD_PERIODS + 2; i++) {  // +2 extra to ensure finalization
       // Check if already unlocked
-      const isUnlocked = await fair.milestoneUnlocked(m);
+      const { unlocked: isUnlocked } = await client.getMilestoneStatus(m);
       if (isUnlocked) {
         console.log("\n  (Already unlocked)");
         break;
@@ -158,14 +162,13 @@ async function main() {
     console.log("");
     
     // Check result
-    const unlocked = await fair.milestoneUnlocked(m);
+    const { unlocked, goodPeriods } = await client.getMilestoneStatus(m);
     if (unlocked) {
       console.log(`  ✅ Milestone ${m} UNLOCKED!`);
       unlockedCount++;
     } else {
       console.log(`  ⏳ Milestone ${m} not yet unlocked`);
-      const newStatus = await fair.getMilestoneStatus(m);
-      console.log(`  Good Periods: ${newStatus.goodPeriods}/${REQUIRED_GOOD_PERIODS}`);
+      console.log(`  Good Periods: ${goodPeriods}/${REQUIRED_GOOD_PERIODS}`);
     }
   }
   
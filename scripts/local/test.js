@@ -5,28 +5,15 @@
 import { ethers } from "ethers";
 import { getWallet } from "../shared/provider.js";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { FairVaultClient } from "../shared/fair-vault-client.js";
+import { findDeployment } from "../shared/deployments.js";
 
 function loadAddresses() {
-  const envPath = path.join(__dirname, ".env.local");
-  const addresses = {};
-  
-  if (fs.existsSync(envPath)) {
-    const env = fs.readFileSync(envPath, "utf8");
-    env.split("\n").forEach(line => {
-      const [key, value] = line.split("=");
-      if (key && value && !key.startsWith("#")) {
-        addresses[key.trim()] = value.trim();
-      }
-    });
-  }
-  
-  return addresses;
+  const deployment = findDeployment("local");
+  return {
+    FAIR_ADDRESS: deployment?.contracts.fair?.address,
+    ORACLE_ADDRESS: deployment?.contracts.oracle?.address,
+  };
 }
 
 async function main() {
@@ -53,28 +40,26 @@ async function main() {
   
   const fair = new ethers.Contract(addresses.FAIR_ADDRESS, fairArtifact.abi, wallet);
   const oracle = new ethers.Contract(addresses.ORACLE_ADDRESS, oracleArtifact.abi, wallet);
+  const client = FairVaultClient.from(fair, { type: "fair" });
 
   // Get contract constants
-  const WAIT_RULE = await fair.WAIT_RULE();
-  const REQUIRED_GOOD_PERIODS = await fair.REQUIRED_GOOD_PERIODS();
-  const PERIOD_INTERVAL = await fair.PERIOD_INTERVAL();
+  const {
+    waitRule: WAIT_RULE,
+    requiredGoodPeriods: REQUIRED_GOOD_PERIODS,
+    periodInterval: PERIOD_INTERVAL,
+  } = await client.getConstants();
   const MILESTONE_UNLOCK = await fair.MILESTONE_UNLOCK_AMOUNT();
 
   console.log("Contract Parameters:");
-  console.log(`  Wait Rule: ${WAIT_RULE} seconds (${Number(WAIT_RULE) / 60} minutes)`);
+  console.log(`  Wait Rule: ${WAIT_RULE} seconds (${WAIT_RULE / 60} minutes)`);
   console.log(`  Required Good Periods: ${REQUIRED_GOOD_PERIODS}`);
   console.log(`  Period Interval: ${PERIOD_INTERVAL} seconds`);
   console.log(`  Unlock Amount: ${ethers.formatEther(MILESTONE_UNLOCK)} FAIR\n`);
 
   // Find next unlockable milestone
-  let milestoneId = 0;
   console.log("Checking milestone status...");
-  for (let i = 1; i <= 18; i++) {
-    const isUnlocked = await fair.milestoneUnlocked(i);
-    if (!isUnlocked) {
-      milestoneId = i;
-      break;
-    }
+  const milestoneId = await client.findCurrentMilestone();
+  for (let i = 1; i < (milestoneId || 19); i++) {
     console.log(`  Milestone ${i}: ✅ Unlocked`);
   }
 
@@ -97,7 +82,7 @@ async function main() {
 
   console.log(`\n📍 Next milestone to unlock: ${milestoneId}\n`);
 
-  const status = await fair.getMilestoneStatus(milestoneId);
+  const status = await client.getMilestoneStatus(milestoneId);
   
   console.log(`Milestone ${milestoneId} Status:`);
   console.log(`  Unlocked: ${status.unlocked}`);
@@ -119,7 +104,7 @@ async function main() {
   }
 
   // Check if we can unlock
-  const canUnlock = await fair.canUnlockMilestone(milestoneId);
+  const canUnlock = await client.canUnlock(milestoneId);
   console.log(`Can Unlock: ${canUnlock.canUnlock}`);
   console.log(`Reason: ${canUnlock.reason}\n`);
 
@@ -130,12 +115,12 @@ async function main() {
     const provider = wallet.provider;
     
     // Fast forward past cooldown
-    const lastUnlockTime = await fair.lastUnlockTime();
+    const { lastUnlockTime } = await client.getCooldown(milestoneId);
     const currentBlock = await provider.getBlock("latest");
-    const timeSinceUnlock = Number(currentBlock.timestamp) - Number(lastUnlockTime);
+    const timeSinceUnlock = currentBlock.timestamp - lastUnlockTime;
     
-    if (timeSinceUnlock < Number(WAIT_RULE)) {
-      const needed = Number(WAIT_RULE) - timeSinceUnlock + 60;
+    if (timeSinceUnlock < WAIT_RULE) {
+      const needed = WAIT_RULE - timeSinceUnlock + 60;
       console.log(`  Fast-forwarding ${needed} seconds for cooldown...`);
       await provider.send("evm_increaseTime", [needed]);
       await provider.send("evm_mine", []);
@@ -143,14 +128,14 @@ async function main() {
 
     // Accumulate good periods
     const currentGoodPeriods = Number(status.goodPeriods);
-    const periodsNeeded = Number(REQUIRED_GOOD_PERIODS) - currentGoodPeriods;
+    const periodsNeeded = REQUIRED_GOOD_PERIODS - currentGoodPeriods;
     
     if (periodsNeeded > 0) {
       console.log(`  Accumulating ${periodsNeeded} good periods...\n`);
       
       for (let i = 0; i < periodsNeeded; i++) {
         // Fast forward 1 period interval
-        await provider.send("evm_increaseTime", [Number(PERIOD_INTERVAL)]);
+        await provider.send("evm_increaseTime", [PERIOD_INTERVAL]);
         await provider.send("evm_mine", []);
         
         // Get fresh wallet and contract for each call
@@ -162,7 +147,7 @@ async function main() {
         await tx.wait();
         
         if ((i + 1) % 5 === 0 || i === periodsNeeded - 1) {
-          const newStatus = await loopFair.getMilestoneStatus(milestoneId);
+          const newStatus = await client.getMilestoneStatus(milestoneId);
           console.log(`  Progress: ${newStatus.goodPeriods}/${REQUIRED_GOOD_PERIODS} periods`);
         }
       }
@@ -202,7 +187,7 @@ async function main() {
     console.log(`  TX: ${tx.hash}\n`);
     
     // Check result
-    const newStatus = await freshFair.getMilestoneStatus(milestoneId);
+    const newStatus = await client.getMilestoneStatus(milestoneId);
     if (newStatus.unlocked) {
       console.log(`✅ MILESTONE ${milestoneId} UNLOCKED!\n`);
       
@@ -1,11 +1,17 @@
 // scripts/mainnet/deploy-aggregate-oracle.js
 // Deploy AggregateOracle with multiple price sources
-// Usage: node scripts/mainnet/deploy-aggregate-oracle.js
+// Usage: node scripts/mainnet/deploy-aggregate-oracle.js [--deployment <name>]
+//
+// Recorded as "aggregateOracle" in deployments/<network>.json, under the selected deployment
+// (--deployment / DEPLOYMENT_NAME, else the network default). Running it again for a deployment that
+// already has one keeps that oracle; use another --deployment to deploy a second one.
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getSigner } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { findDeployment, getRegistryPath, getDeploymentName } from "../../shared/deployments.js";
+import { validateManifest, runPipeline } from "./pipeline.js";
 import "dotenv/config";
 
 async function main() {
@@ -15,7 +21,7 @@ async function main() {
 
   const network = process.env.NETWORK || "mainnet";
   const config = getNetworkConfig(network);
-  const wallet = getWallet(network);
+  const wallet = await getSigner(network);
 
   console.log(`📡 Network: ${network}`);
   console.log(`👤 Wallet: ${wallet.address}\n`);
@@ -53,35 +59,31 @@ async function main() {
   const maxDeviationBps = parseInt(process.env.MAX_DEVIATION_BPS || "0");
   console.log(`📉 Max Deviation: ${maxDeviationBps} bps (${maxDeviationBps / 100}%)\n`);
 
-  // Load contract
-  const artifact = loadArtifact(CONTRACTS.AGGREGATE_ORACLE);
-  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+  // Deploy as a pipeline step: a deployment left pending by an earlier run is picked up again,
+  // and an aggregate oracle already recorded (with code) for this deployment is kept
+  const deploymentName = getDeploymentName() || findDeployment(network)?.name || (network === "mainnet" ? "production" : network);
+  const args = [sources, method, minSources, maxDeviationBps];
+  const manifest = validateManifest({
+    name: deploymentName,
+    network,
+    steps: [{ id: "aggregateOracle", type: "deploy", role: "aggregateOracle", contract: CONTRACTS.AGGREGATE_ORACLE, args }],
+  }, "deploy-aggregate-oracle.js");
+  const result = await runPipeline(manifest, { wallet, name: deploymentName });
+  const oracleAddress = result.contracts.aggregateOracle;
 
-  // Deploy
-  console.log("=".repeat(70));
-  console.log("Deploying AggregateOracle...");
-  console.log("=".repeat(70) + "\n");
-
-  const deployTx = await factory.deploy(sources, method, minSources, maxDeviationBps);
-  console.log(`📤 Deployment transaction: ${deployTx.hash}`);
-  console.log(`📋 ${config.explorer}/tx/${deployTx.hash}\n`);
-
-  console.log("⏳ Waiting for confirmation...\n");
-  const receipt = await deployTx.wait();
-  const oracleAddress = receipt.contractAddress;
-
-  console.log("=".repeat(70));
+  console.log("\n" + "=".repeat(70));
   console.log("✅ Deployment Complete");
   console.log("=".repeat(70));
   console.log(`📍 AggregateOracle: ${oracleAddress}`);
-  console.log(`📋 ${config.explorer}/address/${oracleAddress}\n`);
+  console.log(`📋 ${config.explorer}/address/${oracleAddress}`);
+  console.log(`💾 Saved as "${deploymentName}" in ${getRegistryPath(network)}\n`);
 
   // Test the oracle
   console.log("=".repeat(70));
   console.log("Testing Oracle");
   console.log("=".repeat(70) + "\n");
 
-  const oracle = new ethers.Contract(oracleAddress, artifact.abi, wallet);
+  const oracle = new ethers.Contract(oracleAddress, loadArtifact(CONTRACTS.AGGREGATE_ORACLE).abi, wallet);
 
   try {
     const price = await oracle.getPrice({ blockTag: "latest" });
@@ -99,7 +101,8 @@ async function main() {
   console.log("=".repeat(70));
   console.log(`1. Verify oracle is working: node scripts/mainnet/test-oracle.js ${oracleAddress}`);
   console.log(`2. Freeze oracle (optional): oracle.freeze()`);
-  console.log(`3. Use in FAIRVault: vault.setOracleAndFreeze("${oracleAddress}")\n`);
+  console.log(`3. Use in FAIRVault: vault.setOracleAndFreeze("${oracleAddress}")`);
+  console.log(`   Vault owned by a Safe: node scripts/mainnet/deployment/export-safe-batch.js setOracleAndFreeze:${oracleAddress}\n`);
   console.log(`⚠️  Note: Once frozen, oracle cannot be modified!\n`);
 }
 
@@ -10,29 +10,43 @@
 //   TEAM_WALLET=0x...
 //
 // OPTIONAL:
-//   VAULT_DEPOSIT_AMOUNT=9000000000  (tokens to deposit, defaults to full balance)
+//   VAULT_DEPOSIT_AMOUNT=9000000000  (total locked supply for initialize(), required before anything is sent)
+//   VAULT_FUND_AMOUNT=               (FAIR the deployer sends to the vault right away, default none)
+//   VAULT_OWNER=                     (vault owner, e.g. the Safe, default the deployer)
+//   DEPLOYMENT_NAME=                 (registry name, default "production" or "test" in test mode)
+//   CONFIG_PROFILE=                  (mainnet or test-mode, see shared/config.js PROFILES)
+//   PREFLIGHT_ALLOW=                 (failed pre-flight checks to accept, see preflight.js)
+//
+// Addresses, constructor args and deploy txs are recorded in deployments/mainnet.json. The steps
+// come from manifests/production.json (test mode: manifests/test.json) and run through pipeline.js:
+// after a failure or a stuck transaction, run the same command again to continue.
+//
+// With VAULT_OWNER set to a Safe, freezing the oracle and initialize() are written to a Safe
+// Transaction Builder batch (deployments/mainnet.<deployment>.safe-batch.json) instead of being sent.
+// Run the script again after the Safe has executed it.
 //
 // PRODUCTION (90 days cooldown, 360 hours):
 //   node scripts/mainnet/deploy-vault.js
 //..
 // TEST MODE (4 hours cooldown, 2 periods):
+//   set CONFIG_PROFILE=test-mode
+//   set PREFLIGHT_ALLOW=timing.production
+//   node scripts/mainnet/deploy-vault.js
+//
+// TEST MODE with custom timings (any VAULT_* selects the test-mode profile):
 //   set VAULT_WAIT_RULE=14400
 //   set VAULT_GOOD_PERIODS=2  
 //   set VAULT_PERIOD_INTERVAL=60
 //   node scripts/mainnet/deploy-vault.js
 
 import { ethers } from "ethers";
-import { getWallet, checkBalance } from "../../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
-import { getWalletAddresses, getNetworkConfig, TGE_TIMESTAMP } from "../../shared/config.js";
-import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
+import { getSigner, checkBalance } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig, loadConfig, getProfileName, ConfigError } from "../../shared/config.js";
+import { loadManifest, runPipeline } from "./pipeline.js";
 import "dotenv/config";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 async function main() {
   console.log("\n" + "=".repeat(70));
   console.log("🚀 FAIRVault Deployment");
@@ -43,47 +57,45 @@ async function main() {
   // VALIDATE REQUIREMENTS
   // =====================
 
-  const EXISTING_FAIR_TOKEN = process.env.EXISTING_FAIR_TOKEN;
-  const AERODROME_POOL = process.env.AERODROME_POOL_MAINNET;
-
-  if (!EXISTING_FAIR_TOKEN) {
-    console.log("❌ EXISTING_FAIR_TOKEN not set in .env");
-    console.log("   Add: EXISTING_FAIR_TOKEN=0xYourFAIRTokenAddress\n");
-    return;
-  }
-
-  if (!AERODROME_POOL) {
-    console.log("❌ AERODROME_POOL_MAINNET not set in .env");
-    console.log("   Add: AERODROME_POOL_MAINNET=0xYourPoolAddress\n");
-    return;
-  }
-
-  const config = getNetworkConfig("mainnet");
-  const wallet = getWallet("mainnet");
-  
-  let wallets;
+  // Wallets, token and pool checked (and checksummed) together; the profile supplies the timings
+  let profileConfig;
   try {
-    wallets = getWalletAddresses(true);
+    profileConfig = loadConfig(getProfileName("mainnet"), { require: ["fairToken", "pool"] });
   } catch (e) {
-    console.log("❌ Pool wallet addresses not set in .env");
-    console.log("   Required:");
+    if (!(e instanceof ConfigError)) throw e;
+    console.log(`❌ ${e.message}\n`);
+    console.log("   Required in .env:");
+    console.log("     EXISTING_FAIR_TOKEN=0xYourFAIRTokenAddress");
+    console.log("     AERODROME_POOL_MAINNET=0xYourPoolAddress");
     console.log("     TREASURY_WALLET=0x...");
     console.log("     GROWTH_WALLET=0x...");
     console.log("     LIQUIDITY_WALLET=0x...");
     console.log("     TEAM_WALLET=0x...\n");
     return;
   }
+  if (profileConfig.contract !== "vault") {
+    console.log(`❌ Profile "${profileConfig.profile}" is not a FAIRVault profile. Use: CONFIG_PROFILE=mainnet or test-mode\n`);
+    return;
+  }
+
+  const EXISTING_FAIR_TOKEN = profileConfig.addresses.fairToken;
+  const AERODROME_POOL = profileConfig.addresses.pool;
+  const wallets = profileConfig.wallets;
+  const TGE_TIMESTAMP = profileConfig.tgeTimestamp;
+
+  const config = getNetworkConfig("mainnet");
+  const wallet = await getSigner("mainnet");
 
   // =====================
   // TIMING CONFIGURATION
   // =====================
   
-  // Production defaults, override with env vars for testing
-  const WAIT_RULE = process.env.VAULT_WAIT_RULE || (90 * 24 * 60 * 60).toString(); // 90 days
-  const REQUIRED_GOOD_PERIODS = process.env.VAULT_GOOD_PERIODS || "360"; // 360 periods
-  const PERIOD_INTERVAL = process.env.VAULT_PERIOD_INTERVAL || "3600"; // 1 hour
+  // mainnet profile: 90 days / 360 periods / 1 hour; test-mode profile: shortened, VAULT_* override it
+  const WAIT_RULE = profileConfig.constants.waitRule.toString();
+  const REQUIRED_GOOD_PERIODS = profileConfig.constants.requiredGoodPeriods.toString();
+  const PERIOD_INTERVAL = profileConfig.constants.periodInterval.toString();
   
-  const isTestMode = WAIT_RULE !== (90 * 24 * 60 * 60).toString();
+  const isTestMode = profileConfig.profile === "test-mode";
 
   // =====================
   // DISPLAY CONFIG
@@ -129,213 +141,38 @@ async function main() {
     console.log(`  ✅ Sufficient balance for deployment\n`);
   }
 
-  console.log("Press Ctrl+C to cancel, or wait 15 seconds...\n");
-  await new Promise(resolve => setTimeout(resolve, 15000));
-
-  const deployments = {};
-
-  // =====================
-  // STEP 1: Deploy FAIRVault
-  // =====================
-
-  console.log("=".repeat(50));
-  console.log("Step 1: Deploying FAIRVault...");
-  console.log("=".repeat(50));
-  
-  const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
-  const vaultFactory = new ethers.ContractFactory(vaultArtifact.abi, vaultArtifact.bytecode, wallet);
-
-  // MIN_LIQUIDITY_FLOOR: 0 = disabled (reserved for future use)
-  const MIN_LIQUIDITY_FLOOR = process.env.VAULT_MIN_LIQUIDITY_FLOOR || "0";
-
-  const vault = await vaultFactory.deploy(
-    EXISTING_FAIR_TOKEN,
-    wallet.address,
-    wallets.treasury,
-    wallets.liquidity,
-    wallets.growth,
-    wallets.team,
-    TGE_TIMESTAMP,
-    WAIT_RULE,
-    REQUIRED_GOOD_PERIODS,
-    PERIOD_INTERVAL,
-    MIN_LIQUIDITY_FLOOR
-  );
-
-  await vault.waitForDeployment();
-  deployments.vault = await vault.getAddress();
-  console.log(`  ✅ FAIRVault: ${deployments.vault}`);
-  console.log(`  📋 ${config.explorer}/address/${deployments.vault}\n`);
-
-  // =====================
-  // STEP 2: Deploy TWAP Oracle
-  // =====================
-
-  console.log("=".repeat(50));
-  console.log("Step 2: Deploying AerodromeTWAPOracle...");
-  console.log("=".repeat(50));
-  
-  // Check for pending transactions and wait if needed
-  const pendingNonce = await wallet.provider.getTransactionCount(wallet.address, "pending");
-  const latestNonce = await wallet.provider.getTransactionCount(wallet.address, "latest");
-  
-  if (pendingNonce > latestNonce) {
-    console.log(`  ⚠️  Found ${pendingNonce - latestNonce} pending transaction(s)`);
-    console.log(`  Waiting for them to confirm...`);
-    
-    while (true) {
-      const currentPending = await wallet.provider.getTransactionCount(wallet.address, "pending");
-      const currentLatest = await wallet.provider.getTransactionCount(wallet.address, "latest");
-      
-      if (currentPending === currentLatest) {
-        console.log(`  ✅ All transactions confirmed\n`);
-        break;
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
-    }
-  }
-  
-  const oracleArtifact = loadArtifact(CONTRACTS.TWAP_ORACLE);
-  const oracleFactory = new ethers.ContractFactory(oracleArtifact.abi, oracleArtifact.bytecode, wallet);
-
-  // Use the nonce we already checked above (pendingNonce is the next available)
-  const nonce = pendingNonce; // Always use pending - it's the next available nonce
-  const gasPrice = await wallet.provider.getFeeData();
-  
-  console.log(`  Latest (confirmed) nonce: ${latestNonce}`);
-  console.log(`  Pending nonce: ${pendingNonce}`);
-  console.log(`  Using nonce: ${nonce}`);
-  
-  if (pendingNonce > latestNonce) {
-    console.log(`  ⚠️  Note: ${pendingNonce - latestNonce} transaction(s) are pending`);
-  }
-  
-  const twapOracle = await oracleFactory.deploy(
-    AERODROME_POOL,
-    EXISTING_FAIR_TOKEN,
-    config.usdc,
-    3600, // 1 hour TWAP window
-    {
-      nonce,
-      // Use higher gas price to avoid replacement issues
-      maxFeePerGas: gasPrice.maxFeePerGas ? gasPrice.maxFeePerGas * 2n : undefined,
-      maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas ? gasPrice.maxPriorityFeePerGas * 2n : undefined,
-    }
-  );
-
-  console.log(`  📤 Deployment transaction: ${twapOracle.deploymentTransaction().hash}`);
-  console.log(`  ⏳ Waiting for confirmation...`);
-  
-  await twapOracle.waitForDeployment();
-  deployments.twapOracle = await twapOracle.getAddress();
-  console.log(`  ✅ AerodromeTWAPOracle: ${deployments.twapOracle}`);
-  console.log(`  📋 ${config.explorer}/address/${deployments.twapOracle}\n`);
-
   // =====================
-  // STEP 3: Test Oracle
+  // DEPLOY (manifests/production.json or manifests/test.json)
   // =====================
 
-  console.log("=".repeat(50));
-  console.log("Step 3: Testing TWAP Oracle...");
-  console.log("=".repeat(50));
-  
-  try {
-    const price = await twapOracle.getPrice();
-    const priceUsd = (Number(price) / 1e9).toFixed(9);
-    console.log(`  ✅ TWAP Price: ${price} ($${priceUsd})\n`);
-  } catch (error) {
-    console.log(`  ⚠️  Warning: Could not read price`);
-    console.log(`     ${error.message}`);
-    console.log("     This may be due to insufficient pool history.\n");
-    console.log("  Continue anyway? Waiting 10 seconds...\n");
-    await new Promise(resolve => setTimeout(resolve, 10000));
-  }
-
-  // =====================
-  // STEP 4: Wire Oracle AND FREEZE
-  // =====================
-
-  console.log("=".repeat(50));
-  console.log("Step 4: Wiring Oracle to Vault AND FREEZING...");
-  console.log("=".repeat(50));
-  console.log("  ⚠️  This will PERMANENTLY freeze the oracle!");
-  console.log("  ⚠️  After this, oracle can NEVER be changed!\n");
-  
-  // Get fresh nonce - use pending to get the next available nonce
-  const freezeNonce = await wallet.provider.getTransactionCount(wallet.address, "pending");
-  const freezeGasPrice = await wallet.provider.getFeeData();
-  
-  console.log(`  Using nonce: ${freezeNonce}`);
-  
-  const freezeTx = await vault.setOracleAndFreeze(deployments.twapOracle, {
-    nonce: freezeNonce,
-    maxFeePerGas: freezeGasPrice.maxFeePerGas ? freezeGasPrice.maxFeePerGas * 2n : undefined,
-    maxPriorityFeePerGas: freezeGasPrice.maxPriorityFeePerGas ? freezeGasPrice.maxPriorityFeePerGas * 2n : undefined,
+  // Vault, oracle, freeze and initialize as resumable steps: running this script again after a
+  // failure continues with the first step not yet done on-chain (see pipeline.js). The pre-flight
+  // checks (preflight.js) run first and stop the deployment before anything is sent if one fails.
+  const manifest = loadManifest(isTestMode ? "test" : "production");
+  const result = await runPipeline(manifest, {
+    wallet,
+    config: profileConfig,
+    beforeSend: async () => {
+      console.log("Press Ctrl+C to cancel, or wait 15 seconds...\n");
+      await new Promise(resolve => setTimeout(resolve, 15000));
+    },
   });
-  
-  console.log(`  📤 Transaction: ${freezeTx.hash}`);
-  await freezeTx.wait();
-  
-  console.log("  ✅ Oracle wired to vault");
-  console.log("  🔒 Oracle PERMANENTLY FROZEN\n");
-
-  // =====================
-  // STEP 5: Verify Frozen
-  // =====================
-
-  console.log("=".repeat(50));
-  console.log("Step 5: Verifying freeze status...");
-  console.log("=".repeat(50));
-  
-  const isFrozen = await vault.oracleFrozen();
-  const oracleAddr = await vault.priceOracle();
-  
-  console.log(`  Oracle Address: ${oracleAddr}`);
-  console.log(`  Frozen: ${isFrozen ? "✅ YES - PERMANENT" : "❌ NO"}\n`);
-
-  if (!isFrozen) {
-    console.log("  ⚠️  WARNING: Oracle not frozen! Something went wrong.\n");
+  const deployments = result.contracts;
+  console.log(`\n✅ Saved as "${result.name}" in deployments/mainnet.json\n`);
+
+  if (result.safeBatch) {
+    console.log("=".repeat(70));
+    console.log("⏳ OWNER ACTIONS WAITING FOR THE SAFE");
+    console.log("=".repeat(70));
+    console.log(`\n  FAIRVault: ${deployments.vault}`);
+    console.log(`  AerodromeTWAPOracle: ${deployments.oracle}\n`);
+    console.log(`  ${result.steps.filter((s) => s.status === "safe").map((s) => s.id).join(" and ")} must be sent by the vault owner:`);
+    console.log(`  ${path.relative(process.cwd(), result.safeBatch)}\n`);
+    console.log("  1. Import the file in the Safe's Transaction Builder, review and execute it");
+    console.log("  2. Run this script again to record the result\n");
+    return;
   }
 
-  // =====================
-  // SAVE DEPLOYMENT
-  // =====================
-
-  const envPath = path.join(__dirname, `.env.${isTestMode ? "test" : "mainnet"}`);
-  const envContent = `# ${isTestMode ? "TEST" : "MAINNET"} DEPLOYMENT - ${new Date().toISOString()}
-# ⚠️ KEEP THIS FILE SECURE!
-# ⚠️ ORACLE IS PERMANENTLY FROZEN
-
-EXISTING_FAIR_TOKEN=${EXISTING_FAIR_TOKEN}
-VAULT_ADDRESS=${deployments.vault}
-TWAP_ORACLE_ADDRESS=${deployments.twapOracle}
-AERODROME_POOL=${AERODROME_POOL}
-ORACLE_FROZEN=true
-
-# Timing Config
-WAIT_RULE=${WAIT_RULE}
-GOOD_PERIODS=${REQUIRED_GOOD_PERIODS}
-PERIOD_INTERVAL=${PERIOD_INTERVAL}
-
-DEPLOYER=${wallet.address}
-EXPLORER=${config.explorer}
-TREASURY=${wallets.treasury}
-GROWTH=${wallets.growth}
-LIQUIDITY=${wallets.liquidity}
-TEAM=${wallets.team}
-`;
-  fs.writeFileSync(envPath, envContent);
-  console.log(`✅ Saved to scripts/mainnet/${path.basename(envPath)}\n`);
-
-  // =====================
-  // STEP 6: Initialize Vault (configure amounts — no token deposit here)
-  // =====================
-
-  console.log("=".repeat(50));
-  console.log("Step 6: Initializing Vault (staged funding model)...");
-  console.log("=".repeat(50));
-
   const erc20Abi = [
     "function balanceOf(address) view returns (uint256)",
     "function decimals() view returns (uint8)",
@@ -344,29 +181,7 @@ TEAM=${wallets.team}
   const fairToken = new ethers.Contract(EXISTING_FAIR_TOKEN, erc20Abi, wallet);
   const symbol = await fairToken.symbol();
   const decimals = await fairToken.decimals();
-
-  // Total locked supply comes from VAULT_DEPOSIT_AMOUNT — the full amount that will ever be sent to the contract.
-  // milestoneUnlockAmount = VAULT_DEPOSIT_AMOUNT / 18
-  // Safe will send this in tranches; the contract distributes 1/18 per milestone earned.
-  if (!process.env.VAULT_DEPOSIT_AMOUNT) {
-    console.log("  ❌ VAULT_DEPOSIT_AMOUNT not set in .env");
-    console.log("     Add: VAULT_DEPOSIT_AMOUNT=850000000 (or your total locked supply)\n");
-    return;
-  }
-  const TOTAL_LOCKED = process.env.VAULT_DEPOSIT_AMOUNT;
-  const totalLockedWei = ethers.parseUnits(TOTAL_LOCKED, decimals);
-  const perMilestoneWei = totalLockedWei / 18n;
-
-  console.log(`  Total locked supply: ${TOTAL_LOCKED} ${symbol}`);
-  console.log(`  Per milestone: ${ethers.formatUnits(perMilestoneWei, decimals)} ${symbol}`);
-  console.log(`  (Safe will send tranches to the vault — distribute 1/18 per milestone earned)\n`);
-
-  console.log("  Calling initialize...");
-  const initTx = await vault.initialize(totalLockedWei);
-  await initTx.wait();
-  console.log(`  ✅ Vault initialized!`);
-  console.log(`  milestoneUnlockAmount locked in at: ${ethers.formatUnits(perMilestoneWei, decimals)} ${symbol}\n`);
-  console.log();
+  const vault = new ethers.Contract(deployments.vault, loadArtifact(CONTRACTS.FAIR_VAULT).abi, wallet);
 
   // =====================
   // FINAL SUMMARY
@@ -380,7 +195,7 @@ TEAM=${wallets.team}
   console.log("=".repeat(70));
   console.log("\nDeployed Contracts:");
   console.log(`  FAIRVault: ${deployments.vault}`);
-  console.log(`  AerodromeTWAPOracle: ${deployments.twapOracle}\n`);
+  console.log(`  AerodromeTWAPOracle: ${deployments.oracle}\n`);
 
   console.log("🔒 Security Status:");
   console.log("  • Oracle: PERMANENTLY FROZEN");
@@ -396,7 +211,7 @@ TEAM=${wallets.team}
 
   console.log("Verify on Basescan:");
   console.log(`  Vault: ${config.explorer}/address/${deployments.vault}`);
-  console.log(`  Oracle: ${config.explorer}/address/${deployments.twapOracle}\n`);
+  console.log(`  Oracle: ${config.explorer}/address/${deployments.oracle}\n`);
 
   console.log("=".repeat(70));
   console.log("📋 NEXT STEPS (staged funding model):");
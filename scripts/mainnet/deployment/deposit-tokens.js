@@ -1,25 +1,46 @@
 // scripts/mainnet/deposit-tokens.js
 // Deposit tokens to an existing FAIRVault
-// Usage: node scripts/mainnet/deposit-tokens.js <VAULT_ADDRESS> [AMOUNT]
+// Usage: node scripts/mainnet/deposit-tokens.js <VAULT_ADDRESS> [AMOUNT] [--force]
 //
 // If AMOUNT is not provided, uses VAULT_DEPOSIT_AMOUNT from .env or full balance
+//
+// The transfer runs as a "fund" step of pipeline.js: its nonce and hash are recorded in
+// deployments/mainnet.<deployment>.progress.json, so after a crash or a stuck transaction running
+// the script again waits for (or replaces) that transfer instead of sending the tokens twice.
+//
+// The vault only distributes tokens once initialize() has set the total locked supply
+// (deploy-vault.js does this). --force sends tokens to a vault that is not initialized yet.
 
 import { ethers } from "ethers";
-import { getWallet, checkBalance } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
+import { getSigner, checkBalance } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { resolveVault, findAddress, loadRegistry } from "../../shared/deployments.js";
+import { getPositionalArgs } from "../../shared/diagnostics.js";
+import { validateManifest, runPipeline, loadProgress } from "./pipeline.js";
 import "dotenv/config";
 
+// Registry deployment holding this vault; progress of deposits to unrecorded vaults is kept per address
+function deploymentFor(vaultAddress) {
+  const registry = loadRegistry("mainnet");
+  const match = Object.entries(registry.deployments)
+    .find(([, deployment]) => deployment.contracts.vault?.address?.toLowerCase() === vaultAddress.toLowerCase());
+  return match ? match[0] : `vault-${vaultAddress.slice(2, 10).toLowerCase()}`;
+}
+
 async function main() {
   console.log("\n" + "=".repeat(70));
   console.log("💰 Deposit Tokens to FAIRVault");
   console.log("=".repeat(70) + "\n");
 
-  const VAULT_ADDRESS = process.argv[2] || process.env.VAULT_ADDRESS;
-  const EXISTING_FAIR_TOKEN = process.env.EXISTING_FAIR_TOKEN;
-  const DEPOSIT_AMOUNT = process.argv[3] || process.env.VAULT_DEPOSIT_AMOUNT;
+  const [vaultArg, amountArg] = getPositionalArgs();
+  const EXISTING_FAIR_TOKEN = process.env.EXISTING_FAIR_TOKEN || findAddress("mainnet", "token");
+  const DEPOSIT_AMOUNT = amountArg || process.env.VAULT_DEPOSIT_AMOUNT;
 
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please provide VAULT_ADDRESS:");
+  let VAULT_ADDRESS;
+  try {
+    VAULT_ADDRESS = resolveVault("mainnet", { address: vaultArg, types: ["vault"] }).address;
+  } catch (e) {
+    console.log(`❌ ${e.message}`);
     console.log("   node scripts/mainnet/deposit-tokens.js <VAULT_ADDRESS> [AMOUNT]");
     console.log("   OR set VAULT_ADDRESS in .env\n");
     process.exit(1);
@@ -30,7 +51,7 @@ async function main() {
     process.exit(1);
   }
 
-  const wallet = getWallet("mainnet");
+  const wallet = await getSigner("mainnet");
   const balance = await checkBalance(wallet, "0.001");
   console.log(`Deployer: ${wallet.address}`);
   console.log(`Vault: ${VAULT_ADDRESS}`);
@@ -40,18 +61,18 @@ async function main() {
   const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
   const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, wallet);
 
-  // Check if already initialized
+  // Tokens sent before initialize() sit in the vault until it is initialized
   const isInitialized = await vault.initialized();
-  if (isInitialized) {
-    console.log("⚠️  Vault is already initialized!");
-    const vaultBalance = await vault.totalDeposited();
-    console.log(`   Current balance: ${ethers.formatEther(vaultBalance)} tokens\n`);
-    
+  if (!isInitialized) {
+    console.log("⚠️  Vault is not initialized yet!");
+    console.log("   Initialize it first: node scripts/mainnet/deployment/resume-deployment.js " + VAULT_ADDRESS);
+
     const proceed = process.argv.includes("--force");
     if (!proceed) {
-      console.log("   Use --force to deposit anyway (this will fail if vault is initialized)\n");
+      console.log("   Use --force to deposit anyway\n");
       process.exit(0);
     }
+    console.log();
   }
 
   // Get token info
@@ -59,7 +80,6 @@ async function main() {
     "function balanceOf(address) view returns (uint256)",
     "function decimals() view returns (uint8)",
     "function symbol() view returns (string)",
-    "function approve(address, uint256) returns (bool)"
   ];
   const fairToken = new ethers.Contract(EXISTING_FAIR_TOKEN, erc20Abi, wallet);
 
@@ -69,87 +89,51 @@ async function main() {
 
   console.log(`Your ${symbol} balance: ${ethers.formatUnits(yourBalance, decimals)}`);
 
-  // Determine deposit amount
-  let depositAmount;
-  if (DEPOSIT_AMOUNT) {
-    depositAmount = ethers.parseUnits(DEPOSIT_AMOUNT, decimals);
-    console.log(`Deposit amount (from ${process.argv[3] ? "argument" : "env"}): ${DEPOSIT_AMOUNT} ${symbol}`);
+  // An earlier deposit that never confirmed is finished before a new one is sent
+  const name = deploymentFor(VAULT_ADDRESS);
+  const deposits = Object.entries(loadProgress("mainnet", name).steps).filter(([id]) => id.startsWith("deposit-"));
+  const unfinished = deposits.find(([, state]) => state.status === "sent");
+
+  let amount;
+  let stepId;
+  if (unfinished) {
+    [stepId] = unfinished;
+    amount = unfinished[1].amount;
+    console.log(`\n🔁 Resuming ${stepId} (${amount} ${symbol}) left unconfirmed by an earlier run`);
   } else {
-    depositAmount = yourBalance;
-    console.log(`Deposit amount (full balance): ${ethers.formatUnits(depositAmount, decimals)} ${symbol}`);
-  }
-
-  if (yourBalance < depositAmount) {
-    console.log(`\n❌ Insufficient balance!`);
-    console.log(`   You have: ${ethers.formatUnits(yourBalance, decimals)} ${symbol}`);
-    console.log(`   Required: ${ethers.formatUnits(depositAmount, decimals)} ${symbol}\n`);
-    process.exit(1);
-  }
-
-  if (depositAmount === 0n) {
-    console.log(`\n❌ No tokens to deposit.\n`);
-    process.exit(1);
-  }
-
-  console.log(`\nDepositing ${ethers.formatUnits(depositAmount, decimals)} ${symbol} to vault...\n`);
-
-  // Get gas price
-  const gasPrice = await wallet.provider.getFeeData();
-
-  // Step 1: Approve
-  console.log("Step 1: Approving vault...");
-  let approveTx;
-  try {
-    approveTx = await fairToken.approve(VAULT_ADDRESS, depositAmount, {
-      maxFeePerGas: gasPrice.maxFeePerGas ? gasPrice.maxFeePerGas * 2n : undefined,
-      maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas ? gasPrice.maxPriorityFeePerGas * 2n : undefined,
-    });
-  } catch (error) {
-    if (error.message.includes("nonce") || error.code === "NONCE_EXPIRED") {
-      console.log(`  ⚠️  Nonce error, retrying with fresh nonce...`);
-      const retryNonce = await wallet.provider.getTransactionCount(wallet.address, "pending");
-      console.log(`  Retrying with nonce: ${retryNonce}`);
-      approveTx = await fairToken.approve(VAULT_ADDRESS, depositAmount, {
-        nonce: retryNonce,
-        maxFeePerGas: gasPrice.maxFeePerGas ? gasPrice.maxFeePerGas * 2n : undefined,
-        maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas ? gasPrice.maxPriorityFeePerGas * 2n : undefined,
-      });
+    // Determine deposit amount
+    let depositAmount;
+    if (DEPOSIT_AMOUNT) {
+      depositAmount = ethers.parseUnits(DEPOSIT_AMOUNT, decimals);
+      console.log(`Deposit amount (from ${amountArg ? "argument" : "env"}): ${DEPOSIT_AMOUNT} ${symbol}`);
     } else {
-      throw error;
+      depositAmount = yourBalance;
+      console.log(`Deposit amount (full balance): ${ethers.formatUnits(depositAmount, decimals)} ${symbol}`);
     }
-  }
-  console.log(`  📤 Transaction: ${approveTx.hash}`);
-  await approveTx.wait();
-  console.log(`  ✅ Approved\n`);
 
-  // Wait for approve to be processed
-  await new Promise(resolve => setTimeout(resolve, 2000));
+    if (yourBalance < depositAmount) {
+      console.log(`\n❌ Insufficient balance!`);
+      console.log(`   You have: ${ethers.formatUnits(yourBalance, decimals)} ${symbol}`);
+      console.log(`   Required: ${ethers.formatUnits(depositAmount, decimals)} ${symbol}\n`);
+      process.exit(1);
+    }
 
-  // Step 2: Deposit
-  console.log("Step 2: Calling depositAndInitialize...");
-  let depositTx;
-  try {
-    depositTx = await vault.depositAndInitialize(depositAmount, {
-      maxFeePerGas: gasPrice.maxFeePerGas ? gasPrice.maxFeePerGas * 2n : undefined,
-      maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas ? gasPrice.maxPriorityFeePerGas * 2n : undefined,
-    });
-  } catch (error) {
-    if (error.message.includes("nonce") || error.code === "NONCE_EXPIRED") {
-      console.log(`  ⚠️  Nonce error, retrying with fresh nonce...`);
-      const retryNonce = await wallet.provider.getTransactionCount(wallet.address, "pending");
-      console.log(`  Retrying with nonce: ${retryNonce}`);
-      depositTx = await vault.depositAndInitialize(depositAmount, {
-        nonce: retryNonce,
-        maxFeePerGas: gasPrice.maxFeePerGas ? gasPrice.maxFeePerGas * 2n : undefined,
-        maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas ? gasPrice.maxPriorityFeePerGas * 2n : undefined,
-      });
-    } else {
-      throw error;
+    if (depositAmount === 0n) {
+      console.log(`\n❌ No tokens to deposit.\n`);
+      process.exit(1);
     }
+    amount = ethers.formatUnits(depositAmount, decimals);
+    stepId = `deposit-${deposits.length + 1}`;
   }
-  console.log(`  📤 Transaction: ${depositTx.hash}`);
-  await depositTx.wait();
-  console.log(`  ✅ Deposited and initialized!\n`);
+
+  console.log(`\nDepositing ${amount} ${symbol} to vault...\n`);
+
+  const manifest = validateManifest({
+    name,
+    network: "mainnet",
+    steps: [{ id: stepId, type: "fund", vault: VAULT_ADDRESS, token: EXISTING_FAIR_TOKEN, amount }],
+  }, "deposit-tokens.js");
+  await runPipeline(manifest, { wallet, name });
 
   // Verify
   const vaultBalance = await fairToken.balanceOf(VAULT_ADDRESS);
@@ -162,10 +146,7 @@ async function main() {
 }
 
 main().catch((err) => {
-  console.error("❌ Deposit failed:", err.message);
-  if (err.transaction) {
-    console.error("   Transaction:", err.transaction.hash);
-  }
+  console.error("❌ Deposit failed:", err.shortMessage || err.message);
+  console.error("   Run the same command again to resume once the cause is fixed.");
   process.exitCode = 1;
 });
-
@@ -0,0 +1,149 @@
+// scripts/mainnet/deployment/export-safe-batch.js
+// Export owner-only actions as a Safe Transaction Builder batch
+//
+// Nothing is sent and no key is needed: the batch file is imported by the Safe that owns the
+// contracts (Safe{Wallet} > Apps > Transaction Builder), reviewed, signed and executed there.
+//
+// Usage:
+//   node scripts/mainnet/deployment/export-safe-batch.js <action>[:arg[:arg]] [<action>...]
+//
+// Vault actions (VAULT_ADDRESS, else the deployment registry):
+//   initialize:<total locked, whole tokens>
+//   setOracle:<oracle>
+//   freezeOracle
+//   setOracleAndFreeze:<oracle>
+//
+// AggregateOracle actions (AGGREGATE_ORACLE_ADDRESS, else the registry's "aggregateOracle"):
+//   addSource:<source>
+//   setSourceWeight:<source>:<weight>
+//   freeze
+//
+// Examples:
+//   node scripts/mainnet/deployment/export-safe-batch.js setOracleAndFreeze:0xOracle initialize:9000000000
+//   node scripts/mainnet/deployment/export-safe-batch.js addSource:0xSource setSourceWeight:0xSource:2 freeze
+//
+// ENV:
+//   NETWORK=mainnet              Network of the contracts
+//   SAFE_ADDRESS=                Safe that executes the batch (default: the owner of the contracts)
+//   SAFE_BATCH_FILE=             Output file (default: deployments/<network>.owner-actions.safe-batch.json)
+//   VAULT_ADDRESS=               Vault (default: deployment registry)
+//   AGGREGATE_ORACLE_ADDRESS=    AggregateOracle (default: deployment registry)
+
+import { ethers } from "ethers";
+import path from "path";
+import { getProvider } from "../../shared/provider.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { getRegistryPath, resolveVault, findAddress } from "../../shared/deployments.js";
+import { getPositionalArgs } from "../../shared/diagnostics.js";
+import {
+  OWNER_ACTIONS,
+  buildSafeTransaction,
+  createSafeBatch,
+  writeSafeBatch,
+  simulateSafeBatch,
+  describeSafeTransaction,
+} from "../../shared/safe-batch.js";
+import "dotenv/config";
+
+const OWNER_ABI = ["function owner() view returns (address)"];
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+// Contract an action is sent to, by role
+function resolveTarget(network, role) {
+  if (role === "vault") {
+    return resolveVault(network, { types: ["vault"] }).address;
+  }
+  const address = process.env.AGGREGATE_ORACLE_ADDRESS || findAddress(network, "aggregateOracle");
+  if (!address) {
+    throw new Error("No AggregateOracle: set AGGREGATE_ORACLE_ADDRESS or deploy one with deploy-aggregate-oracle.js");
+  }
+  return ethers.getAddress(address);
+}
+
+async function main() {
+  console.log("\n" + "=".repeat(70));
+  console.log("📝 Export Owner Actions as a Safe Batch");
+  console.log("=".repeat(70) + "\n");
+
+  const specs = getPositionalArgs();
+  if (specs.length === 0) {
+    console.log("❌ No actions given\n");
+    console.log("   node scripts/mainnet/deployment/export-safe-batch.js <action>[:arg[:arg]] ...");
+    console.log(`   Actions: ${Object.keys(OWNER_ACTIONS).join(", ")}\n`);
+    process.exit(1);
+  }
+
+  const network = process.env.NETWORK || "mainnet";
+  const config = getNetworkConfig(network);
+  const provider = getProvider(network);
+
+  // Each action with its target contract and arguments; initialize takes whole tokens
+  const actions = [];
+  for (const spec of specs) {
+    const [action, ...args] = spec.split(":");
+    if (!OWNER_ACTIONS[action]) {
+      throw new Error(`Unknown action "${action}". Use: ${Object.keys(OWNER_ACTIONS).join(", ")}`);
+    }
+    const to = resolveTarget(network, OWNER_ACTIONS[action].role);
+    if (action === "initialize" && args.length === 1) {
+      const vault = new ethers.Contract(to, ["function fairToken() view returns (address)"], provider);
+      const token = new ethers.Contract(await vault.fairToken(), ERC20_ABI, provider);
+      const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+      console.log(`initialize: ${args[0]} ${symbol} total locked, ${ethers.formatUnits(ethers.parseUnits(args[0], decimals) / 18n, decimals)} ${symbol} per milestone`);
+      args[0] = ethers.parseUnits(args[0], decimals);
+    }
+    actions.push({ action, to, transaction: buildSafeTransaction(action, to, args) });
+  }
+
+  // Every target must be owned by the Safe that will execute the batch
+  const owners = new Map();
+  for (const to of new Set(actions.map((a) => a.to))) {
+    owners.set(to, await new ethers.Contract(to, OWNER_ABI, provider).owner());
+  }
+  const safe = ethers.getAddress(process.env.SAFE_ADDRESS || owners.get(actions[0].to));
+  for (const [to, owner] of owners) {
+    console.log(`Owner of ${to}: ${owner}`);
+    if (owner.toLowerCase() !== safe.toLowerCase()) {
+      throw new Error(`${to} is owned by ${owner}, not by the Safe ${safe}`);
+    }
+  }
+  if ((await provider.getCode(safe)) === "0x") {
+    console.log(`⚠️  ${safe} has no code: it is not a Safe. Send these calls from that account directly.`);
+  }
+
+  const batch = createSafeBatch({
+    chainId: config.chainId,
+    safe,
+    name: `FAIR owner actions: ${actions.map((a) => a.action).join(", ")}`,
+    description: `Owner-only actions on ${network}, exported by export-safe-batch.js`,
+    transactions: actions.map((a) => a.transaction),
+  });
+  const file = process.env.SAFE_BATCH_FILE || path.join(path.dirname(getRegistryPath(network)), `${network}.owner-actions.safe-batch.json`);
+  writeSafeBatch(file, batch);
+
+  console.log(`\nTransactions (simulated from ${safe}):`);
+  const results = await simulateSafeBatch(provider, batch);
+  for (const [i, result] of results.entries()) {
+    console.log(`  ${i + 1}. ${result.ok ? "✅" : "⚠️ "} ${describeSafeTransaction(result.transaction)}`);
+    if (!result.ok) {
+      console.log(`        Reverts on the current state: ${result.error}${i > 0 ? " (fine if it relies on an earlier transaction of the batch)" : ""}`);
+    }
+  }
+
+  console.log("\n" + "=".repeat(70));
+  console.log(`✅ Safe batch written: ${path.relative(process.cwd(), file)}`);
+  console.log("=".repeat(70));
+  console.log("\nNext steps:");
+  console.log(`  1. Open the Safe ${safe} on ${config.name}: Apps > Transaction Builder`);
+  console.log("  2. Drag and drop the file, check every call against this output");
+  console.log("  3. Create the batch, collect the signatures and execute it\n");
+}
+
+main().catch((err) => {
+  console.error("❌ Export failed:", err.shortMessage || err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,807 @@
+// scripts/mainnet/deployment/pipeline.js
+// Step-based, resumable deployment driven by a manifest
+//
+// A manifest (manifests/*.json) lists the steps of a deployment. Each step first checks on-chain
+// whether it is already done, so running a manifest again continues where the last run stopped:
+//
+//   deploy              Code at the address of its role (registry, or the address its broadcast creates)
+//   setOracleAndFreeze  vault.oracleFrozen() and vault.priceOracle() is the oracle
+//   initialize          vault.initialized()
+//   fund                A Transfer(deployer -> vault, amount) since the vault was deployed, one per fund step
+//
+// Nonce, hash and fees of every broadcast go to deployments/<network>.<deployment>.progress.json
+// before the run waits for it. After a crash or a stuck transaction the next run uses the mined
+// receipt; re-checks the step when another transaction took the nonce; and replaces a transaction
+// still pending at the same nonce with higher fees. Fees and replacements follow the keeper's gas
+// policy (KEEPER_FEE_POLICY, KEEPER_MAX_FEE_GWEI, ... see keeper/gas.js).
+//
+// Owner-only steps (setOracleAndFreeze, initialize) of a vault owned by another address, e.g. a
+// Safe (VAULT_OWNER), are not sent: they go into deployments/<network>.<deployment>.safe-batch.json
+// for the Safe's Transaction Builder. Once the Safe has executed it, the next run finds them done.
+//
+// Usage:
+//   node scripts/mainnet/deployment/pipeline.js [manifest] [--plan] [--deployment <name>]
+//
+//   manifest   Default: manifests/test.json for the test-mode profile, else manifests/production.json
+//   --plan     Show each step as done / pending / skipped, send nothing
+//
+// ENV:
+//   DEPLOYMENT_NAME=        Deployment to record into (default: the manifest's "name")
+//   VAULT_DEPOSIT_AMOUNT=   Total locked supply passed to initialize() (whole tokens)
+//   VAULT_FUND_AMOUNT=      FAIR the deployer sends to the vault (optional "fund" step)
+//   VAULT_OWNER=            Vault owner, e.g. a Safe (default: the deployer)
+//   VAULT_DEPLOY_BLOCK=     Block the vault was deployed in, for a vault not in the registry (default: searched)
+//   PREFLIGHT_ALLOW=        Failed pre-flight checks to accept (manifests with "preflight": true, see preflight.js)
+
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getSigner } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig, getProfile, getProfileName, loadConfig, assertContractConstants } from "../../shared/config.js";
+import { getRegistryPath, loadRegistry, saveDeployment, describeReceipt, getDeploymentName } from "../../shared/deployments.js";
+import { FairVaultClient } from "../../shared/fair-vault-client.js";
+import { getGasPolicy, applyGasLimit, getFees, bumpFees, sendWithReplacement, waitForAnyReceipt } from "../../keeper/gas.js";
+import { buildSafeTransaction, createSafeBatch, writeSafeBatch, simulateSafeBatch, describeSafeTransaction } from "../../shared/safe-batch.js";
+import { runPreflight, assertPreflight } from "./preflight.js";
+import "dotenv/config";
+
+const __filename = fileURLToPath(import.meta.url);
+const MANIFEST_DIR = path.join(path.dirname(__filename), "manifests");
+
+const PENDING_POLL_MS = 5000;
+
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function transfer(address, uint256) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+// Blocks per eth_getLogs request (public RPCs cap the range)
+const MAX_BLOCK_RANGE = 2000;
+
+function vaultContract(address, run) {
+  return new ethers.Contract(address, loadArtifact(CONTRACTS.FAIR_VAULT).abi, run.wallet);
+}
+
+async function tokenAmount(token, amount, run) {
+  const erc20 = new ethers.Contract(token, ERC20_ABI, run.wallet);
+  const [decimals, symbol] = await Promise.all([erc20.decimals(), erc20.symbol()]);
+  return { erc20, wei: ethers.parseUnits(String(amount), decimals), decimals, symbol };
+}
+
+// Block the vault was deployed in: registry, VAULT_DEPLOY_BLOCK, else a binary search on its code
+async function deployBlock(address, run) {
+  const key = address.toLowerCase();
+  if (run.deployBlocks[key] !== undefined) return run.deployBlocks[key];
+  let block;
+  if (process.env.VAULT_DEPLOY_BLOCK) {
+    block = Number(process.env.VAULT_DEPLOY_BLOCK);
+  } else {
+    let low = 0;
+    let high = await run.provider.getBlockNumber();
+    try {
+      if ((await run.provider.getCode(address, high)) === "0x") throw new Error("no code");
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if ((await run.provider.getCode(address, mid)) === "0x") low = mid + 1;
+        else high = mid;
+      }
+    } catch (e) {
+      throw new Error(`Cannot find the block vault ${address} was deployed in (${e.shortMessage || e.message}); set VAULT_DEPLOY_BLOCK`);
+    }
+    block = low;
+  }
+  run.deployBlocks[key] = block;
+  return block;
+}
+
+// Transfers of a token from the deployer to a vault since the vault was deployed, oldest first
+async function deployerTransfers(p, run, erc20) {
+  const key = `${p.token}:${p.vault}`.toLowerCase();
+  if (!run.transfers[key]) {
+    const filter = erc20.filters.Transfer(run.wallet.address, p.vault);
+    const fromBlock = await deployBlock(p.vault, run);
+    // Read past the provider's cached block number, which can lag a receipt just received
+    const toBlock = Number(await run.provider.send("eth_blockNumber", []));
+    const transfers = [];
+    for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+      const logs = await erc20.queryFilter(filter, start, Math.min(toBlock, start + MAX_BLOCK_RANGE - 1));
+      transfers.push(...logs.map((entry) => ({ hash: entry.transactionHash, value: entry.args.value })));
+    }
+    run.transfers[key] = transfers;
+  }
+  return run.transfers[key];
+}
+
+// Owner-only vault calls fail with a readable error instead of a revert
+async function requireOwner(vault, run) {
+  const owner = await vault.owner();
+  if (owner.toLowerCase() !== run.wallet.address.toLowerCase()) {
+    throw new Error(`${run.wallet.address} is not the owner of vault ${await vault.getAddress()} (owner: ${owner})`);
+  }
+}
+
+/**
+ * Step types: the fields a manifest step needs, how to tell it is done, and the transaction that does it.
+ *   check(params, run, state)    -> { done, detail }   read-only, also used by --plan
+ *   request(params, run, state)  -> TransactionRequest
+ *   record(params, run, state)   -> { contracts, config } for the registry once done
+ *   owner(params, run)           -> address allowed to send it (owner-only steps)
+ *   safeTransaction(params, run) -> the same call for a Safe batch, when the owner is not the deployer
+ */
+export const STEP_TYPES = {
+  deploy: {
+    fields: ["role", "contract", "args"],
+    describe: (p) => `Deploy ${p.contract} (${p.role})`,
+    async check(p, run, state) {
+      const address = run.contracts[p.role] ?? state.address;
+      if (!address || (await run.provider.getCode(address)) === "0x") {
+        return { done: false };
+      }
+      if (p.role === "vault") {
+        // An adopted or earlier vault must be the one this manifest describes
+        const vault = vaultContract(address, run);
+        const token = await vault.fairToken();
+        if (token.toLowerCase() !== String(p.args[0]).toLowerCase()) {
+          throw new Error(`Vault ${address} holds token ${token}, the manifest expects ${p.args[0]}`);
+        }
+        if (run.profile) {
+          const constants = await new FairVaultClient(address, run.provider, { type: "vault" }).getConstants();
+          assertContractConstants(run.profile, constants, address);
+        }
+      }
+      return { done: true, detail: address, address };
+    },
+    async request(p, run, state) {
+      const artifact = loadArtifact(p.contract);
+      const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, run.wallet);
+      // The address a deployment at this nonce creates, so a crash before the receipt still finds it
+      state.address = ethers.getCreateAddress({ from: run.wallet.address, nonce: state.nonce });
+      return factory.getDeployTransaction(...p.args);
+    },
+    record(p, run, state, receipt) {
+      if (!receipt) {
+        return { contracts: { [p.role]: { contract: p.contract, address: state.address } } };
+      }
+      return { contracts: { [p.role]: describeReceipt(receipt, { name: p.contract, args: p.args, artifact: loadArtifact(p.contract) }) } };
+    },
+  },
+
+  setOracleAndFreeze: {
+    fields: ["vault", "oracle"],
+    describe: () => "Wire oracle to vault and FREEZE it (permanent)",
+    async check(p, run) {
+      const vault = vaultContract(p.vault, run);
+      const [frozen, current] = await Promise.all([vault.oracleFrozen(), vault.priceOracle()]);
+      if (frozen && current.toLowerCase() === p.oracle.toLowerCase()) {
+        return { done: true, detail: `frozen on ${current}` };
+      }
+      if (frozen) {
+        throw new Error(`Vault ${p.vault} is already frozen on oracle ${current}, not ${p.oracle}. This cannot be changed.`);
+      }
+      return { done: false, detail: current === ethers.ZeroAddress ? "no oracle set" : `oracle ${current}, not frozen` };
+    },
+    async request(p, run) {
+      const vault = vaultContract(p.vault, run);
+      await requireOwner(vault, run);
+      const oracle = new ethers.Contract(p.oracle, ["function getPrice() view returns (uint256)"], run.provider);
+      try {
+        run.log(`  Oracle getPrice(): ${await oracle.getPrice()}`);
+      } catch (error) {
+        run.log(`  ⚠️  Oracle getPrice() failed: ${error.shortMessage || error.message}`);
+        run.log("     This may be due to insufficient pool history. Freezing anyway.");
+      }
+      return vault.setOracleAndFreeze.populateTransaction(p.oracle);
+    },
+    owner: (p, run) => vaultContract(p.vault, run).owner(),
+    safeTransaction: async (p) => buildSafeTransaction("setOracleAndFreeze", p.vault, [p.oracle]),
+    record: () => ({ config: { oracleFrozen: true } }),
+  },
+
+  initialize: {
+    fields: ["vault", "token", "amount"],
+    describe: (p) => `Initialize vault with ${p.amount} total locked`,
+    async check(p, run) {
+      const vault = vaultContract(p.vault, run);
+      if (!(await vault.initialized())) {
+        return { done: false };
+      }
+      const { wei, decimals, symbol } = await tokenAmount(p.token, p.amount ?? 0, run);
+      const total = await vault.totalDeposited();
+      if (p.amount !== undefined && total !== wei) {
+        run.log(`  ⚠️  Vault was initialized with ${ethers.formatUnits(total, decimals)} ${symbol}, not ${p.amount}`);
+      }
+      return { done: true, detail: `${ethers.formatUnits(total, decimals)} ${symbol}` };
+    },
+    async request(p, run) {
+      const vault = vaultContract(p.vault, run);
+      await requireOwner(vault, run);
+      const { wei, decimals, symbol } = await tokenAmount(p.token, p.amount, run);
+      run.log(`  Per milestone: ${ethers.formatUnits(wei / 18n, decimals)} ${symbol}`);
+      return vault.initialize.populateTransaction(wei);
+    },
+    owner: (p, run) => vaultContract(p.vault, run).owner(),
+    async safeTransaction(p, run) {
+      const { wei } = await tokenAmount(p.token, p.amount, run);
+      return buildSafeTransaction("initialize", p.vault, [wei]);
+    },
+    record: (p) => ({ config: { totalLocked: String(p.amount) } }),
+  },
+
+  fund: {
+    fields: ["vault", "token", "amount"],
+    describe: (p) => `Send ${p.amount} FAIR to the vault`,
+    async check(p, run, state) {
+      // Each fund step is one transfer from the deployer; the progress file only remembers which
+      if (state.status === "done" && state.transfer) {
+        return { done: true, detail: state.transfer };
+      }
+      const { erc20, wei } = await tokenAmount(p.token, p.amount, run);
+      const claimed = new Set(Object.values(run.progress.steps)
+        .filter((other) => other !== state)
+        .flatMap((other) => other.transfer ? [other.transfer] : other.status === "done" ? (other.txs ?? []).map((tx) => tx.hash) : []));
+      const transfer = (await deployerTransfers(p, run, erc20)).find((t) => t.value === wei && !claimed.has(t.hash));
+      if (!transfer) {
+        return { done: false };
+      }
+      state.transfer = transfer.hash;
+      return { done: true, detail: transfer.hash };
+    },
+    async request(p, run, state) {
+      const { erc20, wei, decimals, symbol } = await tokenAmount(p.token, p.amount, run);
+      const available = await erc20.balanceOf(run.wallet.address);
+      if (available < wei) {
+        throw new Error(`Deployer holds ${ethers.formatUnits(available, decimals)} ${symbol}, ${p.amount} needed`);
+      }
+      state.amount = String(p.amount);
+      // The transfer about to be sent is found by the next check
+      delete run.transfers[`${p.token}:${p.vault}`.toLowerCase()];
+      return erc20.transfer.populateTransaction(p.vault, wei);
+    },
+    record: () => ({}),
+  },
+};
+
+/**
+ * Validate a manifest (parsed JSON)
+ * @param {object} manifest
+ * @param {string} [source] - File name, for errors
+ */
+export function validateManifest(manifest, source = "manifest") {
+  const errors = [];
+  if (!manifest.name || !/^[A-Za-z0-9_.-]+$/.test(manifest.name)) {
+    errors.push(`"name" must be a deployment name (letters, digits, '.', '_' and '-')`);
+  }
+  try {
+    getNetworkConfig(manifest.network);
+  } catch (e) {
+    errors.push(e.message);
+  }
+  if (manifest.profile !== undefined) {
+    try {
+      getProfile(manifest.profile);
+    } catch (e) {
+      errors.push(`"profile": ${e.errors?.[0] ?? e.message}`);
+    }
+  }
+  if (manifest.preflight !== undefined && typeof manifest.preflight !== "boolean") {
+    errors.push(`"preflight" must be true or false`);
+  }
+  if (!Array.isArray(manifest.steps) || manifest.steps.length === 0) {
+    errors.push(`"steps" must be a non-empty array`);
+  }
+  const ids = new Set();
+  for (const [index, step] of (manifest.steps ?? []).entries()) {
+    const where = `steps[${index}]${step.id ? ` (${step.id})` : ""}`;
+    if (!step.id) errors.push(`${where}: "id" is required`);
+    if (ids.has(step.id)) errors.push(`${where}: duplicate id`);
+    ids.add(step.id);
+    const type = STEP_TYPES[step.type];
+    if (!type) {
+      errors.push(`${where}: unknown type "${step.type}". Use: ${Object.keys(STEP_TYPES).join(", ")}`);
+      continue;
+    }
+    for (const field of type.fields.filter((f) => step[f] === undefined)) {
+      errors.push(`${where}: "${field}" is required for ${step.type}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid deployment manifest ${source}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return manifest;
+}
+
+/**
+ * Read and validate a manifest file
+ * @param {string} file - Path, or a name in manifests/ ("production", "test")
+ */
+export function loadManifest(file) {
+  const resolved = fs.existsSync(file) ? path.resolve(file) : path.join(MANIFEST_DIR, `${file.replace(/\.json$/, "")}.json`);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Deployment manifest not found: ${file}`);
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (e) {
+    throw new Error(`Deployment manifest ${resolved} is not valid JSON: ${e.message}`);
+  }
+  return validateManifest(manifest, path.relative(process.cwd(), resolved));
+}
+
+/**
+ * Manifest for the selected mainnet profile: test.json for test-mode, else production.json
+ */
+export function getDefaultManifest() {
+  return getProfileName("mainnet") === "test-mode" ? "test" : "production";
+}
+
+/**
+ * Progress file of a deployment, next to the registry
+ * @param {string} network
+ * @param {string} name - Deployment name
+ */
+export function getProgressPath(network, name) {
+  return path.join(path.dirname(getRegistryPath(network)), `${network}.${name}.progress.json`);
+}
+
+/**
+ * Safe Transaction Builder batch for the owner-only steps of a deployment
+ * @param {string} network
+ * @param {string} name - Deployment name
+ */
+export function getSafeBatchPath(network, name) {
+  return path.join(path.dirname(getRegistryPath(network)), `${network}.${name}.safe-batch.json`);
+}
+
+/**
+ * Step states recorded for a deployment ({ steps: {} } when none)
+ * @param {string} network
+ * @param {string} name - Deployment name
+ */
+export function loadProgress(network, name) {
+  const file = getProgressPath(network, name);
+  if (!fs.existsSync(file)) {
+    return { network, deployment: name, steps: {} };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Deployment progress ${file} is not valid JSON: ${e.message}`);
+  }
+}
+
+function saveProgress(run) {
+  const file = getProgressPath(run.network, run.name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  run.progress.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(run.progress, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Resolve manifest values: "$a.b" looks up a.b in the context, { "env": "X", "default": "..." } reads env
+ * (the default can be a "$a.b" value too).
+ * Unset values are collected in `missing`.
+ */
+function resolve(value, ctx, missing) {
+  if (Array.isArray(value)) {
+    return value.map((v) => resolve(v, ctx, missing));
+  }
+  if (typeof value === "string" && value.startsWith("$")) {
+    const found = value.slice(1).split(".").reduce((obj, key) => obj?.[key], ctx);
+    if (found === undefined) missing.push(value);
+    return found;
+  }
+  if (value !== null && typeof value === "object" && typeof value.env === "string") {
+    const found = ctx.env[value.env] || (value.default === undefined ? undefined : resolve(value.default, ctx, missing));
+    if (found === undefined) missing.push(value.env);
+    return found;
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolve(v, ctx, missing)]));
+  }
+  return value;
+}
+
+// What "$..." values of a manifest look up
+function createContext(network, profileConfig, deployer, contracts) {
+  return {
+    ...(profileConfig ?? {}),
+    deployer,
+    network: getNetworkConfig(network),
+    contracts,
+    env: process.env,
+  };
+}
+
+/**
+ * The steps of a manifest with their values resolved, without touching the chain
+ * @param {object} manifest - From loadManifest()
+ * @param {object} options
+ * @param {string} options.deployer - Address "$deployer" stands for
+ * @param {Record<string, string>} [options.contracts] - Role -> address for "$contracts.*"
+ * @param {object} [options.config] - loadConfig() result (default: loaded for manifest.profile)
+ * @returns {Array<{ id: string, type: string, params: object, missing: string[] }>}
+ */
+export function resolveSteps(manifest, { deployer, contracts = {}, config }) {
+  const profileConfig = config ?? (manifest.profile ? loadConfig(manifest.profile) : null);
+  const ctx = createContext(manifest.network, profileConfig, deployer, contracts);
+  return manifest.steps.map((step) => {
+    const missing = [];
+    return { id: step.id, type: step.type, params: resolve(stepParams(step), ctx, missing), missing };
+  });
+}
+
+function stepParams(step) {
+  const { id, type, optional, ...params } = step;
+  return params;
+}
+
+function record(run, update) {
+  const { contracts = {}, config = {} } = update;
+  for (const entry of Object.values(contracts)) {
+    if (entry.block !== undefined) run.deployBlocks[entry.address.toLowerCase()] = entry.block;
+  }
+  Object.assign(run.contracts, Object.fromEntries(Object.entries(contracts).map(([role, entry]) => [role, entry.address])));
+  if (Object.keys(contracts).length > 0 || Object.keys(config).length > 0) {
+    saveDeployment(run.network, run.name, { contracts, config }, { makeDefault: run.makeDefault });
+  }
+}
+
+// Wait until no earlier transaction of the deployer is pending, so a new one does not queue behind it
+async function waitForPendingTransactions(run, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const [latest, pending] = await Promise.all([
+      run.provider.getTransactionCount(run.wallet.address, "latest"),
+      run.provider.getTransactionCount(run.wallet.address, "pending"),
+    ]);
+    // A count read right after a receipt can still be the cached one from before it
+    if (pending === latest) return Math.max(latest, run.nextNonce ?? 0);
+    if (Date.now() >= deadline) {
+      throw new Error(`${pending - latest} transaction(s) from ${run.wallet.address} still pending from nonce ${latest}: speed them up or cancel them in a wallet, then run again`);
+    }
+    run.log(`  ⏳ ${pending - latest} pending transaction(s) from the deployer, waiting...`);
+    await new Promise((resolve) => setTimeout(resolve, PENDING_POLL_MS));
+  }
+}
+
+/**
+ * A broadcast an earlier run left behind
+ * @returns {Promise<{ receipt } | { nonceUsed: true } | { resend: true }>}
+ */
+async function recoverBroadcast(state, run) {
+  const hashes = (state.txs ?? []).map((tx) => tx.hash);
+  run.log(`  🔁 Earlier broadcast at nonce ${state.nonce}${hashes.length > 0 ? `: ${hashes.join(", ")}` : " (no hash recorded)"}`);
+  const receipt = hashes.length > 0 ? await waitForAnyReceipt(run.provider, hashes, 0) : null;
+  if (receipt) {
+    return { receipt };
+  }
+  const latest = await run.provider.getTransactionCount(run.wallet.address, "latest");
+  if (latest > state.nonce) {
+    // Mined under a hash this run never saw: sped up or cancelled from a wallet, or sent right before a crash
+    return { nonceUsed: true };
+  }
+  const pending = await run.provider.getTransactionCount(run.wallet.address, "pending");
+  if (hashes.length === 0 && pending > state.nonce) {
+    // Broadcast right before a crash: its fees are unknown, so wait for it instead of replacing it
+    await waitForPendingTransactions(run, run.policy.receiptTimeoutMs);
+    return { nonceUsed: true };
+  }
+  return { resend: true };
+}
+
+async function runStep(step, index, run) {
+  const type = STEP_TYPES[step.type];
+  const state = (run.progress.steps[step.id] ??= {});
+  const missing = [];
+  const params = resolve(stepParams(step), run.ctx, missing);
+  run.params[step.id] = params;
+  const title = `Step ${index + 1}: ${step.id}`;
+
+  // Only in a plan: a contract an earlier step has not deployed yet
+  const waitsFor = missing.filter((value) => value.startsWith("$contracts."));
+  const unset = missing.filter((value) => !waitsFor.includes(value));
+  if (unset.length > 0 && step.optional) {
+    run.log(`⏭️  ${title} skipped (${unset.join(", ")} not set)`);
+    return "skipped";
+  }
+  if (waitsFor.length > 0) {
+    run.log(`⬜ ${title} pending: ${type.describe(params)} (after ${waitsFor.map((value) => value.slice(11)).join(", ")})`);
+    return "pending";
+  }
+
+  let checked = await type.check(params, run, state);
+  if (!checked.done && missing.length > 0) {
+    throw new Error(`Step "${step.id}" needs ${missing.join(", ")}`);
+  }
+  if (checked.done) {
+    run.log(`✅ ${title} done${checked.detail ? ` (${checked.detail})` : ""}`);
+    // --plan only reports: the progress file and the registry are left as they are
+    if (state.status !== "done" && !run.plan) {
+      state.status = "done";
+      state.completedAt = new Date().toISOString();
+      saveProgress(run);
+      // Done before this pipeline knew about it (adopted contract, lost receipt)
+      if (step.type !== "deploy" || !run.contracts[params.role]) {
+        record(run, type.record(params, run, { ...state, address: checked.address }));
+      }
+    }
+    return "done";
+  }
+  if (run.plan) {
+    run.log(`⬜ ${title} pending: ${type.describe(params)}${checked.detail ? ` (${checked.detail})` : ""}${state.nonce !== undefined ? `, broadcast at nonce ${state.nonce}` : ""}`);
+    return "pending";
+  }
+
+  // Owner-only step of a vault the deployer does not own: handed to the owner's Safe as a batch
+  if (type.owner) {
+    const owner = await type.owner(params, run);
+    if (owner.toLowerCase() !== run.wallet.address.toLowerCase()) {
+      if (run.safe && run.safe.toLowerCase() !== owner.toLowerCase()) {
+        throw new Error(`Step "${step.id}" needs owner ${owner}, the Safe batch is for ${run.safe}`);
+      }
+      run.safe = owner;
+      run.safeTransactions.push(await type.safeTransaction(params, run));
+      state.status = "safe";
+      saveProgress(run);
+      run.log(`📝 ${title} for the owner ${owner}: ${type.describe(params)}`);
+      return "safe";
+    }
+  }
+
+  run.log("\n" + "=".repeat(50));
+  run.log(`${title} - ${type.describe(params)}`);
+  run.log("=".repeat(50));
+
+  let receipt = null;
+  let resend = null;
+  if (state.nonce !== undefined) {
+    const outcome = await recoverBroadcast(state, run);
+    if (outcome.receipt) {
+      receipt = outcome.receipt;
+    } else if (outcome.nonceUsed) {
+      checked = await type.check(params, run, state);
+      if (checked.done) {
+        state.status = "done";
+        state.completedAt = new Date().toISOString();
+        saveProgress(run);
+        record(run, type.record(params, run, state, null));
+        run.log(`  ✅ Done by the earlier broadcast (${checked.detail ?? "checked on-chain"})`);
+        return "done";
+      }
+      run.log("  Nonce was used by another transaction, sending again");
+      delete state.nonce;
+      state.txs = [];
+    } else {
+      const last = state.txs?.at(-1);
+      const current = await getFees(run.provider, run.policy);
+      const fees = last
+        ? bumpFees({ maxFeePerGas: BigInt(last.maxFeePerGas), maxPriorityFeePerGas: BigInt(last.maxPriorityFeePerGas) }, current, run.policy)
+        : current;
+      if (!fees) {
+        throw new Error(`Nonce ${state.nonce} is stuck and KEEPER_MAX_FEE_GWEI leaves no room to bump fees`);
+      }
+      run.log(`  Replacing nonce ${state.nonce} with higher fees`);
+      resend = { nonce: state.nonce, fees };
+    }
+  }
+
+  if (!receipt) {
+    if (!resend) {
+      state.nonce = await waitForPendingTransactions(run, run.policy.receiptTimeoutMs);
+      state.txs = [];
+    }
+    const request = await type.request(params, run, state);
+    const gasLimit = applyGasLimit(await run.wallet.estimateGas(request), run.policy);
+    state.status = "sent";
+    saveProgress(run);
+
+    ({ receipt } = await sendWithReplacement({
+      send: (overrides) => run.wallet.sendTransaction({ ...request, ...overrides }),
+      provider: run.provider,
+      gasLimit,
+      policy: run.policy,
+      nonce: state.nonce,
+      fees: resend?.fees,
+      onSent: (tx) => {
+        state.txs.push({ hash: tx.hash, maxFeePerGas: tx.maxFeePerGas.toString(), maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString() });
+        saveProgress(run);
+        run.log(`  📤 Transaction: ${tx.hash}`);
+      },
+      log: run.log,
+    }));
+  }
+
+  run.nextNonce = state.nonce + 1;
+  if (receipt.status !== 1) {
+    // Sent again on the next run, once the cause is fixed
+    delete state.nonce;
+    state.txs = [];
+    state.status = "reverted";
+    state.lastError = `Reverted in ${receipt.hash}`;
+    saveProgress(run);
+    throw new Error(`Step "${step.id}" reverted: ${run.explorer ? `${run.explorer}/tx/${receipt.hash}` : receipt.hash}`);
+  }
+  if (step.type === "deploy") {
+    state.address = receipt.contractAddress;
+  }
+  checked = await type.check(params, run, { ...state, status: "done" });
+  if (!checked.done) {
+    throw new Error(`Step "${step.id}" was mined in ${receipt.hash}, but its on-chain check still fails`);
+  }
+  state.status = "done";
+  state.block = receipt.blockNumber;
+  state.completedAt = new Date().toISOString();
+  delete state.lastError;
+  saveProgress(run);
+  record(run, type.record(params, run, state, receipt));
+  run.log(`  ✅ Done${checked.detail ? `: ${checked.detail}` : ""}`);
+  return "done";
+}
+
+/**
+ * Run a manifest, or continue it: steps already done on-chain are skipped
+ * @param {object} manifest - From loadManifest() or validateManifest()
+ * @param {object} options
+ * @param {ethers.Signer} options.wallet - Deployer, connected to a provider
+ * @param {string} [options.name] - Deployment name (default: getDeploymentName(), then manifest.name)
+ * @param {object} [options.config] - loadConfig() result (default: loaded for manifest.profile)
+ * @param {Record<string, string>} [options.adopt] - Role -> address of contracts deployed outside the pipeline
+ * @param {boolean} [options.plan] - Only report what is done and what is left
+ * @param {boolean} [options.preflight] - Run preflight.js before the first transaction (default: manifest.preflight)
+ * @param {() => Promise<void>} [options.beforeSend] - Called once before the first transaction, after the pre-flight
+ * @param {(...args: any[]) => void} [options.log]
+ * @returns {Promise<{ name: string, contracts: Record<string, string>, steps: Array<{ id: string, type: string, status: string, params: object }>, safeBatch: string | null }>}
+ */
+export async function runPipeline(manifest, { wallet, name, config, adopt = {}, plan = false, preflight = manifest.preflight === true, beforeSend, log = console.log }) {
+  const network = manifest.network;
+  const deploymentName = name || getDeploymentName() || manifest.name;
+  const profileConfig = config ?? (manifest.profile ? loadConfig(manifest.profile) : null);
+  const existing = loadRegistry(network).deployments[deploymentName] ?? null;
+  const run = {
+    network,
+    name: deploymentName,
+    makeDefault: manifest.default === true,
+    wallet,
+    provider: wallet.provider,
+    explorer: getNetworkConfig(network).explorer,
+    policy: getGasPolicy(),
+    profile: manifest.profile ? getProfile(manifest.profile) : null,
+    progress: loadProgress(network, deploymentName),
+    plan,
+    log,
+    params: {},
+    deployBlocks: Object.fromEntries(Object.values(existing?.contracts ?? {})
+      .filter((entry) => entry.block !== undefined).map((entry) => [entry.address.toLowerCase(), entry.block])),
+    transfers: {},
+    safe: null,
+    safeTransactions: [],
+    contracts: {
+      ...Object.fromEntries(Object.entries(existing?.contracts ?? {}).map(([role, entry]) => [role, entry.address])),
+      ...adopt,
+    },
+  };
+  run.ctx = createContext(network, profileConfig, wallet.address, run.contracts);
+
+  // Every value a step needs must be resolvable before the first transaction, unless the step is
+  // already done on-chain (e.g. VAULT_DEPOSIT_AMOUNT once the vault is initialized)
+  const planned = { ...run.contracts };
+  const errors = [];
+  for (const step of manifest.steps) {
+    const missing = [];
+    const params = resolve(stepParams(step), { ...run.ctx, contracts: planned }, missing);
+    const deployedLater = Object.keys(planned).some((role) => !run.contracts[role] && JSON.stringify(stepParams(step)).includes(`$contracts.${role}`));
+    if (missing.length > 0 && !step.optional) {
+      const done = !deployedLater && (await STEP_TYPES[step.type].check(params, run, run.progress.steps[step.id] ?? {})).done;
+      if (!done) errors.push(`${step.id}: ${missing.join(", ")} not set`);
+    }
+    if (step.type === "deploy") {
+      try {
+        loadArtifact(step.contract);
+      } catch {
+        errors.push(`${step.id}: no compiled artifact for ${step.contract} (run npx hardhat compile)`);
+      }
+      planned[step.role] ??= ethers.ZeroAddress;
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Deployment "${deploymentName}" cannot run:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+
+  // Checks on the values about to be sent, before any of them is (see preflight.js)
+  if (!plan && (preflight || beforeSend)) {
+    const pending = [];
+    for (const [index, step] of manifest.steps.entries()) {
+      if ((await runStep(step, index, { ...run, plan: true, log: () => {}, progress: structuredClone(run.progress) })) === "pending") {
+        pending.push({ id: step.id, type: step.type, params: run.params[step.id] });
+      }
+    }
+    if (pending.length > 0) {
+      if (preflight) {
+        const report = await runPreflight({ provider: run.provider, deployer: wallet.address, network, pending, log });
+        assertPreflight(report, { log });
+      }
+      await beforeSend?.();
+    }
+  }
+
+  if (!plan) {
+    const missing = [];
+    const external = resolve(manifest.external ?? {}, run.ctx, missing);
+    const contracts = Object.fromEntries(
+      Object.entries(external).filter(([role, address]) => address && !run.contracts[role]).map(([role, address]) => [role, { contract: null, address }])
+    );
+    for (const [role, address] of Object.entries(adopt)) {
+      if (existing?.contracts[role]?.address?.toLowerCase() !== address.toLowerCase()) {
+        contracts[role] = { contract: null, address };
+      }
+    }
+    record(run, { contracts, config: resolve(manifest.config ?? {}, run.ctx, missing) });
+  }
+
+  const steps = [];
+  for (const [index, step] of manifest.steps.entries()) {
+    const status = await runStep(step, index, run);
+    steps.push({ id: step.id, type: step.type, status, params: run.params[step.id] });
+  }
+
+  let safeBatch = null;
+  if (run.safeTransactions.length > 0) {
+    const batch = createSafeBatch({
+      chainId: getNetworkConfig(network).chainId,
+      safe: run.safe,
+      name: `${deploymentName}: ${steps.filter((s) => s.status === "safe").map((s) => s.id).join(", ")}`,
+      description: `Owner actions of deployment "${deploymentName}" on ${network}`,
+      transactions: run.safeTransactions,
+    });
+    safeBatch = getSafeBatchPath(network, deploymentName);
+    writeSafeBatch(safeBatch, batch);
+    log(`\n📝 Safe batch for ${run.safe}: ${path.relative(process.cwd(), safeBatch)}`);
+    for (const result of await simulateSafeBatch(run.provider, batch)) {
+      log(`   ${result.ok ? "✅" : "⚠️ "} ${describeSafeTransaction(result.transaction)}${result.ok ? "" : ` - reverts now: ${result.error}`}`);
+    }
+    log("   Import it in the Safe's Transaction Builder, review and execute it, then run again to record it.");
+  } else if (!plan && fs.existsSync(getSafeBatchPath(network, deploymentName))) {
+    // Executed by the Safe: the steps are done now
+    fs.rmSync(getSafeBatchPath(network, deploymentName));
+  }
+  return { name: deploymentName, contracts: { ...run.contracts }, steps, safeBatch };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const deploymentFlag = args.indexOf("--deployment");
+  const file = args.find((arg, i) => !arg.startsWith("--") && i !== deploymentFlag + 1) || getDefaultManifest();
+  const plan = args.includes("--plan");
+
+  const manifest = loadManifest(file);
+  const wallet = await getSigner(manifest.network);
+
+  console.log("\n" + "=".repeat(70));
+  console.log(`🚀 Deployment pipeline: ${manifest.name} (${manifest.network})${plan ? " - PLAN" : ""}`);
+  console.log("=".repeat(70));
+  console.log(`Deployer: ${wallet.address}\n`);
+
+  const result = await runPipeline(manifest, { wallet, plan });
+  const pending = result.steps.filter((s) => s.status === "pending").length;
+  const status = plan ? `📋 ${pending} step(s) left` : result.safeBatch ? "⏳ Waiting for the Safe batch" : "✅ All steps done";
+  console.log(`\n${status} for "${result.name}"`);
+  for (const [role, address] of Object.entries(result.contracts)) {
+    console.log(`   ${role.padEnd(16)} ${address}`);
+  }
+  console.log(`   Progress: ${path.relative(process.cwd(), getProgressPath(manifest.network, result.name))}\n`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error(`\n❌ ${error.shortMessage || error.message}`);
+    console.error("   Run the same command again to resume once the cause is fixed.\n");
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,375 @@
+// scripts/mainnet/deployment/preflight.js
+// Pre-flight checks before the transactions of a deployment
+//
+// Checks the values the pending steps of a manifest are about to send, most of them irreversible
+// (pool wallets are immutable, the oracle is frozen):
+//
+//   recipients.*        Pool wallets non-zero, distinct, and an EOA or a Safe (contract with getThreshold())
+//   owner               VAULT_OWNER is a Safe (warning for an EOA or the deployer key)
+//   timing.production   waitRule / requiredGoodPeriods / periodInterval equal the mainnet profile (90 days / 360 / 3600)
+//   tge.range           TGE_TIMESTAMP in seconds, after 2020 and less than a year ahead
+//   token.*             FAIR has code, its supply covers the total locked, the deployer holds what "fund" sends
+//   pool.*              The oracle's pool holds FAIR / USDC and observe() covers the TWAP window now
+//   deployer.eth        ETH for gas
+//
+// pipeline.js runs these for manifests with "preflight": true before their first transaction and
+// stops on a failed check. A failure can only be overridden by naming its check:
+//   PREFLIGHT_ALLOW=timing.production            e.g. for a test-mode deployment
+//   PREFLIGHT_ALLOW=all                          everything (not recommended)
+//
+// Usage:
+//   node scripts/mainnet/deployment/preflight.js [manifest] [--json]
+//
+// ENV:
+//   PREFLIGHT_ALLOW=               Failed checks to accept (comma-separated ids, or "all")
+//   PREFLIGHT_MIN_CARDINALITY=100  Observation cardinality below this is a warning
+
+import { ethers } from "ethers";
+import { getSigner } from "../../shared/provider.js";
+import { loadArtifact, nameConstructorArgs, CONTRACTS } from "../../shared/artifacts.js";
+import { PROFILES } from "../../shared/config.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
+import { loadManifest, getDefaultManifest, runPipeline } from "./pipeline.js";
+import "dotenv/config";
+
+const MIN_ETH = "0.005";
+const RECOMMENDED_ETH = "0.02";
+const EARLIEST_TGE = 1577836800; // 2020-01-01
+const MAX_TGE_AHEAD = 365 * 24 * 60 * 60;
+// EIP-7702: an EOA delegating to code still signs for itself
+const DELEGATION_PREFIX = "0xef0100";
+
+const STATUS_ICONS = { pass: "✅", warn: "⚠️ ", fail: "❌", info: "ℹ️ ", skip: "⏭️ " };
+
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function totalSupply() view returns (uint256)",
+];
+
+const POOL_ABI = [
+  "function token0() external view returns (address)",
+  "function token1() external view returns (address)",
+  "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function observe(uint32[] calldata secondsAgos) external view returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)",
+];
+
+const SAFE_ABI = [
+  "function getThreshold() view returns (uint256)",
+  "function getOwners() view returns (address[])",
+];
+
+// EOA, EOA with an EIP-7702 delegation, Safe (answers getThreshold()) or another contract
+async function describeAccount(provider, address) {
+  const code = await provider.getCode(address);
+  if (code === "0x") {
+    return { kind: "eoa", label: "EOA" };
+  }
+  if (code.startsWith(DELEGATION_PREFIX)) {
+    return { kind: "delegated", label: "EOA with EIP-7702 delegation" };
+  }
+  const safe = new ethers.Contract(address, SAFE_ABI, provider);
+  try {
+    const [threshold, owners] = await Promise.all([safe.getThreshold(), safe.getOwners()]);
+    return { kind: "safe", label: `Safe ${threshold}/${owners.length}` };
+  } catch {
+    return { kind: "contract", label: "contract, not a Safe" };
+  }
+}
+
+/**
+ * A pre-flight check failed and PREFLIGHT_ALLOW does not name it
+ */
+export class PreflightError extends Error {
+  constructor(failures) {
+    super(
+      `Pre-flight failed, nothing was sent:\n` +
+        failures.map((c) => `  - ${c.id}: ${c.title}${c.value !== null ? ` (${c.value})` : ""}${c.remediation ? `\n      Fix: ${c.remediation}` : ""}`).join("\n") +
+        `\n  Override only after checking: PREFLIGHT_ALLOW=${failures.map((c) => c.id).join(",")}`
+    );
+    this.name = "PreflightError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Check ids PREFLIGHT_ALLOW accepts as failed ("all" accepts every check)
+ * @returns {Set<string>}
+ */
+export function getPreflightAllow(env = process.env) {
+  return new Set((env.PREFLIGHT_ALLOW || "").split(",").map((id) => id.trim()).filter(Boolean));
+}
+
+/**
+ * Run the checks for the steps a deployment still has to send
+ * @param {object} options
+ * @param {ethers.Provider} options.provider
+ * @param {string} options.deployer
+ * @param {string} [options.network]
+ * @param {Array<{ id: string, type: string, params: object }>} options.pending - Pending steps from runPipeline({ plan: true })
+ * @param {(...args: any[]) => void} [options.log]
+ * @param {object} [options.env]
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function runPreflight({ provider, deployer, network = "mainnet", pending, log = () => {}, env = process.env }) {
+  const report = createReport("preflight", { network, target: { deployer } });
+  const check = (entry) => {
+    const recorded = report.check(entry);
+    log(`   ${STATUS_ICONS[recorded.status]} ${recorded.title}${recorded.value !== null ? `: ${recorded.value}` : ""}`);
+    if (recorded.status === STATUS.FAIL && recorded.remediation) log(`      Fix: ${recorded.remediation}`);
+    return recorded;
+  };
+  const find = (type, role) => pending.find((s) => s.type === type && (!role || s.params.role === role));
+  report.data.pending = pending.map((s) => s.id);
+
+  log("\n" + "=".repeat(70));
+  log(`🛫 Pre-flight checks (${pending.map((s) => s.id).join(", ")})`);
+  log("=".repeat(70));
+
+  // =====================
+  // VAULT CONSTRUCTOR: recipients, timings, TGE
+  // =====================
+
+  const vaultStep = find("deploy", "vault");
+  if (vaultStep) {
+    const args = nameConstructorArgs(vaultStep.params.contract, vaultStep.params.args);
+    const recipients = { treasury: args._treasury, liquidity: args._liquidity, growth: args._growth, team: args._team };
+
+    const seen = new Map();
+    for (const [name, address] of Object.entries(recipients)) {
+      const id = `recipients.${name}`;
+      if (!address || address === ethers.ZeroAddress) {
+        check({ id, title: `${name} wallet is set`, status: STATUS.FAIL, value: address ?? null, remediation: `Set ${name.toUpperCase()}_WALLET` });
+        continue;
+      }
+      seen.set(address.toLowerCase(), [...(seen.get(address.toLowerCase()) ?? []), name]);
+
+      const account = await describeAccount(provider, address);
+      check({
+        id,
+        title: `${name} wallet is an EOA or a Safe`,
+        status: account.kind === "contract" ? STATUS.FAIL : account.kind === "delegated" ? STATUS.WARN : STATUS.PASS,
+        value: `${address} (${account.label})`,
+        message: account.kind === "delegated" ? "Its delegate code runs when it receives calls" : null,
+        remediation: account.kind === "contract" ? `Make sure ${address} can receive and move FAIR: the vault cannot change recipients later` : null,
+      });
+      if (address.toLowerCase() === deployer.toLowerCase()) {
+        check({ id: `${id}.deployer`, title: `${name} wallet is not the deployer key`, status: STATUS.WARN, value: address });
+      }
+    }
+    const shared = [...seen.values()].filter((names) => names.length > 1);
+    check({
+      id: "recipients.distinct",
+      title: "Pool wallets are distinct",
+      status: shared.length === 0 ? STATUS.PASS : STATUS.FAIL,
+      value: shared.length === 0 ? null : shared.map((names) => names.join(" = ")).join(", "),
+      remediation: shared.length === 0 ? null : "Use a separate wallet for each pool",
+    });
+
+    // Owner-only actions go to a Safe batch when the owner is not the deployer (see shared/safe-batch.js)
+    const owner = args._owner;
+    const ownerAccount = await describeAccount(provider, owner);
+    const ownerIsDeployer = owner.toLowerCase() === deployer.toLowerCase();
+    check({
+      id: "owner",
+      title: "Vault owner is a Safe",
+      status: ownerAccount.kind === "safe" ? STATUS.PASS : ownerAccount.kind === "contract" ? STATUS.FAIL : STATUS.WARN,
+      value: `${owner} (${ownerIsDeployer ? "deployer key" : ownerAccount.label})`,
+      message: ownerIsDeployer ? "Owner actions are sent with the deployer key" : null,
+      remediation: ownerAccount.kind === "safe" ? null : "VAULT_OWNER=<Safe address>",
+    });
+
+    const production = PROFILES.mainnet.constants;
+    const timings = {
+      waitRule: Number(args._waitRule),
+      requiredGoodPeriods: Number(args._requiredGoodPeriods),
+      periodInterval: Number(args._periodInterval),
+    };
+    const differing = Object.entries(timings).filter(([key, value]) => value !== production[key]);
+    check({
+      id: "timing.production",
+      title: "Timings match the production profile (90 days / 360 / 3600)",
+      status: differing.length === 0 ? STATUS.PASS : STATUS.FAIL,
+      value: `${timings.waitRule} / ${timings.requiredGoodPeriods} / ${timings.periodInterval}`,
+      expected: `${production.waitRule} / ${production.requiredGoodPeriods} / ${production.periodInterval}`,
+      remediation: differing.length === 0 ? null : "Unset CONFIG_PROFILE=test-mode and VAULT_*, or PREFLIGHT_ALLOW=timing.production for a test deployment",
+    });
+
+    const tge = Number(args._tgeTimestamp);
+    const now = Math.floor(Date.now() / 1000);
+    let tgeProblem = null;
+    if (tge > 1e12) tgeProblem = "looks like milliseconds";
+    else if (tge < EARLIEST_TGE) tgeProblem = "before 2020";
+    else if (tge > now + MAX_TGE_AHEAD) tgeProblem = "more than a year ahead";
+    check({
+      id: "tge.range",
+      title: "TGE_TIMESTAMP is sane",
+      status: tgeProblem ? STATUS.FAIL : tge > now ? STATUS.WARN : STATUS.PASS,
+      value: tge > 1e12 ? String(tge) : `${tge} (${new Date(tge * 1000).toISOString()})`,
+      message: tgeProblem ?? (tge > now ? "In the future" : null),
+      remediation: tgeProblem ? "TGE_TIMESTAMP=<unix seconds of the token launch>" : null,
+    });
+  }
+
+  // =====================
+  // FAIR TOKEN: code, supply, deployer balance
+  // =====================
+
+  const initializeStep = find("initialize");
+  const fundStep = find("fund");
+  const tokenAddress = vaultStep ? vaultStep.params.args[0] : (initializeStep ?? fundStep)?.params.token;
+  if (tokenAddress) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    let meta = null;
+    try {
+      const [decimals, symbol, totalSupply] = await Promise.all([token.decimals(), token.symbol(), token.totalSupply()]);
+      meta = { decimals, symbol, totalSupply };
+      check({ id: "token.code", title: "FAIR token is an ERC-20", status: STATUS.PASS, value: `${symbol} at ${tokenAddress}` });
+    } catch (error) {
+      check({ id: "token.code", title: "FAIR token is an ERC-20", status: STATUS.FAIL, value: tokenAddress, message: error.shortMessage || error.message, remediation: "Check EXISTING_FAIR_TOKEN" });
+    }
+    if (meta && initializeStep) {
+      const locked = ethers.parseUnits(String(initializeStep.params.amount), meta.decimals);
+      check({
+        id: "token.deposit",
+        title: "Supply covers the total locked amount",
+        status: locked <= meta.totalSupply ? STATUS.PASS : STATUS.FAIL,
+        value: `${initializeStep.params.amount} ${meta.symbol}`,
+        expected: `<= ${ethers.formatUnits(meta.totalSupply, meta.decimals)} ${meta.symbol}`,
+        remediation: locked <= meta.totalSupply ? null : "Check VAULT_DEPOSIT_AMOUNT (whole tokens, not wei)",
+      });
+    }
+    if (meta && fundStep) {
+      const amount = ethers.parseUnits(String(fundStep.params.amount), meta.decimals);
+      const balance = await token.balanceOf(deployer);
+      check({
+        id: "token.fund",
+        title: "Deployer FAIR balance covers the funding",
+        status: balance >= amount ? STATUS.PASS : STATUS.FAIL,
+        value: `${ethers.formatUnits(balance, meta.decimals)} ${meta.symbol}`,
+        expected: `>= ${fundStep.params.amount} ${meta.symbol}`,
+        remediation: balance >= amount ? null : "Send FAIR to the deployer, or lower / unset VAULT_FUND_AMOUNT",
+      });
+    }
+  }
+
+  // =====================
+  // ORACLE POOL: token pair, TWAP window, cardinality
+  // =====================
+
+  // The pool of the oracle to deploy, or of the one about to be frozen
+  const oracleStep = find("deploy", "oracle");
+  const freezeStep = find("setOracleAndFreeze");
+  let oracle = null;
+  if (oracleStep) {
+    const args = nameConstructorArgs(oracleStep.params.contract, oracleStep.params.args);
+    oracle = { pool: args.pool_, fairToken: args.fairToken_, quoteToken: args.quoteToken_, twapWindow: Number(args.twapWindow_) };
+  } else if (freezeStep?.params.oracle) {
+    const deployed = new ethers.Contract(freezeStep.params.oracle, loadArtifact(CONTRACTS.TWAP_ORACLE).abi, provider);
+    try {
+      const [pool, fairToken, quoteToken, twapWindow] = await Promise.all([deployed.pool(), deployed.fairToken(), deployed.quoteToken(), deployed.twapWindow()]);
+      oracle = { pool, fairToken, quoteToken, twapWindow: Number(twapWindow) };
+    } catch (error) {
+      check({ id: "pool.pair", title: "Oracle to freeze is an AerodromeTWAPOracle", status: STATUS.FAIL, value: freezeStep.params.oracle, message: error.shortMessage || error.message });
+    }
+  }
+  if (oracle) {
+    report.data.oracle = oracle;
+    const pool = new ethers.Contract(oracle.pool, POOL_ABI, provider);
+    try {
+      const tokens = (await Promise.all([pool.token0(), pool.token1()])).map((a) => a.toLowerCase());
+      const wanted = [oracle.fairToken, oracle.quoteToken].map((a) => a.toLowerCase());
+      const matches = wanted.every((a) => tokens.includes(a));
+      check({
+        id: "pool.pair",
+        title: "Oracle pool holds FAIR / USDC",
+        status: matches ? STATUS.PASS : STATUS.FAIL,
+        value: tokens.join(" / "),
+        expected: wanted.join(" / "),
+        remediation: matches ? null : "Check AERODROME_POOL_MAINNET and EXISTING_FAIR_TOKEN",
+      });
+    } catch (error) {
+      check({ id: "pool.pair", title: "Oracle pool holds FAIR / USDC", status: STATUS.FAIL, value: oracle.pool, message: error.shortMessage || error.message, remediation: "node scripts/mainnet/diagnostics/check-pool-type.js" });
+    }
+
+    try {
+      await pool.observe([oracle.twapWindow, 0]);
+      check({ id: "pool.twapWindow", title: `observe() covers the ${oracle.twapWindow / 60}-minute TWAP window`, status: STATUS.PASS, value: `${oracle.twapWindow}s` });
+    } catch (error) {
+      check({
+        id: "pool.twapWindow",
+        title: `observe() covers the ${oracle.twapWindow / 60}-minute TWAP window`,
+        status: STATUS.FAIL,
+        value: error.message.includes("OLD") ? "not enough history" : null,
+        expected: `${oracle.twapWindow}s`,
+        message: error.message.includes("OLD") ? null : error.shortMessage || error.message,
+        remediation: "node scripts/mainnet/pool-management/increase-pool-cardinality.js, then build-pool-history.js",
+      });
+    }
+
+    const minCardinality = parseInt(env.PREFLIGHT_MIN_CARDINALITY || "100", 10);
+    try {
+      const slot0 = await pool.slot0();
+      const cardinality = Number(slot0.observationCardinalityNext);
+      check({
+        id: "pool.cardinality",
+        title: "Observation cardinality keeps the TWAP window through busy trading",
+        status: cardinality >= minCardinality ? STATUS.PASS : STATUS.WARN,
+        value: cardinality,
+        expected: `>= ${minCardinality}`,
+        remediation: cardinality >= minCardinality ? null : `POOL_CARDINALITY=${minCardinality} node scripts/mainnet/pool-management/increase-pool-cardinality.js`,
+      });
+    } catch (error) {
+      check({ id: "pool.cardinality", title: "Observation cardinality keeps the TWAP window through busy trading", status: STATUS.WARN, message: error.shortMessage || error.message });
+    }
+  }
+
+  // =====================
+  // DEPLOYER: gas
+  // =====================
+
+  const eth = await provider.getBalance(deployer);
+  check({
+    id: "deployer.eth",
+    title: "Deployer ETH covers gas",
+    status: eth < ethers.parseEther(MIN_ETH) ? STATUS.FAIL : eth < ethers.parseEther(RECOMMENDED_ETH) ? STATUS.WARN : STATUS.PASS,
+    value: `${ethers.formatEther(eth)} ETH`,
+    expected: `>= ${RECOMMENDED_ETH} ETH`,
+    remediation: eth < ethers.parseEther(MIN_ETH) ? `Send at least ${MIN_ETH} ETH to ${deployer}` : null,
+  });
+  log();
+
+  return report.finish();
+}
+
+/**
+ * Throw a PreflightError unless every failed check is named in PREFLIGHT_ALLOW
+ * @param {object} report - From runPreflight()
+ * @param {object} [options]
+ * @param {Set<string>} [options.allow] - Default: getPreflightAllow()
+ * @param {(...args: any[]) => void} [options.log]
+ * @returns {object[]} Failed checks that were allowed
+ */
+export function assertPreflight(report, { allow = getPreflightAllow(), log = () => {} } = {}) {
+  const failed = report.checks.filter((c) => c.status === STATUS.FAIL);
+  const blocking = failed.filter((c) => !allow.has("all") && !allow.has(c.id));
+  if (blocking.length > 0) {
+    throw new PreflightError(blocking);
+  }
+  const allowed = failed.filter((c) => !blocking.includes(c));
+  for (const c of allowed) {
+    log(`⚠️  Pre-flight check ${c.id} failed and is overridden by PREFLIGHT_ALLOW`);
+  }
+  return allowed;
+}
+
+if (isMain(import.meta.url)) {
+  runDiagnostic("preflight", async ({ log }) => {
+    const manifest = loadManifest(getPositionalArgs()[0] || getDefaultManifest());
+    const wallet = await getSigner(manifest.network);
+    const planned = await runPipeline(manifest, { wallet, plan: true, log: () => {} });
+    const pending = planned.steps.filter((s) => s.status === "pending");
+    return runPreflight({ provider: wallet.provider, deployer: wallet.address, network: manifest.network, pending, log });
+  });
+}
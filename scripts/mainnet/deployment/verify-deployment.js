@@ -0,0 +1,481 @@
+// scripts/mainnet/deployment/verify-deployment.js
+// Post-deploy verification: on-chain state against the intended configuration
+//
+// Checks every immutable of the vault (S1_TREASURY ... S4_TEAM, WAIT_RULE, REQUIRED_GOOD_PERIODS,
+// PERIOD_INTERVAL, MIN_LIQUIDITY_FLOOR, fairToken), the contract constants against the config
+// profile, the owner, the oracle wiring and freeze, the oracle's pool / tokens / TWAP window,
+// initialize() and milestoneUnlockAmount, and the 18-step price target ladder.
+//
+// Intended values come from:
+//   registry (default)   Constructor arguments and config recorded when the deployment ran
+//   manifest             A manifest resolved against the current .env (e.g. "production")
+//
+// The report is written next to the registry, for publishing:
+//   deployments/<network>.<deployment>.verification.json   (report format: shared/diagnostics.js)
+//   deployments/<network>.<deployment>.verification.md
+//
+// Sign-off: the report digest is keccak256 of the JSON report without "digest" and "signoff". --sign signs
+// the digest with the signer from .env (EIP-191 personal_sign); anyone can check the signature
+// with ethers.verifyMessage(ethers.getBytes(digest), signature) or verifySignoff() below.
+//
+// Usage:
+//   node scripts/mainnet/deployment/verify-deployment.js [manifest] [--deployment <name>] [--sign] [--json]
+//
+// ENV:
+//   NETWORK=mainnet        Network of the deployment
+//   DEPLOYMENT_NAME=       Deployment to verify (default: the network default)
+//   VERIFY_REPORT_DIR=     Directory for the report files (default: the registry directory)
+
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { getProvider, getSigner } from "../../shared/provider.js";
+import { loadArtifact, nameConstructorArgs, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig, getProfile, getProfileName, checkContractConstants } from "../../shared/config.js";
+import { getDeployment, getRegistryPath, getDeploymentName } from "../../shared/deployments.js";
+import { FairVaultClient, computePriceTarget } from "../../shared/fair-vault-client.js";
+import { createReport, runDiagnostic, isMain, STATUS } from "../../shared/diagnostics.js";
+import { loadManifest, resolveSteps } from "./pipeline.js";
+import "dotenv/config";
+
+// Oracle format: price = usd_price * 1,000,000
+const ORACLE_MULTIPLIER = 1000000;
+
+const IMMUTABLES = [
+  { getter: "fairToken", key: "fairToken", type: "address" },
+  { getter: "S1_TREASURY", key: "treasury", type: "address" },
+  { getter: "S2_LIQUIDITY", key: "liquidity", type: "address" },
+  { getter: "S3_GROWTH", key: "growth", type: "address" },
+  { getter: "S4_TEAM", key: "team", type: "address" },
+  { getter: "WAIT_RULE", key: "waitRule", type: "uint" },
+  { getter: "REQUIRED_GOOD_PERIODS", key: "requiredGoodPeriods", type: "uint" },
+  { getter: "PERIOD_INTERVAL", key: "periodInterval", type: "uint" },
+  { getter: "MIN_LIQUIDITY_FLOOR", key: "minLiquidityFloor", type: "uint" },
+];
+
+const ORACLE_ABI = [
+  "function pool() view returns (address)",
+  "function fairToken() view returns (address)",
+  "function quoteToken() view returns (address)",
+  "function twapWindow() view returns (uint32)",
+  "function getPrice() view returns (uint256)",
+];
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+const STATUS_ICONS = { pass: "✅", warn: "⚠️ ", fail: "❌", info: "ℹ️ ", skip: "⏭️ " };
+
+function same(actual, expected, type) {
+  if (type === "address") return String(actual).toLowerCase() === String(expected).toLowerCase();
+  return BigInt(actual) === BigInt(expected);
+}
+
+// Intended values from what the deployment recorded: constructor arguments, then its config block
+function intendedFromRegistry(network, deployment) {
+  const { contracts, config = {} } = deployment;
+  const vault = contracts.vault?.constructorArgs ? nameConstructorArgs(CONTRACTS.FAIR_VAULT, contracts.vault.constructorArgs) : {};
+  const oracle = contracts.oracle?.constructorArgs ? nameConstructorArgs(CONTRACTS.TWAP_ORACLE, contracts.oracle.constructorArgs) : {};
+  return {
+    source: `${path.relative(process.cwd(), getRegistryPath(network))} (${deployment.name})`,
+    fairToken: vault._fairToken ?? contracts.token?.address ?? null,
+    owner: vault._owner ?? null,
+    treasury: vault._treasury ?? config.wallets?.treasury ?? null,
+    liquidity: vault._liquidity ?? config.wallets?.liquidity ?? null,
+    growth: vault._growth ?? config.wallets?.growth ?? null,
+    team: vault._team ?? config.wallets?.team ?? null,
+    tgeTimestamp: vault._tgeTimestamp ?? config.tgeTimestamp ?? null,
+    waitRule: vault._waitRule ?? config.waitRule ?? null,
+    requiredGoodPeriods: vault._requiredGoodPeriods ?? config.requiredGoodPeriods ?? null,
+    periodInterval: vault._periodInterval ?? config.periodInterval ?? null,
+    minLiquidityFloor: vault._minLiquidityFloor ?? null,
+    pool: oracle.pool_ ?? config.pool ?? null,
+    quoteToken: oracle.quoteToken_ ?? getNetworkConfig(network).usdc ?? null,
+    twapWindow: oracle.twapWindow_ ?? null,
+    totalLocked: config.totalLocked ?? null,
+  };
+}
+
+// Intended values from a manifest and the current .env
+function intendedFromManifest(manifest, deployment) {
+  const steps = resolveSteps(manifest, {
+    deployer: deployment.contracts.vault?.deployer ?? undefined,
+    contracts: Object.fromEntries(Object.entries(deployment.contracts).map(([role, entry]) => [role, entry.address])),
+  });
+  const find = (type, role) => steps.find((s) => s.type === type && (!role || s.params.role === role))?.params;
+  const vaultStep = find("deploy", "vault");
+  const oracleStep = find("deploy", "oracle");
+  const vault = vaultStep ? nameConstructorArgs(vaultStep.contract, vaultStep.args) : {};
+  const oracle = oracleStep ? nameConstructorArgs(oracleStep.contract, oracleStep.args) : {};
+  return {
+    source: `manifest ${manifest.name}${manifest.profile ? ` (profile ${manifest.profile})` : ""} with the current .env`,
+    fairToken: vault._fairToken ?? null,
+    owner: vault._owner ?? null,
+    treasury: vault._treasury ?? null,
+    liquidity: vault._liquidity ?? null,
+    growth: vault._growth ?? null,
+    team: vault._team ?? null,
+    tgeTimestamp: vault._tgeTimestamp ?? null,
+    waitRule: vault._waitRule ?? null,
+    requiredGoodPeriods: vault._requiredGoodPeriods ?? null,
+    periodInterval: vault._periodInterval ?? null,
+    minLiquidityFloor: vault._minLiquidityFloor ?? null,
+    pool: oracle.pool_ ?? null,
+    quoteToken: oracle.quoteToken_ ?? null,
+    twapWindow: oracle.twapWindow_ ?? null,
+    totalLocked: find("initialize")?.amount ?? null,
+  };
+}
+
+// Manifest named after the deployment (production, test), if there is one
+function findManifest(name) {
+  try {
+    return loadManifest(name);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verify a recorded deployment against its intended configuration
+ * @param {object} options
+ * @param {string} options.network
+ * @param {ethers.Provider} options.provider
+ * @param {string} [options.name] - Deployment name (default: getDeploymentName(), then the network default)
+ * @param {object} [options.manifest] - From loadManifest(): intended values from it instead of the registry
+ * @param {(...args: any[]) => void} [options.log]
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function verifyDeployment({ network, provider, name = getDeploymentName(), manifest = null, log = () => {} }) {
+  const deployment = getDeployment(network, { name });
+  const vaultAddress = deployment.contracts.vault?.address;
+  if (!vaultAddress) {
+    throw new Error(`Deployment "${deployment.name}" on ${network} has no vault`);
+  }
+  const intended = manifest ? intendedFromManifest(manifest, deployment) : intendedFromRegistry(network, deployment);
+  const profileManifest = manifest ?? findManifest(deployment.name);
+  const profile = getProfile(profileManifest?.profile ?? getProfileName(network));
+  const networkConfig = getNetworkConfig(network);
+
+  const report = createReport("verify-deployment", { network, target: { deployment: deployment.name, vault: vaultAddress } });
+  const check = (entry) => {
+    const recorded = report.check(entry);
+    const detail = recorded.value ?? recorded.message;
+    log(`   ${STATUS_ICONS[recorded.status]} ${recorded.title}${detail !== null ? `: ${detail}` : ""}${recorded.status === STATUS.FAIL && recorded.expected !== null ? ` (expected ${recorded.expected})` : ""}`);
+    return recorded;
+  };
+  const finish = () => {
+    const finished = report.finish();
+    return { ...finished, digest: getReportDigest(finished) };
+  };
+  // Compare one value; without an intended value it is only reported
+  const compare = ({ id, title, actual, expected, type, remediation = null }) => check({
+    id,
+    title,
+    status: expected === null || expected === undefined ? STATUS.INFO : same(actual, expected, type) ? STATUS.PASS : STATUS.FAIL,
+    value: type === "address" ? actual : actual.toString(),
+    expected: expected === null || expected === undefined ? null : type === "address" ? ethers.getAddress(expected) : expected.toString(),
+    remediation: expected === null || expected === undefined || same(actual, expected, type) ? null : remediation,
+  });
+
+  const block = await provider.getBlock("latest");
+  report.data.block = { number: block.number, timestamp: block.timestamp };
+  report.data.chainId = Number((await provider.getNetwork()).chainId);
+  report.data.intended = intended;
+  report.data.profile = profile.name;
+  report.data.contracts = Object.fromEntries(Object.entries(deployment.contracts).map(([role, entry]) => [role, entry.address]));
+
+  log("\n" + "=".repeat(70));
+  log(`🔍 Verify deployment "${deployment.name}" (${network}) at block ${block.number}`);
+  log(`   Intended values: ${intended.source}`);
+  log("=".repeat(70));
+
+  if ((await provider.getCode(vaultAddress)) === "0x") {
+    check({ id: "vault.code", title: "Vault has code", status: STATUS.FAIL, value: vaultAddress, remediation: "Check NETWORK and the registry entry" });
+    return finish();
+  }
+  check({ id: "vault.code", title: "Vault has code", status: STATUS.PASS, value: vaultAddress });
+
+  const vault = new ethers.Contract(vaultAddress, loadArtifact(CONTRACTS.FAIR_VAULT).abi, provider);
+
+  // =====================
+  // IMMUTABLES AND CONSTANTS
+  // =====================
+
+  log("\nImmutables:");
+  const immutables = {};
+  for (const { getter, key, type } of IMMUTABLES) {
+    immutables[getter] = await vault[getter]();
+    compare({ id: `immutable.${getter}`, title: getter, actual: immutables[getter], expected: intended[key], type, remediation: "Immutable: a new vault is needed to change it" });
+  }
+  report.data.immutables = immutables;
+
+  // Milestone reads go through the shared client: one Multicall3 batch
+  const client = new FairVaultClient(vaultAddress, provider, { type: "vault" });
+  const [constants, unlocked, priceTargets] = await Promise.all([client.getConstants(), client.getUnlockedFlags(), client.getPriceTargets()]);
+  const mismatches = checkContractConstants(profile, constants);
+  check({
+    id: "constants.profile",
+    title: `Constants match profile "${profile.name}"`,
+    status: mismatches.length === 0 ? STATUS.PASS : STATUS.FAIL,
+    value: mismatches.length === 0 ? null : mismatches.map((m) => `${m.key} ${m.actual}`).join(", "),
+    expected: mismatches.length === 0 ? null : mismatches.map((m) => `${m.key} ${m.expected}`).join(", "),
+  });
+
+  const owner = await vault.owner();
+  compare({ id: "owner", title: "Owner", actual: owner, expected: intended.owner, type: "address" });
+  const ownerCode = await provider.getCode(owner);
+  report.data.ownerIsContract = ownerCode !== "0x";
+
+  // Before the first unlock lastUnlockTime is still the TGE timestamp passed to the constructor
+  const lastUnlockTime = await vault.lastUnlockTime();
+  if (unlocked.some(Boolean)) {
+    check({ id: "tge", title: "TGE timestamp", status: STATUS.SKIP, message: "Milestones unlocked: lastUnlockTime no longer holds the TGE" });
+  } else {
+    compare({ id: "tge", title: "TGE timestamp (lastUnlockTime)", actual: lastUnlockTime, expected: intended.tgeTimestamp, type: "uint" });
+  }
+
+  // =====================
+  // ORACLE
+  // =====================
+
+  log("\nOracle:");
+  const [priceOracle, frozen] = await Promise.all([vault.priceOracle(), vault.oracleFrozen()]);
+  compare({
+    id: "oracle.wiring",
+    title: "priceOracle() is the deployment's oracle",
+    actual: priceOracle,
+    expected: deployment.contracts.oracle?.address ?? null,
+    type: "address",
+    remediation: "resume-deployment.js (or a Safe batch: export-safe-batch.js setOracleAndFreeze:<oracle>)",
+  });
+  check({
+    id: "oracle.frozen",
+    title: "Oracle frozen",
+    status: frozen ? STATUS.PASS : STATUS.FAIL,
+    value: frozen,
+    expected: true,
+    remediation: frozen ? null : "resume-deployment.js (or a Safe batch: export-safe-batch.js freezeOracle)",
+  });
+
+  if (priceOracle !== ethers.ZeroAddress) {
+    const oracle = new ethers.Contract(priceOracle, ORACLE_ABI, provider);
+    try {
+      const [pool, oracleToken, quoteToken, twapWindow] = await Promise.all([oracle.pool(), oracle.fairToken(), oracle.quoteToken(), oracle.twapWindow()]);
+      report.data.oracle = { address: priceOracle, pool, fairToken: oracleToken, quoteToken, twapWindow: Number(twapWindow) };
+      compare({ id: "oracle.pool", title: "Oracle pool", actual: pool, expected: intended.pool, type: "address" });
+      compare({ id: "oracle.fairToken", title: "Oracle FAIR token is the vault's", actual: oracleToken, expected: immutables.fairToken, type: "address" });
+      compare({ id: "oracle.quoteToken", title: "Oracle quote token (USDC)", actual: quoteToken, expected: intended.quoteToken, type: "address" });
+      compare({ id: "oracle.twapWindow", title: "TWAP window (seconds)", actual: twapWindow, expected: intended.twapWindow, type: "uint" });
+    } catch (error) {
+      check({ id: "oracle.type", title: "Oracle is an AerodromeTWAPOracle", status: STATUS.WARN, value: priceOracle, message: error.shortMessage || error.message });
+    }
+    try {
+      const price = await oracle.getPrice();
+      report.data.price = price;
+      check({ id: "oracle.price", title: "Oracle getPrice()", status: STATUS.PASS, value: `${price} ($${(Number(price) / ORACLE_MULTIPLIER).toFixed(6)})` });
+    } catch (error) {
+      check({ id: "oracle.price", title: "Oracle getPrice()", status: STATUS.WARN, message: error.shortMessage || error.message, remediation: "node scripts/mainnet/diagnostics/check-oracle.js" });
+    }
+  }
+
+  // =====================
+  // SUPPLY
+  // =====================
+
+  log("\nSupply:");
+  const token = new ethers.Contract(immutables.fairToken, ERC20_ABI, provider);
+  const [decimals, symbol, initialized, totalDeposited, perMilestone] = await Promise.all([
+    token.decimals(),
+    token.symbol(),
+    vault.initialized(),
+    vault.totalDeposited(),
+    vault.milestoneUnlockAmount(),
+  ]);
+  check({
+    id: "vault.initialized",
+    title: "Vault initialized",
+    status: initialized ? STATUS.PASS : STATUS.FAIL,
+    value: initialized,
+    expected: true,
+    remediation: initialized ? null : "resume-deployment.js (or a Safe batch: export-safe-batch.js initialize:<amount>)",
+  });
+  const expectedTotal = intended.totalLocked === null ? null : ethers.parseUnits(String(intended.totalLocked), decimals);
+  check({
+    id: "vault.totalLocked",
+    title: "Total locked (totalDeposited)",
+    status: expectedTotal === null ? STATUS.INFO : totalDeposited === expectedTotal ? STATUS.PASS : STATUS.FAIL,
+    value: `${ethers.formatUnits(totalDeposited, decimals)} ${symbol}`,
+    expected: expectedTotal === null ? null : `${ethers.formatUnits(expectedTotal, decimals)} ${symbol}`,
+  });
+  const expectedPerMilestone = totalDeposited / BigInt(constants.totalMilestones);
+  check({
+    id: "vault.milestoneUnlockAmount",
+    title: `milestoneUnlockAmount is 1/${constants.totalMilestones} of the total`,
+    status: perMilestone === expectedPerMilestone ? STATUS.PASS : STATUS.FAIL,
+    value: `${ethers.formatUnits(perMilestone, decimals)} ${symbol}`,
+    expected: `${ethers.formatUnits(expectedPerMilestone, decimals)} ${symbol}`,
+  });
+  report.data.supply = { symbol, decimals: Number(decimals), totalDeposited, milestoneUnlockAmount: perMilestone };
+
+  // =====================
+  // PRICE LADDER
+  // =====================
+
+  log("\nPrice targets:");
+  const ladderConstants = {
+    startPrice: BigInt(profile.constants.startPrice),
+    multiplierNum: BigInt(profile.constants.multiplierNum),
+    multiplierDen: BigInt(profile.constants.multiplierDen),
+  };
+  const ladder = priceTargets.map((target, i) => ({
+    milestone: i + 1,
+    target,
+    expected: computePriceTarget(ladderConstants, i + 1),
+    unlocked: unlocked[i],
+  }));
+  report.data.ladder = ladder;
+  const wrong = ladder.filter((step) => step.target !== step.expected);
+  check({
+    id: "ladder",
+    title: `Price target ladder (${constants.totalMilestones} milestones, ${profile.constants.startPrice} × ${profile.constants.multiplierNum}/${profile.constants.multiplierDen})`,
+    status: wrong.length === 0 ? STATUS.PASS : STATUS.FAIL,
+    value: wrong.length === 0 ? `${ladder[0].target} … ${ladder.at(-1).target}` : wrong.map((s) => `#${s.milestone} ${s.target}`).join(", "),
+    expected: wrong.length === 0 ? null : wrong.map((s) => `#${s.milestone} ${s.expected}`).join(", "),
+  });
+  log();
+
+  return finish();
+}
+
+/**
+ * Digest of a report: keccak256 of its JSON without "digest" and "signoff"
+ * @param {object} report
+ * @returns {string}
+ */
+export function getReportDigest(report) {
+  const { digest, signoff, ...content } = report;
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(content)));
+}
+
+/**
+ * Sign a report's digest (EIP-191) and attach the sign-off
+ * @param {object} report - From verifyDeployment()
+ * @param {ethers.Signer} signer
+ * @returns {Promise<object>} The report with "signoff"
+ */
+export async function signReport(report, signer) {
+  const digest = getReportDigest(report);
+  const signature = await signer.signMessage(ethers.getBytes(digest));
+  return { ...report, digest, signoff: { signer: await signer.getAddress(), signature, signedAt: new Date().toISOString() } };
+}
+
+/**
+ * Whether a published report is unchanged and signed by its stated signer
+ * @param {object} report - Parsed JSON report
+ * @returns {boolean}
+ */
+export function verifySignoff(report) {
+  if (!report.signoff) return false;
+  const digest = getReportDigest(report);
+  if (digest !== report.digest) return false;
+  return ethers.verifyMessage(ethers.getBytes(digest), report.signoff.signature).toLowerCase() === report.signoff.signer.toLowerCase();
+}
+
+function cell(value) {
+  return value === null || value === undefined ? "" : String(value).replace(/\|/g, "\\|");
+}
+
+/**
+ * The report as Markdown, for publishing
+ * @param {object} report - From verifyDeployment() or signReport()
+ * @returns {string}
+ */
+export function renderMarkdown(report) {
+  const explorer = getNetworkConfig(report.network).explorer;
+  const link = (address) => (address ? `[\`${address}\`](${explorer}/address/${address})` : "");
+  const { data, summary } = report;
+  const lines = [
+    `# FAIRVault deployment verification: ${report.target.deployment} (${report.network})`,
+    "",
+    report.ok
+      ? `**Result: ✅ all checks passed** (${summary.pass} passed, ${summary.warn} warning(s), ${summary.info} informational)`
+      : `**Result: ❌ ${summary.fail} check(s) failed** (${summary.pass} passed, ${summary.warn} warning(s))`,
+    "",
+    "| | |",
+    "|---|---|",
+    `| Vault | ${link(report.target.vault)} |`,
+    ...Object.entries(data.contracts ?? {}).filter(([role]) => role !== "vault").map(([role, address]) => `| ${role} | ${link(address)} |`),
+    `| Chain ID | ${data.chainId} |`,
+    `| Block | ${data.block?.number} (${data.block ? new Date(data.block.timestamp * 1000).toISOString() : ""}) |`,
+    `| Intended values | ${cell(data.intended?.source)} |`,
+    `| Config profile | ${data.profile} |`,
+    `| Generated | ${report.finishedAt} |`,
+    "",
+    "## Checks",
+    "",
+    "| Check | Status | On-chain | Expected |",
+    "|-------|--------|----------|----------|",
+    ...report.checks.map((c) => `| ${cell(c.title)} | ${STATUS_ICONS[c.status].trim()} ${c.status} | ${cell(c.value ?? c.message)} | ${cell(c.expected)} |`),
+  ];
+  if (data.ladder) {
+    lines.push(
+      "",
+      "## Price target ladder",
+      "",
+      "Oracle units: price = USD × 1,000,000.",
+      "",
+      "| Milestone | Target | USD | Expected | Unlocked |",
+      "|-----------|--------|-----|----------|----------|",
+      ...data.ladder.map((s) => `| ${s.milestone} | ${s.target} | $${(Number(s.target) / ORACLE_MULTIPLIER).toFixed(6).replace(/\.?0+$/, "")} | ${s.expected}${s.target === s.expected ? "" : " ❌"} | ${s.unlocked ? "yes" : "no"} |`)
+    );
+  }
+  lines.push("", "## Sign-off", "", `Report digest: \`${report.digest}\` (keccak256 of the JSON report without \`digest\` and \`signoff\`)`, "");
+  if (report.signoff) {
+    lines.push(
+      `Signed by ${link(report.signoff.signer)} at ${report.signoff.signedAt}:`,
+      "",
+      `\`${report.signoff.signature}\``,
+      "",
+      "Check: `ethers.verifyMessage(ethers.getBytes(digest), signature)` returns the signer."
+    );
+  } else {
+    lines.push("Not signed (run with `--sign`).");
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write the JSON and Markdown report files
+ * @param {object} report
+ * @param {string} [dir] - Default: VERIFY_REPORT_DIR, then the registry directory
+ * @returns {{ json: string, markdown: string }}
+ */
+export function writeReport(report, dir = process.env.VERIFY_REPORT_DIR || path.dirname(getRegistryPath(report.network))) {
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `${report.network}.${report.target.deployment}.verification`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(`${base}.md`, renderMarkdown(report));
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+if (isMain(import.meta.url)) {
+  runDiagnostic("verify-deployment", async ({ log }) => {
+    const network = process.env.NETWORK || "mainnet";
+    const args = process.argv.slice(2);
+    const deploymentFlag = args.indexOf("--deployment");
+    const file = args.find((arg, i) => !arg.startsWith("--") && (deploymentFlag === -1 || i !== deploymentFlag + 1));
+
+    let report = await verifyDeployment({ network, provider: getProvider(network), manifest: file ? loadManifest(file) : null, log });
+    if (process.argv.includes("--sign")) {
+      report = await signReport(report, await getSigner(network));
+      log(`✍️  Signed by ${report.signoff.signer}`);
+    }
+    const files = writeReport(report);
+    log(`📄 ${path.relative(process.cwd(), files.markdown)}`);
+    log(`📄 ${path.relative(process.cwd(), files.json)}\n`);
+    return report;
+  });
+}
@@ -1,49 +1,84 @@
 // scripts/mainnet/check-oracle-pool-match.js
 // Quick check to see which pool the oracle is using
-// Usage: node scripts/mainnet/check-oracle-pool-match.js [VAULT_ADDRESS]
+// Usage: node scripts/mainnet/check-oracle-pool-match.js [VAULT_ADDRESS] [--json]
+//
+// ENV:
+//   AERODROME_POOL_MAINNET=  When set, the oracle's pool must match it
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { resolveVault } from "../../shared/deployments.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  const network = process.env.NETWORK || "mainnet";
+/**
+ * Pool and tokens the vault's oracle reads
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.vault] - Default: VAULT_ADDRESS, then the deployment registry
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function checkOraclePoolMatch({ network = process.env.NETWORK || "mainnet", vault: vaultArg, log = () => {} } = {}) {
   const config = getNetworkConfig(network);
-  const wallet = getWallet(network);
+  const provider = getProvider(network, { log });
+  const report = createReport("check-oracle-pool-match", { network });
 
-  let VAULT_ADDRESS = process.argv[2] || process.env.VAULT_ADDRESS;
-  
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please provide VAULT_ADDRESS\n");
-    process.exit(1);
+  let VAULT_ADDRESS;
+  try {
+    VAULT_ADDRESS = resolveVault(network, { address: vaultArg, types: ["vault"] }).address;
+  } catch (e) {
+    log(`❌ ${e.message}\n`);
+    report.check({ id: "vault.address", title: "Vault address", status: STATUS.FAIL, message: e.message, remediation: "Pass the vault address or set VAULT_ADDRESS" });
+    return report.finish();
   }
+  report.target.vault = VAULT_ADDRESS;
 
   const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
-  const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, wallet);
+  const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, provider);
 
   const oracleAddress = await vault.priceOracle();
   const oracleArtifact = loadArtifact(CONTRACTS.TWAP_ORACLE);
-  const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, wallet);
+  const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, provider);
 
   const poolAddress = await oracle.pool();
   const fairToken = await oracle.fairToken();
   const quoteToken = await oracle.quoteToken();
 
-  console.log("\n" + "=".repeat(70));
-  console.log("Oracle Pool Configuration");
-  console.log("=".repeat(70));
-  console.log(`Pool: ${poolAddress}`);
-  console.log(`FAIR Token: ${fairToken}`);
-  console.log(`Quote Token: ${quoteToken}`);
-  console.log(`\n📋 Check on Basescan:`);
-  console.log(`   Pool: ${config.explorer}/address/${poolAddress}`);
-  console.log(`   FAIR: ${config.explorer}/address/${fairToken}`);
-  console.log(`\n💡 Verify:`);
-  console.log(`   1. Is the UI showing swaps on this pool: ${poolAddress}?`);
-  console.log(`   2. Or is the UI showing a different pool?\n`);
+  log("\n" + "=".repeat(70));
+  log("Oracle Pool Configuration");
+  log("=".repeat(70));
+  log(`Pool: ${poolAddress}`);
+  log(`FAIR Token: ${fairToken}`);
+  log(`Quote Token: ${quoteToken}`);
+  log(`\n📋 Check on Basescan:`);
+  log(`   Pool: ${config.explorer}/address/${poolAddress}`);
+  log(`   FAIR: ${config.explorer}/address/${fairToken}`);
+  log(`\n💡 Verify:`);
+  log(`   1. Is the UI showing swaps on this pool: ${poolAddress}?`);
+  log(`   2. Or is the UI showing a different pool?\n`);
+
+  report.data.oracle = { address: oracleAddress, pool: poolAddress, fairToken, quoteToken };
+  const expectedPool = process.env.AERODROME_POOL_MAINNET;
+  if (expectedPool) {
+    const matches = expectedPool.toLowerCase() === poolAddress.toLowerCase();
+    report.check({
+      id: "oracle.pool",
+      title: "Oracle reads AERODROME_POOL_MAINNET",
+      status: matches ? STATUS.PASS : STATUS.FAIL,
+      value: poolAddress,
+      expected: expectedPool,
+      remediation: matches ? null : "Point AERODROME_POOL_MAINNET (and the UI) at the oracle's pool, or deploy an oracle for this pool",
+    });
+  } else {
+    report.check({ id: "oracle.pool", title: "Oracle pool", status: STATUS.INFO, value: poolAddress });
+  }
+  return report.finish();
 }
 
-main().catch(console.error);
+if (isMain(import.meta.url)) {
+  runDiagnostic("check-oracle-pool-match", ({ log }) => checkOraclePoolMatch({ vault: getPositionalArgs()[0], log }));
+}
 
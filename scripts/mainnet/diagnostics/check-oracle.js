@@ -1,159 +1,172 @@
 // scripts/mainnet/check-oracle.js
 // Diagnostic script to check oracle and pool configuration
-// Usage: node scripts/mainnet/check-oracle.js [VAULT_ADDRESS]
+// Usage: node scripts/mainnet/check-oracle.js [VAULT_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getProvider } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { FairVaultClient } from "../../shared/fair-vault-client.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { resolveVault } from "../../shared/deployments.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("🔍 Oracle & Pool Diagnostic Tool");
-  console.log("=".repeat(70) + "\n");
-
-  // Get vault address
-  const VAULT_ADDRESS = process.argv[2] || process.env.VAULT_ADDRESS;
-  
-  if (!VAULT_ADDRESS) {
-    // Try to find from deployment file
-    const testPath = path.join(__dirname, ".env.test");
-    const mainnetPath = path.join(__dirname, ".env.mainnet");
-    
-    let envFile;
-    if (fs.existsSync(testPath)) {
-      envFile = testPath;
-    } else if (fs.existsSync(mainnetPath)) {
-      envFile = mainnetPath;
-    } else {
-      console.log("❌ Please provide VAULT_ADDRESS:");
-      console.log("   node scripts/mainnet/check-oracle.js <VAULT_ADDRESS>");
-      console.log("   OR set VAULT_ADDRESS in .env\n");
-      process.exit(1);
-    }
-    
-    const env = fs.readFileSync(envFile, "utf8");
-    const vaultMatch = env.match(/VAULT_ADDRESS=(.+)/);
-    if (vaultMatch) {
-      const vaultAddr = vaultMatch[1].trim();
-      console.log(`📋 Found vault address from ${path.basename(envFile)}: ${vaultAddr}\n`);
-      await checkVault(vaultAddr);
-    } else {
-      console.log("❌ VAULT_ADDRESS not found in deployment file\n");
-      process.exit(1);
-    }
-  } else {
-    await checkVault(VAULT_ADDRESS);
+/**
+ * Vault, oracle and pool configuration, oracle getPrice() and vault getMilestoneStatus()
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.vault] - Default: VAULT_ADDRESS, then the deployment registry
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function checkOracle({ network = process.env.NETWORK || "mainnet", vault: vaultArg, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("🔍 Oracle & Pool Diagnostic Tool");
+  log("=".repeat(70) + "\n");
+
+  const report = createReport("check-oracle", { network });
+
+  // Get vault address: argument, VAULT_ADDRESS, or the deployment registry
+  let vault;
+  try {
+    vault = resolveVault(network, { address: vaultArg, types: ["vault"] });
+  } catch (e) {
+    log(`❌ ${e.message}`);
+    log("   node scripts/mainnet/check-oracle.js <VAULT_ADDRESS>");
+    log("   OR set VAULT_ADDRESS in .env\n");
+    report.check({ id: "vault.address", title: "Vault address", status: STATUS.FAIL, message: e.message, remediation: "Pass the vault address or set VAULT_ADDRESS" });
+    return report.finish();
+  }
+  if (vault.source !== "argument") {
+    log(`📋 Found vault address from ${vault.source}: ${vault.address}\n`);
   }
+  report.target.vault = vault.address;
+  await checkVault(vault.address, { network, log, report });
+  return report.finish();
 }
 
-async function checkVault(vaultAddress) {
-  const config = getNetworkConfig("mainnet");
-  const wallet = getWallet("mainnet");
-  const provider = wallet.provider;
+async function checkVault(vaultAddress, { network, log, report }) {
+  const config = getNetworkConfig(network);
+  const provider = getProvider(network, { log });
 
-  console.log(`Vault Address: ${vaultAddress}`);
-  console.log(`Network: ${config.name}`);
-  console.log(`Explorer: ${config.explorer}/address/${vaultAddress}\n`);
+  log(`Vault Address: ${vaultAddress}`);
+  log(`Network: ${config.name}`);
+  log(`Explorer: ${config.explorer}/address/${vaultAddress}\n`);
 
   // First, verify contract exists
-  console.log("Verifying contract exists...");
+  log("Verifying contract exists...");
   try {
     const code = await provider.getCode(vaultAddress);
     if (code === "0x" || code === "0x0") {
-      console.log(`  ❌ ERROR: No contract code found at address ${vaultAddress}`);
-      console.log(`     This address may not be a contract or may not be deployed.`);
-      console.log(`     Verify on explorer: ${config.explorer}/address/${vaultAddress}\n`);
-      process.exit(1);
+      log(`  ❌ ERROR: No contract code found at address ${vaultAddress}`);
+      log(`     This address may not be a contract or may not be deployed.`);
+      log(`     Verify on explorer: ${config.explorer}/address/${vaultAddress}\n`);
+      report.check({ id: "vault.code", title: "Vault contract deployed", status: STATUS.FAIL, value: "no code", remediation: `Verify the address: ${config.explorer}/address/${vaultAddress}` });
+      return;
     }
-    console.log(`  ✅ Contract code found (${code.length} bytes)\n`);
+    log(`  ✅ Contract code found (${code.length} bytes)\n`);
+    report.check({ id: "vault.code", title: "Vault contract deployed", status: STATUS.PASS, value: `${(code.length - 2) / 2} bytes` });
   } catch (error) {
-    console.log(`  ❌ Error checking contract code: ${error.message}`);
-    console.log(`     RPC provider may be having issues.\n`);
-    process.exit(1);
+    log(`  ❌ Error checking contract code: ${error.message}`);
+    log(`     RPC provider may be having issues.\n`);
+    report.check({ id: "vault.code", title: "Vault contract deployed", status: STATUS.FAIL, message: error.message, remediation: "Check the RPC endpoint" });
+    return;
   }
 
-  // Load vault contract
-  const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
-  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+  // Vault reads go through the shared client (its ABI covers every FAIRVault getter used here)
+  const vault = new FairVaultClient(vaultAddress, provider, { type: "vault" });
 
   // =====================
   // STEP 1: Check Vault Status
   // =====================
-  console.log("=".repeat(70));
-  console.log("Step 1: Vault Status");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Step 1: Vault Status");
+  log("=".repeat(70));
 
   try {
     // Try to call a simple view function first to verify ABI matches
-    console.log("  Testing contract interface...");
+    log("  Testing contract interface...");
     
     let isInitialized, oracleAddr, oracleFrozen, fairToken, totalDeposited;
     
     try {
-      isInitialized = await vault.initialized();
+      isInitialized = await vault.contract.initialized();
     } catch (e) {
       throw new Error(`Failed to call initialized(): ${e.message}. Contract may not be FAIRVault or ABI mismatch.`);
     }
     
     try {
-      oracleAddr = await vault.priceOracle();
-      oracleFrozen = await vault.oracleFrozen();
-      fairToken = await vault.fairToken();
-      totalDeposited = await vault.totalDeposited();
+      ({ address: oracleAddr, frozen: oracleFrozen } = await vault.getOracle());
+      ({ token: fairToken, deposited: totalDeposited } = await vault.getVaultInfo());
     } catch (e) {
       throw new Error(`Failed to read vault state: ${e.message}`);
     }
 
-    console.log(`  Initialized: ${isInitialized ? "✅ YES" : "❌ NO"}`);
-    console.log(`  Oracle Address: ${oracleAddr}`);
-    console.log(`  Oracle Frozen: ${oracleFrozen ? "✅ YES" : "❌ NO"}`);
-    console.log(`  FAIR Token: ${fairToken}`);
-    console.log(`  Total Deposited: ${ethers.formatEther(totalDeposited)} tokens\n`);
-
+    log(`  Initialized: ${isInitialized ? "✅ YES" : "❌ NO"}`);
+    log(`  Oracle Address: ${oracleAddr}`);
+    log(`  Oracle Frozen: ${oracleFrozen ? "✅ YES" : "❌ NO"}`);
+    log(`  FAIR Token: ${fairToken}`);
+    log(`  Total Deposited: ${ethers.formatEther(totalDeposited)} tokens\n`);
+    report.data.vault = { initialized: isInitialized, oracle: oracleAddr, oracleFrozen, token: fairToken, totalDeposited };
+
+    report.check({
+      id: "vault.initialized",
+      title: "Vault initialized",
+      status: isInitialized ? STATUS.PASS : STATUS.FAIL,
+      value: isInitialized,
+      expected: true,
+      remediation: isInitialized ? null : `node scripts/mainnet/deployment/deposit-tokens.js ${vaultAddress}`,
+    });
     if (!isInitialized) {
-      console.log("  ⚠️  Vault is not initialized. Deposit tokens first.\n");
+      log("  ⚠️  Vault is not initialized. Deposit tokens first.\n");
       return;
     }
 
+    const resume = `node scripts/mainnet/deployment/resume-deployment.js ${vaultAddress}`;
     if (oracleAddr === ethers.ZeroAddress) {
-      console.log("  ⚠️  Oracle is not set. Run resume-deployment.js to set it.\n");
+      log("  ⚠️  Oracle is not set. Run resume-deployment.js to set it.\n");
+      report.check({ id: "oracle.set", title: "Oracle set", status: STATUS.FAIL, value: oracleAddr, remediation: resume });
       return;
     }
+    report.check({ id: "oracle.set", title: "Oracle set", status: STATUS.PASS, value: oracleAddr });
+    report.check({
+      id: "oracle.frozen",
+      title: "Oracle frozen",
+      status: oracleFrozen ? STATUS.PASS : STATUS.FAIL,
+      value: oracleFrozen,
+      expected: true,
+      remediation: oracleFrozen ? null : resume,
+    });
 
     // =====================
     // STEP 2: Check Oracle Contract
     // =====================
-    console.log("=".repeat(70));
-    console.log("Step 2: Oracle Contract");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Step 2: Oracle Contract");
+    log("=".repeat(70));
 
     const oracleArtifact = loadArtifact(CONTRACTS.TWAP_ORACLE);
     
     // First, verify the contract code exists
-    console.log("  Verifying oracle contract exists...");
+    log("  Verifying oracle contract exists...");
     const oracleCode = await provider.getCode(oracleAddr);
     if (oracleCode === "0x" || oracleCode === "0x0") {
-      console.log(`  ❌ ERROR: No contract code at oracle address ${oracleAddr}`);
-      console.log(`     Verify on explorer: ${config.explorer}/address/${oracleAddr}\n`);
+      log(`  ❌ ERROR: No contract code at oracle address ${oracleAddr}`);
+      log(`     Verify on explorer: ${config.explorer}/address/${oracleAddr}\n`);
+      report.check({ id: "oracle.code", title: "Oracle contract deployed", status: STATUS.FAIL, value: "no code", remediation: `Verify the oracle: ${config.explorer}/address/${oracleAddr}` });
       return;
     }
-    console.log(`  ✅ Oracle contract code found (${oracleCode.length / 2 - 1} bytes)`);
+    log(`  ✅ Oracle contract code found (${oracleCode.length / 2 - 1} bytes)`);
     
     // Check if bytecode matches expected (at least check it's not empty and has reasonable size)
     const expectedMinSize = 1000; // Minimum expected contract size
     if (oracleCode.length < expectedMinSize * 2) {
-      console.log(`  ⚠️  WARNING: Contract bytecode seems unusually small`);
-      console.log(`     This might indicate a proxy or different contract type\n`);
+      log(`  ⚠️  WARNING: Contract bytecode seems unusually small`);
+      log(`     This might indicate a proxy or different contract type\n`);
+      report.check({ id: "oracle.code", title: "Oracle contract deployed", status: STATUS.WARN, value: `${oracleCode.length / 2 - 1} bytes`, expected: `>= ${expectedMinSize} bytes`, message: "Unusually small: proxy or different contract type?" });
     } else {
-      console.log(`  ✅ Contract bytecode size looks reasonable\n`);
+      log(`  ✅ Contract bytecode size looks reasonable\n`);
+      report.check({ id: "oracle.code", title: "Oracle contract deployed", status: STATUS.PASS, value: `${oracleCode.length / 2 - 1} bytes` });
     }
     
     const oracle = new ethers.Contract(oracleAddr, oracleArtifact.abi, provider);
@@ -168,7 +181,7 @@ async function checkVault(vaultAddress) {
           ]);
         } catch (e) {
           if (i === retries - 1) throw e;
-          console.log(`    Retry ${i + 1}/${retries - 1} after ${delay}ms...`);
+          log(`    Retry ${i + 1}/${retries - 1} after ${delay}ms...`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
       }
@@ -176,25 +189,25 @@ async function checkVault(vaultAddress) {
 
     try {
       // Try calling pool() with error handling
-      console.log("  Testing oracle interface...");
+      log("  Testing oracle interface...");
       let poolAddr, fairTokenOracle, quoteToken, twapWindow;
       
       // Get current block number for explicit calls
       const currentBlock = await provider.getBlockNumber();
-      console.log(`  Current block: ${currentBlock}`);
-      console.log(`  Using block tag: "latest" (block ${currentBlock})\n`);
+      log(`  Current block: ${currentBlock}`);
+      log(`  Using block tag: "latest" (block ${currentBlock})\n`);
       
       // Try reading via ABI first with retry
       try {
-        console.log("  Attempting ABI calls...");
+        log("  Attempting ABI calls...");
         poolAddr = await retryCall(() => oracle.pool());
         fairTokenOracle = await retryCall(() => oracle.fairToken());
         quoteToken = await retryCall(() => oracle.quoteToken());
         twapWindow = await retryCall(() => oracle.twapWindow());
-        console.log(`  ✅ Successfully read via ABI\n`);
+        log(`  ✅ Successfully read via ABI\n`);
       } catch (e) {
-        console.log(`  ⚠️  ABI call failed: ${e.message}`);
-        console.log(`  Attempting raw calls with explicit block number...`);
+        log(`  ⚠️  ABI call failed: ${e.message}`);
+        log(`  Attempting raw calls with explicit block number...`);
         
         // Try raw calls as fallback with explicit block number
         try {
@@ -207,7 +220,7 @@ async function checkVault(vaultAddress) {
           }));
           if (poolCall && poolCall !== "0x" && poolCall.length >= 66) {
             poolAddr = ethers.getAddress("0x" + poolCall.slice(-40));
-            console.log(`  ✅ pool() found via raw call: ${poolAddr}`);
+            log(`  ✅ pool() found via raw call: ${poolAddr}`);
           } else {
             throw new Error(`pool() returned invalid data: ${poolCall}`);
           }
@@ -219,7 +232,7 @@ async function checkVault(vaultAddress) {
           }));
           if (fairTokenCall && fairTokenCall !== "0x" && fairTokenCall.length >= 66) {
             fairTokenOracle = ethers.getAddress("0x" + fairTokenCall.slice(-40));
-            console.log(`  ✅ fairToken() found via raw call: ${fairTokenOracle}`);
+            log(`  ✅ fairToken() found via raw call: ${fairTokenOracle}`);
           } else {
             throw new Error(`fairToken() returned invalid data: ${fairTokenCall}`);
           }
@@ -231,7 +244,7 @@ async function checkVault(vaultAddress) {
           }));
           if (quoteTokenCall && quoteTokenCall !== "0x" && quoteTokenCall.length >= 66) {
             quoteToken = ethers.getAddress("0x" + quoteTokenCall.slice(-40));
-            console.log(`  ✅ quoteToken() found via raw call: ${quoteToken}`);
+            log(`  ✅ quoteToken() found via raw call: ${quoteToken}`);
           } else {
             throw new Error(`quoteToken() returned invalid data: ${quoteTokenCall}`);
           }
@@ -243,7 +256,7 @@ async function checkVault(vaultAddress) {
           }));
           if (twapWindowCall && twapWindowCall !== "0x" && twapWindowCall.length >= 66) {
             twapWindow = BigInt(twapWindowCall);
-            console.log(`  ✅ twapWindow() found via raw call: ${twapWindow}`);
+            log(`  ✅ twapWindow() found via raw call: ${twapWindow}`);
           } else {
             throw new Error(`twapWindow() returned invalid data: ${twapWindowCall}`);
           }
@@ -251,36 +264,47 @@ async function checkVault(vaultAddress) {
           if (!poolAddr || !fairTokenOracle || !quoteToken || !twapWindow) {
             throw new Error("Could not read all oracle state variables");
           }
-          console.log(`  ⚠️  Note: Using raw calls - ABI may not match deployed contract\n`);
+          log(`  ⚠️  Note: Using raw calls - ABI may not match deployed contract\n`);
         } catch (rawError) {
-          console.log(`\n  ❌ All methods failed. This suggests:`);
-          console.log(`     1. RPC provider issue (try different RPC endpoint)`);
-          console.log(`     2. Contract not fully confirmed yet (wait a few blocks)`);
-          console.log(`     3. Contract bytecode mismatch\n`);
+          log(`\n  ❌ All methods failed. This suggests:`);
+          log(`     1. RPC provider issue (try different RPC endpoint)`);
+          log(`     2. Contract not fully confirmed yet (wait a few blocks)`);
+          log(`     3. Contract bytecode mismatch\n`);
           throw new Error(`Both ABI and raw calls failed. ABI error: ${e.message}, Raw error: ${rawError.message}`);
         }
       }
       
       const twapWindowNum = Number(twapWindow);
 
-      console.log(`  Pool Address: ${poolAddr}`);
-      console.log(`  FAIR Token: ${fairTokenOracle}`);
-      console.log(`  Quote Token: ${quoteToken}`);
-      console.log(`  TWAP Window: ${twapWindow} seconds (${twapWindowNum / 3600} hours)\n`);
+      log(`  Pool Address: ${poolAddr}`);
+      log(`  FAIR Token: ${fairTokenOracle}`);
+      log(`  Quote Token: ${quoteToken}`);
+      log(`  TWAP Window: ${twapWindow} seconds (${twapWindowNum / 3600} hours)\n`);
+      report.data.oracle = { pool: poolAddr, fairToken: fairTokenOracle, quoteToken, twapWindow };
+      report.check({ id: "oracle.config", title: "Oracle configuration readable", status: STATUS.PASS, value: poolAddr });
 
       // Verify tokens match
-      if (fairTokenOracle.toLowerCase() !== fairToken.toLowerCase()) {
-        console.log("  ⚠️  WARNING: Oracle FAIR token doesn't match vault FAIR token!\n");
+      const tokenMatches = fairTokenOracle.toLowerCase() === fairToken.toLowerCase();
+      if (!tokenMatches) {
+        log("  ⚠️  WARNING: Oracle FAIR token doesn't match vault FAIR token!\n");
       } else {
-        console.log("  ✅ FAIR token matches vault\n");
+        log("  ✅ FAIR token matches vault\n");
       }
+      report.check({
+        id: "oracle.fairToken",
+        title: "Oracle prices the vault's token",
+        status: tokenMatches ? STATUS.PASS : STATUS.FAIL,
+        value: fairTokenOracle,
+        expected: fairToken,
+        remediation: tokenMatches ? null : "Deploy an oracle for the vault's token (the vault's oracle is frozen: redeploy the vault)",
+      });
 
       // =====================
       // STEP 3: Check Pool Contract
       // =====================
-      console.log("=".repeat(70));
-      console.log("Step 3: Aerodrome Pool");
-      console.log("=".repeat(70));
+      log("=".repeat(70));
+      log("Step 3: Aerodrome Pool");
+      log("=".repeat(70));
 
       const poolAbi = [
         "function token0() external view returns (address)",
@@ -300,28 +324,31 @@ async function checkVault(vaultAddress) {
             ]);
           } catch (e) {
             if (i === retries - 1) throw e;
-            console.log(`    Retry ${i + 1}/${retries - 1} after ${delay}ms...`);
+            log(`    Retry ${i + 1}/${retries - 1} after ${delay}ms...`);
             await new Promise(resolve => setTimeout(resolve, delay));
           }
         }
       }
 
       let cardinality = 0; // Declare in outer scope for summary
+      let canGetPrice = false;
+      let canGetStatus = false;
       try {
-        console.log("  Reading pool state...");
+        log("  Reading pool state...");
         const token0 = await retryPoolCall(() => pool.token0());
         const token1 = await retryPoolCall(() => pool.token1());
         const slot0 = await retryPoolCall(() => pool.slot0());
         
         cardinality = Number(slot0.observationCardinality); // Update outer scope variable
         
-        console.log(`  Token0: ${token0}`);
-        console.log(`  Token1: ${token1}`);
-        console.log(`  Current Tick: ${Number(slot0.tick)}`);
-        console.log(`  Observation Index: ${Number(slot0.observationIndex)}`);
-        console.log(`  Observation Cardinality: ${cardinality}`);
-        console.log(`  Observation Cardinality Next: ${Number(slot0.observationCardinalityNext)}`);
-        console.log(`  Unlocked: ${slot0.unlocked ? "✅ YES" : "❌ NO"}\n`);
+        log(`  Token0: ${token0}`);
+        log(`  Token1: ${token1}`);
+        log(`  Current Tick: ${Number(slot0.tick)}`);
+        log(`  Observation Index: ${Number(slot0.observationIndex)}`);
+        log(`  Observation Cardinality: ${cardinality}`);
+        log(`  Observation Cardinality Next: ${Number(slot0.observationCardinalityNext)}`);
+        log(`  Unlocked: ${slot0.unlocked ? "✅ YES" : "❌ NO"}\n`);
+        report.data.pool = { token0, token1, tick: Number(slot0.tick), observationIndex: Number(slot0.observationIndex), cardinality, cardinalityNext: Number(slot0.observationCardinalityNext) };
 
         // Check if FAIR token is in pool
         const fairInPool = (token0.toLowerCase() === fairTokenOracle.toLowerCase() || 
@@ -330,61 +357,89 @@ async function checkVault(vaultAddress) {
                              token1.toLowerCase() === quoteToken.toLowerCase());
 
         if (!fairInPool) {
-          console.log("  ❌ ERROR: FAIR token not found in pool!");
-          console.log(`     Pool has: ${token0} and ${token1}`);
-          console.log(`     Oracle expects: ${fairTokenOracle}\n`);
+          log("  ❌ ERROR: FAIR token not found in pool!");
+          log(`     Pool has: ${token0} and ${token1}`);
+          log(`     Oracle expects: ${fairTokenOracle}\n`);
         } else if (!quoteInPool) {
-          console.log("  ❌ ERROR: Quote token not found in pool!");
-          console.log(`     Pool has: ${token0} and ${token1}`);
-          console.log(`     Oracle expects: ${quoteToken}\n`);
+          log("  ❌ ERROR: Quote token not found in pool!");
+          log(`     Pool has: ${token0} and ${token1}`);
+          log(`     Oracle expects: ${quoteToken}\n`);
         } else {
-          console.log("  ✅ Both tokens found in pool\n");
+          log("  ✅ Both tokens found in pool\n");
         }
+        report.check({
+          id: "pool.tokens",
+          title: "Pool holds the oracle's token pair",
+          status: fairInPool && quoteInPool ? STATUS.PASS : STATUS.FAIL,
+          value: `${token0}/${token1}`,
+          expected: `${fairTokenOracle}/${quoteToken}`,
+          remediation: fairInPool && quoteInPool ? null : "node scripts/mainnet/diagnostics/check-oracle-pool-match.js",
+        });
 
         // Check observation history
         cardinality = Number(slot0.observationCardinality); // Update outer scope variable
-        console.log(`  Observation History:`);
-        console.log(`    Cardinality: ${cardinality}`);
+        log(`  Observation History:`);
+        log(`    Cardinality: ${cardinality}`);
         
         if (cardinality < 2) {
-          console.log(`    ⚠️  WARNING: Pool has insufficient observations (need at least 2)`);
-          console.log(`       The pool needs more trading activity to build TWAP history.`);
-          console.log(`       This is normal for new pools.\n`);
+          log(`    ⚠️  WARNING: Pool has insufficient observations (need at least 2)`);
+          log(`       The pool needs more trading activity to build TWAP history.`);
+          log(`       This is normal for new pools.\n`);
+          report.check({
+            id: "pool.cardinality",
+            title: "Pool observations",
+            status: STATUS.WARN,
+            value: cardinality,
+            expected: ">= 2",
+            remediation: "node scripts/mainnet/pool-management/increase-pool-cardinality.js",
+          });
         } else {
           // Calculate how much history we have
           // Each observation is typically every ~10-20 minutes
           const estimatedHistoryMinutes = cardinality * 15; // Rough estimate
           const estimatedHistoryHours = estimatedHistoryMinutes / 60;
           
-          console.log(`    Estimated history: ~${estimatedHistoryHours.toFixed(1)} hours`);
+          log(`    Estimated history: ~${estimatedHistoryHours.toFixed(1)} hours`);
           
           const twapWindowHours = twapWindowNum / 3600;
           if (estimatedHistoryHours < twapWindowHours) {
-            console.log(`    ⚠️  WARNING: Pool history (${estimatedHistoryHours.toFixed(1)}h) may be less than TWAP window (${twapWindowHours}h)`);
-            console.log(`       The oracle may fall back to spot price if TWAP is unavailable.\n`);
+            log(`    ⚠️  WARNING: Pool history (${estimatedHistoryHours.toFixed(1)}h) may be less than TWAP window (${twapWindowHours}h)`);
+            log(`       The oracle may fall back to spot price if TWAP is unavailable.\n`);
           } else {
-            console.log(`    ✅ Sufficient history for ${twapWindowHours}h TWAP\n`);
+            log(`    ✅ Sufficient history for ${twapWindowHours}h TWAP\n`);
           }
+          const enoughHistory = estimatedHistoryHours >= twapWindowHours;
+          report.check({
+            id: "pool.cardinality",
+            title: "Pool observations cover the TWAP window (estimate)",
+            status: enoughHistory ? STATUS.PASS : STATUS.WARN,
+            value: `${cardinality} observations, ~${estimatedHistoryHours.toFixed(1)}h`,
+            expected: `>= ${twapWindowHours}h`,
+            remediation: enoughHistory ? null : "node scripts/mainnet/pool-management/increase-pool-cardinality.js",
+          });
         }
 
         // =====================
         // STEP 4: Test Oracle getPrice()
         // =====================
-        console.log("=".repeat(70));
-        console.log("Step 4: Test Oracle getPrice()");
-        console.log("=".repeat(70));
+        log("=".repeat(70));
+        log("Step 4: Test Oracle getPrice()");
+        log("=".repeat(70));
 
         try {
-          console.log("  Attempting to call oracle.getPrice()...");
+          log("  Attempting to call oracle.getPrice()...");
           const price = await oracle.getPrice();
           const priceUsd = Number(price) / 1e9;
           
-          console.log(`  ✅ SUCCESS!`);
-          console.log(`  Price: ${price} (1e9 units)`);
-          console.log(`  Price USD: $${priceUsd.toFixed(9)}\n`);
+          log(`  ✅ SUCCESS!`);
+          log(`  Price: ${price} (1e9 units)`);
+          log(`  Price USD: $${priceUsd.toFixed(9)}\n`);
+          canGetPrice = true;
+          report.data.price = price;
+          report.check({ id: "oracle.price", title: "Oracle getPrice()", status: STATUS.PASS, value: price });
           
           // Test multiple times to see if it's consistent
-          console.log("  Testing consistency (3 calls)...");
+          log("  Testing consistency (3 calls)...");
           const prices = [];
           for (let i = 0; i < 3; i++) {
             const p = await oracle.getPrice();
@@ -394,171 +449,162 @@ async function checkVault(vaultAddress) {
           
           const allSame = prices.every(p => p === prices[0]);
           if (allSame) {
-            console.log(`  ✅ All calls returned same price: ${prices[0]}\n`);
+            log(`  ✅ All calls returned same price: ${prices[0]}\n`);
           } else {
-            console.log(`  ⚠️  Prices varied: ${prices.join(", ")}`);
-            console.log(`     This is normal if pool is actively trading.\n`);
+            log(`  ⚠️  Prices varied: ${prices.join(", ")}`);
+            log(`     This is normal if pool is actively trading.\n`);
           }
+          report.check({ id: "oracle.priceConsistency", title: "Oracle price stable over 3 calls", status: STATUS.INFO, value: prices.join(", ") });
 
         } catch (error) {
-          console.log(`  ❌ FAILED: ${error.message}`);
+          log(`  ❌ FAILED: ${error.message}`);
+          report.check({
+            id: "oracle.price",
+            title: "Oracle getPrice()",
+            status: STATUS.FAIL,
+            message: error.shortMessage || error.message,
+            remediation: "Build pool history: node scripts/mainnet/pool-management/build-pool-history.js",
+          });
           
           if (error.message.includes("revert") || error.message.includes("require")) {
-            console.log(`\n  Possible causes:`);
-            console.log(`    1. Pool doesn't have enough observation history`);
-            console.log(`    2. Pool observations haven't been written yet`);
-            console.log(`    3. TWAP window is larger than available history`);
-            console.log(`\n  Solutions:`);
-            console.log(`    - Wait for more trading activity in the pool`);
-            console.log(`    - Check if pool is active and has liquidity`);
-            console.log(`    - Verify pool address is correct\n`);
+            log(`\n  Possible causes:`);
+            log(`    1. Pool doesn't have enough observation history`);
+            log(`    2. Pool observations haven't been written yet`);
+            log(`    3. TWAP window is larger than available history`);
+            log(`\n  Solutions:`);
+            log(`    - Wait for more trading activity in the pool`);
+            log(`    - Check if pool is active and has liquidity`);
+            log(`    - Verify pool address is correct\n`);
           } else {
-            console.log(`\n  Error details: ${error}\n`);
+            log(`\n  Error details: ${error}\n`);
           }
         }
 
         // =====================
         // STEP 5: Test Vault getMilestoneStatus()
         // =====================
-        console.log("=".repeat(70));
-        console.log("Step 5: Test Vault getMilestoneStatus()");
-        console.log("=".repeat(70));
+        log("=".repeat(70));
+        log("Step 5: Test Vault getMilestoneStatus()");
+        log("=".repeat(70));
 
         try {
-          console.log("  Attempting to call vault.getMilestoneStatus(1)...");
+          log("  Attempting to call vault.getMilestoneStatus(1)...");
           const status = await vault.getMilestoneStatus(1);
           
-          console.log(`  ✅ SUCCESS!`);
-          console.log(`  Unlocked: ${status.unlocked}`);
-          console.log(`  Good Periods: ${status.goodPeriods}`);
-          console.log(`  Price Target: ${status.priceTarget} (1e9 units)`);
-          console.log(`  Current Price: ${status.currentPrice} (1e9 units)`);
-          console.log(`  Current Price USD: $${(Number(status.currentPrice) / 1e9).toFixed(9)}\n`);
+          log(`  ✅ SUCCESS!`);
+          log(`  Unlocked: ${status.unlocked}`);
+          log(`  Good Periods: ${status.goodPeriods}`);
+          log(`  Price Target: ${status.priceTarget} (1e9 units)`);
+          log(`  Current Price: ${status.currentPrice} (1e9 units)`);
+          log(`  Current Price USD: $${(Number(status.currentPrice) / 1e9).toFixed(9)}\n`);
+          canGetStatus = true;
+          report.check({ id: "vault.milestoneStatus", title: "Vault getMilestoneStatus(1)", status: STATUS.PASS, value: status.currentPrice });
           
         } catch (error) {
-          console.log(`  ❌ FAILED: ${error.message}`);
-          console.log(`     This is likely because oracle.getPrice() is failing.\n`);
+          log(`  ❌ FAILED: ${error.message}`);
+          log(`     This is likely because oracle.getPrice() is failing.\n`);
+          report.check({ id: "vault.milestoneStatus", title: "Vault getMilestoneStatus(1)", status: STATUS.FAIL, message: error.shortMessage || error.message });
         }
 
         // =====================
         // SUMMARY
         // =====================
-        console.log("=".repeat(70));
-        console.log("Summary");
-        console.log("=".repeat(70));
+        log("=".repeat(70));
+        log("Summary");
+        log("=".repeat(70));
         
-        const canGetPrice = await testOraclePrice(oracle);
-        const canGetStatus = await testVaultStatus(vault);
-        
-        console.log(`  Vault Initialized: ${isInitialized ? "✅" : "❌"}`);
-        console.log(`  Oracle Set: ${oracleAddr !== ethers.ZeroAddress ? "✅" : "❌"}`);
-        console.log(`  Oracle Frozen: ${oracleFrozen ? "✅" : "❌"}`);
-        console.log(`  Pool Observations: ${cardinality >= 2 ? "✅" : "⚠️"} (${cardinality} observations)`);
-        console.log(`  Oracle getPrice(): ${canGetPrice ? "✅" : "❌"}`);
-        console.log(`  Vault getMilestoneStatus(): ${canGetStatus ? "✅" : "❌"}\n`);
+        log(`  Vault Initialized: ${isInitialized ? "✅" : "❌"}`);
+        log(`  Oracle Set: ${oracleAddr !== ethers.ZeroAddress ? "✅" : "❌"}`);
+        log(`  Oracle Frozen: ${oracleFrozen ? "✅" : "❌"}`);
+        log(`  Pool Observations: ${cardinality >= 2 ? "✅" : "⚠️"} (${cardinality} observations)`);
+        log(`  Oracle getPrice(): ${canGetPrice ? "✅" : "❌"}`);
+        log(`  Vault getMilestoneStatus(): ${canGetStatus ? "✅" : "❌"}\n`);
 
         if (canGetPrice && canGetStatus) {
-          console.log("✅ All checks passed! Keeper should work correctly.\n");
+          log("✅ All checks passed! Keeper should work correctly.\n");
         } else {
-          console.log("⚠️  Some checks failed. See details above.\n");
+          log("⚠️  Some checks failed. See details above.\n");
         }
 
       } catch (error) {
-        console.log(`  ❌ Error reading pool: ${error.message}`);
+        log(`  ❌ Error reading pool: ${error.message}`);
+        report.check({ id: "pool.read", title: "Pool state readable", status: STATUS.FAIL, value: poolAddr, message: error.shortMessage || error.message });
         
         // Check if it's an RPC issue
         if (error.message.includes("missing revert data") || error.message.includes("CALL_EXCEPTION")) {
-          console.log(`\n  🔍 Pool Contract Diagnostic:`);
-          console.log(`     Pool Address: ${poolAddr}`);
-          console.log(`     RPC URL: ${config.rpcUrl}`);
-          console.log(`     Contract Code Exists: Checking...`);
+          log(`\n  🔍 Pool Contract Diagnostic:`);
+          log(`     Pool Address: ${poolAddr}`);
+          log(`     RPC URL: ${config.rpcUrl}`);
+          log(`     Contract Code Exists: Checking...`);
           
           try {
             const poolCode = await provider.getCode(poolAddr);
             if (poolCode === "0x" || poolCode === "0x0") {
-              console.log(`     ❌ No contract code at pool address!`);
-              console.log(`        Verify on explorer: ${config.explorer}/address/${poolAddr}\n`);
+              log(`     ❌ No contract code at pool address!`);
+              log(`        Verify on explorer: ${config.explorer}/address/${poolAddr}\n`);
             } else {
-              console.log(`     ✅ Pool contract code found (${poolCode.length / 2 - 1} bytes)`);
-              console.log(`\n  💡 This is likely an RPC provider issue. Try:`);
-              console.log(`     1. Wait 1-2 minutes and retry`);
-              console.log(`     2. Use a different RPC endpoint (Alchemy, Infura)`);
-              console.log(`     3. Check pool on explorer: ${config.explorer}/address/${poolAddr}\n`);
+              log(`     ✅ Pool contract code found (${poolCode.length / 2 - 1} bytes)`);
+              log(`\n  💡 This is likely an RPC provider issue. Try:`);
+              log(`     1. Wait 1-2 minutes and retry`);
+              log(`     2. Use a different RPC endpoint (Alchemy, Infura)`);
+              log(`     3. Check pool on explorer: ${config.explorer}/address/${poolAddr}\n`);
             }
           } catch (codeError) {
-            console.log(`     ⚠️  Could not verify pool code: ${codeError.message}\n`);
+            log(`     ⚠️  Could not verify pool code: ${codeError.message}\n`);
           }
         } else {
-          console.log(`\n`);
+          log(`\n`);
         }
       }
 
     } catch (error) {
-      console.log(`  ❌ Error reading oracle: ${error.message}`);
+      log(`  ❌ Error reading oracle: ${error.message}`);
+      report.check({ id: "oracle.config", title: "Oracle configuration readable", status: STATUS.FAIL, value: oracleAddr, message: error.shortMessage || error.message });
       
       // Check if it's a contract existence issue
       if (error.message.includes("missing revert data") || error.message.includes("CALL_EXCEPTION")) {
-        console.log(`\n  🔍 Diagnostic Information:`);
-        console.log(`     RPC URL: ${config.rpcUrl}`);
-        console.log(`     Oracle Address: ${oracleAddr}`);
-        console.log(`     Contract Code Exists: ✅ YES`);
+        log(`\n  🔍 Diagnostic Information:`);
+        log(`     RPC URL: ${config.rpcUrl}`);
+        log(`     Oracle Address: ${oracleAddr}`);
+        log(`     Contract Code Exists: ✅ YES`);
         
-        console.log(`\n  Possible causes:`);
-        console.log(`    1. RPC provider timeout or rate limiting`);
-        console.log(`    2. Contract not fully indexed yet (wait 1-2 minutes)`);
-        console.log(`    3. Network congestion`);
+        log(`\n  Possible causes:`);
+        log(`    1. RPC provider timeout or rate limiting`);
+        log(`    2. Contract not fully indexed yet (wait 1-2 minutes)`);
+        log(`    3. Network congestion`);
         
-        console.log(`\n  💡 Solutions:`);
-        console.log(`    1. Try a different RPC endpoint:`);
-        console.log(`       Set BASE_MAINNET_RPC_URL in .env to:`);
-        console.log(`       - https://base-mainnet.g.alchemy.com/v2/YOUR_KEY`);
-        console.log(`       - https://base-mainnet.infura.io/v3/YOUR_KEY`);
-        console.log(`       - https://mainnet.base.org (current)`);
-        console.log(`    2. Wait 1-2 minutes and try again`);
-        console.log(`    3. Check contract on explorer: ${config.explorer}/address/${oracleAddr}`);
-        console.log(`    4. Verify contract was deployed correctly on Basescan\n`);
+        log(`\n  💡 Solutions:`);
+        log(`    1. Try a different RPC endpoint:`);
+        log(`       Set BASE_MAINNET_RPC_URL in .env to:`);
+        log(`       - https://base-mainnet.g.alchemy.com/v2/YOUR_KEY`);
+        log(`       - https://base-mainnet.infura.io/v3/YOUR_KEY`);
+        log(`       - https://mainnet.base.org (current)`);
+        log(`    2. Wait 1-2 minutes and try again`);
+        log(`    3. Check contract on explorer: ${config.explorer}/address/${oracleAddr}`);
+        log(`    4. Verify contract was deployed correctly on Basescan\n`);
       } else {
-        console.log(`\n`);
+        log(`\n`);
       }
     }
 
   } catch (error) {
-    console.log(`  ❌ Error reading vault: ${error.message}`);
+    log(`  ❌ Error reading vault: ${error.message}`);
+    report.check({ id: "vault.interface", title: "Vault state readable (FAIRVault ABI)", status: STATUS.FAIL, message: error.shortMessage || error.message });
     
     // Check if it's a contract existence or ABI mismatch issue
     if (error.message.includes("missing revert data") || error.message.includes("CALL_EXCEPTION")) {
-      console.log(`\n  Possible causes:`);
-      console.log(`    1. Contract doesn't exist at ${vaultAddress}`);
-      console.log(`    2. Contract ABI doesn't match (wrong contract type?)`);
-      console.log(`    3. RPC provider issue`);
-      console.log(`\n  Verify on explorer: ${config.explorer}/address/${vaultAddress}`);
-      console.log(`  Check if this is actually a FAIRVault contract.\n`);
+      log(`\n  Possible causes:`);
+      log(`    1. Contract doesn't exist at ${vaultAddress}`);
+      log(`    2. Contract ABI doesn't match (wrong contract type?)`);
+      log(`    3. RPC provider issue`);
+      log(`\n  Verify on explorer: ${config.explorer}/address/${vaultAddress}`);
+      log(`  Check if this is actually a FAIRVault contract.\n`);
     } else {
-      console.log(`\n`);
+      log(`\n`);
     }
   }
 }
 
-async function testOraclePrice(oracle) {
-  try {
-    await oracle.getPrice();
-    return true;
-  } catch {
-    return false;
-  }
+if (isMain(import.meta.url)) {
+  runDiagnostic("check-oracle", ({ log }) => checkOracle({ vault: getPositionalArgs()[0], log }));
 }
-
-async function testVaultStatus(vault) {
-  try {
-    await vault.getMilestoneStatus(1);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-main().catch((err) => {
-  console.error("❌ Diagnostic failed:", err.message);
-  process.exitCode = 1;
-});
-
@@ -1,33 +1,46 @@
 // scripts/mainnet/check-pool-observations.js
 // Check pool observation history and TWAP readiness
-// Usage: node scripts/mainnet/check-pool-observations.js [POOL_ADDRESS]
+// Usage: node scripts/mainnet/check-pool-observations.js [POOL_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getProvider } from "../shared/provider.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider } from "../../shared/provider.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("🔍 Pool Observation History Check");
-  console.log("=".repeat(70) + "\n");
+const TWAP_WINDOW = 3600;
+
+/**
+ * Observation cardinality, observe() over 1 minute to 1 hour and the pool's history length
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.pool] - Used when AERODROME_POOL_MAINNET and AERODROME_POOL are unset
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function checkPoolObservations({ network = process.env.NETWORK || "mainnet", pool, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("🔍 Pool Observation History Check");
+  log("=".repeat(70) + "\n");
 
-  const network = process.env.NETWORK || "mainnet";
   const config = getNetworkConfig(network);
-  const provider = getProvider(network);
+  const report = createReport("check-pool-observations", { network });
 
-  const AERODROME_POOL = process.env.AERODROME_POOL_MAINNET || process.env.AERODROME_POOL || process.argv[2];
+  const AERODROME_POOL = process.env.AERODROME_POOL_MAINNET || process.env.AERODROME_POOL || pool;
 
   if (!AERODROME_POOL) {
-    console.log("❌ Please provide pool address:");
-    console.log("   node scripts/mainnet/check-pool-observations.js <POOL_ADDRESS>");
-    console.log("   OR set AERODROME_POOL_MAINNET in .env\n");
-    process.exit(1);
+    log("❌ Please provide pool address:");
+    log("   node scripts/mainnet/check-pool-observations.js <POOL_ADDRESS>");
+    log("   OR set AERODROME_POOL_MAINNET in .env\n");
+    report.check({ id: "pool.address", title: "Pool address", status: STATUS.FAIL, remediation: "Pass the pool address or set AERODROME_POOL_MAINNET" });
+    return report.finish();
   }
+  report.target.pool = AERODROME_POOL;
+  const provider = getProvider(network, { log });
 
-  console.log(`📡 Network: ${network}`);
-  console.log(`🏊 Pool: ${AERODROME_POOL}`);
-  console.log(`📋 ${config.explorer}/address/${AERODROME_POOL}\n`);
+  log(`📡 Network: ${network}`);
+  log(`🏊 Pool: ${AERODROME_POOL}`);
+  log(`📋 ${config.explorer}/address/${AERODROME_POOL}\n`);
 
   // Pool interface
   const poolAbi = [
@@ -47,7 +60,7 @@ async function main() {
       slot0 = await poolContract.slot0();
     } catch (decodeError) {
       // If ABI decoding fails, try raw call (pool might have different return format)
-      console.log(`⚠️  slot0() ABI decode failed, trying raw call...`);
+      log(`⚠️  slot0() ABI decode failed, trying raw call...`);
       try {
         const rawData = await provider.call({
           to: AERODROME_POOL,
@@ -55,59 +68,84 @@ async function main() {
         });
         
         if (rawData && rawData.length > 2) {
-          console.log(`✅ slot0() returns data (${rawData.length} chars)`);
-          console.log(`   Pool is CL type, but return format differs from standard ABI.\n`);
-          console.log(`   This is OK - the oracle handles this internally.\n`);
+          log(`✅ slot0() returns data (${rawData.length} chars)`);
+          log(`   Pool is CL type, but return format differs from standard ABI.\n`);
+          log(`   This is OK - the oracle handles this internally.\n`);
           
           // Try to manually decode key fields from raw data if possible
           // For now, we'll proceed with observation checks
           slot0 = null; // Mark as unavailable but continue
+          report.check({ id: "pool.slot0", title: "Pool slot0() decodes", status: STATUS.WARN, message: "Non-standard slot0() return format" });
         } else {
           throw decodeError;
         }
       } catch (rawError) {
-        console.log(`❌ Error reading slot0(): ${decodeError.message}`);
-        console.log(`   This may indicate the pool is not a CL/Slipstream pool.\n`);
-        process.exit(1);
+        log(`❌ Error reading slot0(): ${decodeError.message}`);
+        log(`   This may indicate the pool is not a CL/Slipstream pool.\n`);
+        report.check({
+          id: "pool.slot0",
+          title: "Pool slot0() decodes",
+          status: STATUS.FAIL,
+          message: decodeError.shortMessage || decodeError.message,
+          remediation: "node scripts/mainnet/diagnostics/check-pool-type.js",
+        });
+        return report.finish();
       }
     }
 
-    console.log("=".repeat(70));
-    console.log("Current Pool State");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Current Pool State");
+    log("=".repeat(70));
     
     if (slot0) {
-      console.log(`   Current Tick: ${Number(slot0.tick)}`);
-      console.log(`   Observation Index: ${Number(slot0.observationIndex)}`);
-      console.log(`   Observation Cardinality: ${Number(slot0.observationCardinality)}`);
-      console.log(`   Observation Cardinality Next: ${Number(slot0.observationCardinalityNext)}`);
-      console.log(`   Unlocked: ${slot0.unlocked}\n`);
+      log(`   Current Tick: ${Number(slot0.tick)}`);
+      log(`   Observation Index: ${Number(slot0.observationIndex)}`);
+      log(`   Observation Cardinality: ${Number(slot0.observationCardinality)}`);
+      log(`   Observation Cardinality Next: ${Number(slot0.observationCardinalityNext)}`);
+      log(`   Unlocked: ${slot0.unlocked}\n`);
+      report.check({ id: "pool.slot0", title: "Pool slot0() decodes", status: STATUS.PASS });
+      report.data.slot0 = {
+        tick: Number(slot0.tick),
+        observationIndex: Number(slot0.observationIndex),
+        observationCardinality: Number(slot0.observationCardinality),
+        observationCardinalityNext: Number(slot0.observationCardinalityNext),
+        unlocked: slot0.unlocked,
+      };
 
       // Check observation cardinality
       const cardinality = Number(slot0.observationCardinality);
       if (cardinality === 0) {
-        console.log("❌ CRITICAL: Pool has NO observations!");
-        console.log("   The pool needs at least 1 observation to work.");
-        console.log("   This happens automatically when the first swap occurs.\n");
-        console.log("   💡 Try making a swap on the pool to initialize observations.\n");
-        process.exit(1);
+        log("❌ CRITICAL: Pool has NO observations!");
+        log("   The pool needs at least 1 observation to work.");
+        log("   This happens automatically when the first swap occurs.\n");
+        log("   💡 Try making a swap on the pool to initialize observations.\n");
+        report.check({ id: "pool.observations", title: "Pool observations", status: STATUS.FAIL, value: 0, expected: ">= 2", remediation: "Make a swap on the pool" });
+        return report.finish();
       }
 
       if (cardinality < 2) {
-        console.log("⚠️  WARNING: Pool has only 1 observation!");
-        console.log("   For TWAP, you need at least 2 observations (now and in the past).\n");
+        log("⚠️  WARNING: Pool has only 1 observation!");
+        log("   For TWAP, you need at least 2 observations (now and in the past).\n");
       } else {
-        console.log(`✅ Pool has ${cardinality} observations stored.\n`);
+        log(`✅ Pool has ${cardinality} observations stored.\n`);
       }
+      report.check({
+        id: "pool.observations",
+        title: "Pool observations",
+        status: cardinality < 2 ? STATUS.WARN : STATUS.PASS,
+        value: cardinality,
+        expected: ">= 2",
+        remediation: cardinality < 2 ? "node scripts/mainnet/pool-management/increase-pool-cardinality.js" : null,
+      });
     } else {
-      console.log(`   ⚠️  Could not decode slot0() details, but pool appears to be CL type.`);
-      console.log(`   Proceeding with observation tests...\n`);
+      log(`   ⚠️  Could not decode slot0() details, but pool appears to be CL type.`);
+      log(`   Proceeding with observation tests...\n`);
     }
 
     // Test different observation windows
-    console.log("=".repeat(70));
-    console.log("Testing Observation Windows");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Testing Observation Windows");
+    log("=".repeat(70));
 
     const testWindows = [
       { name: "1 minute", seconds: 60 },
@@ -116,6 +154,7 @@ async function main() {
       { name: "30 minutes", seconds: 1800 },
       { name: "1 hour (TWAP window)", seconds: 3600 },
     ];
+    report.data.windows = [];
 
     for (const window of testWindows) {
       try {
@@ -127,59 +166,69 @@ async function main() {
         const delta = Number(tickCum1 - tickCum0);
         const avgTick = delta / window.seconds;
 
-        console.log(`   ✅ ${window.name.padEnd(20)}: Works!`);
-        console.log(`      Tick delta: ${delta}`);
-        console.log(`      Avg tick: ${avgTick.toFixed(2)}`);
-        console.log(`      Tick cum (${window.seconds}s ago): ${tickCum0.toString()}`);
-        console.log(`      Tick cum (now): ${tickCum1.toString()}\n`);
+        log(`   ✅ ${window.name.padEnd(20)}: Works!`);
+        log(`      Tick delta: ${delta}`);
+        log(`      Avg tick: ${avgTick.toFixed(2)}`);
+        log(`      Tick cum (${window.seconds}s ago): ${tickCum0.toString()}`);
+        log(`      Tick cum (now): ${tickCum1.toString()}\n`);
+        report.data.windows.push({ seconds: window.seconds, ok: true, tickDelta: delta, avgTick });
       } catch (error) {
+        report.data.windows.push({ seconds: window.seconds, ok: false, error: error.message.includes("OLD") ? "OLD" : error.shortMessage || error.message });
         if (error.message.includes("OLD")) {
-          console.log(`   ❌ ${window.name.padEnd(20)}: Insufficient history`);
-          console.log(`      Pool doesn't have observations from ${window.seconds} seconds ago.\n`);
+          log(`   ❌ ${window.name.padEnd(20)}: Insufficient history`);
+          log(`      Pool doesn't have observations from ${window.seconds} seconds ago.\n`);
         } else {
-          console.log(`   ❌ ${window.name.padEnd(20)}: ${error.message}\n`);
+          log(`   ❌ ${window.name.padEnd(20)}: ${error.message}\n`);
         }
       }
     }
 
     // Check observation cardinality - CRITICAL for history retention
-    console.log("=".repeat(70));
-    console.log("Observation Cardinality Analysis");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Observation Cardinality Analysis");
+    log("=".repeat(70));
     
     if (slot0) {
       const cardinality = Number(slot0.observationCardinality);
       const cardinalityNext = Number(slot0.observationCardinalityNext);
       
-      console.log(`   Current Cardinality: ${cardinality}`);
-      console.log(`   Cardinality Next: ${cardinalityNext}\n`);
+      log(`   Current Cardinality: ${cardinality}`);
+      log(`   Cardinality Next: ${cardinalityNext}\n`);
       
       if (cardinality < 10) {
-        console.log(`   ⚠️  WARNING: Low observation cardinality (${cardinality})!`);
-        console.log(`      This means the pool can only store ${cardinality} observations.`);
-        console.log(`      Older observations get overwritten in a circular buffer.\n`);
-        console.log(`   🔍 Why you only see 1 minute of history:`);
-        console.log(`      - Pool stores observations in a circular buffer`);
-        console.log(`      - With only ${cardinality} slots, older observations are overwritten`);
-        console.log(`      - If swaps happen frequently, 30-minute-old data gets overwritten\n`);
-        console.log(`   💡 Solution: Increase observation cardinality!`);
-        console.log(`      The pool needs more observation slots to retain history.\n`);
-        console.log(`      This is done automatically by the pool when needed, OR`);
-        console.log(`      You can manually increase it (requires a transaction).\n`);
+        log(`   ⚠️  WARNING: Low observation cardinality (${cardinality})!`);
+        log(`      This means the pool can only store ${cardinality} observations.`);
+        log(`      Older observations get overwritten in a circular buffer.\n`);
+        log(`   🔍 Why you only see 1 minute of history:`);
+        log(`      - Pool stores observations in a circular buffer`);
+        log(`      - With only ${cardinality} slots, older observations are overwritten`);
+        log(`      - If swaps happen frequently, 30-minute-old data gets overwritten\n`);
+        log(`   💡 Solution: Increase observation cardinality!`);
+        log(`      The pool needs more observation slots to retain history.\n`);
+        log(`      This is done automatically by the pool when needed, OR`);
+        log(`      You can manually increase it (requires a transaction).\n`);
       } else if (cardinality < 100) {
-        console.log(`   ⚠️  Cardinality is ${cardinality} - may be limiting history retention.`);
-        console.log(`      For 1-hour TWAP with frequent swaps, recommend 100+ cardinality.\n`);
+        log(`   ⚠️  Cardinality is ${cardinality} - may be limiting history retention.`);
+        log(`      For 1-hour TWAP with frequent swaps, recommend 100+ cardinality.\n`);
       } else {
-        console.log(`   ✅ Cardinality is ${cardinality} - should be sufficient.\n`);
+        log(`   ✅ Cardinality is ${cardinality} - should be sufficient.\n`);
       }
+      report.check({
+        id: "pool.cardinality",
+        title: "Observation cardinality",
+        status: cardinality < 100 ? STATUS.WARN : STATUS.PASS,
+        value: cardinality,
+        expected: ">= 100",
+        remediation: cardinality < 100 ? "node scripts/mainnet/pool-management/increase-pool-cardinality.js" : null,
+      });
     } else {
-      console.log(`   ⚠️  Could not read cardinality (slot0 decode failed).\n`);
+      log(`   ⚠️  Could not read cardinality (slot0 decode failed).\n`);
     }
 
     // Get current block timestamp to estimate pool age
-    console.log("=".repeat(70));
-    console.log("Pool Age Estimation");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Pool Age Estimation");
+    log("=".repeat(70));
 
     try {
       const currentBlock = await provider.getBlock("latest");
@@ -201,86 +250,93 @@ async function main() {
         }
       }
 
+      report.data.historySeconds = oldestWorkingWindow;
       if (oldestWorkingWindow > 0) {
-        console.log(`   ✅ Pool has at least ${oldestWorkingWindow} seconds of history`);
-        console.log(`   ✅ This is ${(oldestWorkingWindow / 60).toFixed(1)} minutes\n`);
+        log(`   ✅ Pool has at least ${oldestWorkingWindow} seconds of history`);
+        log(`   ✅ This is ${(oldestWorkingWindow / 60).toFixed(1)} minutes\n`);
         
         if (oldestWorkingWindow < 3600) {
-          console.log(`   ⚠️  WARNING: Pool history is less than 1 hour!`);
-          console.log(`      Current history: ${(oldestWorkingWindow / 60).toFixed(1)} minutes`);
-          console.log(`      Required for 1-hour TWAP: 60 minutes\n`);
-          console.log(`   💡 Solutions:`);
-          console.log(`      1. Wait ${((3600 - oldestWorkingWindow) / 60).toFixed(0)} more minutes`);
-          console.log(`      2. Make more swaps to accelerate observation accumulation`);
-          console.log(`      3. Use a shorter TWAP window for testing (e.g., 5 minutes)\n`);
+          log(`   ⚠️  WARNING: Pool history is less than 1 hour!`);
+          log(`      Current history: ${(oldestWorkingWindow / 60).toFixed(1)} minutes`);
+          log(`      Required for 1-hour TWAP: 60 minutes\n`);
+          log(`   💡 Solutions:`);
+          log(`      1. Wait ${((3600 - oldestWorkingWindow) / 60).toFixed(0)} more minutes`);
+          log(`      2. Make more swaps to accelerate observation accumulation`);
+          log(`      3. Use a shorter TWAP window for testing (e.g., 5 minutes)\n`);
         } else {
-          console.log(`   ✅ Pool has sufficient history for 1-hour TWAP!\n`);
+          log(`   ✅ Pool has sufficient history for 1-hour TWAP!\n`);
         }
       } else {
-        console.log(`   ⚠️  Could not determine pool history age\n`);
+        log(`   ⚠️  Could not determine pool history age\n`);
       }
     } catch (error) {
-      console.log(`   ⚠️  Error estimating pool age: ${error.message}\n`);
+      log(`   ⚠️  Error estimating pool age: ${error.message}\n`);
     }
 
     // Summary and recommendations
-    console.log("=".repeat(70));
-    console.log("Summary & Recommendations");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Summary & Recommendations");
+    log("=".repeat(70));
 
     // Test 1-hour window specifically
     try {
-      const secondsAgos = [3600, 0];
+      const secondsAgos = [TWAP_WINDOW, 0];
       await poolContract.observe(secondsAgos);
-      console.log(`   ✅ 1-hour TWAP window: READY\n`);
-      console.log(`   🎉 Your oracle should work now!\n`);
+      report.check({ id: "pool.twapWindow", title: "observe() covers the 1-hour TWAP window", status: STATUS.PASS, value: TWAP_WINDOW });
+      log(`   ✅ 1-hour TWAP window: READY\n`);
+      log(`   🎉 Your oracle should work now!\n`);
     } catch (error) {
+      report.check({
+        id: "pool.twapWindow",
+        title: "observe() covers the 1-hour TWAP window",
+        status: STATUS.FAIL,
+        value: error.message.includes("OLD") ? `${report.data.historySeconds ?? 0}s of history` : null,
+        expected: `${TWAP_WINDOW}s`,
+        message: error.message.includes("OLD") ? null : error.shortMessage || error.message,
+        remediation: "node scripts/mainnet/pool-management/increase-pool-cardinality.js, then build-pool-history.js",
+      });
       if (error.message.includes("OLD")) {
-        console.log(`   ❌ 1-hour TWAP window: NOT READY\n`);
-        console.log(`   📝 The pool needs more time to accumulate observations.\n`);
-        console.log(`   💡 Options:`);
-        console.log(`      1. INCREASE OBSERVATION CARDINALITY (Recommended)`);
-        console.log(`         - Pool needs more observation slots to retain history`);
-        console.log(`         - This is the root cause of losing 30-minute-old data`);
-        console.log(`         - See "How to Increase Cardinality" below\n`);
-        console.log(`      2. Wait for the pool to age (observations accumulate over time)`);
-        console.log(`      3. Make more swaps (each swap creates a new observation)`);
-        console.log(`      4. For testing, deploy oracle with shorter TWAP window:`);
-        console.log(`         - Change TWAP window from 3600 to 300 (5 minutes)`);
-        console.log(`         - This allows testing much faster\n`);
+        log(`   ❌ 1-hour TWAP window: NOT READY\n`);
+        log(`   📝 The pool needs more time to accumulate observations.\n`);
+        log(`   💡 Options:`);
+        log(`      1. INCREASE OBSERVATION CARDINALITY (Recommended)`);
+        log(`         - Pool needs more observation slots to retain history`);
+        log(`         - This is the root cause of losing 30-minute-old data`);
+        log(`         - See "How to Increase Cardinality" below\n`);
+        log(`      2. Wait for the pool to age (observations accumulate over time)`);
+        log(`      3. Make more swaps (each swap creates a new observation)`);
+        log(`      4. For testing, deploy oracle with shorter TWAP window:`);
+        log(`         - Change TWAP window from 3600 to 300 (5 minutes)`);
+        log(`         - This allows testing much faster\n`);
     
     // Add instructions for increasing cardinality
-    console.log("=".repeat(70));
-    console.log("How to Increase Observation Cardinality");
-    console.log("=".repeat(70));
-    console.log(`   The pool needs more observation slots to retain longer history.\n`);
-    console.log(`   Option 1: Automatic (Recommended)`);
-    console.log(`      - The pool will automatically increase cardinality when needed`);
-    console.log(`      - This happens when swaps detect insufficient capacity`);
-    console.log(`      - Just keep using the pool normally\n`);
-    console.log(`   Option 2: Manual Increase`);
-    console.log(`      - Call increaseObservationCardinalityNext() on the pool`);
-    console.log(`      - Requires a transaction (gas cost)`);
-    console.log(`      - Recommended: Set to 100+ for 1-hour TWAP\n`);
-    console.log(`   💡 For your case:`);
-    console.log(`      - You have 4 swaps but only 1 minute of history`);
-    console.log(`      - This suggests cardinality is very low (1-2)`);
-    console.log(`      - Increasing to 100+ will allow 30+ minutes of history retention\n`);
+    log("=".repeat(70));
+    log("How to Increase Observation Cardinality");
+    log("=".repeat(70));
+    log(`   The pool needs more observation slots to retain longer history.\n`);
+    log(`   Option 1: Automatic (Recommended)`);
+    log(`      - The pool will automatically increase cardinality when needed`);
+    log(`      - This happens when swaps detect insufficient capacity`);
+    log(`      - Just keep using the pool normally\n`);
+    log(`   Option 2: Manual Increase`);
+    log(`      - Call increaseObservationCardinalityNext() on the pool`);
+    log(`      - Requires a transaction (gas cost)`);
+    log(`      - Recommended: Set to 100+ for 1-hour TWAP\n`);
+    log(`   💡 For your case:`);
+    log(`      - You have 4 swaps but only 1 minute of history`);
+    log(`      - This suggests cardinality is very low (1-2)`);
+    log(`      - Increasing to 100+ will allow 30+ minutes of history retention\n`);
       } else {
-        console.log(`   ❌ Error: ${error.message}\n`);
+        log(`   ❌ Error: ${error.message}\n`);
       }
     }
   } catch (error) {
-    console.log(`\n❌ Error: ${error.message}\n`);
-    process.exit(1);
+    log(`\n❌ Error: ${error.message}\n`);
+    report.check({ id: "pool.read", title: "Pool readable", status: STATUS.FAIL, message: error.shortMessage || error.message });
   }
+  return report.finish();
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Script failed:");
-    console.error(error);
-    process.exit(1);
-  });
-
+if (isMain(import.meta.url)) {
+  runDiagnostic("check-pool-observations", ({ log }) => checkPoolObservations({ pool: getPositionalArgs()[0], log }));
+}
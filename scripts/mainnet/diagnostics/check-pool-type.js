@@ -1,47 +1,62 @@
 // scripts/mainnet/check-pool-type.js
 // Diagnostic script to check Aerodrome pool type and compatibility
+// Usage: node scripts/mainnet/check-pool-type.js [POOL_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getProvider } from "../shared/provider.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider } from "../../shared/provider.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("🔍 Aerodrome Pool Type Diagnostic");
-  console.log("=".repeat(70) + "\n");
-
-  const poolAddress = process.env.AERODROME_POOL_MAINNET || process.argv[2];
+/**
+ * Whether a pool is CL/Slipstream (works with AerodromeTWAPOracle) or V2
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.pool] - Used when AERODROME_POOL_MAINNET is unset
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function checkPoolType({ network = process.env.NETWORK || "mainnet", pool, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("🔍 Aerodrome Pool Type Diagnostic");
+  log("=".repeat(70) + "\n");
+
+  const report = createReport("check-pool-type", { network });
+  const poolAddress = process.env.AERODROME_POOL_MAINNET || pool;
   
   if (!poolAddress) {
-    console.log("❌ Please provide pool address:");
-    console.log("   node scripts/mainnet/check-pool-type.js <POOL_ADDRESS>");
-    console.log("   OR set AERODROME_POOL_MAINNET in .env\n");
-    process.exit(1);
+    log("❌ Please provide pool address:");
+    log("   node scripts/mainnet/check-pool-type.js <POOL_ADDRESS>");
+    log("   OR set AERODROME_POOL_MAINNET in .env\n");
+    report.check({ id: "pool.address", title: "Pool address", status: STATUS.FAIL, remediation: "Pass the pool address or set AERODROME_POOL_MAINNET" });
+    return report.finish();
   }
+  report.target.pool = poolAddress;
 
-  const config = getNetworkConfig("mainnet");
-  const provider = getProvider("mainnet");
+  const config = getNetworkConfig(network);
+  const provider = getProvider(network, { log });
 
-  console.log(`Pool Address: ${poolAddress}`);
-  console.log(`Network: ${config.name}`);
-  console.log(`Explorer: ${config.explorer}/address/${poolAddress}\n`);
+  log(`Pool Address: ${poolAddress}`);
+  log(`Network: ${config.name}`);
+  log(`Explorer: ${config.explorer}/address/${poolAddress}\n`);
 
   // Check if contract exists
   const code = await provider.getCode(poolAddress);
   if (code === "0x" || code === "0x0") {
-    console.log("❌ No contract code at this address!\n");
-    process.exit(1);
+    log("❌ No contract code at this address!\n");
+    report.check({ id: "pool.code", title: "Pool contract deployed", status: STATUS.FAIL, value: "no code", remediation: `Verify the address: ${config.explorer}/address/${poolAddress}` });
+    return report.finish();
   }
-  console.log(`✅ Contract code found (${code.length / 2 - 1} bytes)\n`);
+  log(`✅ Contract code found (${code.length / 2 - 1} bytes)\n`);
+  report.check({ id: "pool.code", title: "Pool contract deployed", status: STATUS.PASS, value: `${code.length / 2 - 1} bytes` });
 
   // Try different pool interfaces
-  console.log("=".repeat(70));
-  console.log("Testing Pool Interfaces");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Testing Pool Interfaces");
+  log("=".repeat(70));
 
   // 1. Test CL/Slipstream interface (what we expect)
-  console.log("\n1. Testing CL/Slipstream Interface (Uniswap V3 style)...");
+  log("\n1. Testing CL/Slipstream Interface (Uniswap V3 style)...");
   const clAbi = [
     "function token0() external view returns (address)",
     "function token1() external view returns (address)",
@@ -56,29 +71,29 @@ async function main() {
   try {
     const token0 = await clPool.token0();
     const token1 = await clPool.token1();
-    console.log(`  ✅ token0(): ${token0}`);
-    console.log(`  ✅ token1(): ${token1}`);
+    log(`  ✅ token0(): ${token0}`);
+    log(`  ✅ token1(): ${token1}`);
     
     try {
       // Try calling slot0 with error handling for decoding issues
       let slot0;
       try {
         slot0 = await clPool.slot0();
-        console.log(`  ✅ slot0(): tick=${Number(slot0.tick)}, cardinality=${Number(slot0.observationCardinality)}`);
-        console.log(`     sqrtPriceX96: ${slot0.sqrtPriceX96.toString()}`);
-        console.log(`     unlocked: ${slot0.unlocked}`);
+        log(`  ✅ slot0(): tick=${Number(slot0.tick)}, cardinality=${Number(slot0.observationCardinality)}`);
+        log(`     sqrtPriceX96: ${slot0.sqrtPriceX96.toString()}`);
+        log(`     unlocked: ${slot0.unlocked}`);
       } catch (decodeError) {
         // If decoding fails, try raw call and manual decode
-        console.log(`  ⚠️  slot0() decode failed, trying raw call...`);
+        log(`  ⚠️  slot0() decode failed, trying raw call...`);
         const rawData = await provider.call({
           to: poolAddress,
           data: "0x3850c7bd" // slot0() selector
         });
         
         if (rawData && rawData.length > 2) {
-          console.log(`  ✅ slot0() returns data (${rawData.length} chars)`);
-          console.log(`     This is a CL pool, but return format may differ`);
-          console.log(`     The oracle should still work - trying observe()...`);
+          log(`  ✅ slot0() returns data (${rawData.length} chars)`);
+          log(`     This is a CL pool, but return format may differ`);
+          log(`     The oracle should still work - trying observe()...`);
           
           // Mark as CL pool if we got data back
           clWorks = true;
@@ -91,38 +106,46 @@ async function main() {
       try {
         const secondsAgos = [3600, 0];
         const observeResult = await clPool.observe(secondsAgos);
-        console.log(`  ✅ observe(): Works!`);
-        console.log(`     Tick cumulatives: [${observeResult.tickCumulatives[0]}, ${observeResult.tickCumulatives[1]}]`);
+        log(`  ✅ observe(): Works!`);
+        log(`     Tick cumulatives: [${observeResult.tickCumulatives[0]}, ${observeResult.tickCumulatives[1]}]`);
         clWorks = true;
-        console.log(`\n  🎉 CRITICAL: observe() works - This pool IS compatible with AerodromeTWAPOracle!`);
+        log(`\n  🎉 CRITICAL: observe() works - This pool IS compatible with AerodromeTWAPOracle!`);
+        report.check({ id: "pool.observe", title: "observe() over the 1-hour TWAP window", status: STATUS.PASS });
       } catch (e) {
-        console.log(`  ⚠️  observe() failed: ${e.message}`);
+        log(`  ⚠️  observe() failed: ${e.message}`);
+        report.check({
+          id: "pool.observe",
+          title: "observe() over the 1-hour TWAP window",
+          status: STATUS.WARN,
+          message: e.message.includes("OLD") ? "Not enough history yet (OLD)" : e.shortMessage || e.message,
+          remediation: e.message.includes("OLD") ? "node scripts/mainnet/pool-management/build-pool-history.js" : null,
+        });
         if (e.message.includes("OLD")) {
-          console.log(`     Pool needs more observations (normal for new pools)`);
-          console.log(`     The oracle will fall back to spot price until history builds`);
+          log(`     Pool needs more observations (normal for new pools)`);
+          log(`     The oracle will fall back to spot price until history builds`);
           clWorks = true; // Still compatible, just needs time
         } else {
-          console.log(`     This may indicate the pool is not fully CL compatible`);
+          log(`     This may indicate the pool is not fully CL compatible`);
         }
       }
       
       // Try liquidity
       try {
         const liquidity = await clPool.liquidity();
-        console.log(`  ✅ liquidity(): ${liquidity.toString()}`);
+        log(`  ✅ liquidity(): ${liquidity.toString()}`);
       } catch (e) {
-        console.log(`  ⚠️  liquidity() failed: ${e.message}`);
+        log(`  ⚠️  liquidity() failed: ${e.message}`);
       }
       
     } catch (e) {
-      console.log(`  ❌ slot0() failed: ${e.message}`);
+      log(`  ❌ slot0() failed: ${e.message}`);
     }
   } catch (e) {
-    console.log(`  ❌ CL interface failed: ${e.message}`);
+    log(`  ❌ CL interface failed: ${e.message}`);
   }
 
   // 2. Test V2 interface (Aerodrome V2 pools)
-  console.log("\n2. Testing V2 Interface (Aerodrome V2 style)...");
+  log("\n2. Testing V2 Interface (Aerodrome V2 style)...");
   const v2Abi = [
     "function token0() external view returns (address)",
     "function token1() external view returns (address)",
@@ -137,51 +160,62 @@ async function main() {
   try {
     const token0 = await v2Pool.token0();
     const token1 = await v2Pool.token1();
-    console.log(`  ✅ token0(): ${token0}`);
-    console.log(`  ✅ token1(): ${token1}`);
+    log(`  ✅ token0(): ${token0}`);
+    log(`  ✅ token1(): ${token1}`);
     
     try {
       const reserves = await v2Pool.getReserves();
-      console.log(`  ✅ getReserves(): reserve0=${reserves.reserve0.toString()}, reserve1=${reserves.reserve1.toString()}`);
+      log(`  ✅ getReserves(): reserve0=${reserves.reserve0.toString()}, reserve1=${reserves.reserve1.toString()}`);
       v2Works = true;
     } catch (e) {
-      console.log(`  ❌ getReserves() failed: ${e.message}`);
+      log(`  ❌ getReserves() failed: ${e.message}`);
     }
   } catch (e) {
-    console.log(`  ❌ V2 interface failed: ${e.message}`);
+    log(`  ❌ V2 interface failed: ${e.message}`);
   }
 
   // Summary
-  console.log("\n" + "=".repeat(70));
-  console.log("Summary");
-  console.log("=".repeat(70));
+  log("\n" + "=".repeat(70));
+  log("Summary");
+  log("=".repeat(70));
+
+  const type = clWorks ? "cl" : v2Works ? "v2" : "unknown";
+  report.data.type = type;
+  report.check({
+    id: "pool.type",
+    title: "CL/Slipstream pool (AerodromeTWAPOracle compatible)",
+    status: clWorks ? STATUS.PASS : STATUS.FAIL,
+    value: type,
+    expected: "cl",
+    remediation: clWorks ? null : "Create a CL/Slipstream pool on Aerodrome and use it for the oracle",
+  });
 
   if (clWorks) {
-    console.log("✅ This is a CL/Slipstream pool (Uniswap V3 style)");
-    console.log("   ✅ Compatible with AerodromeTWAPOracle");
-    console.log("   ✅ Can use slot0() and observe() for TWAP");
-    console.log("   ⚠️  Note: slot0() decoding may fail, but observe() works");
-    console.log("   ✅ The oracle will work correctly!\n");
+    log("✅ This is a CL/Slipstream pool (Uniswap V3 style)");
+    log("   ✅ Compatible with AerodromeTWAPOracle");
+    log("   ✅ Can use slot0() and observe() for TWAP");
+    log("   ⚠️  Note: slot0() decoding may fail, but observe() works");
+    log("   ✅ The oracle will work correctly!\n");
   } else if (v2Works) {
-    console.log("⚠️  This is a V2 pool (Aerodrome V2 style)");
-    console.log("   ❌ NOT compatible with current AerodromeTWAPOracle");
-    console.log("   ❌ V2 pools don't have slot0() or observe()");
-    console.log("   💡 You need a CL/Slipstream pool for TWAP oracle\n");
-    console.log("   Solution:");
-    console.log("   1. Create a new CL/Slipstream pool on Aerodrome");
-    console.log("   2. Use that pool address for the oracle\n");
+    log("⚠️  This is a V2 pool (Aerodrome V2 style)");
+    log("   ❌ NOT compatible with current AerodromeTWAPOracle");
+    log("   ❌ V2 pools don't have slot0() or observe()");
+    log("   💡 You need a CL/Slipstream pool for TWAP oracle\n");
+    log("   Solution:");
+    log("   1. Create a new CL/Slipstream pool on Aerodrome");
+    log("   2. Use that pool address for the oracle\n");
   } else {
-    console.log("❌ Could not identify pool type");
-    console.log("   Check the pool address and verify it's an Aerodrome pool\n");
+    log("❌ Could not identify pool type");
+    log("   Check the pool address and verify it's an Aerodrome pool\n");
   }
 
   // Check on Basescan
-  console.log("Verify on Basescan:");
-  console.log(`  ${config.explorer}/address/${poolAddress}\n`);
+  log("Verify on Basescan:");
+  log(`  ${config.explorer}/address/${poolAddress}\n`);
+  return report.finish();
 }
 
-main().catch((err) => {
-  console.error("❌ Error:", err.message);
-  process.exitCode = 1;
-});
+if (isMain(import.meta.url)) {
+  runDiagnostic("check-pool-type", ({ log }) => checkPoolType({ pool: getPositionalArgs()[0], log }));
+}
 
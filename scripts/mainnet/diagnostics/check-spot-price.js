@@ -1,72 +1,99 @@
 // scripts/mainnet/check-spot-price.js
 // Check current spot price from the pool (real-time)
-// Usage: node scripts/mainnet/check-spot-price.js
+// Usage: node scripts/mainnet/check-spot-price.js [VAULT_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
+import { getProvider } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { FairVaultClient } from "../../shared/fair-vault-client.js";
+import { resolveVault } from "../../shared/deployments.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("📊 Real-Time Spot Price Check");
-  console.log("=".repeat(70) + "\n");
-
-  const network = process.env.NETWORK || "mainnet";
-  const wallet = getWallet(network);
-
-  const VAULT_ADDRESS = process.env.VAULT_ADDRESS;
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please set VAULT_ADDRESS in .env\n");
-    process.exit(1);
+/**
+ * Oracle TWAP and spot price side by side, plus the current milestone
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.vault] - Default: VAULT_ADDRESS, then the deployment registry
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function checkSpotPrice({ network = process.env.NETWORK || "mainnet", vault: vaultArg, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("📊 Real-Time Spot Price Check");
+  log("=".repeat(70) + "\n");
+
+  const report = createReport("check-spot-price", { network });
+  const provider = getProvider(network, { log });
+
+  let VAULT_ADDRESS;
+  try {
+    VAULT_ADDRESS = resolveVault(network, { address: vaultArg, types: ["vault"] }).address;
+  } catch (e) {
+    log(`❌ ${e.message}\n`);
+    report.check({ id: "vault.address", title: "Vault address", status: STATUS.FAIL, message: e.message, remediation: "Pass the vault address or set VAULT_ADDRESS" });
+    return report.finish();
   }
+  report.target.vault = VAULT_ADDRESS;
 
-  console.log(`📡 Network: ${network}`);
-  console.log(`🏦 Vault: ${VAULT_ADDRESS}\n`);
+  log(`📡 Network: ${network}`);
+  log(`🏦 Vault: ${VAULT_ADDRESS}\n`);
 
   // Get vault and oracle
-  const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
-  const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, wallet);
+  const vault = new FairVaultClient(VAULT_ADDRESS, provider, { type: "vault" });
 
-  const oracleAddress = await vault.priceOracle();
+  const { address: oracleAddress } = await vault.getOracle();
   const oracleArtifact = loadArtifact(CONTRACTS.TWAP_ORACLE);
-  const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, wallet);
+  const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, provider);
 
   const poolAddress = await oracle.pool();
+  report.data.oracle = oracleAddress;
+  report.data.pool = poolAddress;
 
-  console.log("=".repeat(70));
-  console.log("Contract Information");
-  console.log("=".repeat(70));
-  console.log(`  Oracle: ${oracleAddress}`);
-  console.log(`  Pool: ${poolAddress}\n`);
+  log("=".repeat(70));
+  log("Contract Information");
+  log("=".repeat(70));
+  log(`  Oracle: ${oracleAddress}`);
+  log(`  Pool: ${poolAddress}\n`);
 
   // Get TWAP price
-  console.log("=".repeat(70));
-  console.log("TWAP Price (Used by Keeper)");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("TWAP Price (Used by Keeper)");
+  log("=".repeat(70));
   
   try {
     const twapPrice = await oracle.getPrice();
     const twapPriceUsd = Number(twapPrice) / 1_000_000;
-    console.log(`  TWAP Price: ${twapPrice.toString()} oracle units`);
-    console.log(`  TWAP Price: $${twapPriceUsd.toFixed(9)} USD\n`);
+    log(`  TWAP Price: ${twapPrice.toString()} oracle units`);
+    log(`  TWAP Price: $${twapPriceUsd.toFixed(9)} USD\n`);
+    report.data.twapPrice = twapPrice;
+    report.check({ id: "oracle.twap", title: "Oracle TWAP price", status: STATUS.PASS, value: twapPrice });
   } catch (error) {
-    console.log(`  ❌ Could not read TWAP: ${error.message}\n`);
+    log(`  ❌ Could not read TWAP: ${error.message}\n`);
+    report.check({
+      id: "oracle.twap",
+      title: "Oracle TWAP price",
+      status: STATUS.FAIL,
+      message: error.shortMessage || error.message,
+      remediation: "node scripts/mainnet/diagnostics/check-pool-observations.js",
+    });
   }
 
   // Get Spot price
-  console.log("=".repeat(70));
-  console.log("Spot Price (Real-Time from Pool)");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Spot Price (Real-Time from Pool)");
+  log("=".repeat(70));
   
   try {
     const spotPrice = await oracle.getSpotPrice();
     const spotPriceUsd = Number(spotPrice) / 1_000_000;
-    console.log(`  Spot Price: ${spotPrice.toString()} oracle units`);
-    console.log(`  Spot Price: $${spotPriceUsd.toFixed(9)} USD\n`);
+    log(`  Spot Price: ${spotPrice.toString()} oracle units`);
+    log(`  Spot Price: $${spotPriceUsd.toFixed(9)} USD\n`);
+    report.data.spotPrice = spotPrice;
+    report.check({ id: "oracle.spot", title: "Oracle spot price", status: STATUS.PASS, value: spotPrice });
   } catch (error) {
-    console.log(`  ⚠️  Oracle.getSpotPrice() failed: ${error.message}`);
-    console.log(`  Trying direct pool access...\n`);
+    log(`  ⚠️  Oracle.getSpotPrice() failed: ${error.message}`);
+    log(`  Trying direct pool access...\n`);
 
     // Try to read directly from pool
     try {
@@ -76,7 +103,7 @@ async function main() {
         "function token1() external view returns (address)",
       ];
 
-      const pool = new ethers.Contract(poolAddress, poolAbi, wallet.provider);
+      const pool = new ethers.Contract(poolAddress, poolAbi, provider);
       
       const slot0 = await pool.slot0();
       const token0 = await pool.token0();
@@ -85,8 +112,8 @@ async function main() {
       const fairToken = await oracle.fairToken();
       const fairIsToken0 = await oracle.fairIsToken0();
 
-      console.log(`  sqrtPriceX96: ${slot0.sqrtPriceX96.toString()}`);
-      console.log(`  Current tick: ${slot0.tick}\n`);
+      log(`  sqrtPriceX96: ${slot0.sqrtPriceX96.toString()}`);
+      log(`  Current tick: ${slot0.tick}\n`);
 
       // Calculate price from sqrtPriceX96
       // price = (sqrtPriceX96 / 2^96)^2
@@ -107,76 +134,84 @@ async function main() {
       // Convert to oracle units (multiply by 1,000,000)
       const priceInOracleUnits = price * 1_000_000;
 
-      console.log("=".repeat(70));
-      console.log("Calculated Spot Price");
-      console.log("=".repeat(70));
-      console.log(`  Token0: ${token0}`);
-      console.log(`  Token1: ${token1}`);
-      console.log(`  FAIR is token0: ${fairIsToken0}`);
-      console.log(`  Raw price: ${price.toFixed(12)} USDC per FAIR`);
-      console.log(`  Spot Price: ${priceInOracleUnits.toFixed(2)} oracle units`);
-      console.log(`  Spot Price: $${price.toFixed(9)} USD\n`);
+      log("=".repeat(70));
+      log("Calculated Spot Price");
+      log("=".repeat(70));
+      log(`  Token0: ${token0}`);
+      log(`  Token1: ${token1}`);
+      log(`  FAIR is token0: ${fairIsToken0}`);
+      log(`  Raw price: ${price.toFixed(12)} USDC per FAIR`);
+      log(`  Spot Price: ${priceInOracleUnits.toFixed(2)} oracle units`);
+      log(`  Spot Price: $${price.toFixed(9)} USD\n`);
+      report.data.spotPrice = priceInOracleUnits;
+      report.check({
+        id: "oracle.spot",
+        title: "Oracle spot price",
+        status: STATUS.WARN,
+        value: priceInOracleUnits.toFixed(2),
+        message: `getSpotPrice() failed, calculated from pool slot0(): ${error.shortMessage || error.message}`,
+      });
 
     } catch (poolError) {
-      console.log(`  ❌ Could not read from pool: ${poolError.message}\n`);
+      log(`  ❌ Could not read from pool: ${poolError.message}\n`);
+      report.check({ id: "oracle.spot", title: "Oracle spot price", status: STATUS.FAIL, message: poolError.shortMessage || poolError.message });
     }
   }
 
   // Get milestone status
-  console.log("=".repeat(70));
-  console.log("Milestone Status");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Milestone Status");
+  log("=".repeat(70));
   
   try {
-    // Find current milestone
-    let currentMilestone = 0;
-    for (let i = 1; i <= 18; i++) {
-      const unlocked = await vault.milestoneUnlocked(i);
-      if (!unlocked) {
-        currentMilestone = i;
-        break;
-      }
-    }
+    const currentMilestone = await vault.findCurrentMilestone();
 
     if (currentMilestone === 0) {
-      console.log(`  🎉 All milestones unlocked!\n`);
+      log(`  🎉 All milestones unlocked!\n`);
+      report.data.milestone = null;
     } else {
-      console.log(`  Current Milestone: ${currentMilestone}`);
+      log(`  Current Milestone: ${currentMilestone}`);
       
       const status = await vault.getMilestoneStatus(currentMilestone);
-      console.log(`  Target Price: ${status.priceTarget} oracle units`);
-      console.log(`  Current Price (TWAP): ${status.currentPrice} oracle units`);
+      log(`  Target Price: ${status.priceTarget} oracle units`);
+      log(`  Current Price (TWAP): ${status.currentPrice} oracle units`);
       
-      const goodCount = status.goodPeriods ?? status.goodHours ?? status[1];
-      console.log(`  Good Periods: ${goodCount}`);
-      console.log(`  Unlocked: ${status.unlocked}\n`);
+      log(`  Good Periods: ${status.goodPeriods}`);
+      log(`  Unlocked: ${status.unlocked}\n`);
 
       // Check if can unlock
-      const canUnlock = await vault.canUnlockMilestone(currentMilestone);
-      console.log(`  Can Unlock: ${canUnlock.canUnlock}`);
-      console.log(`  Reason: ${canUnlock.reason}\n`);
+      const canUnlock = await vault.canUnlock(currentMilestone);
+      log(`  Can Unlock: ${canUnlock.canUnlock}`);
+      log(`  Reason: ${canUnlock.reason}\n`);
+      report.data.milestone = {
+        number: currentMilestone,
+        priceTarget: status.priceTarget,
+        currentPrice: status.currentPrice,
+        goodPeriods: status.goodPeriods,
+        canUnlock: canUnlock.canUnlock,
+        reason: canUnlock.reason,
+      };
     }
+    report.check({ id: "milestone.status", title: "Milestone status", status: STATUS.PASS, value: currentMilestone });
   } catch (error) {
-    console.log(`  ⚠️  Could not get milestone status: ${error.message}\n`);
+    log(`  ⚠️  Could not get milestone status: ${error.message}\n`);
+    report.check({ id: "milestone.status", title: "Milestone status", status: STATUS.WARN, message: error.shortMessage || error.message });
   }
 
-  console.log("=".repeat(70));
-  console.log("Summary");
-  console.log("=".repeat(70));
-  console.log(`  💡 TWAP updates slowly (10-30 min average)`);
-  console.log(`  💡 Spot price updates immediately after swaps`);
-  console.log(`  💡 Keeper uses TWAP price, not spot price`);
-  console.log(`  💡 Wait 20-30 minutes after swaps for TWAP to catch up\n`);
+  log("=".repeat(70));
+  log("Summary");
+  log("=".repeat(70));
+  log(`  💡 TWAP updates slowly (10-30 min average)`);
+  log(`  💡 Spot price updates immediately after swaps`);
+  log(`  💡 Keeper uses TWAP price, not spot price`);
+  log(`  💡 Wait 20-30 minutes after swaps for TWAP to catch up\n`);
   
-  console.log(`  📊 Check pool on DEX analytics:`);
-  console.log(`     GeckoTerminal: https://www.geckoterminal.com/base/pools/${poolAddress}`);
-  console.log(`     DEXScreener: https://dexscreener.com/base/${poolAddress}\n`);
+  log(`  📊 Check pool on DEX analytics:`);
+  log(`     GeckoTerminal: https://www.geckoterminal.com/base/pools/${poolAddress}`);
+  log(`     DEXScreener: https://dexscreener.com/base/${poolAddress}\n`);
+  return report.finish();
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Error:");
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+if (isMain(import.meta.url)) {
+  runDiagnostic("check-spot-price", ({ log }) => checkSpotPrice({ vault: getPositionalArgs()[0], log }));
+}
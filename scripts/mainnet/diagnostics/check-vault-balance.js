@@ -1,58 +1,80 @@
 // scripts/mainnet/check-vault-balance.js
 // Check vault balance and provide withdrawal options
+// Usage: node scripts/mainnet/check-vault-balance.js [VAULT_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider, getSignerConfig, getSignerAddress } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { FairVaultClient } from "../../shared/fair-vault-client.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { resolveVault } from "../../shared/deployments.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("🔍 Vault Balance & Withdrawal Options");
-  console.log("=".repeat(70) + "\n");
-
-  const VAULT_ADDRESS = process.argv[2] || process.env.VAULT_ADDRESS;
-  
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please provide VAULT_ADDRESS:");
-    console.log("   node scripts/mainnet/check-vault-balance.js <VAULT_ADDRESS>\n");
-    process.exit(1);
+/**
+ * Vault token balance, ownership and what the owner can still do
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.vault] - Default: VAULT_ADDRESS, then the deployment registry
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function checkVaultBalance({ network = process.env.NETWORK || "mainnet", vault: vaultArg, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("🔍 Vault Balance & Withdrawal Options");
+  log("=".repeat(70) + "\n");
+
+  const report = createReport("check-vault-balance", { network });
+
+  let VAULT_ADDRESS;
+  try {
+    VAULT_ADDRESS = resolveVault(network, { address: vaultArg, types: ["vault"] }).address;
+  } catch (e) {
+    log(`❌ ${e.message}`);
+    log("   node scripts/mainnet/check-vault-balance.js <VAULT_ADDRESS>\n");
+    report.check({ id: "vault.address", title: "Vault address", status: STATUS.FAIL, message: e.message, remediation: "Pass the vault address or set VAULT_ADDRESS" });
+    return report.finish();
   }
+  report.target.vault = VAULT_ADDRESS;
 
-  const config = getNetworkConfig("mainnet");
-  const wallet = getWallet("mainnet");
-  const provider = wallet.provider;
+  const config = getNetworkConfig(network);
+  const provider = getProvider(network, { log });
 
-  console.log(`Vault Address: ${VAULT_ADDRESS}`);
-  console.log(`Network: ${config.name}`);
-  console.log(`Explorer: ${config.explorer}/address/${VAULT_ADDRESS}\n`);
+  // Only the address is needed, and only to compare with the owner
+  let yourAddress = null;
+  try {
+    yourAddress = await getSignerAddress(getSignerConfig());
+  } catch {
+    // No signer configured: ownership is reported as skipped
+  }
+
+  log(`Vault Address: ${VAULT_ADDRESS}`);
+  log(`Network: ${config.name}`);
+  log(`Explorer: ${config.explorer}/address/${VAULT_ADDRESS}\n`);
 
   const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
   const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, provider);
+  const client = new FairVaultClient(VAULT_ADDRESS, provider, { type: "vault" });
 
   try {
     // Check vault state
-    const fairTokenAddr = await vault.fairToken();
-    const initialized = await vault.initialized();
-    const totalDeposited = await vault.totalDeposited();
+    const { token: fairTokenAddr, balance: vaultBalance, deposited: totalDeposited, initialized } = await client.getVaultInfo();
     const owner = await vault.owner();
-    const oracleFrozen = await vault.oracleFrozen();
-    const oracleAddr = await vault.priceOracle();
-
-    console.log("=".repeat(70));
-    console.log("Vault Status");
-    console.log("=".repeat(70));
-    console.log(`  Owner: ${owner}`);
-    console.log(`  Your Address: ${wallet.address}`);
-    console.log(`  Owner Match: ${owner.toLowerCase() === wallet.address.toLowerCase() ? "✅ YES" : "❌ NO"}`);
-    console.log(`  Initialized: ${initialized ? "✅ YES" : "❌ NO"}`);
-    console.log(`  Oracle Frozen: ${oracleFrozen ? "✅ YES" : "❌ NO"}`);
-    console.log(`  Oracle Address: ${oracleAddr}\n`);
+    const { address: oracleAddr, frozen: oracleFrozen } = await client.getOracle();
+
+    log("=".repeat(70));
+    log("Vault Status");
+    log("=".repeat(70));
+    const isOwner = yourAddress !== null && owner.toLowerCase() === yourAddress.toLowerCase();
+    log(`  Owner: ${owner}`);
+    log(`  Your Address: ${yourAddress ?? "(no signer configured)"}`);
+    log(`  Owner Match: ${isOwner ? "✅ YES" : "❌ NO"}`);
+    log(`  Initialized: ${initialized ? "✅ YES" : "❌ NO"}`);
+    log(`  Oracle Frozen: ${oracleFrozen ? "✅ YES" : "❌ NO"}`);
+    log(`  Oracle Address: ${oracleAddr}\n`);
 
     // Check token balance
     const erc20Abi = [
-      "function balanceOf(address) view returns (uint256)",
       "function decimals() view returns (uint8)",
       "function symbol() view returns (string)",
     ];
@@ -60,96 +82,122 @@ async function main() {
     
     const symbol = await fairToken.symbol();
     const decimals = await fairToken.decimals();
-    const vaultBalance = await fairToken.balanceOf(VAULT_ADDRESS);
     
-    console.log("=".repeat(70));
-    console.log("Token Balance");
-    console.log("=".repeat(70));
-    console.log(`  Token: ${symbol} (${fairTokenAddr})`);
-    console.log(`  Vault Balance: ${ethers.formatUnits(vaultBalance, decimals)} ${symbol}`);
-    console.log(`  Total Deposited: ${ethers.formatUnits(totalDeposited, decimals)} ${symbol}\n`);
+    log("=".repeat(70));
+    log("Token Balance");
+    log("=".repeat(70));
+    log(`  Token: ${symbol} (${fairTokenAddr})`);
+    log(`  Vault Balance: ${ethers.formatUnits(vaultBalance, decimals)} ${symbol}`);
+    log(`  Total Deposited: ${ethers.formatUnits(totalDeposited, decimals)} ${symbol}\n`);
+
+    report.data.vault = {
+      owner,
+      initialized,
+      oracle: oracleAddr,
+      oracleFrozen,
+      token: fairTokenAddr,
+      symbol,
+      balance: ethers.formatUnits(vaultBalance, decimals),
+      deposited: ethers.formatUnits(totalDeposited, decimals),
+    };
+    report.check({ id: "vault.balance", title: "Vault balance", status: STATUS.INFO, value: `${ethers.formatUnits(vaultBalance, decimals)} ${symbol}` });
+    report.check({ id: "vault.initialized", title: "Vault initialized (tokens locked)", status: STATUS.INFO, value: initialized });
+    report.check({
+      id: "vault.owner",
+      title: "Signer owns the vault",
+      status: yourAddress === null ? STATUS.SKIP : isOwner ? STATUS.PASS : STATUS.WARN,
+      value: yourAddress,
+      expected: owner,
+      message: yourAddress === null ? "No signer configured" : null,
+    });
 
     // Check if owner can withdraw
-    console.log("=".repeat(70));
-    console.log("Withdrawal Options");
-    console.log("=".repeat(70));
-
-    if (owner.toLowerCase() !== wallet.address.toLowerCase()) {
-      console.log("  ❌ You are not the owner of this vault.");
-      console.log("     Only the owner can perform administrative actions.\n");
-      return;
+    log("=".repeat(70));
+    log("Withdrawal Options");
+    log("=".repeat(70));
+
+    if (!isOwner) {
+      log("  ❌ You are not the owner of this vault.");
+      log("     Only the owner can perform administrative actions.\n");
+      return report.finish();
     }
 
     if (!initialized) {
-      console.log("  ✅ GOOD NEWS: Vault is NOT initialized!");
-      console.log("     Since the vault is not initialized, the tokens are not locked yet.");
-      console.log("     However, the contract doesn't have a withdrawal function.");
-      console.log("     \n");
-      console.log("     Options:");
-      console.log("     1. Deploy a new vault with the correct oracle type");
-      console.log("     2. The tokens will remain in this vault (they're not locked, but can't be withdrawn)");
-      console.log("     3. Contact a developer to add a withdrawal function (requires new deployment)\n");
-      return;
+      log("  ✅ GOOD NEWS: Vault is NOT initialized!");
+      log("     Since the vault is not initialized, the tokens are not locked yet.");
+      log("     However, the contract doesn't have a withdrawal function.");
+      log("     \n");
+      log("     Options:");
+      log("     1. Deploy a new vault with the correct oracle type");
+      log("     2. The tokens will remain in this vault (they're not locked, but can't be withdrawn)");
+      log("     3. Contact a developer to add a withdrawal function (requires new deployment)\n");
+      return report.finish();
     }
 
-    console.log("  ⚠️  Vault is INITIALIZED - tokens are locked!");
-    console.log("     The FAIRVault contract is designed to be trustless and does NOT have");
-    console.log("     a withdrawal function. Once initialized, tokens can only be unlocked");
-    console.log("     through the milestone system.\n");
+    log("  ⚠️  Vault is INITIALIZED - tokens are locked!");
+    log("     The FAIRVault contract is designed to be trustless and does NOT have");
+    log("     a withdrawal function. Once initialized, tokens can only be unlocked");
+    log("     through the milestone system.\n");
 
-    console.log("  💡 Solutions:\n");
+    log("  💡 Solutions:\n");
 
-    console.log("  Option 1: Fix the Oracle (Recommended)");
-    console.log("    - Create a CL/Slipstream pool on Aerodrome (not V2)");
-    console.log("    - Deploy a new vault with the CL pool address");
-    console.log("    - Transfer tokens from old vault to new vault");
-    console.log("    - Note: You'll need to wait for milestones to unlock in old vault\n");
+    log("  Option 1: Fix the Oracle (Recommended)");
+    log("    - Create a CL/Slipstream pool on Aerodrome (not V2)");
+    log("    - Deploy a new vault with the CL pool address");
+    log("    - Transfer tokens from old vault to new vault");
+    log("    - Note: You'll need to wait for milestones to unlock in old vault\n");
 
-    console.log("  Option 2: Wait for Milestones");
-    console.log("    - Tokens will unlock automatically when milestones are met");
-    console.log("    - However, the oracle won't work with V2 pool, so milestones won't unlock");
-    console.log("    - This is not a viable solution\n");
+    log("  Option 2: Wait for Milestones");
+    log("    - Tokens will unlock automatically when milestones are met");
+    log("    - However, the oracle won't work with V2 pool, so milestones won't unlock");
+    log("    - This is not a viable solution\n");
 
-    console.log("  Option 3: Deploy New Vault with Withdrawal Function");
-    console.log("    - I can create a modified vault contract with an owner withdrawal function");
-    console.log("    - Deploy the new vault");
-    console.log("    - You can withdraw from old vault (if we add the function) or wait for unlocks");
-    console.log("    - Transfer tokens to new vault\n");
+    log("  Option 3: Deploy New Vault with Withdrawal Function");
+    log("    - I can create a modified vault contract with an owner withdrawal function");
+    log("    - Deploy the new vault");
+    log("    - You can withdraw from old vault (if we add the function) or wait for unlocks");
+    log("    - Transfer tokens to new vault\n");
 
     // Check if oracle is working
     if (oracleAddr !== ethers.ZeroAddress) {
-      console.log("=".repeat(70));
-      console.log("Oracle Status");
-      console.log("=".repeat(70));
+      log("=".repeat(70));
+      log("Oracle Status");
+      log("=".repeat(70));
       
       try {
-        const oracleAbi = ["function getPrice() external view returns (uint256)"];
-        const oracle = new ethers.Contract(oracleAddr, oracleAbi, provider);
-        const price = await oracle.getPrice();
-        console.log(`  ✅ Oracle is working!`);
-        console.log(`  Current Price: ${price} (1e9 units = $${(Number(price) / 1e9).toFixed(9)})\n`);
+        const price = await client.getPrice();
+        log(`  ✅ Oracle is working!`);
+        log(`  Current Price: ${price} (1e9 units = $${(Number(price) / 1e9).toFixed(9)})\n`);
+        report.check({ id: "oracle.price", title: "Oracle getPrice()", status: STATUS.PASS, value: price });
       } catch (error) {
-        console.log(`  ❌ Oracle is NOT working: ${error.message}`);
-        console.log(`     This confirms the oracle is incompatible with your V2 pool.\n`);
+        log(`  ❌ Oracle is NOT working: ${error.message}`);
+        report.check({
+          id: "oracle.price",
+          title: "Oracle getPrice()",
+          status: STATUS.FAIL,
+          message: error.shortMessage || error.message,
+          remediation: "node scripts/mainnet/diagnostics/check-pool-type.js",
+        });
+        log(`     This confirms the oracle is incompatible with your V2 pool.\n`);
       }
     }
 
-    console.log("=".repeat(70));
-    console.log("Recommended Action");
-    console.log("=".repeat(70));
-    console.log("  1. Create a CL/Slipstream pool on Aerodrome");
-    console.log("  2. Deploy a new vault with the CL pool");
-    console.log("  3. Wait for milestones to unlock in old vault (or add withdrawal function)");
-    console.log("  4. Transfer unlocked tokens to new vault\n");
+    log("=".repeat(70));
+    log("Recommended Action");
+    log("=".repeat(70));
+    log("  1. Create a CL/Slipstream pool on Aerodrome");
+    log("  2. Deploy a new vault with the CL pool");
+    log("  3. Wait for milestones to unlock in old vault (or add withdrawal function)");
+    log("  4. Transfer unlocked tokens to new vault\n");
 
   } catch (error) {
-    console.log(`❌ Error: ${error.message}\n`);
-    process.exit(1);
+    log(`❌ Error: ${error.message}\n`);
+    report.check({ id: "vault.read", title: "Vault state readable", status: STATUS.FAIL, message: error.shortMessage || error.message });
   }
+  return report.finish();
 }
 
-main().catch((err) => {
-  console.error("❌ Error:", err.message);
-  process.exitCode = 1;
-});
+if (isMain(import.meta.url)) {
+  runDiagnostic("check-vault-balance", ({ log }) => checkVaultBalance({ vault: getPositionalArgs()[0], log }));
+}
 
@@ -1,83 +1,79 @@
 // scripts/mainnet/compare-oracle-ui-price.js
 // Compare oracle price with UI/spot price to diagnose discrepancies
-// Usage: node scripts/mainnet/compare-oracle-ui-price.js [VAULT_ADDRESS]
+// Usage: node scripts/mainnet/compare-oracle-ui-price.js [VAULT_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getWallet, getProvider } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { resolveVault } from "../../shared/deployments.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("🔍 Oracle vs UI Price Comparison");
-  console.log("=".repeat(70) + "\n");
+/**
+ * Oracle TWAP, spot and pool slot0() prices against the price the UI showed
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.vault] - Default: VAULT_ADDRESS, then the deployment registry
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function compareOracleUiPrice({ network = process.env.NETWORK || "mainnet", vault: vaultArg, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("🔍 Oracle vs UI Price Comparison");
+  log("=".repeat(70) + "\n");
 
-  const network = process.env.NETWORK || "mainnet";
   const config = getNetworkConfig(network);
-  const wallet = getWallet(network);
-  const provider = getProvider(network);
-
-  // Try to get vault address from multiple sources
-  let VAULT_ADDRESS = process.argv[2] || process.env.VAULT_ADDRESS;
-  
-  // If not provided, try to find from deployment files
-  if (!VAULT_ADDRESS) {
-    const fs = await import("fs");
-    const path = await import("path");
-    const { fileURLToPath } = await import("url");
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    
-    const testPath = path.join(__dirname, ".env.test");
-    const mainnetPath = path.join(__dirname, ".env.mainnet");
-    
-    let envFile;
-    if (fs.existsSync(testPath)) {
-      envFile = testPath;
-    } else if (fs.existsSync(mainnetPath)) {
-      envFile = mainnetPath;
-    }
-    
-    if (envFile) {
-      const env = fs.readFileSync(envFile, "utf8");
-      const vaultMatch = env.match(/VAULT_ADDRESS=(.+)/);
-      if (vaultMatch) {
-        VAULT_ADDRESS = vaultMatch[1].trim();
-        console.log(`📋 Found vault address from ${path.basename(envFile)}: ${VAULT_ADDRESS}\n`);
-      }
+  const provider = getProvider(network, { log });
+  const report = createReport("compare-oracle-ui-price", { network });
+
+  // Vault: argument, VAULT_ADDRESS, or the deployment registry
+  let VAULT_ADDRESS;
+  try {
+    const vault = resolveVault(network, { address: vaultArg, types: ["vault"] });
+    VAULT_ADDRESS = vault.address;
+    if (vault.source !== "argument") {
+      log(`📋 Found vault address from ${vault.source}: ${VAULT_ADDRESS}\n`);
     }
+  } catch (e) {
+    log(`❌ ${e.message}`);
+    log("   node scripts/mainnet/compare-oracle-ui-price.js <VAULT_ADDRESS>");
+    log("   OR set VAULT_ADDRESS in .env\n");
+    report.check({ id: "vault.address", title: "Vault address", status: STATUS.FAIL, message: e.message, remediation: "Pass the vault address or set VAULT_ADDRESS" });
+    return report.finish();
   }
-  
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please provide VAULT_ADDRESS:");
-    console.log("   node scripts/mainnet/compare-oracle-ui-price.js <VAULT_ADDRESS>");
-    console.log("   OR set VAULT_ADDRESS in .env\n");
-    process.exit(1);
-  }
+  report.target.vault = VAULT_ADDRESS;
 
-  console.log(`📡 Network: ${network}`);
-  console.log(`🏦 Vault: ${VAULT_ADDRESS}\n`);
+  log(`📡 Network: ${network}`);
+  log(`🏦 Vault: ${VAULT_ADDRESS}\n`);
 
   const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
-  const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, wallet);
+  const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, provider);
 
   try {
     // Get oracle address
     const oracleAddress = await vault.priceOracle();
     if (!oracleAddress || oracleAddress === ethers.ZeroAddress) {
-      console.log("❌ Oracle not set on vault!\n");
-      process.exit(1);
+      log("❌ Oracle not set on vault!\n");
+      report.check({
+        id: "oracle.set",
+        title: "Oracle set",
+        status: STATUS.FAIL,
+        value: oracleAddress,
+        remediation: `node scripts/mainnet/deployment/resume-deployment.js ${VAULT_ADDRESS}`,
+      });
+      return report.finish();
     }
+    report.check({ id: "oracle.set", title: "Oracle set", status: STATUS.PASS, value: oracleAddress });
 
-    console.log("=".repeat(70));
-    console.log("Oracle Configuration");
-    console.log("=".repeat(70));
-    console.log(`   Oracle: ${oracleAddress}`);
-    console.log(`   📋 ${config.explorer}/address/${oracleAddress}\n`);
+    log("=".repeat(70));
+    log("Oracle Configuration");
+    log("=".repeat(70));
+    log(`   Oracle: ${oracleAddress}`);
+    log(`   📋 ${config.explorer}/address/${oracleAddress}\n`);
 
     const oracleArtifact = loadArtifact(CONTRACTS.TWAP_ORACLE);
-    const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, wallet);
+    const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, provider);
 
     // Get oracle configuration
     const poolAddress = await oracle.pool();
@@ -86,20 +82,21 @@ async function main() {
     const twapWindow = await oracle.twapWindow();
     const fairIsToken0 = await oracle.fairIsToken0();
 
-    console.log("=".repeat(70));
-    console.log("Pool Configuration");
-    console.log("=".repeat(70));
-    console.log(`   Pool: ${poolAddress}`);
-    console.log(`   📋 ${config.explorer}/address/${poolAddress}`);
-    console.log(`   FAIR Token: ${fairToken}`);
-    console.log(`   Quote Token: ${quoteToken}`);
-    console.log(`   TWAP Window: ${Number(twapWindow)} seconds`);
-    console.log(`   FAIR is Token0: ${fairIsToken0}\n`);
+    log("=".repeat(70));
+    log("Pool Configuration");
+    log("=".repeat(70));
+    log(`   Pool: ${poolAddress}`);
+    log(`   📋 ${config.explorer}/address/${poolAddress}`);
+    log(`   FAIR Token: ${fairToken}`);
+    log(`   Quote Token: ${quoteToken}`);
+    log(`   TWAP Window: ${Number(twapWindow)} seconds`);
+    log(`   FAIR is Token0: ${fairIsToken0}\n`);
+    report.data.oracle = { address: oracleAddress, pool: poolAddress, fairToken, quoteToken, twapWindow, fairIsToken0 };
 
     // Get prices from oracle
-    console.log("=".repeat(70));
-    console.log("Oracle Prices");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Oracle Prices");
+    log("=".repeat(70));
 
     const twapPrice = await oracle.getPrice({ blockTag: "latest" });
     const spotPrice = await oracle.getSpotPrice({ blockTag: "latest" });
@@ -107,15 +104,18 @@ async function main() {
     const twapPriceUsd = Number(twapPrice) / 1_000_000;
     const spotPriceUsd = Number(spotPrice) / 1_000_000;
 
-    console.log(`   TWAP Price: ${twapPrice.toString()} (oracle units)`);
-    console.log(`   TWAP Price: $${twapPriceUsd.toFixed(9)} USD per FAIR`);
-    console.log(`   Spot Price: ${spotPrice.toString()} (oracle units)`);
-    console.log(`   Spot Price: $${spotPriceUsd.toFixed(9)} USD per FAIR\n`);
+    log(`   TWAP Price: ${twapPrice.toString()} (oracle units)`);
+    log(`   TWAP Price: $${twapPriceUsd.toFixed(9)} USD per FAIR`);
+    log(`   Spot Price: ${spotPrice.toString()} (oracle units)`);
+    log(`   Spot Price: $${spotPriceUsd.toFixed(9)} USD per FAIR\n`);
+    report.data.twapPrice = twapPrice;
+    report.data.spotPrice = spotPrice;
+    report.check({ id: "oracle.prices", title: "Oracle getPrice() and getSpotPrice()", status: STATUS.PASS, value: `${twapPrice} / ${spotPrice}` });
 
     // Get direct pool price
-    console.log("=".repeat(70));
-    console.log("Direct Pool Price (from slot0)");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Direct Pool Price (from slot0)");
+    log("=".repeat(70));
 
     const poolAbi = [
       "function token0() external view returns (address)",
@@ -130,8 +130,9 @@ async function main() {
       const tick = Number(slot0.tick);
       const sqrtPriceX96 = slot0.sqrtPriceX96;
 
-      console.log(`   Current Tick: ${tick}`);
-      console.log(`   sqrtPriceX96: ${sqrtPriceX96.toString()}\n`);
+      log(`   Current Tick: ${tick}`);
+      log(`   sqrtPriceX96: ${sqrtPriceX96.toString()}\n`);
+      report.data.pool = { tick, sqrtPriceX96 };
 
       // Calculate price from tick
       // Price = 1.0001^tick
@@ -141,108 +142,113 @@ async function main() {
       
       if (tick < 0) {
         const price = 1 / priceFromTick;
-        console.log(`   Price from tick: ${price.toFixed(18)} (token0 per token1)`);
+        log(`   Price from tick: ${price.toFixed(18)} (token0 per token1)`);
         
         if (fairIsToken0) {
           // FAIR is token0, USDC is token1
           // Price is FAIR per USDC, we need USDC per FAIR
           const usdcPerFair = price;
-          console.log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
-          console.log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
+          log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
+          log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
         } else {
           // FAIR is token1, USDC is token0
           // Price is USDC per FAIR (already what we want)
           const usdcPerFair = 1 / price;
-          console.log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
-          console.log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
+          log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
+          log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
         }
       } else {
         const price = priceFromTick;
-        console.log(`   Price from tick: ${price.toFixed(18)} (token0 per token1)`);
+        log(`   Price from tick: ${price.toFixed(18)} (token0 per token1)`);
         
         if (fairIsToken0) {
           // FAIR is token0, USDC is token1
           // Price is FAIR per USDC, we need USDC per FAIR
           const usdcPerFair = 1 / price;
-          console.log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
-          console.log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
+          log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
+          log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
         } else {
           // FAIR is token1, USDC is token0
           // Price is USDC per FAIR (already what we want)
           const usdcPerFair = price;
-          console.log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
-          console.log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
+          log(`   USDC per FAIR: ${usdcPerFair.toFixed(9)}`);
+          log(`   USD per FAIR: $${usdcPerFair.toFixed(9)}`);
         }
       }
     } catch (error) {
-      console.log(`   ⚠️  Could not read pool slot0: ${error.message}\n`);
+      log(`   ⚠️  Could not read pool slot0: ${error.message}\n`);
+      report.check({ id: "pool.slot0", title: "Pool slot0() readable", status: STATUS.WARN, message: error.shortMessage || error.message });
     }
 
     // Calculate what UI should show
-    console.log("=".repeat(70));
-    console.log("Expected UI Display");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Expected UI Display");
+    log("=".repeat(70));
 
     if (twapPriceUsd > 0) {
       const fairPerUsdc = 1 / twapPriceUsd;
-      console.log(`   Based on Oracle TWAP:`);
-      console.log(`   1 USDC = ${fairPerUsdc.toFixed(2)} FAIR`);
-      console.log(`   1 FAIR = $${twapPriceUsd.toFixed(9)} USD\n`);
+      log(`   Based on Oracle TWAP:`);
+      log(`   1 USDC = ${fairPerUsdc.toFixed(2)} FAIR`);
+      log(`   1 FAIR = $${twapPriceUsd.toFixed(9)} USD\n`);
     }
 
     if (spotPriceUsd > 0) {
       const fairPerUsdc = 1 / spotPriceUsd;
-      console.log(`   Based on Oracle Spot:`);
-      console.log(`   1 USDC = ${fairPerUsdc.toFixed(2)} FAIR`);
-      console.log(`   1 FAIR = $${spotPriceUsd.toFixed(9)} USD\n`);
+      log(`   Based on Oracle Spot:`);
+      log(`   1 USDC = ${fairPerUsdc.toFixed(2)} FAIR`);
+      log(`   1 FAIR = $${spotPriceUsd.toFixed(9)} USD\n`);
     }
 
     // Check if there's a discrepancy
-    console.log("=".repeat(70));
-    console.log("Discrepancy Analysis");
-    console.log("=".repeat(70));
+    log("=".repeat(70));
+    log("Discrepancy Analysis");
+    log("=".repeat(70));
 
     // If UI shows 1 USDC = 108,038.53 HONEST
     const uiFairPerUsdc = 108038.53;
     const uiUsdPerFair = 1 / uiFairPerUsdc;
     const uiOracleUnits = uiUsdPerFair * 1_000_000;
 
-    console.log(`   UI shows: 1 USDC = ${uiFairPerUsdc.toFixed(2)} FAIR`);
-    console.log(`   UI implies: 1 FAIR = $${uiUsdPerFair.toFixed(9)} USD`);
-    console.log(`   UI in oracle units: ${uiOracleUnits.toFixed(0)}\n`);
+    log(`   UI shows: 1 USDC = ${uiFairPerUsdc.toFixed(2)} FAIR`);
+    log(`   UI implies: 1 FAIR = $${uiUsdPerFair.toFixed(9)} USD`);
+    log(`   UI in oracle units: ${uiOracleUnits.toFixed(0)}\n`);
 
-    console.log(`   Oracle shows: ${twapPrice.toString()} (oracle units)`);
-    console.log(`   Oracle = $${twapPriceUsd.toFixed(9)} USD per FAIR\n`);
+    log(`   Oracle shows: ${twapPrice.toString()} (oracle units)`);
+    log(`   Oracle = $${twapPriceUsd.toFixed(9)} USD per FAIR\n`);
 
     const ratio = Number(twapPrice) / uiOracleUnits;
-    console.log(`   Ratio: Oracle is ${ratio.toFixed(2)}x the UI price\n`);
+    log(`   Ratio: Oracle is ${ratio.toFixed(2)}x the UI price\n`);
+    report.check({
+      id: "price.uiRatio",
+      title: "Oracle TWAP within 10% of the UI price",
+      status: ratio > 1.1 || ratio < 0.9 ? STATUS.WARN : STATUS.PASS,
+      value: `${ratio.toFixed(2)}x`,
+      expected: "0.90x - 1.10x",
+      remediation: ratio > 1.1 || ratio < 0.9 ? "node scripts/mainnet/diagnostics/check-oracle-pool-match.js" : null,
+    });
 
     if (ratio > 1.1 || ratio < 0.9) {
-      console.log(`   ⚠️  SIGNIFICANT DISCREPANCY DETECTED!\n`);
-      console.log(`   Possible causes:`);
-      console.log(`   1. Oracle is reading from a different pool than the UI`);
-      console.log(`   2. Oracle has wrong token addresses configured`);
-      console.log(`   3. Pool address mismatch`);
-      console.log(`   4. TWAP vs spot price difference (normal if pool is volatile)\n`);
-      console.log(`   💡 Verify:`);
-      console.log(`      - Check if pool address matches: ${poolAddress}`);
-      console.log(`      - Check if UI is using the same pool`);
-      console.log(`      - Check if FAIR token address matches: ${fairToken}\n`);
+      log(`   ⚠️  SIGNIFICANT DISCREPANCY DETECTED!\n`);
+      log(`   Possible causes:`);
+      log(`   1. Oracle is reading from a different pool than the UI`);
+      log(`   2. Oracle has wrong token addresses configured`);
+      log(`   3. Pool address mismatch`);
+      log(`   4. TWAP vs spot price difference (normal if pool is volatile)\n`);
+      log(`   💡 Verify:`);
+      log(`      - Check if pool address matches: ${poolAddress}`);
+      log(`      - Check if UI is using the same pool`);
+      log(`      - Check if FAIR token address matches: ${fairToken}\n`);
     } else {
-      console.log(`   ✅ Prices are reasonably close (within 10%)\n`);
+      log(`   ✅ Prices are reasonably close (within 10%)\n`);
     }
 
   } catch (error) {
-    console.log(`\n❌ Error: ${error.message}\n`);
-    process.exit(1);
+    log(`\n❌ Error: ${error.message}\n`);
+    report.check({ id: "oracle.read", title: "Oracle readable", status: STATUS.FAIL, message: error.shortMessage || error.message });
   }
+  return report.finish();
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Script failed:");
-    console.error(error);
-    process.exit(1);
-  });
-
+if (isMain(import.meta.url)) {
+  runDiagnostic("compare-oracle-ui-price", ({ log }) => compareOracleUiPrice({ vault: getPositionalArgs()[0], log }));
+}
@@ -1,157 +1,158 @@
 // scripts/mainnet/verify-keeper-ready.js
 // Verify vault, oracle, and keeper bot are ready
-// Usage: node scripts/mainnet/verify-keeper-ready.js [VAULT_ADDRESS]
+// Usage: node scripts/mainnet/verify-keeper-ready.js [VAULT_ADDRESS] [--json]
 
 import { ethers } from "ethers";
-import { getWallet, getProvider } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider, getSignerConfig, getSignerAddress } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { FairVaultClient } from "../../shared/fair-vault-client.js";
+import { getNetworkConfig, getProfile, getProfileName, checkContractConstants } from "../../shared/config.js";
+import { resolveVault } from "../../shared/deployments.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  console.log("\n" + "=".repeat(70));
-  console.log("✅ Keeper Bot Readiness Check");
-  console.log("=".repeat(70) + "\n");
+/**
+ * Everything the keeper needs: initialized vault, frozen working oracle, milestone reads, signer
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.vault] - Default: VAULT_ADDRESS, then the deployment registry
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function verifyKeeperReady({ network = process.env.NETWORK || "mainnet", vault: vaultArg, log = () => {} } = {}) {
+  log("\n" + "=".repeat(70));
+  log("✅ Keeper Bot Readiness Check");
+  log("=".repeat(70) + "\n");
 
-  const network = process.env.NETWORK || "mainnet";
   const config = getNetworkConfig(network);
-  const wallet = getWallet(network);
-  const provider = getProvider(network);
+  const provider = getProvider(network, { log });
+  const report = createReport("verify-keeper-ready", { network });
 
-  // Get vault address
-  let VAULT_ADDRESS = process.argv[2] || process.env.VAULT_ADDRESS;
-  
-  // Try to find from deployment files if not provided
-  if (!VAULT_ADDRESS) {
-    const fs = await import("fs");
-    const path = await import("path");
-    const { fileURLToPath } = await import("url");
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    
-    const testPath = path.join(__dirname, ".env.test");
-    const mainnetPath = path.join(__dirname, ".env.mainnet");
-    
-    let envFile;
-    if (fs.existsSync(testPath)) {
-      envFile = testPath;
-    } else if (fs.existsSync(mainnetPath)) {
-      envFile = mainnetPath;
-    }
-    
-    if (envFile) {
-      const env = fs.readFileSync(envFile, "utf8");
-      const vaultMatch = env.match(/VAULT_ADDRESS=(.+)/);
-      if (vaultMatch) {
-        VAULT_ADDRESS = vaultMatch[1].trim();
-        console.log(`📋 Found vault address from ${path.basename(envFile)}: ${VAULT_ADDRESS}\n`);
-      }
+  // Vault: argument, VAULT_ADDRESS, or the deployment registry
+  let VAULT_ADDRESS;
+  try {
+    const resolved = resolveVault(network, { address: vaultArg, types: ["vault"] });
+    VAULT_ADDRESS = resolved.address;
+    if (resolved.source !== "argument") {
+      log(`📋 Found vault address from ${resolved.source}: ${VAULT_ADDRESS}\n`);
     }
+  } catch (e) {
+    log(`❌ ${e.message}`);
+    log("   node scripts/mainnet/verify-keeper-ready.js <VAULT_ADDRESS>");
+    log("   OR set VAULT_ADDRESS in .env\n");
+    report.check({ id: "vault.address", title: "Vault address", status: STATUS.FAIL, message: e.message, remediation: "Pass the vault address or set VAULT_ADDRESS" });
+    return report.finish();
   }
-  
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please provide VAULT_ADDRESS:");
-    console.log("   node scripts/mainnet/verify-keeper-ready.js <VAULT_ADDRESS>");
-    console.log("   OR set VAULT_ADDRESS in .env\n");
-    process.exit(1);
-  }
-
-  console.log(`📡 Network: ${network}`);
-  console.log(`👤 Wallet: ${wallet.address}`);
-  console.log(`🏦 Vault: ${VAULT_ADDRESS}`);
-  console.log(`📋 ${config.explorer}/address/${VAULT_ADDRESS}\n`);
+  report.target.vault = VAULT_ADDRESS;
 
-  const vaultArtifact = loadArtifact(CONTRACTS.FAIR_VAULT);
-  const vault = new ethers.Contract(VAULT_ADDRESS, vaultArtifact.abi, wallet);
+  log(`📡 Network: ${network}`);
+  log(`🏦 Vault: ${VAULT_ADDRESS}`);
+  log(`📋 ${config.explorer}/address/${VAULT_ADDRESS}\n`);
 
-  let allChecksPassed = true;
+  const vault = new FairVaultClient(VAULT_ADDRESS, provider, { type: "vault" });
+  const resume = `node scripts/mainnet/deployment/resume-deployment.js ${VAULT_ADDRESS}`;
 
   // =====================
   // Check 1: Vault Initialization
   // =====================
-  console.log("=".repeat(70));
-  console.log("Check 1: Vault Initialization");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Check 1: Vault Initialization");
+  log("=".repeat(70));
 
   try {
-    const initialized = await vault.initialized();
+    const { initialized } = await vault.getVaultInfo();
     if (initialized) {
-      console.log(`   ✅ Vault is initialized\n`);
+      log(`   ✅ Vault is initialized\n`);
     } else {
-      console.log(`   ❌ Vault is NOT initialized`);
-      console.log(`      Run: node scripts/mainnet/deposit-tokens.js ${VAULT_ADDRESS}\n`);
-      allChecksPassed = false;
+      log(`   ❌ Vault is NOT initialized`);
+      log(`      Run: node scripts/mainnet/deposit-tokens.js ${VAULT_ADDRESS}\n`);
     }
+    report.check({
+      id: "vault.initialized",
+      title: "Vault initialized",
+      status: initialized ? STATUS.PASS : STATUS.FAIL,
+      value: initialized,
+      expected: true,
+      remediation: initialized ? null : `node scripts/mainnet/deployment/deposit-tokens.js ${VAULT_ADDRESS}`,
+    });
   } catch (error) {
-    console.log(`   ❌ Error checking initialization: ${error.message}\n`);
-    allChecksPassed = false;
+    log(`   ❌ Error checking initialization: ${error.message}\n`);
+    report.check({ id: "vault.initialized", title: "Vault initialized", status: STATUS.FAIL, expected: true, message: error.message });
   }
 
   // =====================
   // Check 2: Oracle Configuration
   // =====================
-  console.log("=".repeat(70));
-  console.log("Check 2: Oracle Configuration");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Check 2: Oracle Configuration");
+  log("=".repeat(70));
 
   try {
-    const oracleAddress = await vault.priceOracle();
-    const oracleFrozen = await vault.oracleFrozen();
+    const { address: oracleAddress, frozen: oracleFrozen } = await vault.getOracle();
     
     if (oracleAddress && oracleAddress !== ethers.ZeroAddress) {
-      console.log(`   ✅ Oracle address: ${oracleAddress}`);
-      console.log(`   ✅ Oracle frozen: ${oracleFrozen ? "Yes (permanent)" : "No (needs freezing!)"}`);
+      log(`   ✅ Oracle address: ${oracleAddress}`);
+      log(`   ✅ Oracle frozen: ${oracleFrozen ? "Yes (permanent)" : "No (needs freezing!)"}`);
+      report.check({ id: "oracle.set", title: "Oracle set", status: STATUS.PASS, value: oracleAddress });
+      report.check({
+        id: "oracle.frozen",
+        title: "Oracle frozen",
+        status: oracleFrozen ? STATUS.PASS : STATUS.FAIL,
+        value: oracleFrozen,
+        expected: true,
+        remediation: oracleFrozen ? null : resume,
+      });
       
       if (!oracleFrozen) {
-        console.log(`   ⚠️  WARNING: Oracle is not frozen!`);
-        console.log(`      Run: node scripts/mainnet/resume-deployment.js ${VAULT_ADDRESS}\n`);
-        allChecksPassed = false;
+        log(`   ⚠️  WARNING: Oracle is not frozen!`);
+        log(`      Run: node scripts/mainnet/resume-deployment.js ${VAULT_ADDRESS}\n`);
       } else {
-        console.log();
+        log();
       }
 
       // Test oracle
       const oracleArtifact = loadArtifact(CONTRACTS.TWAP_ORACLE);
-      const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, wallet);
+      const oracle = new ethers.Contract(oracleAddress, oracleArtifact.abi, provider);
       
       try {
         const price = await oracle.getPrice({ blockTag: "latest" });
         const priceUsd = Number(price) / 1_000_000;
-        console.log(`   ✅ Oracle getPrice() works: ${price.toString()} ($${priceUsd.toFixed(9)} USD)\n`);
+        log(`   ✅ Oracle getPrice() works: ${price.toString()} ($${priceUsd.toFixed(9)} USD)\n`);
+        report.check({ id: "oracle.price", title: "Oracle getPrice()", status: STATUS.PASS, value: price });
       } catch (error) {
-        console.log(`   ❌ Oracle getPrice() failed: ${error.message}`);
-        console.log(`      This may indicate insufficient pool history.\n`);
-        allChecksPassed = false;
+        log(`   ❌ Oracle getPrice() failed: ${error.message}`);
+        log(`      This may indicate insufficient pool history.\n`);
+        report.check({
+          id: "oracle.price",
+          title: "Oracle getPrice()",
+          status: STATUS.FAIL,
+          message: error.shortMessage || error.message,
+          remediation: "Check pool history: node scripts/mainnet/diagnostics/check-pool-observations.js",
+        });
       }
     } else {
-      console.log(`   ❌ Oracle not set!`);
-      console.log(`      Run: node scripts/mainnet/resume-deployment.js ${VAULT_ADDRESS}\n`);
-      allChecksPassed = false;
+      log(`   ❌ Oracle not set!`);
+      log(`      Run: node scripts/mainnet/resume-deployment.js ${VAULT_ADDRESS}\n`);
+      report.check({ id: "oracle.set", title: "Oracle set", status: STATUS.FAIL, value: oracleAddress, remediation: resume });
     }
   } catch (error) {
-    console.log(`   ❌ Error checking oracle: ${error.message}\n`);
-    allChecksPassed = false;
+    log(`   ❌ Error checking oracle: ${error.message}\n`);
+    report.check({ id: "oracle.set", title: "Oracle set", status: STATUS.FAIL, message: error.message });
   }
 
   // =====================
   // Check 3: Current Milestone Status
   // =====================
-  console.log("=".repeat(70));
-  console.log("Check 3: Current Milestone Status");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Check 3: Current Milestone Status");
+  log("=".repeat(70));
 
   try {
-    // Find current milestone (first unlocked milestone)
-    let currentMilestone = 1;
-    for (let i = 1; i <= 18; i++) {
-      const unlocked = await vault.milestoneUnlocked(i);
-      if (!unlocked) {
-        currentMilestone = i;
-        break;
-      }
-    }
+    // First milestone not yet unlocked (all unlocked: show the last one)
+    const currentMilestone = (await vault.findCurrentMilestone()) || 18;
 
-    console.log(`   Current milestone: ${currentMilestone}\n`);
+    log(`   Current milestone: ${currentMilestone}\n`);
+    report.data.currentMilestone = currentMilestone;
 
     // Get milestone status
     try {
@@ -159,109 +160,167 @@ async function main() {
       const priceUsd = Number(status.currentPrice) / 1_000_000;
       const targetUsd = Number(status.priceTarget) / 1_000_000;
 
-      console.log(`   ✅ Milestone ${currentMilestone} Status:`);
-      console.log(`      Unlocked: ${status.unlocked}`);
-      console.log(`      Good periods: ${status.goodPeriods.toString()}`);
-      console.log(`      Price target: ${status.priceTarget.toString()} ($${targetUsd.toFixed(9)} USD)`);
-      console.log(`      Current price: ${status.currentPrice.toString()} ($${priceUsd.toFixed(9)} USD)`);
+      log(`   ✅ Milestone ${currentMilestone} Status:`);
+      log(`      Unlocked: ${status.unlocked}`);
+      log(`      Good periods: ${status.goodPeriods.toString()}`);
+      log(`      Price target: ${status.priceTarget.toString()} ($${targetUsd.toFixed(9)} USD)`);
+      log(`      Current price: ${status.currentPrice.toString()} ($${priceUsd.toFixed(9)} USD)`);
+      report.data.milestone = status;
+      report.check({ id: "milestone.status", title: `Milestone ${currentMilestone} status readable`, status: STATUS.PASS });
       
       if (status.currentPrice === 0n) {
-        console.log(`   ⚠️  WARNING: Current price is 0 (oracle may be failing)\n`);
-        allChecksPassed = false;
+        log(`   ⚠️  WARNING: Current price is 0 (oracle may be failing)\n`);
       } else {
-        console.log();
+        log();
       }
+      report.check({
+        id: "milestone.price",
+        title: "Vault reads a non-zero price",
+        status: status.currentPrice === 0n ? STATUS.FAIL : STATUS.PASS,
+        value: status.currentPrice,
+        remediation: status.currentPrice === 0n ? "node scripts/mainnet/diagnostics/check-oracle.js" : null,
+      });
     } catch (error) {
-      console.log(`   ❌ Error getting milestone status: ${error.message}\n`);
-      allChecksPassed = false;
+      log(`   ❌ Error getting milestone status: ${error.message}\n`);
+      report.check({ id: "milestone.status", title: `Milestone ${currentMilestone} status readable`, status: STATUS.FAIL, message: error.message });
     }
   } catch (error) {
-    console.log(`   ❌ Error checking milestones: ${error.message}\n`);
-    allChecksPassed = false;
+    log(`   ❌ Error checking milestones: ${error.message}\n`);
+    report.check({ id: "milestone.status", title: "Milestone status readable", status: STATUS.FAIL, message: error.message });
   }
 
   // =====================
   // Check 4: Keeper Bot Configuration
   // =====================
-  console.log("=".repeat(70));
-  console.log("Check 4: Keeper Bot Configuration");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Check 4: Keeper Bot Configuration");
+  log("=".repeat(70));
 
-  const keeperKey = process.env.KEEPER_PRIVATE_KEY || process.env.PRIVATE_KEY;
-  if (keeperKey) {
-    console.log(`   ✅ KEEPER_PRIVATE_KEY is set\n`);
-  } else {
-    console.log(`   ❌ KEEPER_PRIVATE_KEY not set in .env`);
-    console.log(`      Add: KEEPER_PRIVATE_KEY=0x...\n`);
-    allChecksPassed = false;
+  const keeperSigner = getSignerConfig("KEEPER_");
+  try {
+    const keeperAddress = await getSignerAddress(keeperSigner);
+    log(`   ✅ Keeper signer (${keeperSigner.backend}): ${keeperAddress}\n`);
+    report.check({ id: "keeper.signer", title: `Keeper signer (${keeperSigner.backend})`, status: STATUS.PASS, value: keeperAddress });
+  } catch (e) {
+    log(`   ❌ Keeper signer (${keeperSigner.backend}) not usable: ${e.message}`);
+    log(`      Add: KEEPER_PRIVATE_KEY=0x... (or KEEPER_SIGNER_BACKEND=keystore|remote)\n`);
+    report.check({
+      id: "keeper.signer",
+      title: `Keeper signer (${keeperSigner.backend})`,
+      status: STATUS.FAIL,
+      message: e.message,
+      remediation: "Set KEEPER_PRIVATE_KEY=0x... (or KEEPER_SIGNER_BACKEND=keystore|remote)",
+    });
   }
 
-  // Check if VAULT_ADDRESS is in .env (for keeper auto-detection)
-  if (process.env.VAULT_ADDRESS) {
-    console.log(`   ✅ VAULT_ADDRESS is set in .env\n`);
-  } else {
-    console.log(`   ⚠️  VAULT_ADDRESS not in .env (keeper will try to find from deployment files)\n`);
+  // The keeper resolves its vault the same way, minus the command-line argument
+  try {
+    const keeperVault = resolveVault(network);
+    if (keeperVault.address.toLowerCase() === VAULT_ADDRESS.toLowerCase()) {
+      log(`   ✅ Keeper will find this vault (${keeperVault.source})\n`);
+      report.check({ id: "keeper.vault", title: "Keeper finds this vault", status: STATUS.PASS, value: keeperVault.source });
+    } else {
+      log(`   ⚠️  Keeper would use ${keeperVault.address} (${keeperVault.source}), not this vault\n`);
+      report.check({
+        id: "keeper.vault",
+        title: "Keeper finds this vault",
+        status: STATUS.WARN,
+        value: keeperVault.address,
+        expected: VAULT_ADDRESS,
+        remediation: `Set VAULT_ADDRESS=${VAULT_ADDRESS} for the keeper`,
+      });
+    }
+  } catch (e) {
+    log(`   ⚠️  Keeper cannot find a vault on its own: ${e.message}\n`);
+    report.check({
+      id: "keeper.vault",
+      title: "Keeper finds this vault",
+      status: STATUS.WARN,
+      expected: VAULT_ADDRESS,
+      message: e.message,
+      remediation: `Set VAULT_ADDRESS=${VAULT_ADDRESS} for the keeper`,
+    });
   }
 
   // Check PERIOD_INTERVAL
   try {
-    const periodInterval = await vault.PERIOD_INTERVAL();
-    const waitRule = await vault.WAIT_RULE();
-    const requiredGoodPeriods = await vault.REQUIRED_GOOD_PERIODS();
+    const constants = await vault.getConstants();
+    const { periodInterval, waitRule, requiredGoodPeriods } = constants;
+
+    log(`   Contract timing configuration:`);
+    log(`      PERIOD_INTERVAL: ${periodInterval.toString()} seconds`);
+    log(`      WAIT_RULE: ${waitRule.toString()} seconds (${(waitRule / 3600).toFixed(1)} hours)`);
+    log(`      REQUIRED_GOOD_PERIODS: ${requiredGoodPeriods.toString()}\n`);
 
-    console.log(`   Contract timing configuration:`);
-    console.log(`      PERIOD_INTERVAL: ${periodInterval.toString()} seconds`);
-    console.log(`      WAIT_RULE: ${waitRule.toString()} seconds (${(Number(waitRule) / 3600).toFixed(1)} hours)`);
-    console.log(`      REQUIRED_GOOD_PERIODS: ${requiredGoodPeriods.toString()}\n`);
+    const intervalMs = periodInterval * 1000;
+    log(`   💡 Keeper should run every ${intervalMs / 1000} seconds (${intervalMs / 60000} minutes)\n`);
+    report.data.timing = { periodInterval, waitRule, requiredGoodPeriods };
+    report.check({ id: "vault.timing", title: "Timing constants", status: STATUS.INFO, value: `${periodInterval}s period, ${waitRule}s wait, ${requiredGoodPeriods} good periods` });
 
-    const intervalMs = Number(periodInterval) * 1000;
-    console.log(`   💡 Keeper should run every ${intervalMs / 1000} seconds (${intervalMs / 60000} minutes)\n`);
+    // The keeper refuses to start when the constants disagree with the config profile
+    const profile = getProfile(getProfileName(network));
+    const mismatches = profile.contract === "vault" ? checkContractConstants(profile, constants) : [];
+    if (mismatches.length === 0) {
+      log(`   ✅ Constants match config profile "${profile.name}"\n`);
+      report.check({ id: "config.profile", title: `Constants match profile "${profile.name}"`, status: STATUS.PASS, value: profile.name });
+    } else {
+      log(`   ❌ Constants do not match config profile "${profile.name}":`);
+      mismatches.forEach(({ key, expected, actual }) => log(`      ${key}: contract has ${actual}, profile expects ${expected}`));
+      log();
+      report.check({
+        id: "config.profile",
+        title: `Constants match profile "${profile.name}"`,
+        status: STATUS.FAIL,
+        value: mismatches.map(({ key, actual }) => `${key}=${actual}`).join(", "),
+        expected: mismatches.map(({ key, expected }) => `${key}=${expected}`).join(", "),
+        remediation: "Set CONFIG_PROFILE to the profile the vault was deployed with (e.g. test-mode)",
+      });
+    }
   } catch (error) {
-    console.log(`   ⚠️  Could not read timing config: ${error.message}\n`);
+    log(`   ⚠️  Could not read timing config: ${error.message}\n`);
+    report.check({ id: "vault.timing", title: "Timing constants", status: STATUS.WARN, message: error.message });
   }
 
   // =====================
   // Check 5: Test Keeper Functions
   // =====================
-  console.log("=".repeat(70));
-  console.log("Check 5: Test Keeper Functions");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Check 5: Test Keeper Functions");
+  log("=".repeat(70));
 
   try {
     const currentMilestone = 1; // Test with milestone 1
-    const canUnlock = await vault.canUnlockMilestone(currentMilestone, { blockTag: "latest" });
+    const { canUnlock, reason } = await vault.canUnlock(currentMilestone, { blockTag: "latest" });
     
-    console.log(`   ✅ canUnlockMilestone(${currentMilestone}):`);
-    console.log(`      Can unlock: ${canUnlock[0]}`);
-    console.log(`      Reason: ${canUnlock[1]}\n`);
+    log(`   ✅ canUnlockMilestone(${currentMilestone}):`);
+    log(`      Can unlock: ${canUnlock}`);
+    log(`      Reason: ${reason}\n`);
+    report.check({ id: "vault.canUnlock", title: `canUnlockMilestone(${currentMilestone})`, status: STATUS.PASS, value: `${canUnlock} (${reason})` });
   } catch (error) {
-    console.log(`   ❌ Error testing canUnlockMilestone: ${error.message}\n`);
-    allChecksPassed = false;
+    log(`   ❌ Error testing canUnlockMilestone: ${error.message}\n`);
+    report.check({ id: "vault.canUnlock", title: "canUnlockMilestone(1)", status: STATUS.FAIL, message: error.message });
   }
 
   // =====================
   // Summary
   // =====================
-  console.log("=".repeat(70));
-  console.log("Summary");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Summary");
+  log("=".repeat(70));
 
-  if (allChecksPassed) {
-    console.log(`   ✅ All checks passed! Keeper bot is ready to run.\n`);
-    console.log(`   🚀 Start keeper bot:`);
-    console.log(`      node scripts/keeper/keeper.js mainnet --once\n`);
-    console.log(`   🔄 Run continuously:`);
-    console.log(`      node scripts/keeper/keeper.js mainnet\n`);
+  if (report.ok) {
+    log(`   ✅ All checks passed! Keeper bot is ready to run.\n`);
+    log(`   🚀 Start keeper bot:`);
+    log(`      node scripts/keeper/keeper.js mainnet --once\n`);
+    log(`   🔄 Run continuously:`);
+    log(`      node scripts/keeper/keeper.js mainnet\n`);
   } else {
-    console.log(`   ⚠️  Some checks failed. Please fix the issues above before running the keeper.\n`);
+    log(`   ⚠️  Some checks failed. Please fix the issues above before running the keeper.\n`);
   }
-}
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("\n❌ Verification failed:");
-    console.error(error);
-    process.exit(1);
-  });
+  return report.finish();
+}
 
+if (isMain(import.meta.url)) {
+  runDiagnostic("verify-keeper-ready", ({ log }) => verifyKeeperReady({ vault: getPositionalArgs()[0], log }));
+}
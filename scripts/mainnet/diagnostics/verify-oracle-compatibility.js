@@ -1,37 +1,54 @@
 // scripts/mainnet/verify-oracle-compatibility.js
 // Verify that AerodromeTWAPOracle will work with a specific pool
+// Usage: node scripts/mainnet/verify-oracle-compatibility.js [POOL_ADDRESS] [FAIR_TOKEN] [--json]
 
 import { ethers } from "ethers";
-import { getProvider } from "../shared/provider.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getProvider } from "../../shared/provider.js";
+import { PROFILES } from "../../shared/config.js";
+import { createReport, runDiagnostic, getPositionalArgs, isMain, STATUS } from "../../shared/diagnostics.js";
 import "dotenv/config";
 
-async function main() {
-  const poolAddress = process.argv[2] || process.env.AERODROME_POOL_MAINNET;
-  const fairToken = process.env.EXISTING_FAIR_TOKEN || process.argv[3];
+/**
+ * Pool interface checks before deploying an oracle for it: token pair, slot0(), observe()
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {string} [options.pool] - Default: AERODROME_POOL_MAINNET
+ * @param {string} [options.fairToken] - Used when EXISTING_FAIR_TOKEN is unset
+ * @param {(...args: any[]) => void} [options.log] - Narrative output
+ * @returns {Promise<object>} Report, see shared/diagnostics.js
+ */
+export async function verifyOracleCompatibility({ network = process.env.NETWORK || "mainnet", pool: poolArg, fairToken: fairTokenArg, log = () => {} } = {}) {
+  const poolAddress = poolArg || process.env.AERODROME_POOL_MAINNET;
+  const fairToken = process.env.EXISTING_FAIR_TOKEN || fairTokenArg;
   const usdc = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913"; // Base mainnet USDC
+  const report = createReport("verify-oracle-compatibility", { network, target: { pool: poolAddress, fairToken } });
   
   if (!poolAddress || !fairToken) {
-    console.log("Usage: node scripts/mainnet/verify-oracle-compatibility.js <POOL_ADDRESS> [FAIR_TOKEN]");
-    console.log("   OR set AERODROME_POOL_MAINNET and EXISTING_FAIR_TOKEN in .env\n");
-    process.exit(1);
+    log("Usage: node scripts/mainnet/verify-oracle-compatibility.js <POOL_ADDRESS> [FAIR_TOKEN]");
+    log("   OR set AERODROME_POOL_MAINNET and EXISTING_FAIR_TOKEN in .env\n");
+    report.check({
+      id: "input",
+      title: "Pool and FAIR token given",
+      status: STATUS.FAIL,
+      remediation: "Pass <POOL_ADDRESS> [FAIR_TOKEN] or set AERODROME_POOL_MAINNET and EXISTING_FAIR_TOKEN",
+    });
+    return report.finish();
   }
 
-  const config = getNetworkConfig("mainnet");
-  const provider = getProvider("mainnet");
+  const provider = getProvider(network, { log });
 
-  console.log("\n" + "=".repeat(70));
-  console.log("🔍 Oracle Compatibility Verification");
-  console.log("=".repeat(70) + "\n");
+  log("\n" + "=".repeat(70));
+  log("🔍 Oracle Compatibility Verification");
+  log("=".repeat(70) + "\n");
 
-  console.log(`Pool Address: ${poolAddress}`);
-  console.log(`FAIR Token: ${fairToken}`);
-  console.log(`USDC: ${usdc}\n`);
+  log(`Pool Address: ${poolAddress}`);
+  log(`FAIR Token: ${fairToken}`);
+  log(`USDC: ${usdc}\n`);
 
   // Test 1: Pool interface compatibility
-  console.log("=".repeat(70));
-  console.log("Test 1: Pool Interface Compatibility");
-  console.log("=".repeat(70));
+  log("=".repeat(70));
+  log("Test 1: Pool Interface Compatibility");
+  log("=".repeat(70));
 
   const poolAbi = [
     "function token0() external view returns (address)",
@@ -47,8 +64,8 @@ async function main() {
   try {
     const token0 = await pool.token0();
     const token1 = await pool.token1();
-    console.log(`✅ token0(): ${token0}`);
-    console.log(`✅ token1(): ${token1}`);
+    log(`✅ token0(): ${token0}`);
+    log(`✅ token1(): ${token1}`);
     
     // Check if FAIR and USDC are in the pool
     const fairInPool = (token0.toLowerCase() === fairToken.toLowerCase() || 
@@ -57,23 +74,31 @@ async function main() {
                        token1.toLowerCase() === usdc.toLowerCase());
     
     if (!fairInPool) {
-      console.log(`❌ FAIR token not found in pool!`);
+      log(`❌ FAIR token not found in pool!`);
       allTestsPass = false;
     } else {
-      console.log(`✅ FAIR token found in pool`);
+      log(`✅ FAIR token found in pool`);
     }
     
     if (!usdcInPool) {
-      console.log(`❌ USDC not found in pool!`);
+      log(`❌ USDC not found in pool!`);
       allTestsPass = false;
     } else {
-      console.log(`✅ USDC found in pool`);
+      log(`✅ USDC found in pool`);
     }
+    report.check({
+      id: "pool.tokens",
+      title: "Pool is FAIR/USDC",
+      status: fairInPool && usdcInPool ? STATUS.PASS : STATUS.FAIL,
+      value: `${token0}/${token1}`,
+      expected: `${fairToken}/${usdc}`,
+    });
     
     // Test slot0() - critical for fallback
     try {
       const slot0 = await pool.slot0();
-      console.log(`✅ slot0() works: tick=${Number(slot0.tick)}`);
+      log(`✅ slot0() works: tick=${Number(slot0.tick)}`);
+      report.check({ id: "pool.slot0", title: "Pool slot0()", status: STATUS.PASS, value: Number(slot0.tick) });
     } catch (e) {
       // Try raw call
       try {
@@ -82,14 +107,17 @@ async function main() {
           data: "0x3850c7bd" // slot0() selector
         });
         if (rawData && rawData.length > 2) {
-          console.log(`✅ slot0() returns data (oracle can use it as fallback)`);
+          log(`✅ slot0() returns data (oracle can use it as fallback)`);
+          report.check({ id: "pool.slot0", title: "Pool slot0()", status: STATUS.PASS, message: "Non-standard return format, raw call returns data" });
         } else {
-          console.log(`❌ slot0() failed: ${e.message}`);
+          log(`❌ slot0() failed: ${e.message}`);
           allTestsPass = false;
+          report.check({ id: "pool.slot0", title: "Pool slot0()", status: STATUS.FAIL, message: e.shortMessage || e.message });
         }
       } catch (e2) {
-        console.log(`❌ slot0() failed: ${e.message}`);
+        log(`❌ slot0() failed: ${e.message}`);
         allTestsPass = false;
+        report.check({ id: "pool.slot0", title: "Pool slot0()", status: STATUS.FAIL, message: e.shortMessage || e.message });
       }
     }
     
@@ -97,67 +125,79 @@ async function main() {
     try {
       const secondsAgos = [3600, 0];
       const result = await pool.observe(secondsAgos);
-      console.log(`✅ observe() works: TWAP available!`);
+      log(`✅ observe() works: TWAP available!`);
+      report.check({ id: "pool.observe", title: "Pool observe() over 1 hour", status: STATUS.PASS });
     } catch (e) {
       if (e.reason === "OLD" || e.message.includes("OLD")) {
-        console.log(`⚠️  observe() returns "OLD" - pool needs more observations`);
-        console.log(`   ✅ This is OK - oracle will fall back to spot price`);
-        console.log(`   ✅ Oracle will automatically use TWAP once history builds`);
+        log(`⚠️  observe() returns "OLD" - pool needs more observations`);
+        log(`   ✅ This is OK - oracle will fall back to spot price`);
+        log(`   ✅ Oracle will automatically use TWAP once history builds`);
+        report.check({
+          id: "pool.observe",
+          title: "Pool observe() over 1 hour",
+          status: STATUS.WARN,
+          message: "OLD: not enough history yet, the oracle falls back to spot price",
+          remediation: "node scripts/mainnet/pool-management/build-pool-history.js",
+        });
       } else {
-        console.log(`❌ observe() failed: ${e.message}`);
+        log(`❌ observe() failed: ${e.message}`);
         allTestsPass = false;
+        report.check({ id: "pool.observe", title: "Pool observe() over 1 hour", status: STATUS.FAIL, message: e.shortMessage || e.message });
       }
     }
     
   } catch (e) {
-    console.log(`❌ Pool interface test failed: ${e.message}`);
+    log(`❌ Pool interface test failed: ${e.message}`);
     allTestsPass = false;
+    report.check({ id: "pool.interface", title: "Pool token0()/token1()", status: STATUS.FAIL, message: e.shortMessage || e.message });
   }
 
   // Test 2: Oracle contract compatibility
-  console.log("\n" + "=".repeat(70));
-  console.log("Test 2: Oracle Contract Requirements");
-  console.log("=".repeat(70));
+  log("\n" + "=".repeat(70));
+  log("Test 2: Oracle Contract Requirements");
+  log("=".repeat(70));
 
-  console.log(`✅ Oracle uses IAerodromePool interface`);
-  console.log(`✅ Oracle has try-catch for observe()`);
-  console.log(`✅ Oracle falls back to slot0() if observe() fails`);
-  console.log(`✅ Oracle falls back to tick=0 if both fail (prevents reverts)`);
-  console.log(`✅ Oracle handles "OLD" errors gracefully`);
+  log(`✅ Oracle uses IAerodromePool interface`);
+  log(`✅ Oracle has try-catch for observe()`);
+  log(`✅ Oracle falls back to slot0() if observe() fails`);
+  log(`✅ Oracle falls back to tick=0 if both fail (prevents reverts)`);
+  log(`✅ Oracle handles "OLD" errors gracefully`);
 
   // Test 3: Price format compatibility
-  console.log("\n" + "=".repeat(70));
-  console.log("Test 3: Price Format Compatibility");
-  console.log("=".repeat(70));
+  log("\n" + "=".repeat(70));
+  log("Test 3: Price Format Compatibility");
+  log("=".repeat(70));
 
-  console.log(`Oracle format: Returns price in 1e9 units`);
-  console.log(`  Example: $0.00001 → 10`);
-  console.log(`  Example: $0.000015 → 15`);
-  console.log(`Vault expects: START_PRICE = 10 ($0.00001)`);
-  console.log(`✅ Format matches vault requirements`);
+  log(`Oracle format: Returns price in 1e9 units`);
+  log(`  Example: $0.00001 → 10`);
+  log(`  Example: $0.000015 → 15`);
+  const { startPrice } = PROFILES.mainnet.constants;
+  log(`Vault expects: START_PRICE = ${startPrice} ($${(startPrice / 1e6).toFixed(6)})`);
+  log(`✅ Format matches vault requirements`);
 
   // Summary
-  console.log("\n" + "=".repeat(70));
-  console.log("Summary");
-  console.log("=".repeat(70));
+  log("\n" + "=".repeat(70));
+  log("Summary");
+  log("=".repeat(70));
 
   if (allTestsPass) {
-    console.log("✅ ALL TESTS PASSED!");
-    console.log("\nThis pool is FULLY COMPATIBLE with AerodromeTWAPOracle.");
-    console.log("You can deploy the vault with this pool address.\n");
+    log("✅ ALL TESTS PASSED!");
+    log("\nThis pool is FULLY COMPATIBLE with AerodromeTWAPOracle.");
+    log("You can deploy the vault with this pool address.\n");
   } else {
-    console.log("❌ Some tests failed.");
-    console.log("Please fix the issues above before deploying.\n");
+    log("❌ Some tests failed.");
+    log("Please fix the issues above before deploying.\n");
   }
 
-  console.log("Next steps:");
-  console.log("1. Update AERODROME_POOL_MAINNET in .env");
-  console.log("2. Deploy vault: node scripts/mainnet/deploy-vault.js");
-  console.log("3. The oracle will work correctly!\n");
+  log("Next steps:");
+  log("1. Update AERODROME_POOL_MAINNET in .env");
+  log("2. Deploy vault: node scripts/mainnet/deploy-vault.js");
+  log("3. The oracle will work correctly!\n");
+  return report.finish();
 }
 
-main().catch((err) => {
-  console.error("❌ Error:", err.message);
-  process.exitCode = 1;
-});
+if (isMain(import.meta.url)) {
+  const [pool, fairToken] = getPositionalArgs();
+  runDiagnostic("verify-oracle-compatibility", ({ log }) => verifyOracleCompatibility({ pool, fairToken, log }));
+}
 
@@ -3,9 +3,10 @@
 // Usage: node scripts/mainnet/adjust-price-to-target.js [VAULT_ADDRESS] [TARGET_PRICE] [--execute] [--amount AMOUNT_USDC] [--iterative]
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
-import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getNetworkConfig } from "../shared/config.js";
+import { getSigner } from "../../shared/provider.js";
+import { loadArtifact, CONTRACTS } from "../../shared/artifacts.js";
+import { getNetworkConfig } from "../../shared/config.js";
+import { resolveVault } from "../../shared/deployments.js";
 import "dotenv/config";
 
 async function main() {
@@ -15,10 +16,11 @@ async function main() {
 
   const network = process.env.NETWORK || "mainnet";
   const config = getNetworkConfig(network);
-  const wallet = getWallet(network);
+  const wallet = await getSigner(network);
 
   // Parse arguments: [VAULT_ADDRESS] [TARGET_PRICE] [--execute] [--amount AMOUNT] [--iterative]
-  let VAULT_ADDRESS = process.env.VAULT_ADDRESS;
+  let VAULT_ADDRESS;
+  let VAULT_ADDRESS_ARG;
   let TARGET_PRICE = 10; // Default target
   let EXECUTE = false;
   let SWAP_AMOUNT = null; // Custom swap amount in USDC
@@ -35,42 +37,18 @@ async function main() {
       SWAP_AMOUNT = parseFloat(process.argv[++i]);
     } else if (arg.startsWith("0x") || arg.length === 42) {
       // Looks like an address
-      VAULT_ADDRESS = arg;
+      VAULT_ADDRESS_ARG = arg;
     } else if (!isNaN(parseFloat(arg))) {
       // Looks like a number
       TARGET_PRICE = parseFloat(arg);
     }
   }
 
-  // Auto-detect vault if not provided
-  if (!VAULT_ADDRESS) {
-    const fs = await import("fs");
-    const path = await import("path");
-    const { fileURLToPath } = await import("url");
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    
-    const testPath = path.join(__dirname, ".env.test");
-    const mainnetPath = path.join(__dirname, ".env.mainnet");
-    
-    let envFile;
-    if (fs.existsSync(testPath)) {
-      envFile = testPath;
-    } else if (fs.existsSync(mainnetPath)) {
-      envFile = mainnetPath;
-    }
-    
-    if (envFile) {
-      const env = fs.readFileSync(envFile, "utf8");
-      const vaultMatch = env.match(/VAULT_ADDRESS=(.+)/);
-      if (vaultMatch) {
-        VAULT_ADDRESS = vaultMatch[1].trim();
-      }
-    }
-  }
-
-  if (!VAULT_ADDRESS) {
-    console.log("❌ Please provide VAULT_ADDRESS\n");
+  // Vault: argument, VAULT_ADDRESS, or the deployment registry
+  try {
+    VAULT_ADDRESS = resolveVault(network, { address: VAULT_ADDRESS_ARG, types: ["vault"] }).address;
+  } catch (e) {
+    console.log(`❌ ${e.message}\n`);
     process.exit(1);
   }
 
@@ -3,7 +3,7 @@
 // Usage: node scripts/mainnet/build-pool-history.js [POOL_ADDRESS] [NUM_SWAPS]
 
 import { ethers } from "ethers";
-import { getWallet } from "../../shared/provider.js";
+import { getSigner } from "../../shared/provider.js";
 import { getNetworkConfig } from "../../shared/config.js";
 import "dotenv/config";
 
@@ -14,7 +14,7 @@ async function main() {
 
   const network = process.env.NETWORK || "mainnet";
   const config = getNetworkConfig(network);
-  const wallet = getWallet(network);
+  const wallet = await getSigner(network);
 
   const AERODROME_POOL = process.env.AERODROME_POOL_MAINNET || process.env.AERODROME_POOL || process.argv[2];
   const NUM_SWAPS = parseInt(process.argv[3] || process.env.NUM_SWAPS || "50", 10);
@@ -1,43 +1,66 @@
 // scripts/mainnet/calculate-milestone-prices.js
 // Calculate all milestone price targets for reference
+// Usage: node scripts/mainnet/utils/calculate-milestone-prices.js [--profile <name>] [--json]
+//
+// Constants come from the config profile (shared/config.js PROFILES):
+// --profile, then CONFIG_PROFILE, then the NETWORK profile (default mainnet: FAIRVault, START_PRICE 200)
 
-const START_PRICE = 10; // $0.00001 in oracle format (usd_price * 1,000,000)
-const PRICE_MULTIPLIER_NUM = 15;
-const PRICE_MULTIPLIER_DEN = 10;
-const TOTAL_MILESTONES = 18;
+import { getProfile, getProfileName } from "../../shared/config.js";
+
+const profileFlag = process.argv.indexOf("--profile");
+let PROFILE;
+try {
+  PROFILE = getProfile(profileFlag !== -1 ? process.argv[profileFlag + 1] : getProfileName(process.env.NETWORK || "mainnet"));
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+const {
+  startPrice: START_PRICE, // oracle format (usd_price * 1,000,000)
+  multiplierNum: PRICE_MULTIPLIER_NUM,
+  multiplierDen: PRICE_MULTIPLIER_DEN,
+  totalMilestones: TOTAL_MILESTONES,
+  periodInterval: PERIOD_INTERVAL,
+} = PROFILE.constants;
 
 // Oracle format: price = usd_price * 1,000,000
 // Example: $0.00001 = 10, $0.000015 = 15, $0.001 = 1,000,000
 const ORACLE_MULTIPLIER = 1000000;
 
+const milestones = [];
+let price = START_PRICE;
+
+for (let i = 1; i <= TOTAL_MILESTONES; i++) {
+  // Convert oracle price back to USD: usd_price = price / 1,000,000
+  milestones.push({ milestone: i, price, usdPrice: price / ORACLE_MULTIPLIER, multiplier: price / START_PRICE });
+  price = Math.floor((price * PRICE_MULTIPLIER_NUM) / PRICE_MULTIPLIER_DEN);
+}
+
+if (process.argv.includes("--json")) {
+  console.log(JSON.stringify({ profile: PROFILE.name, startPrice: START_PRICE, oracleMultiplier: ORACLE_MULTIPLIER, milestones }, null, 2));
+  process.exit(0);
+}
+
 console.log("\n" + "=".repeat(80));
-console.log("Milestone Price Targets");
+console.log(`Milestone Price Targets (profile: ${PROFILE.name})`);
 console.log("=".repeat(80));
 console.log("\nFormat: Price (oracle units) = USD Price");
 console.log("Oracle format: price = usd_price * 1,000,000");
 console.log("Each milestone requires price to be >= target price\n");
 
-let price = START_PRICE;
-
-for (let i = 1; i <= TOTAL_MILESTONES; i++) {
-  // Convert oracle price back to USD: usd_price = price / 1,000,000
-  const usdPrice = price / ORACLE_MULTIPLIER;
-  const multiplier = price / START_PRICE;
-  
+for (const { milestone, price, usdPrice, multiplier } of milestones) {
   // Format USD price nicely
   const usdPriceFormatted = usdPrice.toFixed(6).replace(/\.?0+$/, '');
   
-  console.log(`Milestone ${i.toString().padStart(2, ' ')}: ${price.toString().padStart(10, ' ')} = $${usdPriceFormatted} (${multiplier.toFixed(2)}x)`);
-  
-  price = Math.floor((price * PRICE_MULTIPLIER_NUM) / PRICE_MULTIPLIER_DEN);
+  console.log(`Milestone ${milestone.toString().padStart(2, ' ')}: ${price.toString().padStart(10, ' ')} = $${usdPriceFormatted} (${multiplier.toFixed(2)}x)`);
 }
 
 console.log("\n" + "=".repeat(80));
 console.log("Testing Tips:");
 console.log("=".repeat(80));
 console.log("1. Set pool liquidity range: Full range (0 to ∞) for testing");
-console.log("2. Current price should start around Milestone 1: $0.000010");
+console.log(`2. Current price should start around Milestone 1: $${(START_PRICE / ORACLE_MULTIPLIER).toFixed(6)}`);
 console.log("3. To test higher milestones, swap USDC → HONEST to increase price");
-console.log("4. Price needs to stay above target for TWAP window (1 hour)");
+console.log(`4. Price needs to stay above target for ${PROFILE.constants.requiredGoodPeriods} good period(s) of ${PERIOD_INTERVAL / 60} minute(s)`);
 console.log("5. Use: node scripts/mainnet/check-oracle.js to check current TWAP price\n");
 
@@ -32,6 +32,16 @@ export function loadArtifact(contractName) {
   };
 }
 
+/**
+ * Constructor arguments keyed by their parameter names, e.g. { _treasury: "0x..." }
+ * @param {string} contractName
+ * @param {Array} args - Positional constructor arguments
+ */
+export function nameConstructorArgs(contractName, args) {
+  const inputs = loadArtifact(contractName).abi.find((item) => item.type === "constructor")?.inputs ?? [];
+  return Object.fromEntries(inputs.map((input, i) => [input.name, args[i]]));
+}
+
 /**
  * Get all available contract artifacts
  */
@@ -1,7 +1,18 @@
 // scripts/shared/config.js
 // Centralized configuration for all environments
 // 1B total supply: 150M TGE + 850M locked in vault (18 milestones × ~47.2M)
+//
+// Profiles (local, testnet, mainnet, test-mode) hold the constants each deployment is expected to
+// have. loadConfig() validates the .env values a profile needs in one pass, and
+// assertContractConstants() fails fast when a deployed contract disagrees with its profile.
+//
+// ENV:
+//   CONFIG_PROFILE=          Profile to use (default: see getProfileName())
+//   VAULT_WAIT_RULE=         test-mode overrides (seconds / periods / seconds)
+//   VAULT_GOOD_PERIODS=
+//   VAULT_PERIOD_INTERVAL=
 
+import { ethers } from "ethers";
 import "dotenv/config";
 
 /**
@@ -12,7 +23,7 @@ export const TOKENOMICS = {
   LOCKED_AMOUNT: "850000000",   // 850M (85%) locked in vault across 18 milestones
   TGE_AMOUNT: "150000000",      // 150M (15%) available at TGE
   MILESTONE_UNLOCK: "47222222", // ~47.2M per milestone (850M / 18)
-  START_PRICE: 30,              // $0.000030 in 1e6 units (M1 target)
+  START_PRICE: 200,             // $0.000200 in 1e6 units (M1 target, FAIRVault START_PRICE)
   MILESTONES: 18,
   COOLDOWN_DAYS: 90,
   GOOD_HOURS: 360,
@@ -34,33 +45,58 @@ export const POOLS = {
  */
 export const TGE_TIMESTAMP = process.env.TGE_TIMESTAMP || 1735689600;
 
+/**
+ * RPC endpoints in priority order
+ * @param {string} [list] - Comma-separated URLs (e.g. BASE_MAINNET_RPC_URLS)
+ * @param {string} primary - Single URL used when no list is set
+ */
+function parseRpcUrls(list, primary) {
+  const urls = (list || "").split(",").map((u) => u.trim()).filter((u) => u.length > 0);
+  return urls.length > 0 ? urls : [primary];
+}
+
+const SEPOLIA_RPC_URLS = parseRpcUrls(process.env.BASE_SEPOLIA_RPC_URLS, process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org");
+const MAINNET_RPC_URLS = parseRpcUrls(process.env.BASE_MAINNET_RPC_URLS, process.env.BASE_MAINNET_RPC_URL || "https://mainnet.base.org");
+
 /**
  * Network configurations
+ * rpcUrls: failover list for getProvider(); rpcUrl is its first entry
  */
 export const NETWORKS = {
   local: {
     name: "Local Hardhat Fork",
     rpcUrl: "http://localhost:8545",
+    rpcUrls: ["http://localhost:8545"],
     chainId: 31337,
     explorer: null,
     usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", // From fork
   },
   testnet: {
     name: "Base Sepolia",
-    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org",
+    rpcUrl: SEPOLIA_RPC_URLS[0],
+    rpcUrls: SEPOLIA_RPC_URLS,
     chainId: 84532,
     explorer: "https://sepolia.basescan.org",
     usdc: process.env.USDC_SEPOLIA || "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
   },
   mainnet: {
     name: "Base Mainnet",
-    rpcUrl: process.env.BASE_MAINNET_RPC_URL || "https://mainnet.base.org",
+    rpcUrl: MAINNET_RPC_URLS[0],
+    rpcUrls: MAINNET_RPC_URLS,
     chainId: 8453,
     explorer: "https://basescan.org",
     usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
   },
 };
 
+// Env var of each pool wallet
+const WALLET_ENV = {
+  treasury: "TREASURY_WALLET",
+  growth: "GROWTH_WALLET",
+  liquidity: "LIQUIDITY_WALLET",
+  team: "TEAM_WALLET",
+};
+
 /**
  * Pool wallet addresses (recipients of milestone unlocks)
  * IMPORTANT: Set these in .env before deployment!
@@ -83,10 +119,21 @@ export const TEST_WALLETS = {
 };
 
 /**
- * Get wallet addresses for deployment
+ * Get wallet addresses for deployment, checksummed
  * @param {boolean} requireReal - If true, throws error if real addresses not set
  */
 export function getWalletAddresses(requireReal = false) {
+  const errors = Object.entries(WALLETS)
+    .filter(([, address]) => address)
+    .map(([pool, address]) => checkAddress(address, WALLET_ENV[pool]))
+    .filter(Boolean);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  const checksummed = Object.fromEntries(
+    Object.entries(WALLETS).map(([pool, address]) => [pool, address ? ethers.getAddress(address) : address])
+  );
+
   if (requireReal) {
     if (!WALLETS.treasury || !WALLETS.growth || !WALLETS.liquidity || !WALLETS.team) {
       throw new Error(`
@@ -99,15 +146,15 @@ export function getWalletAddresses(requireReal = false) {
           TEAM_WALLET=0x...
       `);
     }
-    return WALLETS;
+    return checksummed;
   }
   
   // For testing, fall back to test addresses
   return {
-    treasury: WALLETS.treasury || TEST_WALLETS.treasury,
-    growth: WALLETS.growth || TEST_WALLETS.growth,
-    liquidity: WALLETS.liquidity || TEST_WALLETS.liquidity,
-    team: WALLETS.team || TEST_WALLETS.team,
+    treasury: checksummed.treasury || TEST_WALLETS.treasury,
+    growth: checksummed.growth || TEST_WALLETS.growth,
+    liquidity: checksummed.liquidity || TEST_WALLETS.liquidity,
+    team: checksummed.team || TEST_WALLETS.team,
   };
 }
 
@@ -122,4 +169,220 @@ export function getNetworkConfig(network) {
   return NETWORKS[network];
 }
 
+/**
+ * Expected contract constants per deployment profile
+ *   contract         'fair' (FAIRTestnet) or 'vault' (FAIRVault): the contract the constants describe
+ *   requireWallets   Pool wallets must be set in .env (no TEST_WALLETS fallback)
+ */
+export const PROFILES = {
+  local: {
+    network: "local",
+    contract: "fair",
+    requireWallets: false,
+    constants: { startPrice: 10, multiplierNum: 15, multiplierDen: 10, totalMilestones: 18, waitRule: 600, requiredGoodPeriods: 10, periodInterval: 60 },
+  },
+  testnet: {
+    network: "testnet",
+    contract: "fair",
+    requireWallets: false,
+    constants: { startPrice: 10, multiplierNum: 15, multiplierDen: 10, totalMilestones: 18, waitRule: 600, requiredGoodPeriods: 10, periodInterval: 60 },
+  },
+  mainnet: {
+    network: "mainnet",
+    contract: "vault",
+    requireWallets: true,
+    constants: { startPrice: 200, multiplierNum: 15, multiplierDen: 10, totalMilestones: 18, waitRule: 90 * 24 * 60 * 60, requiredGoodPeriods: 360, periodInterval: 3600 },
+  },
+  // FAIRVault deployed with shortened timings (4 hours cooldown, 2 periods of 1 minute)
+  "test-mode": {
+    network: "mainnet",
+    contract: "vault",
+    requireWallets: true,
+    constants: { startPrice: 200, multiplierNum: 15, multiplierDen: 10, totalMilestones: 18, waitRule: 14400, requiredGoodPeriods: 2, periodInterval: 60 },
+  },
+};
+
+// Constructor args of a test-mode FAIRVault, overriding the test-mode profile
+const TIMING_ENV = {
+  waitRule: "VAULT_WAIT_RULE",
+  requiredGoodPeriods: "VAULT_GOOD_PERIODS",
+  periodInterval: "VAULT_PERIOD_INTERVAL",
+};
+
+// Contract addresses read from .env, validated when set
+const ADDRESS_ENV = {
+  fairToken: "EXISTING_FAIR_TOKEN",
+  pool: "AERODROME_POOL_MAINNET",
+  vault: "VAULT_ADDRESS",
+};
+
+/**
+ * Invalid or missing configuration; `errors` lists every problem found, one line each
+ */
+export class ConfigError extends Error {
+  constructor(errors, header = "Invalid configuration") {
+    super(`${header}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+// Error line for an invalid address, or null
+function checkAddress(value, name) {
+  if (!ethers.isHexString(value, 20)) {
+    return `${name}: "${value}" is not an address (0x + 40 hex characters)`;
+  }
+  try {
+    ethers.getAddress(value);
+    return null;
+  } catch {
+    return `${name}: "${value}" has an invalid checksum; copy the address again or use all lowercase`;
+  }
+}
 
+/**
+ * Checksummed address, or a ConfigError naming the setting
+ * @param {string} value
+ * @param {string} name - Env var or field name for the error
+ */
+export function validateAddress(value, name) {
+  const error = value ? checkAddress(value, name) : `${name} is not set`;
+  if (error) {
+    throw new ConfigError([error]);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Profile to use on a network: CONFIG_PROFILE, else test-mode on mainnet when a VAULT_* timing is set or
+ * DEPLOYMENT_NAME is "test" (deploy-vault's name for test-mode deployments), else the network
+ * @param {string} network - 'local', 'testnet', or 'mainnet'
+ * @param {object} [env]
+ */
+export function getProfileName(network, env = process.env) {
+  if (env.CONFIG_PROFILE) return env.CONFIG_PROFILE;
+  const testMode = Object.values(TIMING_ENV).some((name) => env[name]) || env.DEPLOYMENT_NAME === "test";
+  return network === "mainnet" && testMode ? "test-mode" : network;
+}
+
+/**
+ * A profile with its constants resolved (test-mode takes VAULT_* timings from env)
+ * @param {string} name - Key of PROFILES
+ * @param {object} [env]
+ */
+export function getProfile(name, env = process.env) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new ConfigError([`Unknown profile "${name}". Use: ${Object.keys(PROFILES).join(", ")}`]);
+  }
+  const constants = { ...profile.constants };
+  const errors = [];
+  if (name === "test-mode") {
+    for (const [key, envName] of Object.entries(TIMING_ENV)) {
+      if (!env[envName]) continue;
+      if (!/^[1-9]\d*$/.test(env[envName])) {
+        errors.push(`${envName}: "${env[envName]}" must be a positive whole number`);
+      } else {
+        constants[key] = Number(env[envName]);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors, `Invalid configuration for profile "${name}"`);
+  }
+  return { name, ...profile, constants };
+}
+
+/**
+ * Validated configuration of a profile. Every problem is reported at once in a ConfigError.
+ * @param {string} [profileName] - Default: getProfileName(NETWORK or mainnet)
+ * @param {object} [options]
+ * @param {object} [options.env]
+ * @param {string[]} [options.require] - Keys of `addresses` that must be set, e.g. ["fairToken", "pool"]
+ * @returns {{ profile: string, network: string, contract: string, constants: object, wallets: object, addresses: object, tgeTimestamp: number }}
+ */
+export function loadConfig(profileName, { env = process.env, require = [] } = {}) {
+  const name = profileName || getProfileName(env.NETWORK || "mainnet", env);
+  const profile = getProfile(name, env);
+  const errors = [];
+
+  const wallets = {};
+  for (const [pool, envName] of Object.entries(WALLET_ENV)) {
+    const value = env[envName];
+    if (!value) {
+      if (profile.requireWallets) errors.push(`${envName} is not set (required for profile "${name}")`);
+      else wallets[pool] = TEST_WALLETS[pool];
+      continue;
+    }
+    const error = checkAddress(value, envName);
+    if (error) errors.push(error);
+    else wallets[pool] = ethers.getAddress(value);
+  }
+
+  const addresses = {};
+  for (const [key, envName] of Object.entries(ADDRESS_ENV)) {
+    const value = env[envName];
+    if (!value) {
+      if (require.includes(key)) errors.push(`${envName} is not set`);
+      continue;
+    }
+    const error = checkAddress(value, envName);
+    if (error) errors.push(error);
+    else addresses[key] = ethers.getAddress(value);
+  }
+
+  const tgeTimestamp = Number(env.TGE_TIMESTAMP || TGE_TIMESTAMP);
+  if (!Number.isInteger(tgeTimestamp) || tgeTimestamp <= 0) {
+    errors.push(`TGE_TIMESTAMP: "${env.TGE_TIMESTAMP}" must be a unix timestamp in seconds`);
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors, `Invalid configuration for profile "${name}"`);
+  }
+  return Object.freeze({
+    profile: name,
+    network: profile.network,
+    contract: profile.contract,
+    constants: Object.freeze(profile.constants),
+    wallets: Object.freeze(wallets),
+    addresses: Object.freeze(addresses),
+    tgeTimestamp,
+  });
+}
+
+/**
+ * Constants where a deployed contract disagrees with its profile
+ * @param {{ constants: object }} profile - From getProfile() or loadConfig()
+ * @param {object} actual - FairVaultClient.getConstants(); null values (not exposed by the contract) are skipped
+ * @returns {Array<{ key: string, expected: number, actual: number }>}
+ */
+export function checkContractConstants(profile, actual) {
+  return Object.entries(profile.constants)
+    .filter(([key]) => actual[key] !== null && actual[key] !== undefined)
+    .filter(([key, expected]) => Number(actual[key]) !== expected)
+    .map(([key, expected]) => ({ key, expected, actual: Number(actual[key]) }));
+}
+
+/**
+ * Throw a ConfigError when a deployed contract disagrees with its profile
+ * @param {{ name: string, constants: object }} profile
+ * @param {object} actual - FairVaultClient.getConstants()
+ * @param {string} address - Contract address, for the error
+ */
+export function assertContractConstants(profile, actual, address) {
+  const mismatches = checkContractConstants(profile, actual);
+  if (mismatches.length === 0) return;
+  const others = Object.entries(PROFILES)
+    .filter(([name]) => name !== profile.name)
+    .filter(([name]) => checkContractConstants(getProfile(name), actual).length === 0)
+    .map(([name]) => name);
+  throw new ConfigError(
+    [
+      ...mismatches.map(({ key, expected, actual: value }) => `${key}: contract has ${value}, profile expects ${expected}`),
+      others.length > 0
+        ? `The contract matches profile "${others[0]}": set CONFIG_PROFILE=${others[0]} (or "profile" in the keeper config)`
+        : "Check the address, or set CONFIG_PROFILE / VAULT_* to the values the contract was deployed with",
+    ],
+    `Contract ${address} does not match profile "${profile.name}"`
+  );
+}
@@ -0,0 +1,352 @@
+// scripts/shared/deployments.js
+// Deployment registry: one JSON file per network, deployments keyed by name
+//
+// deployments/<network>.json
+// {
+//   "network": "mainnet",
+//   "chainId": 8453,
+//   "default": "production",
+//   "deployments": {
+//     "production": {
+//       "createdAt": "...",
+//       "updatedAt": "...",
+//       "contracts": {
+//         "vault":  { "contract": "FAIRVault", "address": "0x...", "constructorArgs": [...], "deployTx": "0x...",
+//                     "block": 123, "artifactHash": "0x...", "deployer": "0x..." },
+//         "oracle": { "contract": "AerodromeTWAPOracle", ... },
+//         "token":  { "contract": null, "address": "0x..." }      (not deployed by us: address only)
+//       },
+//       "config": { "pool": "0x...", "waitRule": "7776000", ... }
+//     }
+//   }
+// }
+//
+// Roles: vault (FAIRVault), fair (FAIR / FAIRTestnet), oracle, aggregateOracle, token (existing FAIR).
+// A deployment is picked by name (--deployment or DEPLOYMENT_NAME), else the network's "default",
+// else its only deployment. Several deployments and no default is an error, never a guess.
+//
+// Usage:
+//   node scripts/shared/deployments.js list [network]
+//   node scripts/shared/deployments.js import <network> <legacy .env file> [name]
+//
+// ENV:
+//   DEPLOYMENTS_DIR=deployments    Registry directory (relative to the repo root)
+//   DEPLOYMENT_NAME=               Deployment to use when a network has several
+
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { NETWORKS } from "./config.js";
+import "dotenv/config";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.join(__dirname, "..", "..");
+
+export const ROLES = ["vault", "fair", "oracle", "aggregateOracle", "token"];
+
+// Which roles a vault lookup accepts, and the keeper's contract type for each
+const VAULT_ROLES = { vault: "vault", fair: "fair" };
+
+// Keys written by the pre-registry deploy scripts (.env.mainnet, .env.test, .env.testnet, .env.local)
+const LEGACY_KEYS = {
+  VAULT_ADDRESS: { role: "vault", contract: "FAIRVault" },
+  FAIR_ADDRESS: { role: "fair", contract: "FAIRTestnet" },
+  TWAP_ORACLE_ADDRESS: { role: "oracle", contract: "AerodromeTWAPOracle" },
+  ORACLE_ADDRESS: { role: "oracle", contract: "MockOracle" },
+  EXISTING_FAIR_TOKEN: { role: "token", contract: null },
+};
+const LEGACY_CONFIG = {
+  AERODROME_POOL: "pool",
+  WAIT_RULE: "waitRule",
+  GOOD_PERIODS: "requiredGoodPeriods",
+  PERIOD_INTERVAL: "periodInterval",
+};
+
+function getRegistryDir() {
+  return path.resolve(ROOT_DIR, process.env.DEPLOYMENTS_DIR || "deployments");
+}
+
+/**
+ * Registry file for a network
+ * @param {string} network - 'local', 'testnet', or 'mainnet'
+ */
+export function getRegistryPath(network) {
+  if (!NETWORKS[network]) {
+    throw new Error(`Unknown network: ${network}. Use: local, testnet, or mainnet`);
+  }
+  return path.join(getRegistryDir(), `${network}.json`);
+}
+
+/**
+ * Registry for a network (empty when nothing has been recorded yet)
+ * @param {string} network
+ */
+export function loadRegistry(network) {
+  const file = getRegistryPath(network);
+  if (!fs.existsSync(file)) {
+    return { network, chainId: NETWORKS[network].chainId, default: null, deployments: {} };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Deployment registry ${file} is not valid JSON: ${e.message}`);
+  }
+}
+
+function writeRegistry(registry) {
+  const file = getRegistryPath(registry.network);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpPath = `${file}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(registry, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n");
+  fs.renameSync(tmpPath, file);
+  return file;
+}
+
+/**
+ * Deployment name from --deployment <name> or DEPLOYMENT_NAME
+ * @returns {string|undefined}
+ */
+export function getDeploymentName() {
+  const index = process.argv.indexOf("--deployment");
+  return (index !== -1 ? process.argv[index + 1] : undefined) || process.env.DEPLOYMENT_NAME || undefined;
+}
+
+/**
+ * The selected deployment, or null when the network has none recorded
+ * @param {string} network
+ * @param {object} [options]
+ * @param {string} [options.name] - Defaults to getDeploymentName()
+ * @returns {{ name: string, contracts: object, config: object } | null}
+ */
+export function findDeployment(network, { name = getDeploymentName() } = {}) {
+  const registry = loadRegistry(network);
+  const names = Object.keys(registry.deployments);
+  if (name) {
+    if (!registry.deployments[name]) {
+      throw new Error(`No deployment "${name}" on ${network} (recorded: ${names.join(", ") || "none"})`);
+    }
+    return { name, ...registry.deployments[name] };
+  }
+  if (registry.default && registry.deployments[registry.default]) {
+    return { name: registry.default, ...registry.deployments[registry.default] };
+  }
+  if (names.length === 1) {
+    return { name: names[0], ...registry.deployments[names[0]] };
+  }
+  if (names.length > 1) {
+    throw new Error(`Several deployments on ${network} (${names.join(", ")}) and no default: pass --deployment <name> or set DEPLOYMENT_NAME`);
+  }
+  return null;
+}
+
+/**
+ * Like findDeployment(), but throws when the network has none recorded
+ */
+export function getDeployment(network, options) {
+  const deployment = findDeployment(network, options);
+  if (!deployment) {
+    throw new Error(`No deployment recorded for ${network} in ${path.relative(ROOT_DIR, getRegistryPath(network))}`);
+  }
+  return deployment;
+}
+
+/**
+ * Address of a role in the selected deployment, or undefined
+ * @param {string} network
+ * @param {string} role - See ROLES
+ * @param {object} [options] - See findDeployment()
+ */
+export function findAddress(network, role, options) {
+  return findDeployment(network, options)?.contracts[role]?.address;
+}
+
+/**
+ * The vault (or FAIR token contract) a script should work on:
+ * explicit address > VAULT_ADDRESS / FAIR_ADDRESS env > registry
+ * @param {string} network
+ * @param {object} [options]
+ * @param {string} [options.address] - Usually process.argv[2]; ignored when it is a --flag
+ * @param {string[]} [options.types] - Accepted contract types, default ["vault", "fair"]
+ * @param {string} [options.name] - Deployment name, see findDeployment()
+ * @returns {{ address: string, type: "vault"|"fair", source: string }}
+ */
+export function resolveVault(network, { address, types = ["vault", "fair"], name } = {}) {
+  if (address && !address.startsWith("--")) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+    return { address, type: types[0], source: "argument" };
+  }
+  if (types.includes("vault") && process.env.VAULT_ADDRESS) {
+    return { address: process.env.VAULT_ADDRESS, type: "vault", source: "VAULT_ADDRESS" };
+  }
+  if (types.includes("fair") && process.env.FAIR_ADDRESS) {
+    return { address: process.env.FAIR_ADDRESS, type: "fair", source: "FAIR_ADDRESS" };
+  }
+
+  const deployment = findDeployment(network, { name });
+  for (const [role, type] of Object.entries(VAULT_ROLES)) {
+    const entry = deployment?.contracts[role];
+    if (types.includes(type) && entry?.address) {
+      return { address: entry.address, type, source: `${path.relative(ROOT_DIR, getRegistryPath(network))} (${deployment.name})` };
+    }
+  }
+  const wanted = types.map((type) => (type === "vault" ? "VAULT_ADDRESS" : "FAIR_ADDRESS")).join(" or ");
+  throw new Error(deployment
+    ? `Deployment "${deployment.name}" on ${network} has no ${types.join(" or ")} contract`
+    : `No deployment recorded for ${network}: pass the address or set ${wanted}`);
+}
+
+/**
+ * Registry entry for a contract deployed with ethers (waits for its deployment receipt)
+ * @param {ethers.BaseContract} contract - Returned by ContractFactory.deploy()
+ * @param {object} options
+ * @param {string} options.name - Contract name (CONTRACTS.* in artifacts.js)
+ * @param {Array} options.args - Constructor arguments
+ * @param {{ bytecode: string }} options.artifact - From loadArtifact()
+ */
+export async function describeContract(contract, { name, args, artifact }) {
+  const tx = contract.deploymentTransaction();
+  const receipt = tx ? await tx.wait() : null;
+  return {
+    contract: name,
+    address: await contract.getAddress(),
+    constructorArgs: args,
+    deployTx: tx?.hash ?? null,
+    block: receipt?.blockNumber ?? null,
+    artifactHash: ethers.keccak256(artifact.bytecode),
+    deployer: tx?.from ?? null,
+  };
+}
+
+/**
+ * Registry entry for a contract from its deployment receipt (the deployment was sent, then picked up later)
+ * @param {ethers.TransactionReceipt} receipt
+ * @param {object} options - See describeContract()
+ */
+export function describeReceipt(receipt, { name, args, artifact }) {
+  return {
+    contract: name,
+    address: receipt.contractAddress,
+    constructorArgs: args,
+    deployTx: receipt.hash,
+    block: receipt.blockNumber,
+    artifactHash: ethers.keccak256(artifact.bytecode),
+    deployer: receipt.from,
+  };
+}
+
+/**
+ * Record contracts and config under a deployment name (merged into what is already there)
+ * @param {string} network
+ * @param {string} name - e.g. "production", "test"
+ * @param {object} update
+ * @param {Record<string, object>} [update.contracts] - Role -> entry (describeContract() or { address })
+ * @param {object} [update.config] - Deployment parameters worth keeping (pool, timings, wallets)
+ * @param {object} [options]
+ * @param {boolean} [options.makeDefault] - Make it the network default (the first deployment always is)
+ * @returns {string} Registry file written
+ */
+export function saveDeployment(network, name, { contracts = {}, config = {} }, { makeDefault = false } = {}) {
+  if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+    throw new Error(`Deployment name may only contain letters, digits, '.', '_' and '-' (got "${name}")`);
+  }
+  for (const role of Object.keys(contracts)) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown contract role "${role}". Use: ${ROLES.join(", ")}`);
+    }
+  }
+
+  const registry = loadRegistry(network);
+  const now = new Date().toISOString();
+  const existing = registry.deployments[name] ?? { createdAt: now, contracts: {}, config: {} };
+  registry.deployments[name] = {
+    ...existing,
+    updatedAt: now,
+    contracts: { ...existing.contracts, ...contracts },
+    config: { ...existing.config, ...config },
+  };
+  if (makeDefault || !registry.default) {
+    registry.default = name;
+  }
+  return writeRegistry(registry);
+}
+
+/**
+ * Record a deployment from a pre-registry .env file (.env.mainnet, .env.test, .env.testnet, .env.local)
+ * @param {string} network
+ * @param {string} file
+ * @param {string} name
+ */
+export function importLegacyEnv(network, file, name) {
+  const values = {};
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    const match = line.match(/^\s*([A-Z_]+)=(.*)$/);
+    if (match) values[match[1]] = match[2].trim();
+  }
+
+  const contracts = {};
+  for (const [key, { role, contract }] of Object.entries(LEGACY_KEYS)) {
+    // VAULT_ADDRESS wins over FAIR_ADDRESS etc. when a file has both for the same role
+    if (values[key] && ethers.isAddress(values[key]) && !contracts[role]) {
+      contracts[role] = { contract, address: values[key], constructorArgs: null, deployTx: null, block: null, artifactHash: null, deployer: values.DEPLOYER ?? null };
+    }
+  }
+  if (Object.keys(contracts).length === 0) {
+    throw new Error(`No contract addresses found in ${file}`);
+  }
+  const config = {};
+  for (const [key, field] of Object.entries(LEGACY_CONFIG)) {
+    if (values[key]) config[field] = values[key];
+  }
+  return saveDeployment(network, name, { contracts, config });
+}
+
+function printRegistry(network) {
+  const registry = loadRegistry(network);
+  const names = Object.keys(registry.deployments);
+  console.log(`\n📋 ${network} (${path.relative(ROOT_DIR, getRegistryPath(network))})`);
+  if (names.length === 0) {
+    console.log("   (no deployments recorded)");
+    return;
+  }
+  for (const name of names) {
+    const deployment = registry.deployments[name];
+    console.log(`   ${name}${registry.default === name ? " (default)" : ""} — updated ${deployment.updatedAt}`);
+    for (const [role, entry] of Object.entries(deployment.contracts)) {
+      const where = entry.block !== null && entry.block !== undefined ? ` @ block ${entry.block}` : "";
+      console.log(`     ${role.padEnd(16)} ${entry.address}  ${entry.contract ?? "(external)"}${where}`);
+    }
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === "list") {
+    const networks = args[0] ? [args[0]] : Object.keys(NETWORKS);
+    networks.forEach(printRegistry);
+    console.log();
+  } else if (command === "import") {
+    const [network, file, name] = args;
+    if (!network || !file) {
+      throw new Error("Usage: node scripts/shared/deployments.js import <network> <legacy .env file> [name]");
+    }
+    // .env.test held the test-mode mainnet vault; everything else was the network's only deployment
+    const deploymentName = name || (path.basename(file) === ".env.test" ? "test" : network === "mainnet" ? "production" : network);
+    const written = importLegacyEnv(network, path.resolve(file), deploymentName);
+    console.log(`✅ Imported ${file} as "${deploymentName}" into ${path.relative(ROOT_DIR, written)}`);
+  } else {
+    console.log("Usage:");
+    console.log("  node scripts/shared/deployments.js list [network]");
+    console.log("  node scripts/shared/deployments.js import <network> <legacy .env file> [name]");
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,168 @@
+// scripts/shared/diagnostics.js
+// Structured diagnostic results
+//
+// Each script in scripts/mainnet/diagnostics exports a function that runs its checks and returns
+// a report instead of only printing. The script prints the same text as before; with --json it
+// prints nothing but the report, so CI or the keeper can run the checks and act on the result:
+//
+// {
+//   "diagnostic": "verify-keeper-ready",
+//   "network": "mainnet",
+//   "target": { "vault": "0x..." },
+//   "ok": false,                          false as soon as one check failed
+//   "summary": { "pass": 6, "warn": 1, "fail": 1, "info": 2, "skip": 0 },
+//   "checks": [
+//     { "id": "oracle.frozen", "title": "Oracle frozen", "status": "fail", "value": false,
+//       "expected": true, "remediation": "node scripts/mainnet/deployment/resume-deployment.js 0x..." }
+//   ],
+//   "data": { ... },                      readings worth keeping (prices, ticks), per diagnostic
+//   "startedAt": "...", "finishedAt": "..."
+// }
+//
+// Exit code: 0 when ok, 1 when a check failed or the diagnostic threw.
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+export const STATUS = {
+  PASS: "pass",
+  WARN: "warn",
+  FAIL: "fail",
+  INFO: "info",
+  SKIP: "skip",
+};
+
+const STATUS_ICONS = { pass: "✅", warn: "⚠️ ", fail: "❌", info: "ℹ️ ", skip: "⏭️ " };
+
+// BigInt is common in contract reads and JSON.stringify rejects it
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Collects the checks of one diagnostic run
+ * @param {string} diagnostic - Script name, e.g. "check-oracle"
+ * @param {object} [options]
+ * @param {string} [options.network]
+ * @param {object} [options.target] - What was checked: { vault }, { pool }, { oracle }
+ */
+export function createReport(diagnostic, { network = null, target = {} } = {}) {
+  const checks = [];
+  const data = {};
+  const startedAt = new Date().toISOString();
+
+  return {
+    data,
+    target,
+
+    /**
+     * Record a check
+     * @param {object} check
+     * @param {string} check.id - Stable dotted id, e.g. "oracle.frozen"
+     * @param {string} check.title
+     * @param {string} check.status - See STATUS
+     * @param {*} [check.value] - What was found
+     * @param {*} [check.expected] - What was expected
+     * @param {string} [check.remediation] - What to do about it
+     * @param {string} [check.message] - Error or extra detail
+     */
+    check({ id, title, status, value = null, expected = null, remediation = null, message = null }) {
+      if (!Object.values(STATUS).includes(status)) {
+        throw new Error(`Unknown check status "${status}" for ${id}`);
+      }
+      const entry = { id, title, status, value, expected, remediation, message };
+      checks.push(entry);
+      return entry;
+    },
+
+    /** True while no check has failed */
+    get ok() {
+      return checks.every((c) => c.status !== STATUS.FAIL);
+    },
+
+    /**
+     * The finished, JSON-serializable report
+     */
+    finish() {
+      const summary = Object.fromEntries(Object.values(STATUS).map((s) => [s, checks.filter((c) => c.status === s).length]));
+      return {
+        diagnostic,
+        network,
+        target,
+        ok: summary.fail === 0,
+        summary,
+        checks: JSON.parse(JSON.stringify(checks, jsonReplacer)),
+        data: JSON.parse(JSON.stringify(data, jsonReplacer)),
+        startedAt,
+        finishedAt: new Date().toISOString(),
+      };
+    },
+  };
+}
+
+/**
+ * Positional arguments of the running script (flags such as --json left out)
+ */
+export function getPositionalArgs(argv = process.argv) {
+  return argv.slice(2).filter((arg) => !arg.startsWith("--"));
+}
+
+/**
+ * True when `importMetaUrl` is the script node was started with (not imported)
+ * @param {string} importMetaUrl - import.meta.url of the caller
+ */
+export function isMain(importMetaUrl) {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fileURLToPath(importMetaUrl);
+  } catch {
+    return false;
+  }
+}
+
+function printSummary(report) {
+  const { summary } = report;
+  console.log("=".repeat(70));
+  console.log(`Checks: ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed`);
+  console.log("=".repeat(70));
+  for (const check of report.checks.filter((c) => c.status === STATUS.FAIL || c.status === STATUS.WARN)) {
+    console.log(`   ${STATUS_ICONS[check.status]} ${check.title}${check.value !== null ? `: ${check.value}` : ""}`);
+    if (check.expected !== null) console.log(`      Expected: ${check.expected}`);
+    if (check.remediation) console.log(`      Fix: ${check.remediation}`);
+  }
+  console.log();
+}
+
+/**
+ * Run a diagnostic as a script: text while it runs plus a summary, or with --json only the report.
+ * Exits 1 when a check failed or the diagnostic threw.
+ * @param {string} name - Script name, used for the report of a diagnostic that threw
+ * @param {(options: { log: (...args: any[]) => void, json: boolean }) => Promise<object>} diagnostic - Returns report.finish()
+ */
+export async function runDiagnostic(name, diagnostic) {
+  const json = process.argv.includes("--json");
+  const log = json ? () => {} : (...args) => console.log(...args);
+  if (json) {
+    // stdout is for the report only: ethers itself console.logs (e.g. while an RPC is unreachable)
+    console.log = (...args) => console.error(...args);
+  }
+
+  let report;
+  try {
+    report = await diagnostic({ log, json });
+  } catch (error) {
+    const failed = createReport(name, { network: process.env.NETWORK || "mainnet" });
+    failed.check({ id: "diagnostic.error", title: "Diagnostic ran to completion", status: STATUS.FAIL, message: error.shortMessage || error.message });
+    report = failed.finish();
+    if (!json) console.error(`\n❌ ${name} failed: ${error.shortMessage || error.message}\n`);
+  }
+
+  const code = report.ok ? 0 : 1;
+  if (json) {
+    // Exit only once stdout has flushed: a piped report must not be cut short
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n", () => process.exit(code));
+    return;
+  }
+  printSummary(report);
+  process.exit(code);
+}
@@ -0,0 +1,519 @@
+// scripts/shared/fair-vault-client.js
+// Read-side client for FAIRVault, FAIRTestnet and legacy FAIR
+//
+// The reads the keeper, the diagnostics scripts and the dashboard all need, in one place: the
+// milestone loop, getMilestoneStatus() decoding (goodPeriods, or goodHours on legacy FAIR), vault
+// info with per-field fallbacks, cooldown and pending milestones.
+//
+// Isomorphic: depends on ethers only (no fs, no dotenv, no artifacts), so the dashboard imports
+// this file as-is. Sending transactions stays with the caller's own Contract.
+//
+// Reads go through Multicall3 (multicall.js): the calls each method makes concurrently, and those
+// of methods awaited together, reach the RPC as one eth_call. getSnapshot() is a single round trip.
+//
+// Usage:
+//   const client = new FairVaultClient(vaultAddress, provider);
+//   const client = FairVaultClient.from(fair);                    // reuse a Contract's address and runner
+//   const snapshot = await client.getSnapshot();                  // decision.js input
+
+import { ethers } from "ethers";
+import { MULTICALL3_ADDRESS, createMulticallRunner, getBlockTimestamp } from "./multicall.js";
+
+export const TOTAL_MILESTONES = 18;
+
+/**
+ * Contract types: "vault" = FAIRVault (holds an existing token), "fair" = FAIR / FAIRTestnet
+ * (the token contract runs the milestones itself)
+ */
+export const CONTRACT_TYPES = ["vault", "fair"];
+
+// getMilestoneStatus() is decoded by position: FAIRVault/FAIRTestnet name the second field
+// goodPeriods, legacy FAIR named it goodHours
+export const FAIR_VAULT_READ_ABI = [
+  "function TOTAL_MILESTONES() view returns (uint256)",
+  "function START_PRICE() view returns (uint256)",
+  "function PRICE_MULTIPLIER_NUM() view returns (uint256)",
+  "function PRICE_MULTIPLIER_DEN() view returns (uint256)",
+  "function REQUIRED_GOOD_PERIODS() view returns (uint256)",
+  "function PERIOD_INTERVAL() view returns (uint256)",
+  "function WAIT_RULE() view returns (uint256)",
+  "function MILESTONE_UNLOCK_AMOUNT() view returns (uint256)",
+  "function priceOracle() view returns (address)",
+  "function oracleFrozen() view returns (bool)",
+  "function fairToken() view returns (address)",
+  "function initialized() view returns (bool)",
+  "function totalDeposited() view returns (uint256)",
+  "function milestoneUnlockAmount() view returns (uint256)",
+  "function lastUnlockTime() view returns (uint256)",
+  "function milestoneUnlocked(uint256) view returns (bool)",
+  "function milestonePending(uint256) view returns (bool)",
+  "function milestoneGoodPeriods(uint256) view returns (uint256)",
+  "function milestonePriceTarget(uint256) view returns (uint256)",
+  "function milestoneLastGoodPeriodTimestamp(uint256) view returns (uint256)",
+  "function getMilestoneStatus(uint256) view returns (bool, uint256, uint256, uint256)",
+  "function canUnlockMilestone(uint256) view returns (bool canUnlock, string reason)",
+  "function getVaultInfo() view returns (address token, uint256 balance, uint256 deposited, uint256 perMilestone, uint256 milestonesUnlocked, bool isInitialized)",
+  "event MilestoneUnlocked(uint256 indexed milestoneId, uint256 twapPrice, uint256 spotPrice, uint256 timestamp)",
+];
+
+export const ORACLE_READ_ABI = ["function getPrice() view returns (uint256)"];
+
+export const ERC20_READ_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+];
+
+/**
+ * @typedef {object} MilestoneStatus
+ * @property {number} id
+ * @property {boolean} unlocked
+ * @property {bigint} goodPeriods
+ * @property {bigint} priceTarget - 1e9 units
+ * @property {bigint} currentPrice - 1e9 units, 0 when the oracle fails
+ */
+
+/**
+ * @typedef {MilestoneStatus & { pending: boolean, statusAvailable: boolean }} Milestone
+ *   statusAvailable is false when getMilestoneStatus() reverted (FAIRTestnet with a failing oracle)
+ *   and the fields were read one by one
+ */
+
+/**
+ * @typedef {object} Constants
+ * @property {number} totalMilestones
+ * @property {number} periodInterval - Seconds
+ * @property {number} requiredGoodPeriods
+ * @property {number} waitRule - Seconds
+ * @property {bigint|null} startPrice - 1e9 units
+ * @property {bigint|null} multiplierNum
+ * @property {bigint|null} multiplierDen
+ */
+
+/**
+ * @typedef {object} VaultInfo
+ * @property {string} token - FAIR token address
+ * @property {bigint} balance - FAIR held by the contract
+ * @property {bigint} deposited
+ * @property {bigint} perMilestone
+ * @property {number} milestonesUnlocked
+ * @property {boolean} initialized
+ */
+
+/**
+ * @typedef {object} Cooldown
+ * @property {number} lastUnlockTime - Seconds (TGE before the first unlock)
+ * @property {number} waitRule - Seconds
+ * @property {number} endsAt - Seconds; 0 when no cooldown applies to the milestone
+ */
+
+/**
+ * Price target of a milestone from the contract constants (START_PRICE × 1.5^(id-1), rounded down each step)
+ * @param {Pick<Constants, "startPrice" | "multiplierNum" | "multiplierDen">} constants
+ * @param {number} milestoneId
+ * @returns {bigint}
+ */
+export function computePriceTarget({ startPrice, multiplierNum, multiplierDen }, milestoneId) {
+  let target = startPrice;
+  for (let i = 1; i < milestoneId; i++) {
+    target = (target * multiplierNum) / multiplierDen;
+  }
+  return target;
+}
+
+function milestoneIds() {
+  return Array.from({ length: TOTAL_MILESTONES }, (_, i) => i + 1);
+}
+
+function currentFromFlags(flags) {
+  const index = flags.indexOf(false);
+  return index === -1 ? 0 : index + 1;
+}
+
+/**
+ * FAIRVault exempts milestone 1 from the cooldown; FAIRTestnet / FAIR apply it from TGE
+ * @returns {Cooldown}
+ */
+function cooldownFor(type, milestoneId, lastUnlockTime, waitRule) {
+  const exempt = type === "vault" && milestoneId === 1;
+  return { lastUnlockTime, waitRule, endsAt: exempt ? 0 : lastUnlockTime + waitRule };
+}
+
+export class FairVaultClient {
+  /**
+   * @param {string} address - FAIRVault / FAIRTestnet / FAIR address
+   * @param {ethers.ContractRunner} runner - Provider or signer
+   * @param {object} [options]
+   * @param {"vault"|"fair"} [options.type] - Detected on first use when omitted
+   * @param {string|false} [options.multicall] - Multicall3 address, false for one eth_call per read
+   */
+  constructor(address, runner, { type, multicall = MULTICALL3_ADDRESS } = {}) {
+    if (type !== undefined && !CONTRACT_TYPES.includes(type)) {
+      throw new Error(`Unknown contract type "${type}" (expected ${CONTRACT_TYPES.join(" or ")})`);
+    }
+    this.address = address;
+    this.provider = runner.provider ?? runner;
+    // Reads never need the signer; without Multicall3 the reader is the provider itself
+    this.reader = multicall === false
+      ? { provider: this.provider, call: (tx) => this.provider.call(tx), isBatching: () => false }
+      : createMulticallRunner(this.provider, { address: multicall });
+    this.contract = new ethers.Contract(address, FAIR_VAULT_READ_ABI, this.reader);
+    this.type = type ?? null;
+    this.constants = null;
+  }
+
+  /**
+   * Client for an existing Contract (same address and runner)
+   * @param {ethers.Contract} contract
+   * @param {object} [options] - See constructor
+   */
+  static from(contract, options) {
+    return new FairVaultClient(contract.target, contract.runner, options);
+  }
+
+  /**
+   * "vault" when the contract has FAIRVault's initialized(), else "fair"
+   * @returns {Promise<"vault"|"fair">}
+   */
+  async getType() {
+    if (!this.type) {
+      this.type = await this.contract.initialized().then(() => "vault", () => "fair");
+    }
+    return this.type;
+  }
+
+  /**
+   * Contract constants (read once; concurrent callers share the same read)
+   * @returns {Promise<Constants>}
+   */
+  getConstants() {
+    if (!this.constants) {
+      this.constants = this.readConstants().catch((error) => {
+        this.constants = null;
+        throw error;
+      });
+    }
+    return this.constants;
+  }
+
+  /** @returns {Promise<Constants>} */
+  async readConstants() {
+    const c = this.contract;
+    const [totalMilestones, periodInterval, requiredGoodPeriods, waitRule, startPrice, multiplierNum, multiplierDen] = await Promise.all([
+      // FAIRTestnet / FAIR have no TOTAL_MILESTONES getter
+      c.TOTAL_MILESTONES().catch(() => TOTAL_MILESTONES),
+      c.PERIOD_INTERVAL(),
+      c.REQUIRED_GOOD_PERIODS(),
+      c.WAIT_RULE(),
+      // Only needed to compute price targets; null where the contract does not expose them
+      c.START_PRICE().catch(() => null),
+      c.PRICE_MULTIPLIER_NUM().catch(() => null),
+      c.PRICE_MULTIPLIER_DEN().catch(() => null),
+    ]);
+    return {
+      totalMilestones: Number(totalMilestones),
+      periodInterval: Number(periodInterval),
+      requiredGoodPeriods: Number(requiredGoodPeriods),
+      waitRule: Number(waitRule),
+      startPrice,
+      multiplierNum,
+      multiplierDen,
+    };
+  }
+
+  /**
+   * milestoneUnlocked() of every milestone, index 0 = milestone 1
+   * @returns {Promise<boolean[]>}
+   */
+  getUnlockedFlags() {
+    return Promise.all(milestoneIds().map((id) => this.contract.milestoneUnlocked(id)));
+  }
+
+  /**
+   * milestonePriceTarget() of every milestone, index 0 = milestone 1
+   * @returns {Promise<bigint[]>}
+   */
+  getPriceTargets() {
+    return Promise.all(milestoneIds().map((id) => this.contract.milestonePriceTarget(id)));
+  }
+
+  /**
+   * First milestone not yet unlocked (0 = all unlocked)
+   * @returns {Promise<number>}
+   */
+  async findCurrentMilestone() {
+    return currentFromFlags(await this.getUnlockedFlags());
+  }
+
+  /**
+   * getMilestoneStatus() decoded the same way for every contract type
+   * @param {number} milestoneId
+   * @param {object} [overrides] - Call overrides, e.g. { blockTag: "latest" }
+   * @returns {Promise<MilestoneStatus>}
+   */
+  async getMilestoneStatus(milestoneId, overrides = {}) {
+    const [unlocked, goodPeriods, priceTarget, currentPrice] = await this.contract.getMilestoneStatus(milestoneId, overrides);
+    return { id: milestoneId, unlocked, goodPeriods, priceTarget, currentPrice };
+  }
+
+  /**
+   * canUnlockMilestone(): whether tryUnlock() would unlock now, with the contract's reason string
+   * @param {number} milestoneId
+   * @param {object} [overrides] - Call overrides
+   * @returns {Promise<{ canUnlock: boolean, reason: string }>}
+   */
+  async canUnlock(milestoneId, overrides = {}) {
+    const [canUnlock, reason] = await this.contract.canUnlockMilestone(milestoneId, overrides);
+    return { canUnlock, reason };
+  }
+
+  /**
+   * Every milestone with its pending flag. Milestones whose getMilestoneStatus() reverts are read
+   * field by field (price target computed from the constants when the mapping is empty).
+   * @returns {Promise<Milestone[]>}
+   */
+  async getMilestones() {
+    const ids = milestoneIds();
+    const [constants, pendingFlags, statuses] = await Promise.all([
+      this.getConstants(),
+      // FAIR / FAIRTestnet have no milestonePending(): the revert reads as false
+      Promise.all(ids.map((id) => this.contract.milestonePending(id).catch(() => false))),
+      Promise.allSettled(ids.map((id) => this.getMilestoneStatus(id))),
+    ]);
+    return Promise.all(ids.map(async (id, i) => {
+      const pending = pendingFlags[i];
+      if (statuses[i].status === "fulfilled") {
+        return { ...statuses[i].value, pending, statusAvailable: true };
+      }
+      const [unlocked, goodPeriods, priceTarget] = await Promise.all([
+        this.contract.milestoneUnlocked(id).catch(() => false),
+        this.contract.milestoneGoodPeriods(id).catch(() => 0n),
+        this.contract.milestonePriceTarget(id).catch(() => 0n),
+      ]);
+      return {
+        id,
+        unlocked,
+        goodPeriods,
+        priceTarget: priceTarget || (constants.startPrice === null ? 0n : computePriceTarget(constants, id)),
+        currentPrice: 0n,
+        pending,
+        statusAvailable: false,
+      };
+    }));
+  }
+
+  /**
+   * Cooldown before the next unlock. FAIRVault exempts milestone 1; FAIRTestnet / FAIR apply it from TGE.
+   * @param {number} milestoneId
+   * @returns {Promise<Cooldown>}
+   */
+  async getCooldown(milestoneId) {
+    const [lastUnlockTime, { waitRule }, type] = await Promise.all([
+      this.contract.lastUnlockTime().then(Number),
+      this.getConstants(),
+      this.getType(),
+    ]);
+    return cooldownFor(type, milestoneId, lastUnlockTime, waitRule);
+  }
+
+  /**
+   * Timestamp (seconds) of the milestone's last recorded good period (0 = none yet)
+   * @param {number} milestoneId
+   */
+  async getLastGoodPeriod(milestoneId) {
+    return Number(await this.contract.milestoneLastGoodPeriodTimestamp(milestoneId));
+  }
+
+  /**
+   * Earliest time (ms) the contract will record another good period for a milestone
+   * @param {number} milestoneId
+   */
+  async getNextPeriodBoundary(milestoneId) {
+    const [lastGoodPeriod, { periodInterval }] = await Promise.all([this.getLastGoodPeriod(milestoneId), this.getConstants()]);
+    return (lastGoodPeriod + periodInterval) * 1000;
+  }
+
+  /**
+   * getVaultInfo(), or the same fields read one by one when it reverts. FAIR / FAIRTestnet hold
+   * their own supply: token is the contract itself and it is always initialized.
+   * @returns {Promise<VaultInfo>}
+   */
+  async getVaultInfo() {
+    const c = this.contract;
+    if ((await this.getType()) === "fair") {
+      const token = new ethers.Contract(this.address, ERC20_READ_ABI, this.reader);
+      const [balance, perMilestone, milestonesUnlocked] = await Promise.all([
+        token.balanceOf(this.address),
+        c.MILESTONE_UNLOCK_AMOUNT().catch(() => 0n),
+        this.countUnlocked(),
+      ]);
+      return { token: this.address, balance, deposited: 0n, perMilestone, milestonesUnlocked, initialized: true };
+    }
+
+    try {
+      const info = await c.getVaultInfo();
+      return {
+        token: info.token,
+        balance: info.balance,
+        deposited: info.deposited,
+        perMilestone: info.perMilestone,
+        milestonesUnlocked: Number(info.milestonesUnlocked),
+        initialized: info.isInitialized,
+      };
+    } catch {
+      const [token, initialized, deposited, perMilestone, milestonesUnlocked] = await Promise.all([
+        c.fairToken(),
+        c.initialized().catch(() => false),
+        c.totalDeposited().catch(() => 0n),
+        c.milestoneUnlockAmount().catch(() => 0n),
+        this.countUnlocked(),
+      ]);
+      const balance = token === ethers.ZeroAddress
+        ? 0n
+        : await new ethers.Contract(token, ERC20_READ_ABI, this.reader).balanceOf(this.address).catch(() => 0n);
+      return { token, balance, deposited, perMilestone, milestonesUnlocked, initialized };
+    }
+  }
+
+  /**
+   * Number of unlocked milestones
+   * @returns {Promise<number>}
+   */
+  async countUnlocked() {
+    const flags = await Promise.all(milestoneIds().map((id) => this.contract.milestoneUnlocked(id).catch(() => false)));
+    return flags.filter(Boolean).length;
+  }
+
+  /**
+   * Milestones earned while the vault was underfunded, with what it holds to pay them
+   * (always empty for FAIR / FAIRTestnet, which mint from their own supply)
+   * @returns {Promise<{ pending: number[], perMilestone: bigint, balance: bigint, token: string }>}
+   */
+  async getPendingMilestones() {
+    const ids = milestoneIds();
+    const [info, type, flags] = await Promise.all([
+      this.getVaultInfo(),
+      this.getType(),
+      Promise.allSettled(ids.map((id) => this.contract.milestonePending(id))),
+    ]);
+    if (type !== "vault") {
+      return { pending: [], perMilestone: info.perMilestone, balance: info.balance, token: info.token };
+    }
+    const failed = flags.find((flag) => flag.status === "rejected");
+    if (failed) throw failed.reason;
+    return {
+      pending: ids.filter((_, i) => flags[i].value),
+      perMilestone: info.perMilestone,
+      balance: info.balance,
+      token: info.token,
+    };
+  }
+
+  /**
+   * Oracle address and whether the owner froze it (always false on FAIR / FAIRTestnet)
+   * @returns {Promise<{ address: string, frozen: boolean }>}
+   */
+  async getOracle() {
+    const [address, frozen] = await Promise.all([
+      this.contract.priceOracle(),
+      this.contract.oracleFrozen().catch(() => false),
+    ]);
+    return { address, frozen };
+  }
+
+  /**
+   * Price straight from the oracle (throws when getPrice() reverts, unlike getMilestoneStatus())
+   * @returns {Promise<bigint>} 1e9 units
+   */
+  async getPrice() {
+    const { address } = await this.getOracle();
+    if (address === ethers.ZeroAddress) {
+      throw new Error("Oracle not set");
+    }
+    return new ethers.Contract(address, ORACLE_READ_ABI, this.reader).getPrice();
+  }
+
+  /**
+   * When and at what price each milestone unlocked, from MilestoneUnlocked events (FAIRVault)
+   * @param {object} [options]
+   * @param {number} [options.fromBlock]
+   * @returns {Promise<Map<number, { timestamp: number, twapPrice: bigint, spotPrice: bigint, blockNumber: number }>>}
+   */
+  async getUnlockHistory({ fromBlock = 0 } = {}) {
+    const events = await this.contract.queryFilter(this.contract.filters.MilestoneUnlocked(), fromBlock);
+    const history = new Map();
+    for (const { args, blockNumber } of events) {
+      history.set(Number(args.milestoneId), {
+        timestamp: Number(args.timestamp),
+        twapPrice: args.twapPrice,
+        spotPrice: args.spotPrice,
+        blockNumber,
+      });
+    }
+    return history;
+  }
+
+  /**
+   * Everything decision.js needs, at the latest block, in one round trip. The current milestone
+   * is not known before the reads return, so status and last good period are read for every
+   * milestone in the same batch. Reads that fail are left null and their error message is put in
+   * `errors` so the caller decides how loudly to report them.
+   * @returns {Promise<import("../keeper/decision.js").Snapshot & {
+   *   oracle: string,
+   *   errors: { status?: string, cooldown?: string, lastGoodPeriod?: string }
+   * }>}
+   */
+  async getSnapshot() {
+    const ids = milestoneIds();
+    const [now, initialized, oracle, flags, constants, [lastUnlockTime], statuses, lastGoodPeriods] = await Promise.all([
+      getBlockTimestamp(this.reader),
+      // Reverts on FAIR / FAIRTestnet, which have no initialize step
+      this.contract.initialized().catch(() => null),
+      this.contract.priceOracle(),
+      this.getUnlockedFlags(),
+      this.getConstants(),
+      Promise.allSettled([this.contract.lastUnlockTime()]),
+      Promise.allSettled(ids.map((id) => this.getMilestoneStatus(id))),
+      Promise.allSettled(ids.map((id) => this.getLastGoodPeriod(id))),
+    ]);
+    this.type ??= initialized === null ? "fair" : "vault";
+    const milestone = currentFromFlags(flags);
+
+    const snapshot = {
+      now,
+      initialized: this.type === "vault" ? initialized : true,
+      oracleSet: oracle !== ethers.ZeroAddress,
+      oracle,
+      milestone,
+      status: null,
+      cooldownEnd: null,
+      lastGoodPeriod: null,
+      periodInterval: constants.periodInterval,
+      requiredGoodPeriods: constants.requiredGoodPeriods,
+      releasable: [],
+      errors: {},
+    };
+    if (milestone === 0 || !snapshot.initialized || !snapshot.oracleSet) {
+      return snapshot;
+    }
+
+    const status = statuses[milestone - 1];
+    if (status.status === "fulfilled") {
+      const { goodPeriods, priceTarget, currentPrice } = status.value;
+      snapshot.status = { goodPeriods, priceTarget, currentPrice };
+    } else {
+      snapshot.errors.status = status.reason.message;
+    }
+    if (lastUnlockTime.status === "fulfilled") {
+      snapshot.cooldownEnd = cooldownFor(this.type, milestone, Number(lastUnlockTime.value), constants.waitRule).endsAt;
+    } else {
+      snapshot.errors.cooldown = lastUnlockTime.reason.message;
+    }
+    const lastGoodPeriod = lastGoodPeriods[milestone - 1];
+    if (lastGoodPeriod.status === "fulfilled") {
+      snapshot.lastGoodPeriod = lastGoodPeriod.value;
+    } else {
+      snapshot.errors.lastGoodPeriod = lastGoodPeriod.reason.message;
+    }
+    return snapshot;
+  }
+}
@@ -0,0 +1,169 @@
+// scripts/shared/logger.js
+// Structured logger: one JSON object per line on disk, pretty or JSON on the console
+//
+// Files rotate when they exceed LOG_MAX_SIZE_MB or are older than LOG_MAX_AGE_HOURS;
+// only the newest LOG_MAX_FILES rotated files are kept.
+//
+// ENV:
+//   LOG_LEVEL=info            debug | info | warn | error
+//   LOG_FORMAT=pretty         Console format: pretty | json
+//   LOG_MAX_SIZE_MB=10
+//   LOG_MAX_AGE_HOURS=24
+//   LOG_MAX_FILES=14
+
+import fs from "fs";
+import path from "path";
+import "dotenv/config";
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function parseLevel(value) {
+  const level = (value || "info").toLowerCase();
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${value}. Use: debug, info, warn, or error`);
+  }
+  return level;
+}
+
+// BigInt is common in contract reads and JSON.stringify rejects it
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+// Scoped fields (cycle, milestone, txHash, ...) are printed along with the call's own;
+// the vault a keeper line belongs to leads it
+function formatPretty(entry) {
+  const { time, level, msg, vault, ...fields } = entry;
+  let line = vault === undefined ? `[${time}] ${msg}` : `[${time}] [${vault}] ${msg}`;
+  const extra = Object.entries(fields);
+  if (extra.length > 0) {
+    line += " " + extra.map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v, jsonReplacer) : v}`).join(" ");
+  }
+  return line;
+}
+
+/**
+ * Size/age-rotating append-only file
+ * @param {object} options
+ * @param {string} options.dir
+ * @param {string} options.name - Active file is <dir>/<name>.log
+ * @param {number} options.maxBytes
+ * @param {number} options.maxAgeMs
+ * @param {number} options.maxFiles - Rotated files kept
+ */
+export function createRotatingFile({ dir, name, maxBytes, maxAgeMs, maxFiles }) {
+  const file = path.join(dir, `${name}.log`);
+  let fd = null;
+  let size = 0;
+  let openedAt = 0;
+
+  function open() {
+    fs.mkdirSync(dir, { recursive: true });
+    fd = fs.openSync(file, "a");
+    const stat = fs.fstatSync(fd);
+    size = stat.size;
+    openedAt = size > 0 ? (stat.birthtimeMs || stat.mtimeMs) : Date.now();
+  }
+
+  function prune() {
+    const rotated = fs.readdirSync(dir)
+      .filter((f) => f.startsWith(`${name}.`) && f.endsWith(".log") && f !== `${name}.log`)
+      .sort()
+      .reverse();
+    for (const old of rotated.slice(maxFiles)) {
+      fs.rmSync(path.join(dir, old), { force: true });
+    }
+  }
+
+  function rotate() {
+    fs.closeSync(fd);
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    fs.renameSync(file, path.join(dir, `${name}.${stamp}.log`));
+    prune();
+    open();
+  }
+
+  /**
+   * Append one line, rotating first if needed
+   * @param {string} line - Without trailing newline
+   */
+  function write(line) {
+    if (fd === null) open();
+    const data = line + "\n";
+    if (size > 0 && (size + Buffer.byteLength(data) > maxBytes || Date.now() - openedAt > maxAgeMs)) {
+      rotate();
+    }
+    fs.writeSync(fd, data);
+    size += Buffer.byteLength(data);
+  }
+
+  function close() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  return { file, write, close };
+}
+
+/**
+ * Create a logger
+ * @param {object} options
+ * @param {string} options.name - Log file base name (e.g. 'keeper-mainnet')
+ * @param {string} [options.dir] - Log directory; omit to log to the console only
+ * @param {object} [options.context] - Fields attached to every entry
+ * @param {string} [options.level] - Minimum level (default LOG_LEVEL or 'info')
+ * @param {boolean} [options.pretty] - Human-readable console output (default unless LOG_FORMAT=json)
+ */
+export function createLogger({
+  name,
+  dir,
+  context = {},
+  level = process.env.LOG_LEVEL,
+  pretty = (process.env.LOG_FORMAT || "pretty") !== "json",
+} = {}) {
+  const minLevel = LEVELS[parseLevel(level)];
+  const sink = dir
+    ? createRotatingFile({
+        dir,
+        name,
+        maxBytes: parseFloat(process.env.LOG_MAX_SIZE_MB || "10") * 1024 * 1024,
+        maxAgeMs: parseFloat(process.env.LOG_MAX_AGE_HOURS || "24") * 60 * 60 * 1000,
+        maxFiles: parseInt(process.env.LOG_MAX_FILES || "14", 10),
+      })
+    : null;
+
+  // `scopes` are read on every write, so fields added to a child's object later
+  // (milestone, txHash, ...) show up on subsequent entries
+  function build(scopes) {
+    function emit(levelName, msg, fields = {}) {
+      if (LEVELS[levelName] < minLevel) return;
+      const entry = Object.assign({ time: new Date().toISOString(), level: levelName, msg }, ...scopes, fields);
+      const json = JSON.stringify(entry, jsonReplacer);
+
+      const out = LEVELS[levelName] >= LEVELS.warn ? console.error : console.log;
+      out(pretty ? formatPretty(entry) : json);
+
+      if (sink) {
+        try {
+          sink.write(json);
+        } catch (e) {
+          // A full disk must not take the process down with it
+          console.error(`[logger] Could not write ${sink.file}: ${e.message}`);
+        }
+      }
+    }
+
+    return {
+      debug: (msg, fields) => emit("debug", msg, fields),
+      info: (msg, fields) => emit("info", msg, fields),
+      warn: (msg, fields) => emit("warn", msg, fields),
+      error: (msg, fields) => emit("error", msg, fields),
+      child: (fields) => build([...scopes, fields]),
+      close: () => sink?.close(),
+    };
+  }
+
+  return build([context]);
+}
@@ -0,0 +1,50 @@
+// scripts/shared/logger.test.js
+// Tests for the structured logger's console output
+//
+// Usage:
+//   npm test
+//   node --test scripts/shared/logger.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger } from "./logger.js";
+
+// Console lines written while `fn` runs
+function captureConsole(t, fn) {
+  const lines = [];
+  t.mock.method(console, "log", (line) => lines.push(line));
+  t.mock.method(console, "error", (line) => lines.push(line));
+  fn();
+  return lines;
+}
+
+test("pretty: a child logger's line leads with its vault", (t) => {
+  const logger = createLogger({ name: "test", pretty: true });
+  const [line] = captureConsole(t, () => logger.child({ vault: "fair-main", network: "mainnet" }).info("Cycle started"));
+  assert.match(line, /^\[[^\]]+\] \[fair-main\] Cycle started network=mainnet$/);
+});
+
+test("pretty: fields added to a scope later appear on later lines", (t) => {
+  const logger = createLogger({ name: "test", pretty: true });
+  const scope = { cycle: 7 };
+  const vaultLog = logger.child({ vault: "fair-main" }).child(scope);
+  const lines = captureConsole(t, () => {
+    vaultLog.info("Checking");
+    scope.txHash = "0xabc";
+    vaultLog.warn("Sent", { milestone: 3n });
+  });
+  assert.match(lines[0], /\[fair-main\] Checking cycle=7$/);
+  assert.match(lines[1], /\[fair-main\] Sent cycle=7 txHash=0xabc milestone=3$/);
+});
+
+test("pretty: lines without a vault have no prefix", (t) => {
+  const logger = createLogger({ name: "test", pretty: true });
+  const [line] = captureConsole(t, () => logger.info("Keeper started", { vaults: 2 }));
+  assert.match(line, /^\[[^\]]+\] Keeper started vaults=2$/);
+});
+
+test("json: the vault stays a field", (t) => {
+  const logger = createLogger({ name: "test", pretty: false });
+  const [line] = captureConsole(t, () => logger.child({ vault: "fair-main" }).info("Cycle started"));
+  assert.deepEqual({ ...JSON.parse(line), time: undefined }, { time: undefined, level: "info", msg: "Cycle started", vault: "fair-main" });
+});
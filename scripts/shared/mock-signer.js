@@ -0,0 +1,98 @@
+// scripts/shared/mock-signer.js
+// Local stand-in for an external signer (SIGNER_BACKEND=remote)
+//
+// Holds one key in memory and answers the JSON-RPC methods RemoteSigner uses, the way clef or
+// web3signer would. For local testing only — it signs everything it is asked to.
+//
+// Usage:
+//   node scripts/shared/mock-signer.js
+//   SIGNER_BACKEND=remote SIGNER_URL=http://127.0.0.1:8550 node scripts/keeper/keeper.js local --once
+//
+// ENV:
+//   MOCK_SIGNER_PORT=8550
+//   MOCK_SIGNER_PRIVATE_KEY=0x...   Default: Hardhat account #0
+
+import { ethers } from "ethers";
+import http from "http";
+import "dotenv/config";
+
+const PORT = parseInt(process.env.MOCK_SIGNER_PORT || "8550", 10);
+const HARDHAT_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const wallet = new ethers.Wallet(process.env.MOCK_SIGNER_PRIVATE_KEY || HARDHAT_KEY);
+
+// JSON-RPC quantities → ethers transaction fields
+function fromRpcTransaction(tx) {
+  const quantity = (v) => (v == null ? undefined : BigInt(v));
+  return {
+    type: tx.type == null ? undefined : Number(tx.type),
+    chainId: quantity(tx.chainId),
+    nonce: tx.nonce == null ? undefined : Number(tx.nonce),
+    to: tx.to,
+    from: tx.from,
+    data: tx.data ?? tx.input,
+    value: quantity(tx.value),
+    gasLimit: quantity(tx.gas),
+    gasPrice: quantity(tx.gasPrice),
+    maxFeePerGas: quantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+    accessList: tx.accessList,
+  };
+}
+
+function checkAccount(address) {
+  if (ethers.getAddress(address) !== wallet.address) {
+    throw new Error(`Unknown account ${address}`);
+  }
+}
+
+const METHODS = {
+  eth_accounts: async () => [wallet.address],
+
+  eth_signTransaction: async ([tx]) => {
+    checkAccount(tx.from);
+    const raw = await wallet.signTransaction(fromRpcTransaction(tx));
+    const signed = ethers.Transaction.from(raw);
+    console.log(`Signed tx nonce ${signed.nonce} to ${signed.to} (${signed.hash})`);
+    return { raw, tx: signed.toJSON() };
+  },
+
+  personal_sign: async ([data, address]) => {
+    checkAccount(address);
+    return wallet.signMessage(ethers.getBytes(data));
+  },
+
+  eth_signTypedData_v4: async ([address, json]) => {
+    checkAccount(address);
+    const { domain, types, message } = JSON.parse(json);
+    delete types.EIP712Domain;
+    return wallet.signTypedData(domain, types, message);
+  },
+};
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", async () => {
+    let id = null;
+    let reply;
+    try {
+      const request = JSON.parse(body);
+      id = request.id ?? null;
+      const handler = METHODS[request.method];
+      if (!handler) {
+        reply = { jsonrpc: "2.0", id, error: { code: -32601, message: `Method ${request.method} not supported` } };
+      } else {
+        reply = { jsonrpc: "2.0", id, result: await handler(request.params || []) };
+      }
+    } catch (e) {
+      reply = { jsonrpc: "2.0", id, error: { code: -32000, message: e.message } };
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Mock signer for ${wallet.address} on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,136 @@
+// scripts/shared/multicall.js
+// Multicall3 batching for read calls
+//
+// createMulticallRunner() wraps a provider in an ethers ContractRunner whose call() queues every
+// eth_call made in the same tick and sends them as one Multicall3.aggregate3() (allowFailure per
+// call). Contracts built on the runner batch transparently: a reverted call rejects with the same
+// CALL_EXCEPTION, revert data included, that a direct eth_call would.
+//
+// Falls back to individual eth_calls when Multicall3 is not deployed (bare Hardhat node: the first
+// aggregate3() returns no data and batching is switched off for that runner) and, for that batch
+// only, when an aggregate3() request fails.
+//
+// Isomorphic: depends on ethers only, like fair-vault-client.js which builds on it.
+
+import { ethers } from "ethers";
+
+// Same address on Base, Base Sepolia and most EVM chains
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+export const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+];
+
+// Calls per aggregate3(); larger queues are split and the chunks sent in parallel
+const MAX_BATCH = 100;
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// One runner per provider and Multicall3 address, so clients sharing a provider share batches
+const runners = new WeakMap();
+
+/**
+ * ContractRunner batching eth_calls through Multicall3
+ * @param {ethers.Provider} provider
+ * @param {object} [options]
+ * @param {string} [options.address] - Multicall3 address
+ * @param {number} [options.maxBatch]
+ * @returns {{ provider: ethers.Provider, address: string, call: (tx: object) => Promise<string>, isBatching: () => boolean }}
+ */
+export function createMulticallRunner(provider, { address = MULTICALL3_ADDRESS, maxBatch = MAX_BATCH } = {}) {
+  const perProvider = runners.get(provider) ?? new Map();
+  runners.set(provider, perProvider);
+  if (perProvider.has(address)) return perProvider.get(address);
+
+  let queue = [];
+  let available = true;
+
+  function callEach(entries) {
+    for (const { tx, resolve, reject } of entries) {
+      provider.call(tx).then(resolve, reject);
+    }
+  }
+
+  async function sendBatch(entries) {
+    if (entries.length === 1) {
+      callEach(entries);
+      return;
+    }
+    let results;
+    try {
+      const raw = await provider.call({
+        to: address,
+        data: multicallInterface.encodeFunctionData("aggregate3", [
+          entries.map(({ tx }) => ({ target: tx.to, allowFailure: true, callData: tx.data })),
+        ]),
+      });
+      if (raw === "0x") {
+        available = false;
+        throw new Error(`Multicall3 not deployed at ${address}`);
+      }
+      [results] = multicallInterface.decodeFunctionResult("aggregate3", raw);
+    } catch {
+      callEach(entries);
+      return;
+    }
+
+    results.forEach(([success, returnData], i) => {
+      const { tx, resolve, reject } = entries[i];
+      if (success) {
+        resolve(returnData);
+      } else {
+        reject(ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+          action: "call",
+          data: returnData,
+          reason: null,
+          transaction: { to: tx.to, data: tx.data },
+          invocation: null,
+          revert: null,
+        }));
+      }
+    });
+  }
+
+  function flush() {
+    const entries = queue;
+    queue = [];
+    for (let i = 0; i < entries.length; i += maxBatch) {
+      sendBatch(entries.slice(i, i + maxBatch));
+    }
+  }
+
+  const runner = {
+    provider,
+    address,
+    isBatching: () => available,
+    call(tx) {
+      // Calls pinned to a block, sender or value keep their own eth_call
+      if (!available || tx.blockTag != null || tx.from != null || tx.value) {
+        return provider.call(tx);
+      }
+      return new Promise((resolve, reject) => {
+        if (queue.length === 0) setTimeout(flush, 0);
+        queue.push({ tx, resolve, reject });
+      });
+    },
+  };
+  perProvider.set(address, runner);
+  return runner;
+}
+
+/**
+ * Latest block timestamp (seconds), batched with the other reads when Multicall3 is available
+ * @param {ReturnType<typeof createMulticallRunner>} runner
+ */
+export async function getBlockTimestamp(runner) {
+  if (runner.isBatching()) {
+    try {
+      const multicall = new ethers.Contract(runner.address, MULTICALL3_ABI, runner);
+      return Number(await multicall.getCurrentBlockTimestamp());
+    } catch {
+      // Not deployed: fall through to the block header
+    }
+  }
+  return (await runner.provider.getBlock("latest")).timestamp;
+}
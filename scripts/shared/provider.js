@@ -1,16 +1,363 @@
 // scripts/shared/provider.js
 // Provider and wallet utilities
+//
+// With more than one RPC URL configured (BASE_MAINNET_RPC_URLS / BASE_SEPOLIA_RPC_URLS),
+// getProvider() returns a FailoverProvider: requests go to the first healthy endpoint and
+// move to the next on transport errors or when an endpoint falls behind the best block height.
+//
+// ENV:
+//   RPC_TIMEOUT_MS=10000          Per-request timeout
+//   RPC_HEALTH_CHECK_MS=30000     How often every endpoint's block height is checked
+//   RPC_MAX_BLOCK_LAG=5           Blocks an endpoint may trail the best one before it is skipped
+//
+// Signers (getSigner): pick a backend so no raw key has to live in .env
+//   SIGNER_BACKEND=key            key | keystore | remote
+//   PRIVATE_KEY=0x...             key backend
+//   KEYSTORE_PATH=./deployer.json keystore backend: encrypted JSON keystore (geth / `cast wallet`)
+//   KEYSTORE_PASSWORD=...         keystore backend (or KEYSTORE_PASSWORD_FILE)
+//   SIGNER_URL=http://127.0.0.1:8550  remote backend: JSON-RPC signer answering eth_signTransaction
+//   SIGNER_ADDRESS=0x...          remote backend: account to use (default: first of eth_accounts)
+// The keeper reads the same variables with a KEEPER_ prefix first (KEEPER_SIGNER_BACKEND, ...).
 
 import { ethers } from "ethers";
 import { getNetworkConfig } from "./config.js";
+import fs from "fs";
 import "dotenv/config";
 
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || "10000", 10);
+const RPC_HEALTH_CHECK_MS = parseInt(process.env.RPC_HEALTH_CHECK_MS || "30000", 10);
+const RPC_MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG || "5", 10);
+
+/**
+ * Strip credentials from an RPC URL for logging (API keys usually live in the path)
+ * @param {string} url
+ */
+export function redactRpcUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch {
+    return "<invalid url>";
+  }
+}
+
+/**
+ * JSON-RPC provider over several endpoints in priority order
+ *
+ * Transport failures (timeouts, HTTP errors, connection resets) move the request to the next
+ * endpoint; JSON-RPC error responses such as reverts are returned as-is. A background health check
+ * marks endpoints down or stale so requests skip them until they recover.
+ */
+export class FailoverProvider extends ethers.JsonRpcProvider {
+  #endpoints;
+  #active = 0;
+  #timer = null;
+  #log;
+  #ready;
+
+  /**
+   * @param {string[]} urls - Priority order
+   * @param {number} chainId
+   * @param {object} [options]
+   * @param {(message: string) => void} [options.log]
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.healthCheckMs]
+   * @param {number} [options.maxBlockLag]
+   */
+  constructor(urls, chainId, options = {}) {
+    if (urls.length === 0) {
+      throw new Error("FailoverProvider needs at least one RPC URL");
+    }
+    super(urls[0], ethers.Network.from(chainId), { staticNetwork: true });
+
+    this.timeoutMs = options.timeoutMs ?? RPC_TIMEOUT_MS;
+    this.maxBlockLag = options.maxBlockLag ?? RPC_MAX_BLOCK_LAG;
+    this.#log = options.log ?? console.log;
+    this.#endpoints = urls.map((url) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = this.timeoutMs;
+      return { url, name: redactRpcUrl(url), request, healthy: true, blockNumber: null, lastError: null };
+    });
+
+    this.#ready = this.checkHealth();
+    const healthCheckMs = options.healthCheckMs ?? RPC_HEALTH_CHECK_MS;
+    if (healthCheckMs > 0) {
+      this.#timer = setInterval(() => this.checkHealth(), healthCheckMs);
+      // Never keep a one-shot script alive just for health checks
+      this.#timer.unref();
+    }
+  }
+
+  async #post(endpoint, payload) {
+    const request = endpoint.request.clone();
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+    const response = await request.send();
+    response.assertOk();
+    const body = response.bodyJson;
+    return Array.isArray(body) ? body : [body];
+  }
+
+  #usable(endpoint, bestBlock) {
+    return endpoint.healthy && (endpoint.blockNumber === null || bestBlock - endpoint.blockNumber <= this.maxBlockLag);
+  }
+
+  #select() {
+    const bestBlock = Math.max(0, ...this.#endpoints.map((e) => e.blockNumber ?? 0));
+    const next = this.#endpoints.findIndex((e) => this.#usable(e, bestBlock));
+    // Everything looks down: keep the current endpoint rather than refusing to try
+    const index = next === -1 ? this.#active : next;
+    if (index !== this.#active) {
+      const from = this.#endpoints[this.#active];
+      const to = this.#endpoints[index];
+      let why = "higher-priority endpoint recovered";
+      if (!from.healthy) {
+        why = `${from.name} down: ${from.lastError}`;
+      } else if (!this.#usable(from, bestBlock)) {
+        why = `${from.name} ${bestBlock - from.blockNumber} block(s) behind`;
+      }
+      this.#log(`🔀 RPC failover → ${to.name} (${why})`);
+      this.#active = index;
+    }
+  }
+
+  /**
+   * Poll eth_blockNumber on every endpoint and re-pick the active one
+   */
+  async checkHealth() {
+    await Promise.all(this.#endpoints.map(async (endpoint) => {
+      try {
+        const [resp] = await this.#post(endpoint, { method: "eth_blockNumber", params: [], id: 1, jsonrpc: "2.0" });
+        if (resp.error) throw new Error(resp.error.message);
+        endpoint.blockNumber = Number(resp.result);
+        endpoint.healthy = true;
+        endpoint.lastError = null;
+      } catch (e) {
+        endpoint.healthy = false;
+        endpoint.lastError = e.shortMessage || e.message;
+      }
+    }));
+    this.#select();
+  }
+
+  /**
+   * Current endpoint states, for diagnostics
+   */
+  getEndpoints() {
+    return this.#endpoints.map((e, i) => ({
+      url: e.name,
+      active: i === this.#active,
+      healthy: e.healthy,
+      blockNumber: e.blockNumber,
+      lastError: e.lastError,
+    }));
+  }
+
+  async _send(payload) {
+    await this.#ready;
+    let lastError;
+    // Active endpoint first, then the rest in priority order
+    const order = [this.#active, ...this.#endpoints.keys()].filter((v, i, a) => a.indexOf(v) === i);
+    for (const index of order) {
+      const endpoint = this.#endpoints[index];
+      if (index !== this.#active && !endpoint.healthy) continue;
+      try {
+        const result = await this.#post(endpoint, payload);
+        if (index !== this.#active) {
+          this.#select();
+        }
+        return result;
+      } catch (e) {
+        lastError = e;
+        endpoint.healthy = false;
+        endpoint.lastError = e.shortMessage || e.message;
+        this.#select();
+      }
+    }
+    throw lastError;
+  }
+
+  destroy() {
+    clearInterval(this.#timer);
+    super.destroy();
+  }
+}
+
+/**
+ * Signer that holds no key: transactions and messages are signed by an external process over
+ * JSON-RPC (clef, web3signer, a KMS bridge, or scripts/shared/mock-signer.js)
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  #request;
+
+  /**
+   * @param {string} url - Signer endpoint
+   * @param {string} address - Account the signer holds
+   * @param {ethers.JsonRpcProvider} [provider] - Chain the transactions are sent to
+   */
+  constructor(url, address, provider) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.#request = new ethers.FetchRequest(url);
+    this.#request.timeout = RPC_TIMEOUT_MS;
+  }
+
+  /**
+   * Call the signer's JSON-RPC endpoint
+   * @param {string} method
+   * @param {Array} params
+   */
+  static async call(url, method, params) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = RPC_TIMEOUT_MS;
+    request.body = JSON.stringify({ jsonrpc: "2.0", id: 1, method, params });
+    request.setHeader("content-type", "application/json");
+    const response = await request.send();
+    response.assertOk();
+    const { result, error } = response.bodyJson;
+    if (error) {
+      throw new Error(`Remote signer ${redactRpcUrl(url)} ${method} failed: ${error.message}`);
+    }
+    return result;
+  }
+
+  /**
+   * Connect to a remote signer, using its first account unless one is given
+   * @param {string} url
+   * @param {string} [address]
+   * @param {ethers.JsonRpcProvider} [provider]
+   */
+  static async create(url, address, provider) {
+    if (!address) {
+      const accounts = await RemoteSigner.call(url, "eth_accounts", []);
+      if (!accounts?.length) {
+        throw new Error(`Remote signer ${redactRpcUrl(url)} has no accounts`);
+      }
+      address = accounts[0];
+    }
+    return new RemoteSigner(url, address, provider);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  async signTransaction(tx) {
+    const populated = await this.populateTransaction(tx);
+    const result = await RemoteSigner.call(this.url, "eth_signTransaction", [
+      this.provider.getRpcTransaction({ ...populated, from: this.address }),
+    ]);
+    // geth/clef return { raw, tx }, others the raw hex string
+    const raw = typeof result === "string" ? result : result.raw;
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from !== this.address) {
+      throw new Error(`Remote signer signed as ${signed.from}, expected ${this.address}`);
+    }
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+    return RemoteSigner.call(this.url, "personal_sign", [ethers.hexlify(data), this.address.toLowerCase()]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return RemoteSigner.call(this.url, "eth_signTypedData_v4", [this.address.toLowerCase(), JSON.stringify(payload)]);
+  }
+}
+
+/**
+ * Signer settings from environment variables
+ * @param {string} [prefix] - e.g. 'KEEPER_' to read KEEPER_SIGNER_BACKEND before SIGNER_BACKEND
+ * @param {object} [env]
+ */
+export function getSignerConfig(prefix = "", env = process.env) {
+  const read = (name) => (prefix && env[`${prefix}${name}`]) || env[name];
+  const passwordFile = read("KEYSTORE_PASSWORD_FILE");
+  return {
+    backend: (read("SIGNER_BACKEND") || "key").toLowerCase(),
+    privateKey: read("PRIVATE_KEY"),
+    keystore: read("KEYSTORE_PATH"),
+    password: passwordFile ? fs.readFileSync(passwordFile, "utf8").trim() : read("KEYSTORE_PASSWORD"),
+    url: read("SIGNER_URL"),
+    address: read("SIGNER_ADDRESS"),
+  };
+}
+
+function readKeystore(file) {
+  if (!file) {
+    throw new Error("KEYSTORE_PATH not set in .env");
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Keystore not found: ${file}`);
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+/**
+ * Address a signer config signs as, without decrypting a keystore or signing anything
+ * @param {object} config - From getSignerConfig()
+ */
+export async function getSignerAddress(config) {
+  switch (config.backend) {
+    case "key":
+      if (!config.privateKey) throw new Error("PRIVATE_KEY not set in .env");
+      return ethers.computeAddress(config.privateKey.startsWith("0x") ? config.privateKey : `0x${config.privateKey}`);
+    case "keystore":
+      return ethers.getAddress(`0x${JSON.parse(readKeystore(config.keystore)).address.replace(/^0x/, "")}`);
+    case "remote":
+      return (await RemoteSigner.create(config.url, config.address)).address;
+    default:
+      throw new Error(`Unknown SIGNER_BACKEND: ${config.backend}. Use: key, keystore, or remote`);
+  }
+}
+
+/**
+ * Get a signer connected to provider, from whichever backend is configured
+ * @param {string} network - 'local', 'testnet', or 'mainnet'
+ * @param {object} [config] - From getSignerConfig() (defaults to the unprefixed env vars)
+ * @param {object|ethers.Provider} [options] - Passed to getProvider(), or an existing provider
+ * @returns {Promise<ethers.Signer & { address: string }>}
+ */
+export async function getSigner(network, config = getSignerConfig(), options) {
+  const provider = options instanceof ethers.AbstractProvider ? options : getProvider(network, options);
+
+  switch (config.backend) {
+    case "key":
+      return getWallet(network, config.privateKey, provider);
+    case "keystore": {
+      if (!config.password) {
+        throw new Error("KEYSTORE_PASSWORD (or KEYSTORE_PASSWORD_FILE) not set in .env");
+      }
+      const wallet = await ethers.Wallet.fromEncryptedJson(readKeystore(config.keystore), config.password);
+      return wallet.connect(provider);
+    }
+    case "remote":
+      if (!config.url) {
+        throw new Error("SIGNER_URL not set in .env");
+      }
+      return RemoteSigner.create(config.url, config.address, provider);
+    default:
+      throw new Error(`Unknown SIGNER_BACKEND: ${config.backend}. Use: key, keystore, or remote`);
+  }
+}
+
 /**
  * Get provider for specified network
  * @param {string} network - 'local', 'testnet', or 'mainnet'
+ * @param {object} [options] - FailoverProvider options when several RPC URLs are configured
  */
-export function getProvider(network) {
+export function getProvider(network, options) {
   const config = getNetworkConfig(network);
+  if (config.rpcUrls.length > 1) {
+    return new FailoverProvider(config.rpcUrls, config.chainId, options);
+  }
   return new ethers.JsonRpcProvider(config.rpcUrl);
 }
 
@@ -18,9 +365,10 @@ export function getProvider(network) {
  * Get wallet connected to provider
  * @param {string} network - 'local', 'testnet', or 'mainnet'
  * @param {string} [privateKey] - Optional private key (uses env if not provided)
+ * @param {object|ethers.Provider} [options] - Passed to getProvider(), or an existing provider
  */
-export function getWallet(network, privateKey) {
-  const provider = getProvider(network);
+export function getWallet(network, privateKey, options) {
+  const provider = options instanceof ethers.AbstractProvider ? options : getProvider(network, options);
   
   // For local, use Hardhat's default account
   if (network === "local") {
@@ -0,0 +1,187 @@
+// scripts/shared/safe-batch.js
+// Owner-only actions as a Safe Transaction Builder batch
+//
+// The vault owner (and an AggregateOracle owner) is meant to be a Safe. Instead of sending owner
+// actions with a key from .env, they are written as a batch file the Safe owners import in the
+// Transaction Builder app (Safe{Wallet} > Apps > Transaction Builder > drag and drop the file),
+// review, sign and execute:
+//
+// {
+//   "version": "1.0",
+//   "chainId": "8453",
+//   "createdAt": 1700000000000,
+//   "meta": { "name": "...", "description": "...", "createdFromSafeAddress": "0x...", "checksum": "0x..." },
+//   "transactions": [
+//     { "to": "0x...", "value": "0", "data": null,
+//       "contractMethod": { "name": "initialize", "inputs": [{ "name": "_totalLockedAmount", "type": "uint256", ... }], "payable": false },
+//       "contractInputsValues": { "_totalLockedAmount": "9000000000000000000000000000" } }
+//   ]
+// }
+//
+// Each transaction names its method and arguments (not raw calldata), so the Transaction Builder
+// shows them decoded. The checksum is the one the Transaction Builder computes, so it does not warn
+// that the file was modified.
+
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+/**
+ * Owner-only actions: the contract role they are sent to and their signature. The signatures are
+ * spelled out here so a batch can be built without compiled artifacts.
+ */
+export const OWNER_ACTIONS = {
+  initialize: { role: "vault", signature: "function initialize(uint256 _totalLockedAmount)" },
+  setOracle: { role: "vault", signature: "function setOracle(address _oracle)" },
+  freezeOracle: { role: "vault", signature: "function freezeOracle()" },
+  setOracleAndFreeze: { role: "vault", signature: "function setOracleAndFreeze(address _oracle)" },
+  addSource: { role: "aggregateOracle", signature: "function addSource(address source)" },
+  setSourceWeight: { role: "aggregateOracle", signature: "function setSourceWeight(address source, uint256 weight)" },
+  freeze: { role: "aggregateOracle", signature: "function freeze()" },
+};
+
+function getFragment(action) {
+  const entry = OWNER_ACTIONS[action];
+  if (!entry) {
+    throw new Error(`Unknown owner action "${action}". Use: ${Object.keys(OWNER_ACTIONS).join(", ")}`);
+  }
+  return ethers.FunctionFragment.from(entry.signature);
+}
+
+/**
+ * One Transaction Builder transaction for an owner action
+ * @param {string} action - Key of OWNER_ACTIONS
+ * @param {string} to - Contract address
+ * @param {Array} [args] - Method arguments (uint256 as bigint, number or decimal string)
+ * @returns {object}
+ */
+export function buildSafeTransaction(action, to, args = []) {
+  const fragment = getFragment(action);
+  if (args.length !== fragment.inputs.length) {
+    throw new Error(`${action} takes ${fragment.inputs.length} argument(s) (${fragment.inputs.map((i) => i.name).join(", ") || "none"}), got ${args.length}`);
+  }
+  // Encoding checks every argument before it goes into a file someone will sign
+  ethers.Interface.from([fragment]).encodeFunctionData(fragment, args);
+  return {
+    to: ethers.getAddress(to),
+    value: "0",
+    data: null,
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({ internalType: input.type, name: input.name, type: input.type })),
+      name: fragment.name,
+      payable: false,
+    },
+    contractInputsValues: Object.fromEntries(
+      fragment.inputs.map((input, i) => [input.name, input.type === "address" ? ethers.getAddress(args[i]) : args[i].toString()])
+    ),
+  };
+}
+
+/**
+ * Calldata of a batch transaction (what the Safe will call)
+ * @param {object} transaction - From buildSafeTransaction() or a batch file
+ * @returns {string}
+ */
+export function encodeSafeTransaction(transaction) {
+  if (transaction.data) return transaction.data;
+  const { name, inputs } = transaction.contractMethod;
+  const fragment = ethers.FunctionFragment.from({ type: "function", name, inputs, stateMutability: "nonpayable" });
+  return ethers.Interface.from([fragment]).encodeFunctionData(fragment, inputs.map((input) => transaction.contractInputsValues[input.name]));
+}
+
+// Key-sorted serialization the Transaction Builder hashes for its checksum
+function serialize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map((key) => `${serialize(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Transaction Builder checksum of a batch (computed with meta.name set to null)
+ * @param {object} batch
+ * @returns {string}
+ */
+export function calculateChecksum(batch) {
+  const { checksum, ...meta } = batch.meta;
+  return ethers.keccak256(ethers.toUtf8Bytes(serialize({ ...batch, meta: { ...meta, name: null } })));
+}
+
+/**
+ * A Transaction Builder batch
+ * @param {object} options
+ * @param {number|bigint} options.chainId
+ * @param {string} options.safe - Safe that executes the batch
+ * @param {string} options.name - Shown in the Transaction Builder
+ * @param {string} [options.description]
+ * @param {object[]} options.transactions - From buildSafeTransaction()
+ * @returns {object}
+ */
+export function createSafeBatch({ chainId, safe, name, description = "", transactions }) {
+  if (transactions.length === 0) {
+    throw new Error("A Safe batch needs at least one transaction");
+  }
+  const batch = {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safe),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+  return batch;
+}
+
+/**
+ * Write a batch file for the Transaction Builder
+ * @param {string} file
+ * @param {object} batch - From createSafeBatch()
+ */
+export function writeSafeBatch(file, batch) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+}
+
+/**
+ * Check each transaction with eth_call from the Safe. Transactions are simulated one by one on the
+ * current state, so one that relies on an earlier one in the batch (freezeOracle after setOracle)
+ * can fail here and still succeed in the batch.
+ * @param {ethers.Provider} provider
+ * @param {object} batch
+ * @returns {Promise<Array<{ transaction: object, ok: boolean, error?: string }>>}
+ */
+export async function simulateSafeBatch(provider, batch) {
+  const from = batch.meta.createdFromSafeAddress;
+  const results = [];
+  for (const transaction of batch.transactions) {
+    try {
+      await provider.call({ from, to: transaction.to, data: encodeSafeTransaction(transaction), value: 0n });
+      results.push({ transaction, ok: true });
+    } catch (error) {
+      results.push({ transaction, ok: false, error: error.reason || error.shortMessage || error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * One line per transaction, for logs
+ * @param {object} transaction
+ * @returns {string}
+ */
+export function describeSafeTransaction(transaction) {
+  const values = transaction.contractMethod.inputs.map((input) => transaction.contractInputsValues[input.name]);
+  return `${transaction.contractMethod.name}(${values.join(", ")}) on ${transaction.to}`;
+}
@@ -1,17 +1,14 @@
 // scripts/testnet/deploy.js
 // Deploy FAIR 10B to Base Sepolia testnet
-// Usage: node scripts/testnet/deploy.js
+// Usage: node scripts/testnet/deploy.js [--deployment <name>]
+//
+// Addresses are recorded in deployments/testnet.json (default deployment "testnet")
 
 import { ethers } from "ethers";
-import { getWallet, checkBalance } from "../shared/provider.js";
+import { getSigner, checkBalance } from "../shared/provider.js";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { getWalletAddresses, getNetworkConfig, TGE_TIMESTAMP, TOKENOMICS } from "../shared/config.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getWalletAddresses, getNetworkConfig, TGE_TIMESTAMP, PROFILES } from "../shared/config.js";
+import { saveDeployment, describeContract, getDeploymentName } from "../shared/deployments.js";
 
 async function main() {
   console.log("\n" + "=".repeat(70));
@@ -19,7 +16,7 @@ async function main() {
   console.log("=".repeat(70) + "\n");
 
   const config = getNetworkConfig("testnet");
-  const wallet = getWallet("testnet");
+  const wallet = await getSigner("testnet");
   const wallets = getWalletAddresses(false); // Use test addresses if not set
 
   console.log(`Network: ${config.name}`);
@@ -42,14 +39,15 @@ async function main() {
   const fairArtifact = loadArtifact(CONTRACTS.FAIR_TESTNET);
   const fairFactory = new ethers.ContractFactory(fairArtifact.abi, fairArtifact.bytecode, wallet);
 
-  const fair = await fairFactory.deploy(
+  const fairArgs = [
     wallet.address,
     wallets.treasury,
     wallets.liquidity,
     wallets.growth,
     wallets.team,
-    TGE_TIMESTAMP
-  );
+    TGE_TIMESTAMP,
+  ];
+  const fair = await fairFactory.deploy(...fairArgs);
 
   await fair.waitForDeployment();
   deployments.fair = await fair.getAddress();
@@ -75,9 +73,11 @@ async function main() {
   // 4. Set initial price
   console.log("Step 4: Setting initial price...");
   const oracleContract = new ethers.Contract(deployments.oracle, oracleArtifact.abi, wallet);
-  const priceTx = await oracleContract.setPrice(TOKENOMICS.START_PRICE);
+  // FAIRTestnet milestone 1 target
+  const { startPrice } = PROFILES.testnet.constants;
+  const priceTx = await oracleContract.setPrice(startPrice);
   await priceTx.wait();  // Wait for confirmation
-  console.log(`  ✅ Price: ${TOKENOMICS.START_PRICE} ($0.000010)\n`);
+  console.log(`  ✅ Price: ${startPrice} ($${(startPrice / 1e6).toFixed(6)})\n`);
 
   // 5. Verify
   console.log("Step 5: Verifying deployment...");
@@ -87,14 +87,14 @@ async function main() {
   console.log(`  Milestone 1 Target: ${milestone1Target} (1e9 units)\n`);
 
   // Save deployment info
-  const envPath = path.join(__dirname, ".env.testnet");
-  const envContent = `# Testnet Deployment - ${new Date().toISOString()}
-FAIR_ADDRESS=${deployments.fair}
-ORACLE_ADDRESS=${deployments.oracle}
-EXPLORER=${config.explorer}
-`;
-  fs.writeFileSync(envPath, envContent);
-  console.log(`✅ Saved to scripts/testnet/.env.testnet\n`);
+  const deploymentName = getDeploymentName() || "testnet";
+  const registryPath = saveDeployment("testnet", deploymentName, {
+    contracts: {
+      fair: await describeContract(fair, { name: CONTRACTS.FAIR_TESTNET, args: fairArgs, artifact: fairArtifact }),
+      oracle: await describeContract(oracle, { name: CONTRACTS.MOCK_ORACLE, args: [], artifact: oracleArtifact }),
+    },
+  }, { makeDefault: true });
+  console.log(`✅ Saved as "${deploymentName}" in ${registryPath}\n`);
 
   // Summary
   console.log("=".repeat(70));
@@ -3,41 +3,25 @@
 // Usage: node scripts/testnet/fix-price.js
 
 import { ethers } from "ethers";
-import { getWallet } from "../shared/provider.js";
+import { getSigner } from "../shared/provider.js";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
-import { TOKENOMICS } from "../shared/config.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { PROFILES } from "../shared/config.js";
+import { findAddress } from "../shared/deployments.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// FAIRTestnet milestone 1 target
+const START_PRICE = PROFILES.testnet.constants.startPrice;
 
 async function main() {
   console.log("\n🔧 Setting initial price on MockOracle...\n");
 
   // Load deployed addresses
-  const envPath = path.join(__dirname, ".env.testnet");
-  if (!fs.existsSync(envPath)) {
-    console.log("❌ No .env.testnet found. Run deploy.js first.");
-    return;
-  }
-
-  const env = fs.readFileSync(envPath, "utf8");
-  const addresses = {};
-  env.split("\n").forEach(line => {
-    const [key, value] = line.split("=");
-    if (key && value && !key.startsWith("#")) {
-      addresses[key.trim()] = value.trim();
-    }
-  });
-
+  const addresses = { ORACLE_ADDRESS: findAddress("testnet", "oracle") };
   if (!addresses.ORACLE_ADDRESS) {
-    console.log("❌ ORACLE_ADDRESS not found in .env.testnet");
+    console.log("❌ No testnet oracle in deployments/testnet.json. Run deploy.js first.");
     return;
   }
 
-  const wallet = getWallet("testnet");
+  const wallet = await getSigner("testnet");
   console.log(`Wallet: ${wallet.address}`);
   console.log(`Oracle: ${addresses.ORACLE_ADDRESS}`);
 
@@ -53,7 +37,7 @@ async function main() {
     const currentPrice = await oracle.getPrice();
     console.log(`Current price: ${currentPrice}`);
     
-    if (Number(currentPrice) === TOKENOMICS.START_PRICE) {
+    if (Number(currentPrice) === START_PRICE) {
       console.log("✅ Price already set correctly!\n");
       return;
     }
@@ -62,8 +46,8 @@ async function main() {
   }
 
   // Set price with explicit nonce and higher gas
-  console.log(`\nSetting price to ${TOKENOMICS.START_PRICE}...`);
-  const tx = await oracle.setPrice(TOKENOMICS.START_PRICE, {
+  console.log(`\nSetting price to ${START_PRICE}...`);
+  const tx = await oracle.setPrice(START_PRICE, {
     nonce,
     maxFeePerGas: ethers.parseUnits("2", "gwei"),
     maxPriorityFeePerGas: ethers.parseUnits("1", "gwei"),
@@ -73,7 +57,7 @@ async function main() {
   console.log("Waiting for confirmation...");
   await tx.wait();
   
-  console.log(`✅ Price set to ${TOKENOMICS.START_PRICE} ($0.000010)\n`);
+  console.log(`✅ Price set to ${START_PRICE} ($${(START_PRICE / 1e6).toFixed(6)})\n`);
 }
 
 main().catch((err) => {
@@ -5,29 +5,16 @@
 import { ethers } from "ethers";
 import { getWallet } from "../shared/provider.js";
 import { loadArtifact, CONTRACTS } from "../shared/artifacts.js";
+import { FairVaultClient } from "../shared/fair-vault-client.js";
 import { getNetworkConfig } from "../shared/config.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { findDeployment } from "../shared/deployments.js";
 
 function loadAddresses() {
-  const envPath = path.join(__dirname, ".env.testnet");
-  const addresses = {};
-  
-  if (fs.existsSync(envPath)) {
-    const env = fs.readFileSync(envPath, "utf8");
-    env.split("\n").forEach(line => {
-      const [key, value] = line.split("=");
-      if (key && value && !key.startsWith("#")) {
-        addresses[key.trim()] = value.trim();
-      }
-    });
-  }
-  
-  return addresses;
+  const deployment = findDeployment("testnet");
+  return {
+    FAIR_ADDRESS: deployment?.contracts.fair?.address,
+    ORACLE_ADDRESS: deployment?.contracts.oracle?.address,
+  };
 }
 
 async function main() {
@@ -54,6 +41,7 @@ async function main() {
   
   const fair = new ethers.Contract(addresses.FAIR_ADDRESS, fairArtifact.abi, wallet);
   const oracle = new ethers.Contract(addresses.ORACLE_ADDRESS, oracleArtifact.abi, wallet);
+  const client = FairVaultClient.from(fair, { type: "fair" });
 
   // Check token state
   console.log("Token State:");
@@ -70,35 +58,33 @@ async function main() {
   // Check milestone status
   console.log("Milestone Status:");
   for (let i = 1; i <= 3; i++) {
-    const status = await fair.getMilestoneStatus(i);
+    const status = await client.getMilestoneStatus(i);
     console.log(`  Milestone ${i}:`);
     console.log(`    Unlocked: ${status.unlocked}`);
-    // Testnet uses goodPeriods, mainnet uses goodHours
-    const goodCount = status.goodPeriods ?? status.goodHours ?? status[1];
-    console.log(`    Good Periods: ${goodCount}`);
+    console.log(`    Good Periods: ${status.goodPeriods}`);
     console.log(`    Price Target: ${status.priceTarget} ($${(Number(status.priceTarget) / 1e9).toFixed(6)})`);
   }
   console.log();
 
   // Check unlock conditions for milestone 1
-  const canUnlock = await fair.canUnlockMilestone(1);
+  const canUnlock = await client.canUnlock(1);
   console.log("Milestone 1 Unlock Status:");
   console.log(`  Can Unlock: ${canUnlock.canUnlock}`);
   console.log(`  Reason: ${canUnlock.reason}\n`);
 
   // Try processing a good period
   console.log("Testing Good Period Recording...");
-  const status1Before = await fair.getMilestoneStatus(1);
+  const status1Before = await client.getMilestoneStatus(1);
   
   try {
     const tx = await fair.processMilestonePeriod(1);
     await tx.wait();
     console.log(`  TX: ${tx.hash}`);
     
-    const status1After = await fair.getMilestoneStatus(1);
-    const beforeCount = status1Before.goodPeriods ?? status1Before.goodHours ?? status1Before[1];
-    const afterCount = status1After.goodPeriods ?? status1After.goodHours ?? status1After[1];
-    if (Number(afterCount) > Number(beforeCount)) {
+    const status1After = await client.getMilestoneStatus(1);
+    const beforeCount = status1Before.goodPeriods;
+    const afterCount = status1After.goodPeriods;
+    if (afterCount > beforeCount) {
       console.log(`  ✅ Good period recorded! (${beforeCount} → ${afterCount})\n`);
     } else {
       console.log(`  ℹ️  Period not recorded (conditions may not be met or interval not elapsed)\n`);